@@ -18,7 +18,7 @@ export async function fetchAIDescription(demName, header, minElev, maxElev) {
     console.log(`[APIManager] Fetching AI description for: ${demName}`);
 
     // Construct the prompt for the Gemini API
-    const prompt = `Describe this terrain: ${demName}, Columns: ${header.ncols}, Rows: ${header.nrows}, Cell Size: ${header.cellsize}, Min Elev: ${minElev.toFixed(2)}, Max Elev: ${maxElev.toFixed(2)}. Provide a brief, engaging geographical description (1-3 sentences). Focus on the general landscape type and elevation changes. Be descriptive.`;
+    const prompt = `Describe this terrain: ${demName}, Columns: ${header.ncols}, Rows: ${header.nrows}, Cell Size: ${header.cellsize ?? `${header.dx} x ${header.dy}`}, Min Elev: ${minElev.toFixed(2)}, Max Elev: ${maxElev.toFixed(2)}. Provide a brief, engaging geographical description (1-3 sentences). Focus on the general landscape type and elevation changes. Be descriptive.`;
 
     try {
         let chatHistory = [{ role: "user", parts: [{ text: prompt }] }]; 
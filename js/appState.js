@@ -1,4 +1,6 @@
 // js/appState.js
+import { METERS_PER_DEGREE } from './constants.js';
+import { isGeographicHeader } from './utils.js';
 
 /**
  * @file Manages the shared state of the application.
@@ -12,18 +14,30 @@ export const state = {
      * { 
      * id: string, // Unique ID for the DEM entry (e.g., 'dem-0')
      * name: string, // Filename or chunk name (e.g., 'myDEM.asc' or 'myDEM.asc_part0_0')
-     * mesh: THREE.Mesh, // The Three.js mesh object for this DEM
+     * mesh: THREE.Mesh, // The full-resolution Three.js mesh of this DEM (level 0 of `lod`)
+     * lod: THREE.LOD, // The object added to the scene: the mesh and its coarser levels, placed at the DEM's position
      * demData: { // Parsed data for this DEM/chunk
-     * header: object, // Original header (ncols, nrows, xllcorner, yllcorner, etc.)
-     * data: Array<Array<number>>, // 2D array of elevation values
+     * header: object, // Normalised header (ncols, nrows, xllcorner, yllcorner, dx, dy, nodata_value, etc.)
+     * grid: object, // Elevation grid (elevationGrid.js): Float32Array values with row stride/offset, NODATA = NaN.
+     *               // Chunks of one file are views on the same buffer.
      * minElev: number, 
      * maxElev: number 
      * },
+     * crs: object | null, // CRS of demData's coordinates (coordinateSystems.js): the scene CRS if the DEM was reprojected
+     *                     // on load, null if unknown
      * materials: { // Cache for different materials applied to this DEM
      * default: THREE.Material, 
      * color?: THREE.ShaderMaterial, 
-     * gray?: THREE.ShaderMaterial 
+     * gray?: THREE.ShaderMaterial, 
+     * difference?: THREE.ShaderMaterial, // Diverging colours of a difference DEM
+     * [layer]?: THREE.ShaderMaterial // Terrain analysis layers, keyed like DERIVATIVE_LAYERS (terrainDerivatives.js)
      * },
+     * derivatives: { // Terrain analysis layers computed so far, by DERIVATIVE_LAYERS key (see getDemEntryDerivative)
+     * [layer]?: { grid: object, displayRange: { min: number, max: number } } // Laid out like demData.grid
+     * },
+     * conditioned?: object, // Depression-filled surface and fill depths, once computed (getDemEntryConditioned, hydrology.js)
+     * flow?: object, // D8 flow direction and accumulation, once computed (getDemEntryFlow, waterFlowSimulator.js)
+     * isDifference?: boolean, // True for a difference DEM (later minus earlier survey), coloured around zero
      * isVisible: boolean, // Current visibility state in the scene
      * fileId: number // Internal counter ID, can be used for tracking
      * }
@@ -34,9 +48,13 @@ export const state = {
      * Stores the absolute xllcorner and yllcorner of the very first DEM (or its first chunk) loaded.
      * This is used as a reference origin (0,0 in logical scene space) to position all 
      * subsequent DEMs relatively, ensuring they align correctly if they are adjacent.
-     * Structure: { x: number | null, y: number | null }
+     * isGeographic is true when that DEM is in degrees (e.g. SRTM); the scene is then laid out in metres
+     * around the origin (see absoluteToScene).
+     * crs is that DEM's coordinate reference system (coordinateSystems.js), or null if unknown. It is the scene's
+     * reference CRS: DEMs loaded later in another CRS are reprojected into it.
+     * Structure: { x: number | null, y: number | null, isGeographic: boolean, crs: object | null }
      */
-    firstDemAbsoluteOrigin: { x: null, y: null },
+    firstDemAbsoluteOrigin: { x: null, y: null, isGeographic: false, crs: null },
 
     /**
      * Counter for generating unique IDs for DEM entries in the list panel and internal tracking.
@@ -56,6 +74,30 @@ export const state = {
      */
     currentShadingMode: 'default', // Default value, updated by UIManager or main.js
 
+    /**
+     * Contour sets currently drawn over the terrain, one per DEM (all chunks of a file together), kept for export.
+     * Structure: Array<{ name: string, crs: object | null, interval: number, base: number,
+     *   contours: Array<{ elevation: number, isIndex: boolean, lines: Array<Array<[number, number]>> }> }>
+     * Line positions are absolute coordinates in `crs` (see generateContours in contourGenerator.js).
+     */
+    contourSets: [],
+
+    /**
+     * The watershed currently highlighted (see delineateWatershed in waterFlowSimulator.js), kept for export, or null.
+     * Structure: { name: string, crs: object | null, pourPoint: [number, number], cellCount: number, area: number,
+     *   perimeter: number, polygons: Array<Array<Array<[number, number]>>> }
+     * Positions are absolute coordinates in `crs`.
+     */
+    watershed: null,
+
+    /**
+     * Stream networks currently drawn over the terrain, one per DEM (all chunks of a file together), kept for export.
+     * Structure: Array<{ name: string, crs: object | null, threshold: number,
+     *   streams: Array<{ points: Array<[number, number, number]>, strahler: number, shreve: number, length: number, drop: number }> }>
+     * Points are absolute coordinates in `crs` with their elevation (see extractStreamNetwork in waterFlowSimulator.js).
+     */
+    streamNetworks: [],
+
     /**
      * Array to store references to THREE.Line objects representing raindrop paths.
      * This is managed by threeSceneManager.js for adding/clearing paths from the scene.
@@ -76,9 +118,73 @@ export const state = {
 export function resetFirstDemAbsoluteOrigin() {
     state.firstDemAbsoluteOrigin.x = null;
     state.firstDemAbsoluteOrigin.y = null;
+    state.firstDemAbsoluteOrigin.isGeographic = false;
+    state.firstDemAbsoluteOrigin.crs = null;
     console.log("[AppState] Reset firstDemAbsoluteOrigin.");
 }
 
+/**
+ * Sets `firstDemAbsoluteOrigin` (and with it the scene CRS) from a DEM header if no origin has been established yet.
+ * @param {object} header - The header of the DEM (or chunk) being added to the scene.
+ * @param {object|null} [crs=null] - The DEM's CRS, if known.
+ */
+export function initFirstDemAbsoluteOrigin(header, crs = null) {
+    if (state.firstDemAbsoluteOrigin.x !== null) return;
+    state.firstDemAbsoluteOrigin.x = header.xllcorner;
+    state.firstDemAbsoluteOrigin.y = header.yllcorner;
+    state.firstDemAbsoluteOrigin.isGeographic = isGeographicHeader(header);
+    state.firstDemAbsoluteOrigin.crs = crs;
+    console.log("[AppState] Set firstDemAbsoluteOrigin:", JSON.stringify({ ...state.firstDemAbsoluteOrigin, crs: crs?.name ?? null }));
+}
+
+/**
+ * Returns the scene's reference CRS (that of its first DEM), or null if unknown or no DEM is loaded.
+ * @returns {object|null}
+ */
+export function getSceneCrs() {
+    return state.firstDemAbsoluteOrigin.crs;
+}
+
+/**
+ * Returns the factors converting absolute coordinate units to scene units along X and Y.
+ * Projected scenes use 1:1. Geographic scenes use an equirectangular approximation at the origin's latitude,
+ * so every tile in the scene shares one scale and adjacent tiles stay seamless.
+ * @returns {{x: number, y: number}}
+ */
+export function getSceneScale() {
+    if (!state.firstDemAbsoluteOrigin.isGeographic) return { x: 1, y: 1 };
+    const latitudeRadians = state.firstDemAbsoluteOrigin.y * Math.PI / 180;
+    return { x: METERS_PER_DEGREE * Math.cos(latitudeRadians), y: METERS_PER_DEGREE };
+}
+
+/**
+ * Converts absolute (map) coordinates to scene coordinates relative to `firstDemAbsoluteOrigin`.
+ * @param {number} absX
+ * @param {number} absY
+ * @returns {{x: number, y: number}}
+ */
+export function absoluteToScene(absX, absY) {
+    const scale = getSceneScale();
+    return {
+        x: (absX - state.firstDemAbsoluteOrigin.x) * scale.x,
+        y: (absY - state.firstDemAbsoluteOrigin.y) * scale.y
+    };
+}
+
+/**
+ * Converts scene coordinates back to absolute (map) coordinates. Inverse of absoluteToScene.
+ * @param {number} sceneX
+ * @param {number} sceneY
+ * @returns {{x: number, y: number}}
+ */
+export function sceneToAbsolute(sceneX, sceneY) {
+    const scale = getSceneScale();
+    return {
+        x: sceneX / scale.x + state.firstDemAbsoluteOrigin.x,
+        y: sceneY / scale.y + state.firstDemAbsoluteOrigin.y
+    };
+}
+
 /**
  * Resets the fileIdCounter back to 0.
  */
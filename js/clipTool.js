@@ -0,0 +1,156 @@
+// js/clipTool.js
+import * as THREE from 'three';
+import { state, absoluteToScene, sceneToAbsolute } from './appState.js';
+import { setStatusMessage } from './uiManager.js';
+import { showClipOutlineVisual, clearClipOutlineVisual } from './threeSceneManager.js';
+import { getCellSize, getGridCellAtAbsolute } from './utils.js';
+import { getElevation } from './elevationGrid.js';
+
+/**
+ * @file Interactive tool for drawing a clip rectangle or polygon on the terrain. Vertices come from canvas clicks
+ * (the intersections found by getCanvasClickIntersectionAndDem); the outline is draped on the DEM being clipped.
+ * The finished outline is handed to a callback in absolute (map) coordinates, together with the DEM's entries.
+ */
+
+// Each edge of the draped outline is split into at most this many segments.
+const MAX_OUTLINE_SEGMENTS_PER_EDGE = 256;
+
+// The shape being drawn: {shape: 'rectangle'|'polygon', vertices: [{x, y}] (absolute), sourceEntries, onComplete}, or null.
+let drawing = null;
+
+/**
+ * Starts drawing a clip shape. The first click picks the DEM to clip: the clicked entry and every other chunk
+ * of the same file. A rectangle is finished by its second corner, a polygon by finishClipPolygon().
+ * @param {'rectangle'|'polygon'} shape
+ * @param {function(Array<{x: number, y: number}>, Array<object>): void} onComplete - Called with the outline's
+ * vertices (absolute coordinates) and the DEM entries to clip.
+ */
+export function startClipDrawing(shape, onComplete) {
+    cancelClipDrawing();
+    drawing = { shape, vertices: [], sourceEntries: null, onComplete };
+    setStatusMessage(shape === 'rectangle'
+        ? "Clip: click two opposite corners on the terrain (Esc cancels)."
+        : "Clip: click the polygon's corners on the terrain, then Finish polygon or Enter (Esc cancels).");
+}
+
+/**
+ * Tells whether a clip shape is being drawn, i.e. canvas clicks add vertices instead of simulating raindrops.
+ * @returns {boolean}
+ */
+export function isClipDrawing() {
+    return drawing !== null;
+}
+
+/**
+ * Tells whether the polygon being drawn has enough vertices to be finished.
+ * @returns {boolean}
+ */
+export function canFinishClipPolygon() {
+    return drawing?.shape === 'polygon' && drawing.vertices.length >= 3;
+}
+
+/**
+ * Adds a vertex at a canvas click. Clicks beside the DEM being clipped are ignored.
+ * @param {{intersection: THREE.Intersection, demEntry: object}|null} intersectionData - Data from the raycast.
+ */
+export function addClipVertex(intersectionData) {
+    if (!drawing) return;
+    if (!intersectionData?.demEntry) {
+        setStatusMessage("Clip: click on the terrain to place a corner.", true);
+        return;
+    }
+    const { demEntry, intersection } = intersectionData;
+    if (!drawing.sourceEntries) {
+        // Chunks of one file are views on the same elevation buffer.
+        drawing.sourceEntries = state.loadedDEMs.filter(entry => entry.demData.grid.values === demEntry.demData.grid.values);
+    } else if (!drawing.sourceEntries.includes(demEntry)) {
+        setStatusMessage(`Clip: corners must lie on the DEM being clipped (${drawing.sourceEntries[0].name}).`, true);
+        return;
+    }
+    drawing.vertices.push(sceneToAbsolute(intersection.point.x, intersection.point.y));
+
+    if (drawing.shape === 'rectangle' && drawing.vertices.length === 2) {
+        const [a, b] = drawing.vertices;
+        completeDrawing([a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }]);
+        return;
+    }
+    updateOutline(drawing.vertices);
+    setStatusMessage(drawing.shape === 'rectangle'
+        ? "Clip: click the opposite corner."
+        : `Clip: ${drawing.vertices.length} corner(s) placed.` + (canFinishClipPolygon() ? " Finish polygon or press Enter to clip." : ""));
+}
+
+/**
+ * Closes the polygon being drawn and clips. Does nothing until it has three vertices.
+ */
+export function finishClipPolygon() {
+    if (!canFinishClipPolygon()) return;
+    completeDrawing(drawing.vertices);
+}
+
+/**
+ * Stops drawing and removes the outline.
+ */
+export function cancelClipDrawing() {
+    if (!drawing) return;
+    drawing = null;
+    clearClipOutlineVisual();
+}
+
+/**
+ * Ends drawing and hands the finished outline to the callback.
+ * @param {Array<{x: number, y: number}>} polygon - The outline's vertices in absolute coordinates.
+ */
+function completeDrawing(polygon) {
+    const { sourceEntries, onComplete } = drawing;
+    cancelClipDrawing();
+    onComplete(polygon, sourceEntries);
+}
+
+/**
+ * Drapes the open outline through the placed vertices on the DEM being clipped and shows it.
+ * @param {Array<{x: number, y: number}>} vertices - Absolute coordinates.
+ */
+function updateOutline(vertices) {
+    const entries = drawing.sourceEntries;
+    const { dx, dy } = getCellSize(entries[0].demData.header);
+    const { minElev, maxElev } = entries[0].demData;
+    // Lift the outline slightly so it is not hidden inside the terrain between samples.
+    const lift = Math.max(1, (maxElev - minElev) * 0.002);
+    const toScenePoint = ({ x, y }) => {
+        const scenePosition = absoluteToScene(x, y);
+        const elevation = getTerrainElevation(entries, x, y);
+        return new THREE.Vector3(scenePosition.x, scenePosition.y, (Number.isNaN(elevation) ? minElev : elevation) + lift);
+    };
+
+    const outlinePoints = [];
+    for (let i = 0; i < vertices.length - 1; i++) {
+        const a = vertices[i];
+        const b = vertices[i + 1];
+        const cellSteps = Math.max(Math.abs(b.x - a.x) / dx, Math.abs(b.y - a.y) / dy);
+        const segments = Math.min(MAX_OUTLINE_SEGMENTS_PER_EDGE, Math.max(1, Math.ceil(cellSteps)));
+        for (let step = 0; step < segments; step++) {
+            const t = step / segments;
+            outlinePoints.push(toScenePoint({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }));
+        }
+    }
+    outlinePoints.push(toScenePoint(vertices[vertices.length - 1]));
+    showClipOutlineVisual(outlinePoints, vertices.map(toScenePoint), false);
+}
+
+/**
+ * Returns the elevation at an absolute position from whichever of the entries covers it.
+ * @param {Array<object>} demEntries
+ * @param {number} x - Absolute X.
+ * @param {number} y - Absolute Y.
+ * @returns {number} The elevation, or NaN if no entry has data there.
+ */
+function getTerrainElevation(demEntries, x, y) {
+    for (const { demData } of demEntries) {
+        const cell = getGridCellAtAbsolute(demData.header, x, y);
+        if (!cell) continue;
+        const elevation = getElevation(demData.grid, cell.row, cell.col);
+        if (!Number.isNaN(elevation)) return elevation;
+    }
+    return NaN;
+}
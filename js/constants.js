@@ -6,11 +6,49 @@
  */
 export const MAX_POINTS_PER_CHUNK = 10_000_000;
 
+/**
+ * Most coarser levels of detail built per DEM chunk; the coarsest has a sample every 2^LOD_MAX_LEVELS cells.
+ */
+export const LOD_MAX_LEVELS = 6;
+
+/**
+ * No further level of detail is built once a level has at most this many samples along its longer side.
+ */
+export const LOD_MIN_SAMPLES = 64;
+
+/**
+ * Depth of the skirts hanging from the edges of coarser levels, as a fraction of the DEM's elevation range.
+ */
+export const LOD_SKIRT_DEPTH_FRACTION = 0.05;
+
+/**
+ * Camera distance, in sample spacings of a level, beyond which that level is detailed enough (a sample then
+ * covers about two pixels at the default field of view). Measured from the chunk's edge, not its centre.
+ */
+export const LOD_DISTANCE_PER_SAMPLE = 400;
+
+/**
+ * Height of contour lines above the elevation they trace, in sample spacings of their DEM. Contour vertices lie on
+ * the mesh, but a straight piece across a cell can dip below the cell's two triangles; the lift keeps it visible.
+ */
+export const CONTOUR_LIFT_PER_SAMPLE_SPACING = 0.05;
+
 /**
  * Default NODATA value commonly used in ASCII Grid DEMs if not specified in the header.
  */
 export const DEFAULT_NODATA_VALUE = -99;
 
+/**
+ * NODATA value written into DEMs produced by gridding point data (XYZ/CSV, LAS).
+ * Chosen well outside real elevations, unlike DEFAULT_NODATA_VALUE.
+ */
+export const GRIDDED_NODATA_VALUE = -9999;
+
+/**
+ * NODATA value written into exported ESRI ASCII grids (elevations and terrain analysis layers).
+ */
+export const ASCII_EXPORT_NODATA_VALUE = -9999;
+
 /**
  * Default XLLCORNER value if not specified in the header.
  */
@@ -21,6 +59,17 @@ export const DEFAULT_XLLCORNER = 0;
  */
 export const DEFAULT_YLLCORNER = 0;
 
+/**
+ * Approximate length of one degree of latitude in metres (and of longitude at the equator).
+ * Used to lay out geographic (degree-based) DEMs such as SRTM tiles in metric scene units.
+ */
+export const METERS_PER_DEGREE = 111_320;
+
+/**
+ * NODATA (void) value of SRTM .hgt tiles.
+ */
+export const SRTM_VOID_VALUE = -32768;
+
 /**
  * Default shading mode.
  */
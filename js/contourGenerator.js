@@ -0,0 +1,199 @@
+// js/contourGenerator.js
+import { getCellSize } from './utils.js';
+import { getElevation, computeElevationRange } from './elevationGrid.js';
+
+/**
+ * @file Contour lines of a DEM by marching squares. The squares join the centres of four neighbouring cells
+ * (where the terrain mesh has its vertices), and crossings are interpolated linearly along the square's sides,
+ * so the lines lie on the mesh edges they cross. Squares with a NODATA corner are skipped, so contours stop at
+ * voids and at the DEM's edge. Saddle squares are resolved by the value at their centre.
+ */
+
+// Refuse intervals that would trace more levels than this (a typo such as 0.01 m over a mountain range).
+const MAX_CONTOUR_LEVELS = 1000;
+// Number of levels aimed at when no interval is given.
+const AUTO_CONTOUR_LEVELS = 20;
+
+// Side crossings of each corner case, as pairs of sides joined by a segment. Corners are numbered
+// top-left 8, top-right 4, bottom-right 2, bottom-left 1 (set when the corner is at or above the level);
+// sides are 0 top, 1 right, 2 bottom, 3 left. Saddles (5 and 10) are resolved in traceSquare.
+const CASE_SEGMENTS = [
+    [], [[3, 2]], [[2, 1]], [[3, 1]], [[0, 1]], null, [[0, 2]], [[3, 0]],
+    [[3, 0]], [[0, 2]], null, [[0, 1]], [[3, 1]], [[2, 1]], [[3, 2]], []
+];
+
+/**
+ * Traces the contour lines of a grid.
+ * @param {object} grid - Elevation grid (elevationGrid.js), NODATA = NaN.
+ * @param {object} header - The grid's header (xllcorner, yllcorner, nrows, cell size); positions are in its CRS.
+ * @param {object} [options]
+ * @param {number|null} [options.interval=null] - Elevation step between contours; null picks a round step giving
+ * about AUTO_CONTOUR_LEVELS levels.
+ * @param {number} [options.base=0] - An elevation that has a contour; the others are base + k * interval.
+ * @param {number} [options.indexEvery=5] - Every n-th contour (counted from base) is an index contour.
+ * @returns {{interval: number|null, contours: Array<{elevation: number, isIndex: boolean, lines: Array<Array<[number, number]>>}>}}
+ * The levels that cross the grid, low to high, each with its polylines as absolute [x, y] positions. Closed lines
+ * repeat their first position at the end. A grid without data has no levels, and no interval unless one was given.
+ * @throws {Error} If the interval is not positive or would produce more than MAX_CONTOUR_LEVELS levels.
+ */
+export function generateContours(grid, header, { interval = null, base = 0, indexEvery = 5 } = {}) {
+    const { minElev: min, maxElev: max, validCount } = computeElevationRange(grid);
+    if (validCount === 0) return { interval, contours: [] };
+    const step = interval ?? getRoundInterval((max - min) / AUTO_CONTOUR_LEVELS);
+    if (!(step > 0)) throw new Error(`Contour interval must be positive (got ${interval}).`);
+    const firstIndex = Math.ceil((min - base) / step);
+    const lastIndex = Math.floor((max - base) / step);
+    if (lastIndex - firstIndex + 1 > MAX_CONTOUR_LEVELS) {
+        throw new Error(`A contour interval of ${step} gives ${lastIndex - firstIndex + 1} levels over ${min.toFixed(1)}..${max.toFixed(1)}; use at least ${getRoundInterval((max - min) / MAX_CONTOUR_LEVELS)}.`);
+    }
+
+    // Segments of every level in one pass over the squares: [sideIdA, sideIdB, ...] per level.
+    const segmentsByLevel = [];
+    for (let k = firstIndex; k <= lastIndex; k++) segmentsByLevel.push([]);
+    const { ncols, nrows } = grid;
+    for (let row = 0; row < nrows - 1; row++) {
+        for (let col = 0; col < ncols - 1; col++) {
+            const corners = [
+                getElevation(grid, row, col), getElevation(grid, row, col + 1),
+                getElevation(grid, row + 1, col + 1), getElevation(grid, row + 1, col)
+            ];
+            if (corners.some(Number.isNaN)) continue;
+            const low = Math.min(...corners);
+            const high = Math.max(...corners);
+            // Levels with corners on both sides; a corner equal to the level counts as above it.
+            const fromIndex = Math.max(firstIndex, Math.floor((low - base) / step) + 1);
+            const toIndex = Math.min(lastIndex, Math.floor((high - base) / step));
+            for (let k = fromIndex; k <= toIndex; k++) {
+                traceSquare(corners, base + k * step, row, col, ncols, segmentsByLevel[k - firstIndex]);
+            }
+        }
+    }
+
+    const contours = [];
+    segmentsByLevel.forEach((segments, i) => {
+        if (segments.length === 0) return;
+        const k = firstIndex + i;
+        const elevation = base + k * step;
+        const lines = joinSegments(segments).map(sideIds => sideIds.map(sideId => sidePosition(grid, header, sideId, elevation)));
+        contours.push({ elevation, isIndex: indexEvery > 0 && k % indexEvery === 0, lines });
+    });
+    return { interval: step, contours };
+}
+
+/**
+ * Adds the segments of one level crossing one square.
+ * @param {Array<number>} corners - Top-left, top-right, bottom-right, bottom-left values.
+ * @param {number} level
+ * @param {number} row - Row of the square's top-left corner.
+ * @param {number} col - Column of the square's top-left corner.
+ * @param {number} ncols - Grid width, to number the sides.
+ * @param {Array<number>} segments - Receives the side ids of each segment's two ends.
+ */
+function traceSquare(corners, level, row, col, ncols, segments) {
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    const caseIndex = (topLeft >= level ? 8 : 0) | (topRight >= level ? 4 : 0) | (bottomRight >= level ? 2 : 0) | (bottomLeft >= level ? 1 : 0);
+    let pairs = CASE_SEGMENTS[caseIndex];
+    if (!pairs) {
+        // Saddle: a centre above the level joins the two high corners, so the lines cut off the low ones.
+        const centreAbove = (topLeft + topRight + bottomRight + bottomLeft) / 4 >= level;
+        const cutsTopRightAndBottomLeft = (caseIndex === 10) === centreAbove;
+        pairs = cutsTopRightAndBottomLeft ? [[0, 1], [3, 2]] : [[3, 0], [2, 1]];
+    }
+    for (const [sideA, sideB] of pairs) {
+        segments.push(getSideId(row, col, sideA, ncols), getSideId(row, col, sideB, ncols));
+    }
+}
+
+/**
+ * Numbers the sides of the squares so neighbouring squares agree: the horizontal side from sample (row, col)
+ * to (row, col + 1) is 2 * (row * ncols + col), the vertical side from (row, col) to (row + 1, col) the next id.
+ * @param {number} row - Row of the square's top-left corner.
+ * @param {number} col - Column of the square's top-left corner.
+ * @param {number} side - 0 top, 1 right, 2 bottom, 3 left.
+ * @param {number} ncols
+ * @returns {number}
+ */
+function getSideId(row, col, side, ncols) {
+    switch (side) {
+        case 0: return 2 * (row * ncols + col);
+        case 1: return 2 * (row * ncols + col + 1) + 1;
+        case 2: return 2 * ((row + 1) * ncols + col);
+        default: return 2 * (row * ncols + col) + 1;
+    }
+}
+
+/**
+ * Absolute position where a level crosses a side, interpolated between the side's two samples.
+ * @param {object} grid
+ * @param {object} header
+ * @param {number} sideId - From getSideId.
+ * @param {number} level
+ * @returns {[number, number]}
+ */
+function sidePosition(grid, header, sideId, level) {
+    const sample = Math.floor(sideId / 2);
+    const row = Math.floor(sample / grid.ncols);
+    const col = sample - row * grid.ncols;
+    const isVertical = sideId % 2 === 1;
+    const start = getElevation(grid, row, col);
+    const end = isVertical ? getElevation(grid, row + 1, col) : getElevation(grid, row, col + 1);
+    const t = (level - start) / (end - start);
+    const { dx, dy } = getCellSize(header);
+    const x = header.xllcorner + (col + (isVertical ? 0 : t) + 0.5) * dx;
+    const y = header.yllcorner + (header.nrows - row - (isVertical ? t : 0) - 0.5) * dy;
+    return [x, y];
+}
+
+/**
+ * Joins one level's segments into polylines through their shared sides (each side is crossed at most twice).
+ * @param {Array<number>} segments - Side ids, two per segment.
+ * @returns {Array<Array<number>>} The polylines as side ids; closed ones end with their first side.
+ */
+function joinSegments(segments) {
+    const segmentCount = segments.length / 2;
+    // Side id -> the (at most two) segments ending there.
+    const segmentsBySide = new Map();
+    for (let i = 0; i < segmentCount; i++) {
+        for (const sideId of [segments[2 * i], segments[2 * i + 1]]) {
+            const ends = segmentsBySide.get(sideId);
+            if (ends) ends.push(i);
+            else segmentsBySide.set(sideId, [i]);
+        }
+    }
+    const used = new Uint8Array(segmentCount);
+    // Follows unused segments from a side, returning the sides reached.
+    const walk = (fromSide) => {
+        const sides = [];
+        let side = fromSide;
+        for (;;) {
+            const next = segmentsBySide.get(side).find(i => !used[i]);
+            if (next === undefined) return sides;
+            used[next] = 1;
+            side = segments[2 * next] === side ? segments[2 * next + 1] : segments[2 * next];
+            sides.push(side);
+        }
+    };
+    const lines = [];
+    for (let i = 0; i < segmentCount; i++) {
+        if (used[i]) continue;
+        used[i] = 1;
+        const start = segments[2 * i];
+        const forward = walk(segments[2 * i + 1]);
+        const isClosed = forward[forward.length - 1] === start;
+        const backward = isClosed ? [] : walk(start);
+        lines.push([...backward.reverse(), start, segments[2 * i + 1], ...forward]);
+    }
+    return lines;
+}
+
+/**
+ * Rounds a step up to 1, 2, 2.5 or 5 times a power of ten.
+ * @param {number} rawStep
+ * @returns {number}
+ */
+function getRoundInterval(rawStep) {
+    if (!(rawStep > 0)) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const multiple = [1, 2, 2.5, 5, 10].find(m => m * magnitude >= rawStep);
+    return multiple * magnitude;
+}
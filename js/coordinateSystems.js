@@ -0,0 +1,856 @@
+// js/coordinateSystems.js
+
+/**
+ * @file Coordinate reference systems (CRS): reading them from WKT (.prj sidecars, GDAL .aux.xml) and EPSG codes
+ * (GeoTIFF keys), and transforming coordinates between them so DEMs delivered in different CRSs can share one scene.
+ * Everything is implemented locally (no proj4): geographic coordinates on any ellipsoid, the Transverse Mercator
+ * (UTM, Gauss-Krüger, British National Grid), Lambert Conformal Conic, Albers Equal Area, Lambert Azimuthal Equal Area,
+ * Mercator / Web Mercator and Oblique Stereographic projections, and datum shifts through WGS84 with a 3- or
+ * 7-parameter Helmert transformation (WKT TOWGS84, or a built-in value for common datums).
+ *
+ * A CRS is a plain object, so it can be posted to and from the load worker:
+ * {
+ *   name: string,
+ *   type: 'geographic'|'projected',
+ *   datum: {name: string, a: number, f: number, toWgs84: number[7]|null}, // toWgs84 null = shift unknown (treated as 0)
+ *   primeMeridian: number,   // Degrees east of Greenwich
+ *   angularUnit: number,     // Radians per unit of geographic coordinates and angular projection parameters
+ *   linearUnit: number,      // Metres per unit of projected coordinates (1 for geographic CRSs)
+ *   projection: {method: string, parameters: object}|null, // Parameters: see PROJECTION_PARAMETER_NAMES
+ *   epsg: number|null
+ * }
+ */
+
+const ELLIPSOIDS = {
+    wgs84: { a: 6378137, rf: 298.257223563 },
+    grs80: { a: 6378137, rf: 298.257222101 },
+    airy1830: { a: 6377563.396, rf: 299.3249646 },
+    bessel1841: { a: 6377397.155, rf: 299.1528128 },
+    international1924: { a: 6378388, rf: 297 },
+    clarke1866: { a: 6378206.4, rf: 294.9786982139006 }
+};
+
+// Datums the EPSG table uses, with their Helmert parameters to WGS84 (position vector convention:
+// tx, ty, tz in metres, rx, ry, rz in arc-seconds, scale in ppm). Aliases are normalised WKT datum names.
+const DATUMS = {
+    wgs84: { name: 'WGS 84', ellipsoid: 'wgs84', toWgs84: [0, 0, 0, 0, 0, 0, 0], aliases: ['wgs_1984', 'wgs84', 'world_geodetic_system_1984'] },
+    etrs89: { name: 'ETRS89', ellipsoid: 'grs80', toWgs84: [0, 0, 0, 0, 0, 0, 0], aliases: ['etrs_1989', 'etrs89', 'european_terrestrial_reference_system_1989', 'european_terrestrial_reference_system_1989_ensemble'] },
+    nad83: { name: 'NAD83', ellipsoid: 'grs80', toWgs84: [0, 0, 0, 0, 0, 0, 0], aliases: ['north_american_1983', 'north_american_datum_1983', 'nad_1983', 'nad83'] },
+    rgf93: { name: 'RGF93', ellipsoid: 'grs80', toWgs84: [0, 0, 0, 0, 0, 0, 0], aliases: ['rgf_1993', 'reseau_geodesique_francais_1993', 'rgf93', 'rgf93_v1'] },
+    gda94: { name: 'GDA94', ellipsoid: 'grs80', toWgs84: [0, 0, 0, 0, 0, 0, 0], aliases: ['gda_1994', 'geocentric_datum_of_australia_1994', 'gda94'] },
+    nad27: { name: 'NAD27', ellipsoid: 'clarke1866', toWgs84: [-8, 160, 176, 0, 0, 0, 0], aliases: ['north_american_1927', 'north_american_datum_1927', 'nad_1927', 'nad27'] },
+    ed50: { name: 'ED50', ellipsoid: 'international1924', toWgs84: [-87, -98, -121, 0, 0, 0, 0], aliases: ['european_1950', 'european_datum_1950', 'ed50'] },
+    osgb36: { name: 'OSGB36', ellipsoid: 'airy1830', toWgs84: [446.448, -125.157, 542.06, 0.15, 0.247, 0.842, -20.489], aliases: ['osgb_1936', 'ordnance_survey_of_great_britain_1936', 'osgb36'] },
+    dhdn: { name: 'DHDN', ellipsoid: 'bessel1841', toWgs84: [598.1, 73.7, 418.2, 0.202, 0.045, -2.455, 6.7], aliases: ['deutsches_hauptdreiecksnetz', 'dhdn'] },
+    amersfoort: { name: 'Amersfoort', ellipsoid: 'bessel1841', toWgs84: [565.4171, 50.3319, 465.5524, -0.398957, 0.343988, -1.8774, 4.0725], aliases: ['amersfoort'] }
+};
+
+// WKT1 (OGC and ESRI) projection names, normalised, mapped to the methods implemented below.
+const PROJECTION_METHODS = {
+    transverse_mercator: 'tmerc',
+    gauss_kruger: 'tmerc',
+    lambert_conformal_conic: 'lcc',
+    lambert_conformal_conic_1sp: 'lcc',
+    lambert_conformal_conic_2sp: 'lcc',
+    albers: 'aea',
+    albers_conic_equal_area: 'aea',
+    albers_equal_area: 'aea',
+    lambert_azimuthal_equal_area: 'laea',
+    mercator: 'merc',
+    mercator_1sp: 'merc',
+    mercator_2sp: 'merc',
+    popular_visualisation_pseudo_mercator: 'webmerc',
+    mercator_auxiliary_sphere: 'webmerc',
+    oblique_stereographic: 'sterea',
+    double_stereographic: 'sterea'
+};
+
+// WKT1 parameter names, normalised, mapped to the keys of projection.parameters.
+const PROJECTION_PARAMETER_NAMES = {
+    latitude_of_origin: 'latitudeOfOrigin',
+    latitude_of_center: 'latitudeOfOrigin',
+    latitude_of_natural_origin: 'latitudeOfOrigin',
+    latitude_of_false_origin: 'latitudeOfOrigin',
+    central_meridian: 'centralMeridian',
+    longitude_of_center: 'centralMeridian',
+    longitude_of_origin: 'centralMeridian',
+    longitude_of_natural_origin: 'centralMeridian',
+    longitude_of_false_origin: 'centralMeridian',
+    scale_factor: 'scaleFactor',
+    scale_factor_at_natural_origin: 'scaleFactor',
+    false_easting: 'falseEasting',
+    easting_at_false_origin: 'falseEasting',
+    false_northing: 'falseNorthing',
+    northing_at_false_origin: 'falseNorthing',
+    standard_parallel_1: 'standardParallel1',
+    latitude_of_1st_standard_parallel: 'standardParallel1',
+    standard_parallel_2: 'standardParallel2',
+    latitude_of_2nd_standard_parallel: 'standardParallel2'
+};
+
+const DEGREE = Math.PI / 180;
+const ARC_SECOND = DEGREE / 3600;
+
+// --- CRS construction ---
+
+/**
+ * Parses a WKT1 (OGC or ESRI flavour) coordinate system, as found in .prj sidecars and GDAL .aux.xml files.
+ * @param {string} wkt
+ * @returns {object} The CRS.
+ * @throws {Error} If the WKT is malformed, is WKT2, or uses a projection that is not implemented.
+ */
+export function parseWKT(wkt) {
+    let root = parseWKTTree(wkt.trim());
+    if (root.keyword === 'COMPD_CS') {
+        root = root.children.find(child => child.keyword === 'PROJCS' || child.keyword === 'GEOGCS');
+        if (!root) throw new Error("Compound WKT has no horizontal coordinate system.");
+    }
+    if (['PROJCRS', 'GEOGCRS', 'GEODCRS', 'BASEGEOGCRS'].includes(root.keyword)) {
+        throw new Error("WKT2 coordinate systems are not supported; save the .prj as WKT1 (ESRI).");
+    }
+    if (root.keyword === 'GEOGCS') return buildGeographicCrs(root);
+    if (root.keyword !== 'PROJCS') throw new Error(`Unsupported WKT coordinate system type ${root.keyword}.`);
+
+    const geogcs = findChild(root, 'GEOGCS');
+    if (!geogcs) throw new Error("Projected WKT has no GEOGCS.");
+    const base = buildGeographicCrs(geogcs);
+    const projectionNode = findChild(root, 'PROJECTION');
+    if (!projectionNode) throw new Error("Projected WKT has no PROJECTION.");
+    const methodName = normaliseWKTName(projectionNode.values[0]);
+    const method = PROJECTION_METHODS[methodName];
+    if (!method) throw new Error(`Projection ${projectionNode.values[0]} is not supported.`);
+
+    const parameters = {};
+    for (const parameterNode of root.children.filter(child => child.keyword === 'PARAMETER')) {
+        const key = PROJECTION_PARAMETER_NAMES[normaliseWKTName(parameterNode.values[0])];
+        if (key) parameters[key] = parameterNode.values[1];
+    }
+    const unitNode = findChild(root, 'UNIT');
+    return {
+        ...base,
+        name: root.values[0],
+        type: 'projected',
+        linearUnit: unitNode ? unitNode.values[1] : 1,
+        projection: { method, parameters: normaliseProjectionParameters(parameters, base.angularUnit) },
+        epsg: readAuthorityCode(root)
+    };
+}
+
+/**
+ * Extracts and parses the coordinate system from a GDAL .aux.xml sidecar (its <SRS> element).
+ * @param {string} xml
+ * @returns {object|null} The CRS, or null if the file has no <SRS> element.
+ * @throws {Error} If the WKT in the element cannot be parsed (see parseWKT).
+ */
+export function parseAuxXmlCrs(xml) {
+    const match = /<SRS[^>]*>([\s\S]*?)<\/SRS>/i.exec(xml);
+    if (!match) return null;
+    const wkt = match[1]
+        .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    return parseWKT(wkt);
+}
+
+/**
+ * Returns the CRS for an EPSG code from the built-in table: geographic WGS84/ETRS89/NAD83/NAD27/ED50/OSGB36/DHDN/
+ * Amersfoort/RGF93/GDA94, UTM zones on WGS84/ETRS89/NAD83/NAD27/ED50/GDA94 (MGA), British National Grid, Lambert-93,
+ * RD New, DHDN Gauss-Krüger zones 2-5, Web Mercator, CONUS Albers and ETRS89-LAEA.
+ * @param {number} code
+ * @returns {object|null} The CRS, or null if the code is not in the table.
+ */
+export function getCrsForEpsg(code) {
+    const geographicDatums = { 4326: 'wgs84', 4258: 'etrs89', 4269: 'nad83', 4267: 'nad27', 4230: 'ed50', 4277: 'osgb36', 4314: 'dhdn', 4289: 'amersfoort', 4171: 'rgf93', 4283: 'gda94' };
+    if (geographicDatums[code]) {
+        const datumKey = geographicDatums[code];
+        return { ...createGeographicCrs(datumKey), name: DATUMS[datumKey].name, epsg: code };
+    }
+
+    const utmRanges = [
+        { first: 32601, last: 32660, datum: 'wgs84', south: false, label: 'WGS 84' },
+        { first: 32701, last: 32760, datum: 'wgs84', south: true, label: 'WGS 84' },
+        { first: 25828, last: 25838, datum: 'etrs89', south: false, label: 'ETRS89' },
+        { first: 26901, last: 26923, datum: 'nad83', south: false, label: 'NAD83' },
+        { first: 26701, last: 26722, datum: 'nad27', south: false, label: 'NAD27' },
+        { first: 23028, last: 23038, datum: 'ed50', south: false, label: 'ED50' },
+        { first: 28348, last: 28358, datum: 'gda94', south: true, label: 'GDA94 / MGA' }
+    ];
+    for (const range of utmRanges) {
+        if (code < range.first || code > range.last) continue;
+        // Zone numbers follow the code's last two digits (EPSG:25832 = zone 32, EPSG:28355 = MGA zone 55).
+        const zone = code % 100;
+        return createProjectedCrs(`${range.label} / UTM zone ${zone}${range.south ? 'S' : 'N'}`, range.datum, 'tmerc', {
+            latitudeOfOrigin: 0, centralMeridian: zone * 6 - 183, scaleFactor: 0.9996,
+            falseEasting: 500000, falseNorthing: range.south ? 10000000 : 0
+        }, code);
+    }
+    if (code >= 31466 && code <= 31469) {
+        const zone = code - 31464;
+        return createProjectedCrs(`DHDN / 3-degree Gauss-Kruger zone ${zone}`, 'dhdn', 'tmerc', {
+            latitudeOfOrigin: 0, centralMeridian: zone * 3, scaleFactor: 1, falseEasting: zone * 1000000 + 500000, falseNorthing: 0
+        }, code);
+    }
+    switch (code) {
+        case 27700:
+            return createProjectedCrs('OSGB36 / British National Grid', 'osgb36', 'tmerc', {
+                latitudeOfOrigin: 49, centralMeridian: -2, scaleFactor: 0.9996012717, falseEasting: 400000, falseNorthing: -100000
+            }, code);
+        case 2154:
+            return createProjectedCrs('RGF93 / Lambert-93', 'rgf93', 'lcc', {
+                latitudeOfOrigin: 46.5, centralMeridian: 3, standardParallel1: 49, standardParallel2: 44, falseEasting: 700000, falseNorthing: 6600000
+            }, code);
+        case 28992:
+            return createProjectedCrs('Amersfoort / RD New', 'amersfoort', 'sterea', {
+                latitudeOfOrigin: 52.156160555555555, centralMeridian: 5.38763888888889, scaleFactor: 0.9999079, falseEasting: 155000, falseNorthing: 463000
+            }, code);
+        case 3857:
+        case 900913:
+            return createProjectedCrs('WGS 84 / Pseudo-Mercator', 'wgs84', 'webmerc', {
+                centralMeridian: 0, falseEasting: 0, falseNorthing: 0
+            }, code);
+        case 5070:
+            return createProjectedCrs('NAD83 / Conus Albers', 'nad83', 'aea', {
+                latitudeOfOrigin: 23, centralMeridian: -96, standardParallel1: 29.5, standardParallel2: 45.5, falseEasting: 0, falseNorthing: 0
+            }, code);
+        case 3035:
+            return createProjectedCrs('ETRS89-extended / LAEA Europe', 'etrs89', 'laea', {
+                latitudeOfOrigin: 52, centralMeridian: 10, falseEasting: 4321000, falseNorthing: 3210000
+            }, code);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Tells whether two CRSs describe the same coordinates, so no transformation is needed between them.
+ * Names are ignored; ellipsoids that differ by less than a millimetre (WGS84 and GRS80) count as equal.
+ * @param {object} crsA
+ * @param {object} crsB
+ * @returns {boolean}
+ */
+export function isSameCrs(crsA, crsB) {
+    if (crsA === crsB) return true;
+    if (!crsA || !crsB || crsA.type !== crsB.type || !isSameDatum(crsA, crsB)) return false;
+    if (crsA.type === 'geographic') return closeTo(crsA.angularUnit, crsB.angularUnit, 1e-12);
+    if (!closeTo(crsA.linearUnit, crsB.linearUnit, 1e-12) || crsA.projection.method !== crsB.projection.method) return false;
+    const parametersA = crsA.projection.parameters;
+    const parametersB = crsB.projection.parameters;
+    return Object.keys(parametersA).every(key => closeTo(parametersA[key], parametersB[key], 1e-9));
+}
+
+/**
+ * Creates a function transforming coordinates from one CRS to another: inverse projection, datum shift
+ * through WGS84 (skipped when both datums are the same), forward projection.
+ * @param {object} sourceCrs
+ * @param {object} targetCrs
+ * @returns {function(number, number): {x: number, y: number}} Maps (x, y) in source units to target units.
+ * x/y are NaN if the point cannot be projected (e.g. a pole in Mercator).
+ */
+export function createCrsTransform(sourceCrs, targetCrs) {
+    if (isSameCrs(sourceCrs, targetCrs)) return (x, y) => ({ x, y });
+    const source = createProjection(sourceCrs);
+    const target = createProjection(targetCrs);
+    const datumShift = isSameDatum(sourceCrs, targetCrs) ? null : createDatumShift(sourceCrs.datum, targetCrs.datum);
+    return (x, y) => {
+        let [lon, lat] = source.inverse(x, y);
+        if (datumShift) [lon, lat] = datumShift(lon, lat);
+        const [targetX, targetY] = target.forward(lon, lat);
+        return { x: targetX, y: targetY };
+    };
+}
+
+/**
+ * Tells whether two CRSs share a datum (ellipsoid within a millimetre, same shift to WGS84, same prime meridian).
+ * @param {object} crsA
+ * @param {object} crsB
+ * @returns {boolean}
+ */
+function isSameDatum(crsA, crsB) {
+    const shiftA = crsA.datum.toWgs84 ?? [0, 0, 0, 0, 0, 0, 0];
+    const shiftB = crsB.datum.toWgs84 ?? [0, 0, 0, 0, 0, 0, 0];
+    return closeTo(crsA.datum.a, crsB.datum.a, 1e-3)
+        && closeTo(crsA.datum.a * crsA.datum.f, crsB.datum.a * crsB.datum.f, 1e-3)
+        && shiftA.every((value, i) => closeTo(value, shiftB[i], 1e-6))
+        && closeTo(crsA.primeMeridian, crsB.primeMeridian, 1e-9);
+}
+
+function closeTo(a, b, tolerance) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+/**
+ * Builds a geographic CRS on one of the built-in datums.
+ * @param {string} datumKey - Key of DATUMS.
+ * @returns {object}
+ */
+function createGeographicCrs(datumKey) {
+    const datum = DATUMS[datumKey];
+    const ellipsoid = ELLIPSOIDS[datum.ellipsoid];
+    return {
+        name: datum.name,
+        type: 'geographic',
+        datum: { name: datum.name, a: ellipsoid.a, f: 1 / ellipsoid.rf, toWgs84: [...datum.toWgs84] },
+        primeMeridian: 0,
+        angularUnit: DEGREE,
+        linearUnit: 1,
+        projection: null,
+        epsg: null
+    };
+}
+
+/**
+ * Builds a projected CRS (metres) on one of the built-in datums.
+ * @param {string} name
+ * @param {string} datumKey - Key of DATUMS.
+ * @param {string} method - Key of the projection implementations (see createProjection).
+ * @param {object} parameters - Projection parameters (angles in degrees, false easting/northing in metres).
+ * @param {number} epsg
+ * @returns {object}
+ */
+function createProjectedCrs(name, datumKey, method, parameters, epsg) {
+    return {
+        ...createGeographicCrs(datumKey),
+        name,
+        type: 'projected',
+        projection: { method, parameters: normaliseProjectionParameters(parameters, DEGREE) },
+        epsg
+    };
+}
+
+/**
+ * Fills parameter defaults and converts angles to degrees (WKT1 gives them in the GEOGCS angular unit).
+ * @param {object} parameters
+ * @param {number} angularUnit - Radians per unit of the given angles.
+ * @returns {object}
+ */
+function normaliseProjectionParameters(parameters, angularUnit) {
+    const toDegrees = (value) => value === undefined ? undefined : value * angularUnit / DEGREE;
+    const normalised = {
+        latitudeOfOrigin: toDegrees(parameters.latitudeOfOrigin) ?? 0,
+        centralMeridian: toDegrees(parameters.centralMeridian) ?? 0,
+        scaleFactor: parameters.scaleFactor ?? 1,
+        falseEasting: parameters.falseEasting ?? 0,
+        falseNorthing: parameters.falseNorthing ?? 0
+    };
+    if (parameters.standardParallel1 !== undefined) normalised.standardParallel1 = toDegrees(parameters.standardParallel1);
+    if (parameters.standardParallel2 !== undefined) normalised.standardParallel2 = toDegrees(parameters.standardParallel2);
+    return normalised;
+}
+
+/**
+ * Builds a geographic CRS from a WKT GEOGCS node.
+ * @param {{keyword: string, values: Array, children: Array}} geogcs
+ * @returns {object}
+ */
+function buildGeographicCrs(geogcs) {
+    const datumNode = findChild(geogcs, 'DATUM');
+    const spheroidNode = datumNode && findChild(datumNode, 'SPHEROID');
+    if (!spheroidNode) throw new Error("WKT GEOGCS has no DATUM/SPHEROID.");
+    const a = spheroidNode.values[1];
+    const rf = spheroidNode.values[2];
+    const datumName = datumNode.values[0];
+    const towgs84Node = findChild(datumNode, 'TOWGS84');
+    let toWgs84 = null;
+    if (towgs84Node) {
+        toWgs84 = [0, 0, 0, 0, 0, 0, 0].map((zero, i) => towgs84Node.values[i] ?? zero);
+    } else {
+        const normalisedName = normaliseWKTName(datumName).replace(/^d_/, '');
+        const knownDatum = Object.values(DATUMS).find(datum => datum.aliases.includes(normalisedName));
+        toWgs84 = knownDatum ? [...knownDatum.toWgs84] : null;
+    }
+    const primeMeridianNode = findChild(geogcs, 'PRIMEM');
+    const unitNode = findChild(geogcs, 'UNIT');
+    const angularUnit = unitNode ? unitNode.values[1] : DEGREE;
+    return {
+        name: geogcs.values[0],
+        type: 'geographic',
+        datum: { name: datumName, a, f: rf ? 1 / rf : 0, toWgs84 },
+        primeMeridian: primeMeridianNode ? primeMeridianNode.values[1] * angularUnit / DEGREE : 0,
+        angularUnit,
+        linearUnit: 1,
+        projection: null,
+        epsg: readAuthorityCode(geogcs)
+    };
+}
+
+// --- WKT tokenising ---
+
+/**
+ * Parses WKT text into a tree of {keyword, values, children}: values holds the node's strings and numbers in
+ * order, children its nested nodes. Both [] and () brackets are accepted.
+ * @param {string} wkt
+ * @returns {{keyword: string, values: Array<string|number>, children: Array<object>}}
+ */
+function parseWKTTree(wkt) {
+    let pos = 0;
+    const skipWhitespace = () => { while (pos < wkt.length && /\s/.test(wkt[pos])) pos++; };
+    const fail = (message) => { throw new Error(`Invalid WKT at character ${pos}: ${message}.`); };
+
+    const parseNode = () => {
+        skipWhitespace();
+        const keywordMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(wkt.slice(pos));
+        if (!keywordMatch) fail("expected a keyword");
+        pos += keywordMatch[0].length;
+        skipWhitespace();
+        const node = { keyword: keywordMatch[0].toUpperCase(), values: [], children: [] };
+        if (wkt[pos] !== '[' && wkt[pos] !== '(') return node; // Bare enumeration such as EAST in AXIS["X",EAST]
+        pos++;
+        while (true) {
+            skipWhitespace();
+            const char = wkt[pos];
+            if (char === '"') {
+                let text = '';
+                pos++;
+                while (pos < wkt.length) {
+                    if (wkt[pos] === '"' && wkt[pos + 1] === '"') { text += '"'; pos += 2; continue; }
+                    if (wkt[pos] === '"') break;
+                    text += wkt[pos++];
+                }
+                if (wkt[pos] !== '"') fail("unterminated string");
+                pos++;
+                node.values.push(text);
+            } else if (/[-+.\d]/.test(char ?? '')) {
+                const numberMatch = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(wkt.slice(pos));
+                if (!numberMatch) fail("invalid number");
+                pos += numberMatch[0].length;
+                node.values.push(Number(numberMatch[0]));
+            } else {
+                const child = parseNode();
+                if (child.children.length === 0 && child.values.length === 0) node.values.push(child.keyword);
+                else node.children.push(child);
+            }
+            skipWhitespace();
+            if (wkt[pos] === ',') { pos++; continue; }
+            if (wkt[pos] === ']' || wkt[pos] === ')') { pos++; return node; }
+            fail("expected ',' or a closing bracket");
+        }
+    };
+    return parseNode();
+}
+
+/**
+ * @returns {object|undefined} The first child node with the given keyword.
+ */
+function findChild(node, keyword) {
+    return node.children.find(child => child.keyword === keyword);
+}
+
+/**
+ * @returns {number|null} The EPSG code of a node's AUTHORITY["EPSG", "code"], if any.
+ */
+function readAuthorityCode(node) {
+    const authority = findChild(node, 'AUTHORITY');
+    if (!authority || String(authority.values[0]).toUpperCase() !== 'EPSG') return null;
+    const code = Number(authority.values[1]);
+    return Number.isFinite(code) ? code : null;
+}
+
+/**
+ * Lowercases a WKT name and replaces spaces and punctuation with underscores, so OGC and ESRI spellings match.
+ * @param {string} name
+ * @returns {string}
+ */
+function normaliseWKTName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// --- Projections ---
+
+/**
+ * Creates the conversion between a CRS's coordinates and geodetic longitude/latitude (radians, Greenwich)
+ * on the CRS's own ellipsoid.
+ * @param {object} crs
+ * @returns {{forward: function(number, number): number[], inverse: function(number, number): number[]}}
+ * forward(lon, lat) returns [x, y] in CRS units; inverse(x, y) returns [lon, lat].
+ */
+function createProjection(crs) {
+    const primeMeridian = crs.primeMeridian * DEGREE;
+    if (crs.type === 'geographic') {
+        const unit = crs.angularUnit;
+        return {
+            forward: (lon, lat) => [(lon - primeMeridian) / unit, lat / unit],
+            inverse: (x, y) => [x * unit + primeMeridian, y * unit]
+        };
+    }
+    const { a, f } = crs.datum;
+    const e2 = f * (2 - f);
+    const createMethod = {
+        tmerc: createTransverseMercator,
+        lcc: createLambertConformalConic,
+        aea: createAlbersEqualArea,
+        laea: createLambertAzimuthalEqualArea,
+        merc: createMercator,
+        webmerc: (semiMajorAxis, eccentricitySquared, parameters) => createMercator(semiMajorAxis, 0, parameters),
+        sterea: createObliqueStereographic
+    }[crs.projection.method];
+    if (!createMethod) throw new Error(`Projection method ${crs.projection.method} is not implemented.`);
+    const parameters = crs.projection.parameters;
+    const method = createMethod(a, e2, {
+        ...parameters,
+        latitudeOfOrigin: parameters.latitudeOfOrigin * DEGREE,
+        centralMeridian: parameters.centralMeridian * DEGREE + primeMeridian,
+        standardParallel1: parameters.standardParallel1 === undefined ? undefined : parameters.standardParallel1 * DEGREE,
+        standardParallel2: parameters.standardParallel2 === undefined ? undefined : parameters.standardParallel2 * DEGREE,
+        falseEasting: parameters.falseEasting * crs.linearUnit,
+        falseNorthing: parameters.falseNorthing * crs.linearUnit
+    });
+    const unit = crs.linearUnit;
+    return {
+        forward: (lon, lat) => {
+            const [x, y] = method.forward(lon, lat);
+            return [x / unit, y / unit];
+        },
+        inverse: (x, y) => method.inverse(x * unit, y * unit)
+    };
+}
+
+/**
+ * Transverse Mercator using Krüger's series to sixth order in n (Karney 2011): sub-millimetre within
+ * several thousand kilometres of the central meridian.
+ */
+function createTransverseMercator(a, e2, { latitudeOfOrigin, centralMeridian, scaleFactor, falseEasting, falseNorthing }) {
+    const e = Math.sqrt(e2);
+    const n = e2 / (1 + Math.sqrt(1 - e2)) ** 2; // Third flattening f / (2 - f)
+    const n2 = n * n, n3 = n2 * n, n4 = n3 * n, n5 = n4 * n, n6 = n5 * n;
+    const A = a / (1 + n) * (1 + n2 / 4 + n4 / 64 + n6 / 256);
+    const alpha = [
+        n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180 - 127 * n5 / 288 + 7891 * n6 / 37800,
+        13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440 + 281 * n5 / 630 - 1983433 * n6 / 1935360,
+        61 * n3 / 240 - 103 * n4 / 140 + 15061 * n5 / 26880 + 167603 * n6 / 181440,
+        49561 * n4 / 161280 - 179 * n5 / 168 + 6601661 * n6 / 7257600,
+        34729 * n5 / 80640 - 3418889 * n6 / 1995840,
+        212378941 * n6 / 319334400
+    ];
+    const beta = [
+        n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360 - 81 * n5 / 512 + 96199 * n6 / 604800,
+        n2 / 48 + n3 / 15 - 437 * n4 / 1440 + 46 * n5 / 105 - 1118711 * n6 / 3870720,
+        17 * n3 / 480 - 37 * n4 / 840 - 209 * n5 / 4480 + 5569 * n6 / 90720,
+        4397 * n4 / 161280 - 11 * n5 / 504 - 830251 * n6 / 7257600,
+        4583 * n5 / 161280 - 108847 * n6 / 3991680,
+        20648693 * n6 / 638668800
+    ];
+    const conformalTau = (tau) => {
+        const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+        return tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+    };
+    // Unscaled, un-offset projection relative to the central meridian.
+    const project = (lon, lat) => {
+        const dLon = lon - centralMeridian;
+        const tauPrime = conformalTau(Math.tan(lat));
+        const xiPrime = Math.atan2(tauPrime, Math.cos(dLon));
+        const etaPrime = Math.asinh(Math.sin(dLon) / Math.sqrt(tauPrime * tauPrime + Math.cos(dLon) ** 2));
+        let xi = xiPrime;
+        let eta = etaPrime;
+        for (let j = 1; j <= 6; j++) {
+            xi += alpha[j - 1] * Math.sin(2 * j * xiPrime) * Math.cosh(2 * j * etaPrime);
+            eta += alpha[j - 1] * Math.cos(2 * j * xiPrime) * Math.sinh(2 * j * etaPrime);
+        }
+        return [scaleFactor * A * eta, scaleFactor * A * xi];
+    };
+    const originNorthing = project(centralMeridian, latitudeOfOrigin)[1];
+
+    return {
+        forward: (lon, lat) => {
+            const [x, y] = project(lon, lat);
+            return [x + falseEasting, y - originNorthing + falseNorthing];
+        },
+        inverse: (x, y) => {
+            const eta = (x - falseEasting) / (scaleFactor * A);
+            const xi = (y - falseNorthing + originNorthing) / (scaleFactor * A);
+            let xiPrime = xi;
+            let etaPrime = eta;
+            for (let j = 1; j <= 6; j++) {
+                xiPrime -= beta[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+                etaPrime -= beta[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+            }
+            const sinhEtaPrime = Math.sinh(etaPrime);
+            const tauPrime = Math.sin(xiPrime) / Math.sqrt(sinhEtaPrime * sinhEtaPrime + Math.cos(xiPrime) ** 2);
+            let tau = tauPrime;
+            for (let i = 0; i < 10; i++) {
+                const tauIPrime = conformalTau(tau);
+                const delta = (tauPrime - tauIPrime) / Math.sqrt(1 + tauIPrime * tauIPrime)
+                    * (1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau));
+                tau += delta;
+                if (Math.abs(delta) < 1e-12) break;
+            }
+            return [centralMeridian + Math.atan2(sinhEtaPrime, Math.cos(xiPrime)), Math.atan(tau)];
+        }
+    };
+}
+
+/**
+ * Lambert Conformal Conic, one or two standard parallels (EPSG methods 9801/9802). With a single standard
+ * parallel (or none, in which case the latitude of origin is used) the scale factor applies on it.
+ */
+function createLambertConformalConic(a, e2, { latitudeOfOrigin, centralMeridian, scaleFactor, falseEasting, falseNorthing, standardParallel1, standardParallel2 }) {
+    const e = Math.sqrt(e2);
+    const parallel1 = standardParallel1 ?? latitudeOfOrigin;
+    const parallel2 = standardParallel2 ?? parallel1;
+    const m = (lat) => Math.cos(lat) / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+    const t = (lat) => Math.tan(Math.PI / 4 - lat / 2) / ((1 - e * Math.sin(lat)) / (1 + e * Math.sin(lat))) ** (e / 2);
+    const n = Math.abs(parallel1 - parallel2) < 1e-10
+        ? Math.sin(parallel1)
+        : (Math.log(m(parallel1)) - Math.log(m(parallel2))) / (Math.log(t(parallel1)) - Math.log(t(parallel2)));
+    const F = m(parallel1) / (n * t(parallel1) ** n);
+    const k0 = standardParallel2 === undefined ? scaleFactor : 1;
+    const rho = (lat) => a * F * k0 * t(lat) ** n;
+    const rhoOrigin = rho(latitudeOfOrigin);
+
+    return {
+        forward: (lon, lat) => {
+            const r = rho(lat);
+            const theta = n * (lon - centralMeridian);
+            return [falseEasting + r * Math.sin(theta), falseNorthing + rhoOrigin - r * Math.cos(theta)];
+        },
+        inverse: (x, y) => {
+            const dx = x - falseEasting;
+            const dy = rhoOrigin - (y - falseNorthing);
+            const r = Math.sign(n) * Math.hypot(dx, dy);
+            const theta = n > 0 ? Math.atan2(dx, dy) : Math.atan2(-dx, -dy);
+            const tPrime = (r / (a * F * k0)) ** (1 / n);
+            let lat = Math.PI / 2 - 2 * Math.atan(tPrime);
+            for (let i = 0; i < 15; i++) {
+                const next = Math.PI / 2 - 2 * Math.atan(tPrime * ((1 - e * Math.sin(lat)) / (1 + e * Math.sin(lat))) ** (e / 2));
+                if (Math.abs(next - lat) < 1e-12) { lat = next; break; }
+                lat = next;
+            }
+            return [theta / n + centralMeridian, lat];
+        }
+    };
+}
+
+/**
+ * Authalic latitude helper q(φ) shared by the equal-area projections (Snyder eq. 3-12).
+ */
+function authalicQ(lat, e, e2) {
+    const sinLat = Math.sin(lat);
+    if (e < 1e-12) return 2 * sinLat;
+    return (1 - e2) * (sinLat / (1 - e2 * sinLat * sinLat) - Math.log((1 - e * sinLat) / (1 + e * sinLat)) / (2 * e));
+}
+
+/**
+ * Albers Equal Area Conic (EPSG method 9822).
+ */
+function createAlbersEqualArea(a, e2, { latitudeOfOrigin, centralMeridian, falseEasting, falseNorthing, standardParallel1, standardParallel2 }) {
+    const e = Math.sqrt(e2);
+    const parallel1 = standardParallel1 ?? latitudeOfOrigin;
+    const parallel2 = standardParallel2 ?? parallel1;
+    const m = (lat) => Math.cos(lat) / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+    const q = (lat) => authalicQ(lat, e, e2);
+    const n = Math.abs(parallel1 - parallel2) < 1e-10
+        ? Math.sin(parallel1)
+        : (m(parallel1) ** 2 - m(parallel2) ** 2) / (q(parallel2) - q(parallel1));
+    const C = m(parallel1) ** 2 + n * q(parallel1);
+    const rho = (lat) => a * Math.sqrt(C - n * q(lat)) / n;
+    const rhoOrigin = rho(latitudeOfOrigin);
+
+    return {
+        forward: (lon, lat) => {
+            const r = rho(lat);
+            const theta = n * (lon - centralMeridian);
+            return [falseEasting + r * Math.sin(theta), falseNorthing + rhoOrigin - r * Math.cos(theta)];
+        },
+        inverse: (x, y) => {
+            const dx = x - falseEasting;
+            const dy = rhoOrigin - (y - falseNorthing);
+            const r = Math.hypot(dx, dy);
+            const theta = n > 0 ? Math.atan2(dx, dy) : Math.atan2(-dx, -dy);
+            const qPrime = (C - (r * n / a) ** 2) / n;
+            // Snyder eq. 3-16, iterated from the sphere's solution.
+            let lat = Math.asin(Math.max(-1, Math.min(1, qPrime / 2)));
+            for (let i = 0; i < 15; i++) {
+                const sinLat = Math.sin(lat);
+                const oneMinus = 1 - e2 * sinLat * sinLat;
+                const delta = oneMinus * oneMinus / (2 * Math.cos(lat))
+                    * (qPrime / (1 - e2) - sinLat / oneMinus + (e > 1e-12 ? Math.log((1 - e * sinLat) / (1 + e * sinLat)) / (2 * e) : -sinLat));
+                lat += delta;
+                if (Math.abs(delta) < 1e-12) break;
+            }
+            return [theta / n + centralMeridian, lat];
+        }
+    };
+}
+
+/**
+ * Lambert Azimuthal Equal Area, oblique and equatorial aspects (EPSG method 9820).
+ */
+function createLambertAzimuthalEqualArea(a, e2, { latitudeOfOrigin, centralMeridian, falseEasting, falseNorthing }) {
+    if (Math.abs(Math.abs(latitudeOfOrigin) - Math.PI / 2) < 1e-10) {
+        throw new Error("Polar Lambert Azimuthal Equal Area is not supported.");
+    }
+    const e = Math.sqrt(e2);
+    const qPole = authalicQ(Math.PI / 2, e, e2);
+    const Rq = a * Math.sqrt(qPole / 2);
+    const authalicLatitude = (lat) => Math.asin(Math.max(-1, Math.min(1, authalicQ(lat, e, e2) / qPole)));
+    const betaOrigin = authalicLatitude(latitudeOfOrigin);
+    const D = a * (Math.cos(latitudeOfOrigin) / Math.sqrt(1 - e2 * Math.sin(latitudeOfOrigin) ** 2)) / (Rq * Math.cos(betaOrigin));
+    const e4 = e2 * e2, e6 = e4 * e2;
+
+    return {
+        forward: (lon, lat) => {
+            const beta = authalicLatitude(lat);
+            const dLon = lon - centralMeridian;
+            const B = Rq * Math.sqrt(2 / (1 + Math.sin(betaOrigin) * Math.sin(beta) + Math.cos(betaOrigin) * Math.cos(beta) * Math.cos(dLon)));
+            return [
+                falseEasting + B * D * Math.cos(beta) * Math.sin(dLon),
+                falseNorthing + (B / D) * (Math.cos(betaOrigin) * Math.sin(beta) - Math.sin(betaOrigin) * Math.cos(beta) * Math.cos(dLon))
+            ];
+        },
+        inverse: (x, y) => {
+            const dx = x - falseEasting;
+            const dy = y - falseNorthing;
+            const rho = Math.hypot(dx / D, D * dy);
+            if (rho < 1e-12) return [centralMeridian, latitudeOfOrigin];
+            const C = 2 * Math.asin(Math.min(1, rho / (2 * Rq)));
+            const betaPrime = Math.asin(Math.cos(C) * Math.sin(betaOrigin) + D * dy * Math.sin(C) * Math.cos(betaOrigin) / rho);
+            const lon = centralMeridian + Math.atan2(dx * Math.sin(C),
+                D * rho * Math.cos(betaOrigin) * Math.cos(C) - D * D * dy * Math.sin(betaOrigin) * Math.sin(C));
+            const lat = betaPrime
+                + (e2 / 3 + 31 * e4 / 180 + 517 * e6 / 5040) * Math.sin(2 * betaPrime)
+                + (23 * e4 / 360 + 251 * e6 / 3780) * Math.sin(4 * betaPrime)
+                + (761 * e6 / 45360) * Math.sin(6 * betaPrime);
+            return [lon, lat];
+        }
+    };
+}
+
+/**
+ * Mercator (EPSG methods 9804/9805). A first standard parallel, if given, sets the scale factor (2SP variant).
+ * With e2 = 0 this is the spherical Web Mercator (EPSG:3857) on the datum's semi-major axis.
+ */
+function createMercator(a, e2, { centralMeridian, scaleFactor, falseEasting, falseNorthing, standardParallel1 }) {
+    const e = Math.sqrt(e2);
+    const k0 = standardParallel1 !== undefined
+        ? Math.cos(standardParallel1) / Math.sqrt(1 - e2 * Math.sin(standardParallel1) ** 2)
+        : scaleFactor;
+    return {
+        forward: (lon, lat) => {
+            if (Math.abs(lat) >= Math.PI / 2) return [NaN, NaN];
+            const sinLat = Math.sin(lat);
+            return [
+                falseEasting + a * k0 * (lon - centralMeridian),
+                falseNorthing + a * k0 * Math.log(Math.tan(Math.PI / 4 + lat / 2) * ((1 - e * sinLat) / (1 + e * sinLat)) ** (e / 2))
+            ];
+        },
+        inverse: (x, y) => {
+            const t = Math.exp((falseNorthing - y) / (a * k0));
+            let lat = Math.PI / 2 - 2 * Math.atan(t);
+            for (let i = 0; i < 15 && e > 0; i++) {
+                const next = Math.PI / 2 - 2 * Math.atan(t * ((1 - e * Math.sin(lat)) / (1 + e * Math.sin(lat))) ** (e / 2));
+                if (Math.abs(next - lat) < 1e-12) { lat = next; break; }
+                lat = next;
+            }
+            return [(x - falseEasting) / (a * k0) + centralMeridian, lat];
+        }
+    };
+}
+
+/**
+ * Oblique Stereographic on the conformal sphere (EPSG method 9809, e.g. RD New).
+ */
+function createObliqueStereographic(a, e2, { latitudeOfOrigin, centralMeridian, scaleFactor, falseEasting, falseNorthing }) {
+    const e = Math.sqrt(e2);
+    const sinOrigin = Math.sin(latitudeOfOrigin);
+    const rhoOrigin = a * (1 - e2) / (1 - e2 * sinOrigin * sinOrigin) ** 1.5;
+    const nuOrigin = a / Math.sqrt(1 - e2 * sinOrigin * sinOrigin);
+    const R = Math.sqrt(rhoOrigin * nuOrigin);
+    const n = Math.sqrt(1 + e2 * Math.cos(latitudeOfOrigin) ** 4 / (1 - e2));
+    const S1 = (1 + sinOrigin) / (1 - sinOrigin);
+    const S2 = (1 - e * sinOrigin) / (1 + e * sinOrigin);
+    const w1 = (S1 * S2 ** e) ** n;
+    const sinChi00 = (w1 - 1) / (w1 + 1);
+    const c = (n + sinOrigin) * (1 - sinChi00) / ((n - sinOrigin) * (1 + sinChi00));
+    const w2 = c * w1;
+    const chiOrigin = Math.asin((w2 - 1) / (w2 + 1));
+    const twoRk0 = 2 * R * scaleFactor;
+    const g = twoRk0 * Math.tan(Math.PI / 4 - chiOrigin / 2);
+    const h = 2 * twoRk0 * Math.tan(chiOrigin) + g;
+
+    return {
+        forward: (lon, lat) => {
+            const sinLat = Math.sin(lat);
+            const dLambda = n * (lon - centralMeridian);
+            const w = c * (((1 + sinLat) / (1 - sinLat)) * ((1 - e * sinLat) / (1 + e * sinLat)) ** e) ** n;
+            const chi = Math.asin((w - 1) / (w + 1));
+            const B = 1 + Math.sin(chi) * Math.sin(chiOrigin) + Math.cos(chi) * Math.cos(chiOrigin) * Math.cos(dLambda);
+            return [
+                falseEasting + twoRk0 * Math.cos(chi) * Math.sin(dLambda) / B,
+                falseNorthing + twoRk0 * (Math.sin(chi) * Math.cos(chiOrigin) - Math.cos(chi) * Math.sin(chiOrigin) * Math.cos(dLambda)) / B
+            ];
+        },
+        inverse: (x, y) => {
+            const dx = x - falseEasting;
+            const dy = y - falseNorthing;
+            const i = Math.atan(dx / (h + dy));
+            const j = Math.atan(dx / (g - dy)) - i;
+            const chi = chiOrigin + 2 * Math.atan((dy - dx * Math.tan(j / 2)) / twoRk0);
+            const lon = (j + 2 * i) / n + centralMeridian;
+            const psi = 0.5 * Math.log((1 + Math.sin(chi)) / (c * (1 - Math.sin(chi)))) / n;
+            let lat = 2 * Math.atan(Math.exp(psi)) - Math.PI / 2;
+            for (let iteration = 0; iteration < 15; iteration++) {
+                const sinLat = Math.sin(lat);
+                const psiI = Math.log(Math.tan(lat / 2 + Math.PI / 4) * ((1 - e * sinLat) / (1 + e * sinLat)) ** (e / 2));
+                const delta = (psiI - psi) * Math.cos(lat) * (1 - e2 * sinLat * sinLat) / (1 - e2);
+                lat -= delta;
+                if (Math.abs(delta) < 1e-12) break;
+            }
+            return [lon, lat];
+        }
+    };
+}
+
+// --- Datum shifts ---
+
+/**
+ * Creates a geodetic datum shift through WGS84 geocentric coordinates (Helmert, position vector convention).
+ * The reverse direction uses the negated parameters, which is exact to well under a millimetre for the small
+ * rotations involved. Heights are taken as 0 on the source ellipsoid (only the horizontal position is kept).
+ * @param {{a: number, f: number, toWgs84: number[]|null}} sourceDatum
+ * @param {{a: number, f: number, toWgs84: number[]|null}} targetDatum
+ * @returns {function(number, number): number[]} Maps [lon, lat] (radians) on the source datum to the target datum.
+ */
+function createDatumShift(sourceDatum, targetDatum) {
+    const toWgs84 = createHelmert(sourceDatum.toWgs84 ?? [0, 0, 0, 0, 0, 0, 0], 1);
+    const fromWgs84 = createHelmert(targetDatum.toWgs84 ?? [0, 0, 0, 0, 0, 0, 0], -1);
+    return (lon, lat) => {
+        const source = geodeticToGeocentric(lon, lat, sourceDatum.a, sourceDatum.f);
+        const target = fromWgs84(toWgs84(source));
+        return geocentricToGeodetic(target, targetDatum.a, targetDatum.f);
+    };
+}
+
+/**
+ * @param {number[]} parameters - [tx, ty, tz (m), rx, ry, rz (arc-seconds), scale (ppm)].
+ * @param {number} direction - 1 to apply the parameters, -1 to apply their inverse.
+ * @returns {function(number[]): number[]} Maps geocentric [X, Y, Z].
+ */
+function createHelmert(parameters, direction) {
+    const [tx, ty, tz] = parameters.slice(0, 3).map(value => value * direction);
+    const [rx, ry, rz] = parameters.slice(3, 6).map(value => value * ARC_SECOND * direction);
+    const scale = 1 + parameters[6] * 1e-6 * direction;
+    return ([X, Y, Z]) => [
+        tx + scale * (X - rz * Y + ry * Z),
+        ty + scale * (rz * X + Y - rx * Z),
+        tz + scale * (-ry * X + rx * Y + Z)
+    ];
+}
+
+function geodeticToGeocentric(lon, lat, a, f) {
+    const e2 = f * (2 - f);
+    const sinLat = Math.sin(lat);
+    const nu = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+    return [nu * Math.cos(lat) * Math.cos(lon), nu * Math.cos(lat) * Math.sin(lon), nu * (1 - e2) * sinLat];
+}
+
+function geocentricToGeodetic([X, Y, Z], a, f) {
+    const e2 = f * (2 - f);
+    const p = Math.hypot(X, Y);
+    let lat = Math.atan2(Z, p * (1 - e2));
+    for (let i = 0; i < 10; i++) {
+        const sinLat = Math.sin(lat);
+        const nu = a / Math.sqrt(1 - e2 * sinLat * sinLat);
+        const next = Math.atan2(Z + e2 * nu * sinLat, p);
+        if (Math.abs(next - lat) < 1e-14) { lat = next; break; }
+        lat = next;
+    }
+    return [Math.atan2(Y, X), lat];
+}
@@ -0,0 +1,154 @@
+// js/demLoadManager.js
+
+/**
+ * @file Runs DEM loading in a module Web Worker (demLoadWorker.js) so large files do not freeze the UI.
+ * One worker handles the jobs of a selection one after another; cancelling terminates it and the next
+ * load starts a fresh one. Operations that derive a new DEM from loaded ones (e.g. merging) run as jobs too.
+ */
+
+let worker = null;
+let nextJobId = 1;
+// The job currently running in the worker: {jobId, resolve, reject, callbacks, result}.
+let activeJob = null;
+
+/**
+ * Loads one DEM file in the worker: read (streamed), parse, reproject into the scene CRS, chunk and build mesh buffers.
+ * Resolves with `chunks` set to null when the file cannot be parsed; the reason is in `diagnostics`.
+ * Rejects with an AbortError if cancelDemLoading() is called while the job runs.
+ * @param {{file: File, format: string, headerFile?: File, sidecarFiles: Array<File>}} job - A load job from collectDemLoadJobs.
+ * @param {{gridding: object, las: object, mesh: {lodMethod: string, nodataAsHoles: boolean}}} options - Point cloud gridding
+ * and LAS import options, and terrain mesh options (see getTerrainMeshOptions in uiManager.js).
+ * @param {object} callbacks
+ * @param {function(string, number|null): void} callbacks.onProgress - Called with (phase, fraction); fraction is null when unknown.
+ * @param {function(object, object|null): {sceneScale: {x: number, y: number}, sceneCrs: object|null}} callbacks.onParsed -
+ * Called with the full DEM header and its CRS (null if unknown) once parsed; must establish the scene origin and
+ * return the scene scale used for the mesh buffers and the scene CRS the DEM is reprojected into.
+ * @returns {Promise<{diagnostics: Array<object>, crs: object|null, chunks: Array<{name: string, parsedData: object, geometryBuffers: object, lodLevels: Array<{factor: number, geometryBuffers: object}>}>|null}>}
+ * `crs` is the CRS of the returned chunks (the scene CRS when the DEM was reprojected).
+ */
+export function loadDemInWorker(job, options, callbacks) {
+    return startWorkerJob(callbacks, (jobId) => ({ type: 'load', jobId, job, options }));
+}
+
+/**
+ * Runs a DEM operation (see DEM_OPERATIONS in demLoadWorker.js) on loaded DEMs in the worker and returns the
+ * resulting DEM chunked and meshed, like loadDemInWorker. The sources' elevation buffers are copied to the worker.
+ * Only one job (load or operation) runs at a time; cancelDemLoading() cancels either.
+ * @param {string} operation - The operation's name, e.g. 'mosaic'.
+ * @param {Array<{name: string, header: object, grid: object}>} sources - The input DEMs (entries' names and demData).
+ * @param {object} options - Operation-specific options, e.g. {overlapPolicy} for 'mosaic'.
+ * @param {object} target
+ * @param {string} target.name - Name of the resulting DEM.
+ * @param {{x: number, y: number}} target.sceneScale - Absolute-to-scene unit factors for the mesh buffers.
+ * @param {object|null} target.crs - CRS of the sources, passed on to the result.
+ * @param {{lodMethod: string, nodataAsHoles: boolean}} target.mesh - Terrain mesh options for the result.
+ * @param {function(string, number|null): void} onProgress - Called with (phase, fraction); fraction is null when unknown.
+ * @returns {Promise<{diagnostics: Array<object>, crs: object|null, chunks: Array<object>|null}>} Like loadDemInWorker.
+ */
+export function runDemOperationInWorker(operation, sources, options, { name, sceneScale, crs, mesh }, onProgress) {
+    return startWorkerJob({ onProgress }, (jobId) => ({ type: 'process', jobId, operation, sources, options, name, sceneScale, crs, mesh }));
+}
+
+/**
+ * Starts a job in the worker (creating the worker if needed) and returns the promise settled by its messages.
+ * @param {object} callbacks - The job's callbacks (onProgress, and onParsed for loads).
+ * @param {function(number): object} createMessage - Builds the message that starts the job from its id.
+ * @returns {Promise<object>}
+ */
+function startWorkerJob(callbacks, createMessage) {
+    if (activeJob) {
+        return Promise.reject(new Error("A DEM is already being loaded."));
+    }
+    if (!worker) {
+        worker = new Worker(new URL('./demLoadWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = handleWorkerMessage;
+        worker.onerror = (event) => {
+            console.error("[DemLoadManager] Worker error:", event.message);
+            finishActiveJob(null, new Error(event.message || "DEM load worker failed."));
+        };
+    }
+    const jobId = nextJobId++;
+    return new Promise((resolve, reject) => {
+        activeJob = { jobId, resolve, reject, callbacks, result: { diagnostics: [], crs: null, chunks: [] } };
+        worker.postMessage(createMessage(jobId));
+    });
+}
+
+/**
+ * Cancels the running load or operation, if any, by terminating the worker. The pending promise rejects
+ * with an AbortError.
+ * @returns {boolean} True if a load was cancelled.
+ */
+export function cancelDemLoading() {
+    if (!activeJob) return false;
+    console.log(`[DemLoadManager] Cancelling job ${activeJob.jobId}.`);
+    worker.terminate();
+    worker = null;
+    finishActiveJob(null, new DOMException("DEM loading was cancelled.", 'AbortError'));
+    return true;
+}
+
+/**
+ * Dispatches a message from the worker to the active job.
+ * @param {MessageEvent} event
+ */
+function handleWorkerMessage(event) {
+    const message = event.data;
+    if (!activeJob || message.jobId !== activeJob.jobId) return; // Late message from a cancelled job
+    const { callbacks, result } = activeJob;
+    switch (message.type) {
+        case 'progress':
+            callbacks.onProgress(message.phase, message.fraction);
+            break;
+        case 'parsed': {
+            let scene;
+            try {
+                scene = callbacks.onParsed(message.header, message.crs);
+            } catch (error) {
+                worker.terminate();
+                worker = null;
+                finishActiveJob(null, error);
+                return;
+            }
+            worker.postMessage({ type: 'mesh', jobId: message.jobId, sceneScale: scene.sceneScale, sceneCrs: scene.sceneCrs });
+            break;
+        }
+        case 'chunk':
+            result.chunks.push({
+                name: message.name,
+                parsedData: {
+                    header: message.header,
+                    grid: { ...message.gridLayout, values: null }, // The shared buffer arrives with 'done'
+                    minElev: message.minElev,
+                    maxElev: message.maxElev
+                },
+                geometryBuffers: message.geometryBuffers,
+                lodLevels: message.lodLevels
+            });
+            break;
+        case 'done':
+            for (const chunk of result.chunks) chunk.parsedData.grid.values = message.values;
+            result.diagnostics = message.diagnostics;
+            result.crs = message.crs;
+            finishActiveJob(result);
+            break;
+        case 'failed':
+            result.diagnostics = message.diagnostics;
+            result.chunks = null;
+            finishActiveJob(result);
+            break;
+    }
+}
+
+/**
+ * Settles the active job's promise and clears it.
+ * @param {object|null} result - The value to resolve with (ignored when `error` is given).
+ * @param {Error} [error] - If given, the promise is rejected with it.
+ */
+function finishActiveJob(result, error) {
+    if (!activeJob) return;
+    const { resolve, reject } = activeJob;
+    activeJob = null;
+    if (error) reject(error);
+    else resolve(result);
+}
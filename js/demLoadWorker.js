@@ -0,0 +1,405 @@
+// js/demLoadWorker.js
+import { createASCIIGridLineParser, parseGeoTIFF, parseESRIBinaryGrid, parseSRTMHgt, buildParsedDem } from './demParser.js';
+import { parseXYZPoints, parseLASPoints } from './pointCloudParser.js';
+import { gridPointsToDEM, binPointsToDEM } from './pointGridder.js';
+import { processAndChunkDEM, buildTerrainGeometryBuffers, buildTerrainLodBuffers, reprojectDEM, mosaicDEMs, getCommonGridHeader, clipDEMToPolygon, differenceDEMs } from './demProcessor.js';
+import { fillDemVoids } from './demVoidFiller.js';
+import { computeVolumes, formatVolumes } from './demVolumes.js';
+import { parseRasterExpression, calculateRaster } from './rasterCalculator.js';
+import { computeElevationRange } from './elevationGrid.js';
+import { createParseDiagnostics } from './parseDiagnostics.js';
+import { parseWKT, parseAuxXmlCrs, getCrsForEpsg, isSameCrs } from './coordinateSystems.js';
+import { isGeographicHeader } from './utils.js';
+
+/**
+ * @file Module Web Worker that reads, parses, chunks and meshes DEM files off the main thread
+ * (started and driven by demLoadManager.js). It also runs operations that derive a new DEM from loaded ones
+ * ('process' messages, e.g. merging), which are answered like a load. ASCII grids are streamed line by line from File.stream().
+ * Vertex buffers are transferred per chunk; the elevation buffer, which all chunks of a file share,
+ * is transferred once with the final 'done' message.
+ *
+ * Messages in:  {type: 'load', jobId, job: {file, format, headerFile?, sidecarFiles}, options: {gridding, las, mesh: {lodMethod, nodataAsHoles}}}
+ *               {type: 'mesh', jobId, sceneScale, sceneCrs}
+ *               {type: 'process', jobId, operation, sources: [{name, header, grid}], options, name, sceneScale, crs, mesh}
+ * Messages out: {type: 'progress', jobId, phase, fraction}  (fraction is null when unknown)
+ *               {type: 'parsed', jobId, header, crs, minElev, maxElev}
+ *               {type: 'chunk', jobId, name, header, minElev, maxElev, gridLayout: {ncols, nrows, stride, offset}, geometryBuffers,
+ *                lodLevels: [{factor, geometryBuffers}]}
+ *               {type: 'done', jobId, values, crs, diagnostics} | {type: 'failed', jobId, diagnostics}
+ */
+
+// Parsed jobs ({fileName, parsedDem, crs, diagnostics, meshOptions}) waiting for their 'mesh' message, which carries the
+// scene scale and CRS once the main thread knows them.
+const pendingJobsById = new Map();
+
+// Progress messages are only sent when the fraction moved by at least this much.
+const PROGRESS_STEP = 0.01;
+
+// Operations run by 'process' messages, by name: (sources, options, name, diagnostics, reportProgress) => parsed DEM.
+// The sources are DEM entries' {name, header, grid}, all in the scene CRS.
+const DEM_OPERATIONS = {
+    mosaic: (sources, options, name, diagnostics, reportProgress) => {
+        const merged = mosaicDEMs(sources, { overlapPolicy: options.overlapPolicy }, name, (fraction) => reportProgress('merging', fraction));
+        const { ncols, nrows } = merged.header;
+        diagnostics.info('MERGED', `Merged ${sources.length} DEM(s) onto a ${ncols}x${nrows} grid; overlapping cells use '${options.overlapPolicy}'. Sources: ${sources.map(source => source.name).join(', ')}.`);
+        const { validCount } = computeElevationRange(merged.grid);
+        if (validCount < ncols * nrows) {
+            diagnostics.info('MOSAIC_GAPS', `${(100 * (1 - validCount / (ncols * nrows))).toFixed(1)}% of the merged grid is covered by no DEM and is NODATA.`);
+        }
+        return merged;
+    },
+    // The sources are the chunks of one DEM; they are cut to the polygon's bounding box and masked by the polygon.
+    clip: (sources, options, name, diagnostics, reportProgress) => {
+        const { polygon } = options;
+        const bounds = {
+            minX: Math.min(...polygon.map(point => point.x)),
+            minY: Math.min(...polygon.map(point => point.y)),
+            maxX: Math.max(...polygon.map(point => point.x)),
+            maxY: Math.max(...polygon.map(point => point.y))
+        };
+        const cropped = mosaicDEMs(sources, { overlapPolicy: 'first', bounds }, name, (fraction) => reportProgress('cropping', fraction));
+        reportProgress('clipping', null);
+        const clipped = clipDEMToPolygon(cropped, polygon, name);
+        const { ncols, nrows } = clipped.header;
+        const { validCount } = computeElevationRange(clipped.grid);
+        diagnostics.info('CLIPPED', `Clipped ${sources[0].name.replace(/_part\d+_\d+$/, '')} to a ${polygon.length}-vertex outline: ${ncols}x${nrows} grid with ${validCount} cell(s) inside.`);
+        if (validCount === 0) {
+            diagnostics.warning('CLIP_EMPTY', "No cell centre with data lies inside the outline; the result is all NODATA.");
+        }
+        return clipped;
+    },
+    // The sources are the chunks of one DEM, reassembled before filling.
+    fillVoids: (sources, options, name, diagnostics, reportProgress) => {
+        const assembled = mosaicDEMs(sources, { overlapPolicy: 'first' }, name, (fraction) => reportProgress('assembling', fraction));
+        const { filledVoids, filledCells, largeVoids, openVoids } = fillDemVoids(assembled, options, (fraction) => reportProgress('filling voids', fraction));
+        const sourceName = sources[0].name.replace(/_part\d+_\d+$/, '');
+        diagnostics.info('VOIDS_FILLED', `Filled ${filledVoids} void(s) (${filledCells} cell(s)) of ${sourceName} by '${options.method}' interpolation.`);
+        if (largeVoids > 0) {
+            diagnostics.warning('VOIDS_TOO_LARGE', `${largeVoids} void(s) larger than ${options.maxVoidCells} cells were left unfilled.`);
+        }
+        if (openVoids > 0) {
+            diagnostics.info('VOIDS_OPEN', `${openVoids} NODATA region(s) touching the grid's edge were left unfilled (outside the surveyed area).`);
+        }
+        return buildParsedDem(assembled.header, assembled.grid, name);
+    },
+    // The sources are the chunks of the later DEM (the first `laterSourceCount`), then those of the earlier one;
+    // each is reassembled, then the earlier surface is subtracted from the later one.
+    difference: (sources, options, name, diagnostics, reportProgress) => {
+        const { laterSourceCount, threshold } = options;
+        const laterSources = sources.slice(0, laterSourceCount);
+        const earlierSources = sources.slice(laterSourceCount);
+        const later = mosaicDEMs(laterSources, { overlapPolicy: 'first' }, name, (fraction) => reportProgress('assembling', fraction / 2));
+        const earlier = mosaicDEMs(earlierSources, { overlapPolicy: 'first' }, name, (fraction) => reportProgress('assembling', 0.5 + fraction / 2));
+        const difference = differenceDEMs(later, earlier, name, (fraction) => reportProgress('differencing', fraction));
+        const { ncols, nrows } = difference.header;
+        const laterName = laterSources[0].name.replace(/_part\d+_\d+$/, '');
+        const earlierName = earlierSources[0].name.replace(/_part\d+_\d+$/, '');
+        diagnostics.info('DIFFERENCED', `${laterName} minus ${earlierName} on a ${ncols}x${nrows} grid covering their overlap.`);
+        const volumes = computeVolumes(difference.grid, difference.header, { threshold });
+        diagnostics.info('CUT_FILL', `${formatVolumes(volumes)}${threshold > 0 ? `, ignoring changes under ${threshold}` : ''}.`);
+        if (volumes.measuredArea === 0) {
+            diagnostics.warning('DIFFERENCE_EMPTY', "The DEMs have no data in common; the difference is all NODATA.");
+        }
+        return difference;
+    },
+    // The sources are the chunks of each DEM the expression uses, DEM after DEM as listed in `variables`
+    // ({name, fileName, sourceCount}); every DEM is resampled onto the grid covering them all.
+    calculate: (sources, options, name, diagnostics, reportProgress) => {
+        const { expression, variables } = options;
+        const tree = parseRasterExpression(expression);
+        const header = getCommonGridHeader(sources);
+        let firstSource = 0;
+        const variableGrids = variables.map((variable, i) => {
+            const variableSources = sources.slice(firstSource, firstSource + variable.sourceCount);
+            firstSource += variable.sourceCount;
+            const { grid } = mosaicDEMs(variableSources, { overlapPolicy: 'first', targetHeader: header }, name,
+                (fraction) => reportProgress('resampling', (i + fraction) / variables.length));
+            return { name: variable.name, grid };
+        });
+        const { grid, invalidCells } = calculateRaster(tree, variableGrids, (fraction) => reportProgress('calculating', fraction));
+        const variableList = variables.map(variable => variable.name === variable.fileName ? `[${variable.name}]` : `${variable.name} = ${variable.fileName}`);
+        diagnostics.info('CALCULATED', `Calculated ${expression} (${variableList.join(', ')}) on a ${header.ncols}x${header.nrows} grid.`);
+        if (invalidCells > 0) {
+            diagnostics.warning('CALC_NOT_FINITE', `${invalidCells} cell(s) gave no finite result (e.g. division by zero) and were set to NODATA.`);
+        }
+        if (computeElevationRange(grid).validCount === 0) {
+            diagnostics.warning('CALC_EMPTY', "The expression gave NODATA everywhere.");
+        }
+        return buildParsedDem(header, grid, name);
+    }
+};
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    try {
+        if (message.type === 'load') {
+            await handleLoad(message);
+        } else if (message.type === 'mesh') {
+            handleMesh(message);
+        } else if (message.type === 'process') {
+            handleProcess(message);
+        }
+    } catch (error) {
+        console.error(`[DemLoadWorker] Job ${message.jobId} failed:`, error);
+        pendingJobsById.delete(message.jobId);
+        self.postMessage({
+            type: 'failed',
+            jobId: message.jobId,
+            diagnostics: [{ severity: 'error', line: null, code: 'PROCESSING_FAILED', message: error.message }]
+        });
+    }
+};
+
+/**
+ * Parses one file and determines its CRS, then reports its full header so the main thread can set the scene origin.
+ * @param {{jobId: number, job: {file: File, format: string, headerFile?: File, sidecarFiles?: Array<File>}, options: object}} message
+ */
+async function handleLoad({ jobId, job, options }) {
+    const { file } = job;
+    const diagnostics = createParseDiagnostics(file.name);
+    const reportProgress = createProgressReporter(jobId);
+    const parsedDem = await parseDemFile(job, options, diagnostics, reportProgress);
+    if (!parsedDem) {
+        if (!diagnostics.entries.some(d => d.severity === 'error')) {
+            diagnostics.error('PARSE_FAILED', "The file could not be parsed. Check console for details.");
+        }
+        self.postMessage({ type: 'failed', jobId, diagnostics: diagnostics.entries });
+        return;
+    }
+
+    const crs = await resolveDemCrs(job, parsedDem.header, diagnostics);
+    if (crs?.type === 'geographic') parsedDem.header.cellsizeUnits = 'degrees';
+    pendingJobsById.set(jobId, { fileName: file.name, parsedDem, crs, diagnostics, meshOptions: options.mesh });
+    self.postMessage({ type: 'parsed', jobId, header: parsedDem.header, crs, minElev: parsedDem.minElev, maxElev: parsedDem.maxElev });
+}
+
+/**
+ * Reprojects a parsed job into the scene CRS if needed, chunks it, builds the mesh buffers of every chunk and
+ * sends each chunk back with its grid layout.
+ * @param {{jobId: number, sceneScale: {x: number, y: number}, sceneCrs: object|null}} message
+ */
+function handleMesh({ jobId, sceneScale, sceneCrs }) {
+    const pendingJob = pendingJobsById.get(jobId);
+    if (!pendingJob) return;
+    pendingJobsById.delete(jobId);
+    const { fileName, diagnostics, meshOptions } = pendingJob;
+    let { parsedDem, crs } = pendingJob;
+    const reportProgress = createProgressReporter(jobId);
+
+    if (crs && sceneCrs && !isSameCrs(crs, sceneCrs)) {
+        parsedDem = reprojectDEM(parsedDem, crs, sceneCrs, fileName, (fraction) => reportProgress('reprojecting', fraction));
+        diagnostics.info('REPROJECTED', `Reprojected from ${crs.name} to the scene CRS ${sceneCrs.name} (${parsedDem.header.ncols}x${parsedDem.header.nrows} cells).`);
+        if (!crs.datum.toWgs84 || !sceneCrs.datum.toWgs84) {
+            diagnostics.warning('DATUM_SHIFT_UNKNOWN', `No WGS84 shift is known for datum ${(crs.datum.toWgs84 ? sceneCrs : crs).datum.name}; it was treated as WGS84, which can misplace the DEM by up to a few hundred metres.`);
+        }
+        crs = sceneCrs;
+    } else if (!crs) {
+        if (sceneCrs) diagnostics.warning('CRS_UNKNOWN', `The DEM has no CRS (.prj sidecar or GeoTIFF keys); it is assumed to be in the scene CRS ${sceneCrs.name}.`);
+        else diagnostics.info('CRS_UNKNOWN', "The DEM has no CRS (.prj sidecar or GeoTIFF keys); DEMs are placed by their raw coordinates.");
+    } else if (!sceneCrs) {
+        diagnostics.warning('SCENE_CRS_UNKNOWN', `The scene's first DEM has no CRS, so this DEM (${crs.name}) could not be reprojected and is placed by its raw coordinates.`);
+    }
+
+    postChunksAndFinish(jobId, parsedDem, fileName, { sceneScale, ...meshOptions }, crs, diagnostics.entries, reportProgress);
+}
+
+/**
+ * Runs a DEM operation on DEMs already loaded on the main thread and sends the resulting DEM back chunked and
+ * meshed, like a loaded file.
+ * @param {{jobId: number, operation: string, sources: Array<{name: string, header: object, grid: object}>,
+ * options: object, name: string, sceneScale: {x: number, y: number}, crs: object|null, mesh: object}} message
+ */
+function handleProcess({ jobId, operation, sources, options, name, sceneScale, crs, mesh }) {
+    const runOperation = DEM_OPERATIONS[operation];
+    if (!runOperation) throw new Error(`Unknown DEM operation '${operation}'.`);
+    const diagnostics = createParseDiagnostics(name);
+    const reportProgress = createProgressReporter(jobId);
+    const parsedDem = runOperation(sources, options, name, diagnostics, reportProgress);
+    postChunksAndFinish(jobId, parsedDem, name, { sceneScale, ...mesh }, crs, diagnostics.entries, reportProgress);
+}
+
+/**
+ * Chunks a DEM, builds the mesh buffers of every chunk (full resolution and levels of detail) and sends each chunk
+ * with its grid layout, then the shared elevation buffer with 'done'.
+ * @param {number} jobId
+ * @param {object} parsedDem - The DEM ({header, grid, minElev, maxElev}) in the scene CRS.
+ * @param {string} name - Name of the DEM, used for its chunks.
+ * @param {object} meshOptions
+ * @param {{x: number, y: number}} meshOptions.sceneScale - Absolute-to-scene unit factors.
+ * @param {string} [meshOptions.lodMethod='bilinear'] - Resampling method of the coarser levels of detail.
+ * @param {boolean} [meshOptions.nodataAsHoles=false] - Leave NODATA cells out of the meshes instead of flattening them.
+ * @param {object|null} crs - The DEM's CRS.
+ * @param {Array<object>} diagnostics - The job's diagnostic entries.
+ * @param {function(string, number|null): void} reportProgress
+ */
+function postChunksAndFinish(jobId, parsedDem, name, { sceneScale, ...meshOptions }, crs, diagnostics, reportProgress) {
+    reportProgress('chunking', null);
+    const chunks = processAndChunkDEM(parsedDem, name);
+    chunks.forEach((chunk, index) => {
+        reportProgress('meshing', index / chunks.length);
+        const { header, grid, minElev, maxElev } = chunk.parsedData;
+        const geometryBuffers = buildTerrainGeometryBuffers(chunk.parsedData, sceneScale, chunk.neighbourMargins, meshOptions);
+        const lodLevels = buildTerrainLodBuffers(chunk.parsedData, sceneScale, meshOptions);
+        const gridLayout = { ncols: grid.ncols, nrows: grid.nrows, stride: grid.stride, offset: grid.offset };
+        const transfer = [geometryBuffers, ...lodLevels.map(level => level.geometryBuffers)]
+            .flatMap(buffers => [buffers.positions.buffer, buffers.normals.buffer, buffers.uvs.buffer, buffers.indices.buffer]);
+        self.postMessage({ type: 'chunk', jobId, name: chunk.name, header, minElev, maxElev, gridLayout, geometryBuffers, lodLevels }, transfer);
+    });
+    const values = chunks.length > 0 ? chunks[0].parsedData.grid.values : new Float32Array(0);
+    self.postMessage({ type: 'done', jobId, values, crs, diagnostics }, [values.buffer]);
+}
+
+/**
+ * Determines a DEM's CRS: a .prj sidecar first, then a GDAL .aux.xml sidecar, then the EPSG code from the file's
+ * own georeferencing (GeoTIFF keys, SRTM). Degree-based DEMs without any of these are assumed to be WGS84.
+ * @param {{sidecarFiles?: Array<File>}} job
+ * @param {object} header - The parsed DEM header.
+ * @param {object} diagnostics - Collector from createParseDiagnostics.
+ * @returns {Promise<object|null>} The CRS (see coordinateSystems.js), or null if unknown.
+ */
+async function resolveDemCrs(job, header, diagnostics) {
+    const isPrj = (file) => file.name.toLowerCase().endsWith('.prj');
+    const sidecarFiles = [...(job.sidecarFiles ?? [])].sort((a, b) => isPrj(b) - isPrj(a));
+    for (const sidecarFile of sidecarFiles) {
+        try {
+            const text = await sidecarFile.text();
+            const crs = isPrj(sidecarFile) ? parseWKT(text) : parseAuxXmlCrs(text);
+            if (!crs) continue;
+            diagnostics.info('CRS_DETECTED', `CRS ${crs.name} read from ${sidecarFile.name}.`);
+            return crs;
+        } catch (error) {
+            diagnostics.warning('CRS_UNREADABLE', `${sidecarFile.name} could not be used: ${error.message}`);
+        }
+    }
+    if (header.epsg) {
+        const crs = getCrsForEpsg(header.epsg);
+        if (crs) {
+            diagnostics.info('CRS_DETECTED', `CRS EPSG:${header.epsg} (${crs.name}) from the file's georeferencing.`);
+            return crs;
+        }
+        diagnostics.warning('CRS_UNSUPPORTED', `EPSG:${header.epsg} is not in the built-in CRS table; add a .prj sidecar to reproject this DEM.`);
+        return null;
+    }
+    if (isGeographicHeader(header)) {
+        diagnostics.info('CRS_ASSUMED', "Degree coordinates without a CRS are assumed to be WGS 84.");
+        return getCrsForEpsg(4326);
+    }
+    return null;
+}
+
+/**
+ * Reads and parses a DEM file with the parser for its format (the worker-side counterpart of the old main-thread path).
+ * @param {{file: File, format: string, headerFile?: File}} job - A load job from collectDemLoadJobs.
+ * @param {{gridding: object, las: object}} options - Point cloud gridding and LAS import options read from the UI.
+ * @param {object} diagnostics - Collector from createParseDiagnostics.
+ * @param {function(string, number|null): void} reportProgress - Progress callback (phase, fraction).
+ * @returns {Promise<object|null>} The parsed DEM ({header, grid, minElev, maxElev}) or null if parsing fails.
+ */
+async function parseDemFile(job, options, diagnostics, reportProgress) {
+    const { file, format } = job;
+    const onReadProgress = (fraction) => reportProgress('reading', fraction);
+    if (format === 'geotiff') {
+        const bytes = await readFileBytes(file, onReadProgress);
+        reportProgress('parsing', null);
+        return parseGeoTIFF(bytes.buffer, file.name, diagnostics);
+    }
+    if (format === 'hgt') {
+        const bytes = await readFileBytes(file, onReadProgress);
+        reportProgress('parsing', null);
+        return parseSRTMHgt(bytes.buffer, file.name, diagnostics);
+    }
+    if (format === 'las') {
+        const bytes = await readFileBytes(file, onReadProgress);
+        reportProgress('parsing', null);
+        const points = parseLASPoints(bytes.buffer, file.name, { classes: options.las.classes }, diagnostics);
+        if (!points) return null;
+        reportProgress('gridding', null);
+        return binPointsToDEM(points, options.las, file.name, diagnostics);
+    }
+    if (format === 'flt' || format === 'bil') {
+        const headerText = await job.headerFile.text();
+        const bytes = await readFileBytes(file, onReadProgress);
+        reportProgress('parsing', null);
+        return parseESRIBinaryGrid(headerText, bytes.buffer, format, file.name, diagnostics);
+    }
+    // A .txt file is an ASCII Grid when it starts with a grid header keyword, otherwise a point list.
+    const isPointList = format === 'xyz' || (format === 'text' && !/^\s*(ncols|nrows)\b/i.test(await file.slice(0, 200).text()));
+    if (isPointList) {
+        const fileContent = new TextDecoder().decode(await readFileBytes(file, onReadProgress));
+        reportProgress('parsing', null);
+        const points = parseXYZPoints(fileContent, file.name, diagnostics);
+        if (!points) return null;
+        reportProgress('gridding', null);
+        return gridPointsToDEM(points, options.gridding, file.name, diagnostics);
+    }
+    return parseASCIIGridStream(file, diagnostics, onReadProgress);
+}
+
+/**
+ * Streams an ASCII Grid through the incremental line parser, so the file's text is never held in memory at once.
+ * @param {File} file
+ * @param {object} diagnostics - Collector from createParseDiagnostics.
+ * @param {function(number): void} onProgress - Called with the fraction of bytes read.
+ * @returns {Promise<object|null>} The parsed DEM or null if parsing fails.
+ */
+async function parseASCIIGridStream(file, diagnostics, onProgress) {
+    console.log(`[${file.name}] Starting streamed ASCII Grid parsing.`);
+    const parser = createASCIIGridLineParser(file.name, diagnostics);
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder();
+    let remainder = '';
+    let bytesRead = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytesRead += value.byteLength;
+        const lines = (remainder + decoder.decode(value, { stream: true })).split(/\r?\n/);
+        remainder = lines.pop(); // The last piece may be an incomplete line
+        for (const line of lines) {
+            if (!parser.pushLine(line)) {
+                await reader.cancel();
+                return parser.finish();
+            }
+        }
+        onProgress(bytesRead / (file.size || 1));
+    }
+    remainder += decoder.decode();
+    parser.pushLine(remainder);
+    return parser.finish();
+}
+
+/**
+ * Reads a whole file into memory chunk by chunk, reporting progress as it goes.
+ * @param {File} file
+ * @param {function(number): void} onProgress - Called with the fraction of bytes read.
+ * @returns {Promise<Uint8Array>} The file's bytes (the array spans its whole buffer).
+ */
+async function readFileBytes(file, onProgress) {
+    const bytes = new Uint8Array(file.size);
+    const reader = file.stream().getReader();
+    let offset = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytes.set(value, offset);
+        offset += value.byteLength;
+        onProgress(offset / (file.size || 1));
+    }
+    return bytes;
+}
+
+/**
+ * Creates a progress callback for one job that throttles messages to the main thread.
+ * @param {number} jobId
+ * @returns {function(string, number|null): void}
+ */
+function createProgressReporter(jobId) {
+    let lastPhase = null;
+    let lastFraction = -1;
+    return (phase, fraction) => {
+        if (phase === lastPhase && fraction !== null && fraction - lastFraction < PROGRESS_STEP && fraction < 1) return;
+        lastPhase = phase;
+        lastFraction = fraction ?? -1;
+        self.postMessage({ type: 'progress', jobId, phase, fraction });
+    };
+}
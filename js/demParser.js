@@ -1,140 +1,1024 @@
 // js/demParser.js
-import { DEFAULT_NODATA_VALUE, DEFAULT_XLLCORNER, DEFAULT_YLLCORNER } from './constants.js';
+import { DEFAULT_NODATA_VALUE, DEFAULT_XLLCORNER, DEFAULT_YLLCORNER, SRTM_VOID_VALUE } from './constants.js';
+import { createParseDiagnostics } from './parseDiagnostics.js';
+import { createElevationGrid, getGridRow, computeElevationRange } from './elevationGrid.js';
 
 /**
- * @file Contains logic for parsing DEM file formats, starting with ASCII Grid.
+ * @file Contains logic for parsing DEM file formats: ASCII Grid, single-band GeoTIFF, ESRI binary grids (.flt/.bil)
+ * and SRTM .hgt tiles.
  */
 
 /**
  * Parses the full content of an ASCII Grid DEM file.
- * Extracts header information (ncols, nrows, xllcorner, yllcorner, cellsize, nodata_value)
+ * Extracts header information (ncols, nrows, xllcorner/xllcenter, yllcorner/yllcenter, cellsize or dx/dy, nodata_value)
  * and all elevation data points. Also calculates min/max elevation for the dataset.
+ * The returned header is normalised: the origin is always the lower-left outer corner (xllcorner, yllcorner)
+ * and the cell size is always available as dx/dy (plus cellsize when the cells are square).
+ * Every repair (padded or truncated rows, missing rows, defaulted header fields) and the reason for a failure
+ * are recorded in the diagnostics collector, which is also returned on the result as `diagnostics`.
  * @param {string} fileContent - The string content of the .asc file.
  * @param {string} fileNameForLogging - The name of the file, used for logging messages.
- * @returns {object|null} An object containing {header, data, minElev, maxElev} or null if parsing fails.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics; pass one in to keep the failure reason when null is returned.
+ * @returns {object|null} An object containing {header, grid, minElev, maxElev, diagnostics} or null if parsing fails.
  */
-export function parseASCIIGrid(fileContent, fileNameForLogging = "Unknown File") {
-    try {
-        console.log(`[${fileNameForLogging}] Starting ASCII Grid parsing.`);
-        const lines = fileContent.split(/\r?\n/); // Split file content into an array of lines
-        const header = {}; // Object to store parsed header values
-        let dataStartIndex = 0; // Index in 'lines' array where the actual elevation data begins
+export function parseASCIIGrid(fileContent, fileNameForLogging = "Unknown File", diagnostics = createParseDiagnostics(fileNameForLogging)) {
+    console.log(`[${fileNameForLogging}] Starting ASCII Grid parsing.`);
+    const parser = createASCIIGridLineParser(fileNameForLogging, diagnostics);
+    const lines = fileContent.split(/\r?\n/); // Split file content into an array of lines
+    for (const line of lines) {
+        if (!parser.pushLine(line)) break;
+    }
+    return parser.finish();
+}
+
+/**
+ * Creates an incremental ASCII Grid parser that is fed one line at a time, so a file can be parsed while it is
+ * streamed without holding its whole text in memory. parseASCIIGrid feeds it from a string; the load worker
+ * feeds it from File.stream(). Behaviour and diagnostics are identical in both cases.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics.
+ * @returns {{pushLine: function(string): boolean, finish: function(): (object|null)}} pushLine returns false once
+ * parsing has failed (later lines are ignored); finish returns {header, grid, minElev, maxElev, diagnostics} or null.
+ */
+export function createASCIIGridLineParser(fileNameForLogging = "Unknown File", diagnostics = createParseDiagnostics(fileNameForLogging)) {
+    const header = {}; // Object to store parsed header values
+    let phase = 'header'; // 'header' -> 'data' -> 'trailing', or 'failed'
+    let lineNumber = 0; // 1-based number of the line being processed
+    
+    // Header keys recognised in an ASCII Grid file. Besides the standard ESRI keys, files may use
+    // xllcenter/yllcenter (cell-centre registration) and GDAL's dx/dy for non-square cells.
+    const headerKeys = ["ncols", "nrows", "xllcorner", "yllcorner", "xllcenter", "yllcenter", "cellsize", "dx", "dy", "nodata_value"];
+    // ncols, nrows, x/y origin and cellsize must be found before a numeric line is taken as data.
+    const minHeaderKeysBeforeData = 5;
+
+    let ncols = 0;
+    let nrows = 0;
+    let nodata_value;
+    let grid = null; // Allocated once the header is complete; unfilled cells stay NODATA
+    let rowsRead = 0; // Data rows consumed so far (including empty ones)
+    let validDataPoints = 0; // Count of cells that are not NODATA
+    let lastDataLineNumber = 0;
+    // Empty lines inside the data block only become NODATA rows once another data line follows them;
+    // empty lines at the very end of the file are just the end of the file.
+    const pendingEmptyLines = [];
+    let trailingLineCount = 0;
+    let firstTrailingLineNumber = null;
+
+    const pushDataRow = (line) => {
+        const i = rowsRead;
+        const values = line.split(/\s+/).map(parseFloat);
         
-        // Standard header keys expected in an ASCII Grid file
-        const headerKeys = ["ncols", "nrows", "xllcorner", "yllcorner", "cellsize", "nodata_value"];
-
-        // --- Parse Header Section ---
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim(); // Remove leading/trailing whitespace
-            if (!line) continue; // Skip empty lines
-
-            const parts = line.split(/\s+/); // Split line by one or more whitespace characters
-            
-            // Check if the first part of the line is a known header key
-            if (parts.length >= 2 && headerKeys.includes(parts[0].toLowerCase())) {
-                header[parts[0].toLowerCase()] = parseFloat(parts[1]); // Store the numeric value
-            } else if (Object.keys(header).length >= headerKeys.length - 1 && parts.every(p => !isNaN(parseFloat(p)))) {
-                // Heuristic: If most header keys are found (nodata_value might be missing)
-                // AND the current line consists only of numbers, assume this is the start of the data section.
-                dataStartIndex = i;
-                console.log(`[${fileNameForLogging}] Header parsing complete. Data starts at line index ${dataStartIndex}.`);
-                break; 
-            }
-            // Another heuristic: if after 10 lines, we haven't found at least 4 header keys, it's likely not a valid DEM.
-            if (i > 10 && Object.keys(header).length < 4) {
-                throw new Error("Invalid DEM header format (too few standard keys found after 10 lines).");
-            }
-            if (i === lines.length -1 && dataStartIndex === 0) { // Reached end of file without finding data start
-                 throw new Error("Reached end of file without finding start of data section. Header might be incomplete or malformed.");
+        // Missing columns stay NODATA and extra columns are dropped
+        const rowToFill = getGridRow(grid, i); 
+        if (values.length < ncols) {
+            diagnostics.warning('ROW_TOO_SHORT', `Data row ${i + 1} has ${values.length} values, expected ${ncols}. Padded with NODATA.`, lineNumber);
+        } else if (values.length > ncols) {
+            diagnostics.warning('ROW_TOO_LONG', `Data row ${i + 1} has ${values.length} values, expected ${ncols}. Extra values ignored.`, lineNumber);
+        }
+        let nonNumericCount = 0;
+        for(let k=0; k < Math.min(values.length, ncols); k++) {
+            if (isNaN(values[k])) {
+                nonNumericCount++;
+                continue;
             }
+            if (values[k] === nodata_value) continue;
+            rowToFill[k] = values[k];
+            validDataPoints++;
+        }
+        if (nonNumericCount > 0) {
+            diagnostics.warning('NON_NUMERIC_VALUE', `Data row ${i + 1} has ${nonNumericCount} non-numeric value(s). Set to NODATA.`, lineNumber);
         }
+        rowsRead++;
+        lastDataLineNumber = lineNumber;
+    };
 
-        // --- Validate Essential Header Fields ---
-        const requiredKeys = ["ncols", "nrows", "cellsize"];
-        for (const key of requiredKeys) {
-            if (typeof header[key] !== 'number' || isNaN(header[key])) {
-                throw new Error(`Missing or invalid required header field: '${key}'. Value found: '${header[key]}'.`);
+    const handleHeaderLine = (line) => {
+        if (!line) return; // Skip empty lines
+        const parts = line.split(/\s+/); // Split line by one or more whitespace characters
+        
+        // Check if the first part of the line is a known header key
+        if (parts.length >= 2 && headerKeys.includes(parts[0].toLowerCase())) {
+            const key = parts[0].toLowerCase();
+            header[key] = parseFloat(parts[1]); // Store the numeric value
+            if (isNaN(header[key])) {
+                diagnostics.warning('INVALID_HEADER_VALUE', `Header field '${key}' has non-numeric value '${parts[1]}'.`, lineNumber);
             }
+        } else if (Object.keys(header).length >= minHeaderKeysBeforeData && parts.every(p => !isNaN(parseFloat(p)))) {
+            // Heuristic: If most header keys are found (nodata_value might be missing)
+            // AND the current line consists only of numbers, assume this is the start of the data section.
+            diagnostics.info('DATA_START_DETECTED', `Header ends after ${Object.keys(header).length} field(s); elevation data starts here.`, lineNumber);
+            normalizeGridHeader(header, diagnostics);
+            ncols = Math.floor(header.ncols); 
+            nrows = Math.floor(header.nrows);
+            nodata_value = header.nodata_value; 
+            grid = createElevationGrid(ncols, nrows);
+            console.log(`[${fileNameForLogging}] Parsing ${nrows} rows of elevation data...`);
+            phase = 'data';
+            pushDataRow(line);
+            return;
+        } else {
+            diagnostics.warning('UNRECOGNISED_HEADER_LINE', `Ignoring line that is neither a header field nor data: '${line.slice(0, 40)}'.`, lineNumber);
+        }
+        // Another heuristic: if after 10 lines, we haven't found at least 4 header keys, it's likely not a valid DEM.
+        if (lineNumber > 11 && Object.keys(header).length < 4) {
+            diagnostics.error('HEADER_INCOMPLETE', "Invalid DEM header format (too few standard keys found after 10 lines).", lineNumber);
+            phase = 'failed';
         }
+    };
 
-        // --- Provide Defaults for Optional/Often Missing Header Fields ---
-        if (typeof header["xllcorner"] !== 'number' || isNaN(header["xllcorner"])) {
-            console.warn(`[${fileNameForLogging}] Missing or invalid 'xllcorner'. Using default: ${DEFAULT_XLLCORNER}.`);
-            header["xllcorner"] = DEFAULT_XLLCORNER;
+    const handleDataLine = (line) => {
+        if (!line) { // Handle missing or empty data lines within the expected data block
+            pendingEmptyLines.push(lineNumber);
+            return;
         }
-        if (typeof header["yllcorner"] !== 'number' || isNaN(header["yllcorner"])) {
-            console.warn(`[${fileNameForLogging}] Missing or invalid 'yllcorner'. Using default: ${DEFAULT_YLLCORNER}.`);
-            header["yllcorner"] = DEFAULT_YLLCORNER;
+        for (const emptyLineNumber of pendingEmptyLines) {
+            if (rowsRead >= nrows) break;
+            diagnostics.warning('EMPTY_DATA_ROW', `Data row ${rowsRead + 1} is empty. Filled with NODATA.`, emptyLineNumber);
+            rowsRead++; // The grid row is already NODATA
         }
-        if (typeof header["nodata_value"] !== 'number' || isNaN(header["nodata_value"])) {
-            console.warn(`[${fileNameForLogging}] Missing or invalid 'nodata_value'. Using default: ${DEFAULT_NODATA_VALUE}.`);
-            header["nodata_value"] = DEFAULT_NODATA_VALUE;
+        pendingEmptyLines.length = 0;
+        if (rowsRead < nrows) {
+            pushDataRow(line);
+        } else {
+            phase = 'trailing';
+            handleTrailingLine(line);
         }
-        
-        const ncols = Math.floor(header.ncols); 
-        const nrows = Math.floor(header.nrows);
-        const nodata_value = header.nodata_value; 
-        const elevationData = []; // 2D array to store [row][col] elevation values
-        let minElev = Infinity; 
-        let maxElev = -Infinity; 
-        let validDataPoints = 0; // Count of cells that are not NODATA
-
-        // --- Parse Elevation Data Section ---
-        console.log(`[${fileNameForLogging}] Parsing ${nrows} rows of elevation data...`);
-        for (let i = 0; i < nrows; i++) {
-            const lineIndex = dataStartIndex + i;
-            if (lineIndex >= lines.length) { // Check if we've run out of lines in the file
-                console.warn(`[${fileNameForLogging}] Expected ${nrows} data rows, but file ended prematurely at row ${i}. Filling remaining with NODATA.`);
-                elevationData.push(new Array(ncols).fill(nodata_value));
-                continue;
+    };
+
+    // Anything after the last expected row means nrows is probably wrong.
+    const handleTrailingLine = (line) => {
+        if (!line) return;
+        trailingLineCount++;
+        if (firstTrailingLineNumber === null) firstTrailingLineNumber = lineNumber;
+    };
+
+    return {
+        pushLine(rawLine) {
+            lineNumber++;
+            if (phase === 'failed') return false;
+            try {
+                const line = rawLine.trim(); // Remove leading/trailing whitespace
+                if (phase === 'header') handleHeaderLine(line);
+                else if (phase === 'data') handleDataLine(line);
+                else handleTrailingLine(line);
+            } catch (error) {
+                diagnostics.error('PARSE_FAILED', error.message, lineNumber);
+                phase = 'failed';
             }
-            const line = lines[lineIndex];
-            if (!line && i < nrows) { // Handle missing or empty data lines within the expected data block
-                console.warn(`[${fileNameForLogging}] Missing data line for row ${i}. Filling with NODATA.`);
-                elevationData.push(new Array(ncols).fill(nodata_value)); 
-                continue; 
+            return phase !== 'failed';
+        },
+
+        finish() {
+            try {
+                if (phase === 'failed') return null; // The reason is in the diagnostics
+                if (phase === 'header') { // Reached end of file without finding data start
+                    diagnostics.error('NO_DATA_SECTION', "Reached end of file without finding start of data section. Header might be incomplete or malformed.");
+                    return null;
+                }
+                if (rowsRead < nrows) {
+                    // The file ended early: every remaining row stays NODATA.
+                    diagnostics.error('FILE_TRUNCATED', `Expected ${nrows} data rows, but the file ends after ${rowsRead}. Filled the remaining ${nrows - rowsRead} row(s) with NODATA.`, lastDataLineNumber + 1);
+                }
+                if (trailingLineCount > 0) {
+                    diagnostics.warning('EXTRA_DATA_ROWS', `${trailingLineCount} non-empty line(s) after the ${nrows} rows declared by 'nrows' were ignored.`, firstTrailingLineNumber);
+                }
+                if (validDataPoints === 0) {
+                    diagnostics.warning('NO_VALID_DATA', "No valid data points found in the DEM (all NODATA or empty).");
+                }
+                const parsedDem = buildParsedDem(header, grid, fileNameForLogging);
+                parsedDem.diagnostics = diagnostics.entries;
+                return parsedDem;
+            } catch (error) {
+                diagnostics.error('PARSE_FAILED', error.message);
+                return null;
+            } finally {
+                diagnostics.finish();
             }
-            const values = line.trim().split(/\s+/).map(parseFloat);
-            
-            // Ensure each row has the correct number of columns, padding/truncating if necessary
-            const rowToAdd = new Array(ncols).fill(nodata_value); 
-            if (values.length !== ncols) {
-                console.warn(`[${fileNameForLogging}] Row ${i} has ${values.length} values, expected ${ncols}. Adjusting row.`);
+        }
+    };
+}
+
+/**
+ * Validates and normalises an ESRI-style grid header in place (shared by the ASCII and binary grid parsers).
+ * Requires ncols/nrows and a cell size (cellsize or dx/dy); converts xllcenter/yllcenter to the lower-left
+ * outer corner and fills defaults for a missing origin or nodata_value.
+ * @param {object} header - Header with lowercase keys and numeric values.
+ * @param {object} diagnostics - Collector from createParseDiagnostics that records every defaulted field.
+ * @throws {Error} If a required field is missing or invalid.
+ */
+function normalizeGridHeader(header, diagnostics) {
+    // --- Validate Essential Header Fields ---
+    const requiredKeys = ["ncols", "nrows"];
+    for (const key of requiredKeys) {
+        if (!isValidNumber(header[key])) {
+            throw new Error(`Missing or invalid required header field: '${key}'. Value found: '${header[key]}'.`);
+        }
+    }
+
+    // --- Normalise Cell Size (cellsize or dx/dy) ---
+    if (isValidNumber(header.dx) && isValidNumber(header.dy)) {
+        if (isValidNumber(header.cellsize) && (header.cellsize !== header.dx || header.cellsize !== header.dy)) {
+            diagnostics.warning('CELLSIZE_CONFLICT', `Both 'cellsize' and 'dx'/'dy' present. Using dx=${header.dx}, dy=${header.dy}.`);
+        }
+    } else if (isValidNumber(header.cellsize)) {
+        header.dx = header.cellsize;
+        header.dy = header.cellsize;
+    } else {
+        throw new Error(`Missing or invalid cell size: expected 'cellsize' or both 'dx' and 'dy'. Values found: cellsize='${header.cellsize}', dx='${header.dx}', dy='${header.dy}'.`);
+    }
+    if (header.dx <= 0 || header.dy <= 0) {
+        throw new Error(`Cell size must be positive. Values found: dx='${header.dx}', dy='${header.dy}'.`);
+    }
+    setSquareCellsize(header);
+
+    // --- Normalise Origin (xllcorner/yllcorner or xllcenter/yllcenter) ---
+    // Everything downstream works with the outer lower-left corner, so centre registration is shifted by half a cell.
+    if (!isValidNumber(header.xllcorner) && isValidNumber(header.xllcenter)) {
+        header.xllcorner = header.xllcenter - header.dx / 2;
+    }
+    if (!isValidNumber(header.yllcorner) && isValidNumber(header.yllcenter)) {
+        header.yllcorner = header.yllcenter - header.dy / 2;
+    }
+    delete header.xllcenter;
+    delete header.yllcenter;
+
+    // --- Provide Defaults for Optional/Often Missing Header Fields ---
+    if (!isValidNumber(header["xllcorner"])) {
+        diagnostics.warning('ORIGIN_DEFAULTED', `Missing or invalid 'xllcorner'/'xllcenter'. Using default: ${DEFAULT_XLLCORNER}. The grid will not be georeferenced.`);
+        header["xllcorner"] = DEFAULT_XLLCORNER;
+    }
+    if (!isValidNumber(header["yllcorner"])) {
+        diagnostics.warning('ORIGIN_DEFAULTED', `Missing or invalid 'yllcorner'/'yllcenter'. Using default: ${DEFAULT_YLLCORNER}. The grid will not be georeferenced.`);
+        header["yllcorner"] = DEFAULT_YLLCORNER;
+    }
+    if (!isValidNumber(header["nodata_value"])) {
+        diagnostics.info('NODATA_DEFAULTED', `Missing or invalid 'nodata_value'. Using default: ${DEFAULT_NODATA_VALUE}.`);
+        header["nodata_value"] = DEFAULT_NODATA_VALUE;
+    }
+}
+
+// --- GeoTIFF Support ---
+
+// TIFF and GeoTIFF tag identifiers used by the GeoTIFF reader.
+const TIFF_TAG = {
+    IMAGE_WIDTH: 256,
+    IMAGE_LENGTH: 257,
+    BITS_PER_SAMPLE: 258,
+    COMPRESSION: 259,
+    STRIP_OFFSETS: 273,
+    SAMPLES_PER_PIXEL: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    PLANAR_CONFIGURATION: 284,
+    PREDICTOR: 317,
+    TILE_WIDTH: 322,
+    TILE_LENGTH: 323,
+    TILE_OFFSETS: 324,
+    TILE_BYTE_COUNTS: 325,
+    SAMPLE_FORMAT: 339,
+    MODEL_PIXEL_SCALE: 33550,
+    MODEL_TIEPOINT: 33922,
+    MODEL_TRANSFORMATION: 34264,
+    GEO_KEY_DIRECTORY: 34735,
+    GDAL_NODATA: 42113
+};
+
+// Byte size of each TIFF field type (index = type code).
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8, 0, 0, 0, 8, 8, 8];
+
+const GT_MODEL_TYPE_GEOKEY = 1024;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const GT_RASTER_TYPE_GEOKEY = 1025;
+const RASTER_PIXEL_IS_POINT = 2;
+const GEOGRAPHIC_TYPE_GEOKEY = 2048;
+const PROJECTED_CS_TYPE_GEOKEY = 3072;
+const USER_DEFINED_GEOKEY_VALUE = 32767;
+
+/**
+ * Parses a single-band GeoTIFF DEM (uncompressed, LZW, Deflate or PackBits; stripped or tiled).
+ * Georeferencing is read from ModelTiepoint/ModelPixelScale (or an unrotated ModelTransformation),
+ * and GDAL_NODATA is used as the NODATA value when present. Without it the file has no NODATA value
+ * (header.nodata_value stays unset) and only non-finite samples are NODATA.
+ * The result has the same shape as parseASCIIGrid so it flows through the rest of the pipeline unchanged.
+ * @param {ArrayBuffer} arrayBuffer - The raw bytes of the .tif/.tiff file.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics; pass one in to keep the failure reason when null is returned.
+ * @returns {Promise<object|null>} Resolves to {header, grid, minElev, maxElev} or null if parsing fails.
+ */
+export async function parseGeoTIFF(arrayBuffer, fileNameForLogging = "Unknown File", diagnostics = createParseDiagnostics(fileNameForLogging)) {
+    try {
+        console.log(`[${fileNameForLogging}] Starting GeoTIFF parsing.`);
+        const view = new DataView(arrayBuffer);
+        const byteOrder = view.getUint16(0, false);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) {
+            throw new Error("Not a TIFF file (missing II/MM byte order mark).");
+        }
+        const littleEndian = byteOrder === 0x4949;
+        const version = view.getUint16(2, littleEndian);
+        const isBigTiff = version === 43;
+        if (version !== 42 && !isBigTiff) {
+            throw new Error(`Unsupported TIFF version: ${version}.`);
+        }
+        const firstIfdOffset = isBigTiff ? Number(view.getBigUint64(8, littleEndian)) : view.getUint32(4, littleEndian);
+        const tags = readTiffIFD(view, firstIfdOffset, littleEndian, isBigTiff);
+
+        const width = tags.get(TIFF_TAG.IMAGE_WIDTH)?.[0];
+        const height = tags.get(TIFF_TAG.IMAGE_LENGTH)?.[0];
+        if (!width || !height) {
+            throw new Error("Missing ImageWidth/ImageLength tags.");
+        }
+        const samplesPerPixel = tags.get(TIFF_TAG.SAMPLES_PER_PIXEL)?.[0] ?? 1;
+        const bitsPerSample = tags.get(TIFF_TAG.BITS_PER_SAMPLE)?.[0] ?? 1;
+        const sampleFormat = tags.get(TIFF_TAG.SAMPLE_FORMAT)?.[0] ?? 1; // 1 = uint, 2 = int, 3 = float
+        const compression = tags.get(TIFF_TAG.COMPRESSION)?.[0] ?? 1;
+        const predictor = tags.get(TIFF_TAG.PREDICTOR)?.[0] ?? 1;
+        const planarConfiguration = tags.get(TIFF_TAG.PLANAR_CONFIGURATION)?.[0] ?? 1;
+        if (samplesPerPixel > 1) {
+            diagnostics.info('EXTRA_BANDS', `GeoTIFF has ${samplesPerPixel} bands. Only band 1 is used as elevation.`);
+        }
+        const bytesPerSample = bitsPerSample / 8;
+        const readSample = getTiffSampleReader(sampleFormat, bitsPerSample);
+
+        // --- Block layout (tiles or strips) ---
+        const isTiled = tags.has(TIFF_TAG.TILE_OFFSETS);
+        const blockWidth = isTiled ? tags.get(TIFF_TAG.TILE_WIDTH)[0] : width;
+        const blockHeight = isTiled ? tags.get(TIFF_TAG.TILE_LENGTH)[0] : Math.min(tags.get(TIFF_TAG.ROWS_PER_STRIP)?.[0] ?? height, height);
+        const blockOffsets = tags.get(isTiled ? TIFF_TAG.TILE_OFFSETS : TIFF_TAG.STRIP_OFFSETS);
+        const blockByteCounts = tags.get(isTiled ? TIFF_TAG.TILE_BYTE_COUNTS : TIFF_TAG.STRIP_BYTE_COUNTS);
+        if (!blockOffsets || !blockByteCounts) {
+            throw new Error("Missing strip/tile offset tags.");
+        }
+        const blocksAcross = Math.ceil(width / blockWidth);
+        const blocksDown = Math.ceil(height / blockHeight);
+        // With planar configuration 2 the first blocksAcross*blocksDown blocks hold band 1.
+        const samplesPerBlockPixel = planarConfiguration === 2 ? 1 : samplesPerPixel;
+
+        // --- Georeferencing ---
+        const header = readGeoTiffGeoreferencing(tags, width, height, diagnostics);
+        const nodataTag = tags.get(TIFF_TAG.GDAL_NODATA);
+        const parsedNodata = typeof nodataTag === 'string' ? parseFloat(nodataTag) : NaN;
+        if (!isNaN(parsedNodata)) {
+            header.nodata_value = parsedNodata;
+        } else if (typeof nodataTag !== 'string') {
+            diagnostics.warning('NODATA_UNSET', "No GDAL_NODATA tag: no value is masked as NODATA, so voids stored as e.g. -32768 or -9999 are kept as elevations.");
+        } else if (!/^\s*[-+]?nan\s*$/i.test(nodataTag)) {
+            // 'nan' needs no value: non-finite samples are always NODATA.
+            diagnostics.warning('NODATA_UNSET', `GDAL_NODATA tag '${nodataTag}' is not a number: no value is masked as NODATA.`);
+        }
+        const nodata_value = header.nodata_value;
+
+        // --- Decode pixel blocks into the elevation grid ---
+        const grid = createElevationGrid(width, height);
+
+        for (let by = 0; by < blocksDown; by++) {
+            for (let bx = 0; bx < blocksAcross; bx++) {
+                const blockIndex = by * blocksAcross + bx;
+                const offset = blockOffsets[blockIndex];
+                const byteCount = blockByteCounts[blockIndex];
+                if (!byteCount) continue; // Sparse block: leave as NODATA
+                const rawBlock = new Uint8Array(arrayBuffer, offset, byteCount);
+                const blockBytes = await decompressTiffBlock(rawBlock, compression);
+
+                // Strips at the bottom edge may be shorter than RowsPerStrip.
+                const rowsInBlock = isTiled ? blockHeight : Math.min(blockHeight, height - by * blockHeight);
+                const rowByteLength = blockWidth * samplesPerBlockPixel * bytesPerSample;
+                let blockView;
+                let blockLittleEndian = littleEndian;
+                if (predictor === 3) {
+                    for (let r = 0; r < rowsInBlock; r++) {
+                        undoFloatingPointPredictor(blockBytes.subarray(r * rowByteLength, (r + 1) * rowByteLength), samplesPerBlockPixel, bytesPerSample);
+                    }
+                    blockLittleEndian = true; // The floating point predictor reassembles bytes little-endian.
+                }
+                blockView = new DataView(blockBytes.buffer, blockBytes.byteOffset, blockBytes.byteLength);
+
+                for (let r = 0; r < rowsInBlock; r++) {
+                    const imageRow = by * blockHeight + r;
+                    if (imageRow >= height) break;
+                    const rowSamples = readTiffRowSamples(blockView, r * rowByteLength, blockWidth * samplesPerBlockPixel, bytesPerSample, readSample, blockLittleEndian);
+                    if (predictor === 2) {
+                        undoHorizontalPredictor(rowSamples, samplesPerBlockPixel, sampleFormat, bitsPerSample);
+                    }
+                    const targetRow = getGridRow(grid, imageRow);
+                    for (let c = 0; c < blockWidth; c++) {
+                        const imageCol = bx * blockWidth + c;
+                        if (imageCol >= width) break;
+                        targetRow[imageCol] = toElevation(rowSamples[c * samplesPerBlockPixel], nodata_value);
+                    }
+                }
             }
-            for(let k=0; k < Math.min(values.length, ncols); k++) {
-                rowToAdd[k] = values[k];
+        }
+
+        return buildParsedDem(header, grid, fileNameForLogging);
+    } catch (error) {
+        diagnostics.error('PARSE_FAILED', error.message);
+        return null;
+    } finally {
+        diagnostics.finish();
+    }
+}
+
+/**
+ * Reads the first Image File Directory of a (Big)TIFF into a Map of tag -> values.
+ * ASCII values are returned as strings (trailing NUL stripped), everything else as number arrays.
+ * @param {DataView} view - View over the whole file.
+ * @param {number} ifdOffset - Byte offset of the IFD.
+ * @param {boolean} littleEndian - File byte order.
+ * @param {boolean} isBigTiff - True for BigTIFF (64-bit offsets).
+ * @returns {Map<number, Array<number>|string>}
+ */
+function readTiffIFD(view, ifdOffset, littleEndian, isBigTiff) {
+    const tags = new Map();
+    const entryCount = isBigTiff ? Number(view.getBigUint64(ifdOffset, littleEndian)) : view.getUint16(ifdOffset, littleEndian);
+    const entrySize = isBigTiff ? 20 : 12;
+    const inlineCapacity = isBigTiff ? 8 : 4;
+    const firstEntryOffset = ifdOffset + (isBigTiff ? 8 : 2);
+
+    for (let i = 0; i < entryCount; i++) {
+        const entryOffset = firstEntryOffset + i * entrySize;
+        const tag = view.getUint16(entryOffset, littleEndian);
+        const type = view.getUint16(entryOffset + 2, littleEndian);
+        const count = isBigTiff ? Number(view.getBigUint64(entryOffset + 4, littleEndian)) : view.getUint32(entryOffset + 4, littleEndian);
+        const valueFieldOffset = entryOffset + (isBigTiff ? 12 : 8);
+        const typeSize = TIFF_TYPE_SIZES[type] || 1;
+        const valuesOffset = typeSize * count <= inlineCapacity
+            ? valueFieldOffset
+            : (isBigTiff ? Number(view.getBigUint64(valueFieldOffset, littleEndian)) : view.getUint32(valueFieldOffset, littleEndian));
+        tags.set(tag, readTiffValues(view, type, count, valuesOffset, littleEndian));
+    }
+    return tags;
+}
+
+/**
+ * Reads `count` values of a TIFF field type starting at `offset`.
+ * @returns {Array<number>|string}
+ */
+function readTiffValues(view, type, count, offset, littleEndian) {
+    if (type === 2) { // ASCII
+        let text = '';
+        for (let i = 0; i < count; i++) {
+            const code = view.getUint8(offset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    }
+    const values = new Array(count);
+    for (let i = 0; i < count; i++) {
+        switch (type) {
+            case 1: case 7: values[i] = view.getUint8(offset + i); break;
+            case 6: values[i] = view.getInt8(offset + i); break;
+            case 3: values[i] = view.getUint16(offset + i * 2, littleEndian); break;
+            case 8: values[i] = view.getInt16(offset + i * 2, littleEndian); break;
+            case 4: values[i] = view.getUint32(offset + i * 4, littleEndian); break;
+            case 9: values[i] = view.getInt32(offset + i * 4, littleEndian); break;
+            case 5: values[i] = view.getUint32(offset + i * 8, littleEndian) / view.getUint32(offset + i * 8 + 4, littleEndian); break;
+            case 10: values[i] = view.getInt32(offset + i * 8, littleEndian) / view.getInt32(offset + i * 8 + 4, littleEndian); break;
+            case 11: values[i] = view.getFloat32(offset + i * 4, littleEndian); break;
+            case 12: values[i] = view.getFloat64(offset + i * 8, littleEndian); break;
+            case 16: values[i] = Number(view.getBigUint64(offset + i * 8, littleEndian)); break;
+            case 17: values[i] = Number(view.getBigInt64(offset + i * 8, littleEndian)); break;
+            default: throw new Error(`Unsupported TIFF field type ${type}.`);
+        }
+    }
+    return values;
+}
+
+/**
+ * Derives the ASCII-Grid-style header (ncols, nrows, xllcorner, yllcorner, dx/dy, cellsize) from GeoTIFF tags.
+ * Handles PixelIsPoint rasters by shifting the tie point half a cell to the outer corner.
+ * @param {Map<number, Array<number>|string>} tags - The image's tags (readTiffIFD).
+ * @param {number} width
+ * @param {number} height
+ * @param {object} diagnostics - Collector from createParseDiagnostics that records defaulted georeferencing.
+ * @returns {object} Header object without nodata_value.
+ */
+function readGeoTiffGeoreferencing(tags, width, height, diagnostics) {
+    let scaleX, scaleY, topLeftX, topLeftY;
+    const transformation = tags.get(TIFF_TAG.MODEL_TRANSFORMATION);
+    const pixelScale = tags.get(TIFF_TAG.MODEL_PIXEL_SCALE);
+    const tiepoint = tags.get(TIFF_TAG.MODEL_TIEPOINT);
+
+    if (pixelScale && tiepoint) {
+        // Tiepoint: (I, J, K, X, Y, Z) maps raster position (I, J) to model (X, Y).
+        scaleX = pixelScale[0];
+        scaleY = pixelScale[1];
+        topLeftX = tiepoint[3] - tiepoint[0] * scaleX;
+        topLeftY = tiepoint[4] + tiepoint[1] * scaleY;
+    } else if (transformation) {
+        if (transformation[1] !== 0 || transformation[4] !== 0) {
+            throw new Error("Rotated/sheared GeoTIFFs (ModelTransformation with rotation terms) are not supported.");
+        }
+        scaleX = transformation[0];
+        scaleY = -transformation[5];
+        topLeftX = transformation[3];
+        topLeftY = transformation[7];
+    } else {
+        diagnostics.warning('ORIGIN_DEFAULTED', "GeoTIFF has no georeferencing tags. Using defaults with a cellsize of 1. The grid will not be georeferenced.");
+        scaleX = 1;
+        scaleY = 1;
+        topLeftX = DEFAULT_XLLCORNER;
+        topLeftY = DEFAULT_YLLCORNER + height;
+    }
+
+    const geoKeys = Array.isArray(tags.get(TIFF_TAG.GEO_KEY_DIRECTORY)) ? tags.get(TIFF_TAG.GEO_KEY_DIRECTORY) : null;
+    if (geoKeys && readGeoKeyShort(geoKeys, GT_RASTER_TYPE_GEOKEY) === RASTER_PIXEL_IS_POINT) {
+        // Tie point refers to the centre of the top-left pixel; move it to the pixel's outer corner.
+        topLeftX -= scaleX / 2;
+        topLeftY += scaleY / 2;
+    }
+
+    const header = {
+        ncols: width,
+        nrows: height,
+        xllcorner: topLeftX,
+        yllcorner: topLeftY - height * scaleY,
+        dx: scaleX,
+        dy: scaleY
+    };
+    setSquareCellsize(header);
+    if (geoKeys && readGeoKeyShort(geoKeys, GT_MODEL_TYPE_GEOKEY) === MODEL_TYPE_GEOGRAPHIC) {
+        header.cellsizeUnits = 'degrees';
+    }
+    // The EPSG code of the CRS, resolved to a definition by the load worker (see coordinateSystems.getCrsForEpsg).
+    const epsg = geoKeys && (readGeoKeyShort(geoKeys, PROJECTED_CS_TYPE_GEOKEY) ?? readGeoKeyShort(geoKeys, GEOGRAPHIC_TYPE_GEOKEY));
+    if (epsg && epsg !== USER_DEFINED_GEOKEY_VALUE) {
+        header.epsg = epsg;
+    }
+    return header;
+}
+
+/**
+ * Looks up a SHORT-valued key stored inline in a GeoKeyDirectory.
+ * @returns {number|undefined}
+ */
+function readGeoKeyShort(geoKeys, keyId) {
+    const numberOfKeys = geoKeys[3];
+    for (let k = 0; k < numberOfKeys; k++) {
+        const base = 4 + k * 4;
+        if (geoKeys[base] === keyId && geoKeys[base + 1] === 0) {
+            return geoKeys[base + 3];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Returns a function (view, byteOffset, littleEndian) => number for the given TIFF sample type.
+ */
+function getTiffSampleReader(sampleFormat, bitsPerSample) {
+    const key = `${sampleFormat}:${bitsPerSample}`;
+    switch (key) {
+        case '1:8': return (v, o) => v.getUint8(o);
+        case '2:8': return (v, o) => v.getInt8(o);
+        case '1:16': return (v, o, le) => v.getUint16(o, le);
+        case '2:16': return (v, o, le) => v.getInt16(o, le);
+        case '1:32': return (v, o, le) => v.getUint32(o, le);
+        case '2:32': return (v, o, le) => v.getInt32(o, le);
+        case '3:32': return (v, o, le) => v.getFloat32(o, le);
+        case '3:64': return (v, o, le) => v.getFloat64(o, le);
+        default: throw new Error(`Unsupported GeoTIFF sample type (SampleFormat ${sampleFormat}, ${bitsPerSample} bits).`);
+    }
+}
+
+/**
+ * Reads one row of samples from a decoded block.
+ * @returns {Array<number>}
+ */
+function readTiffRowSamples(view, rowByteOffset, sampleCount, bytesPerSample, readSample, littleEndian) {
+    const samples = new Array(sampleCount);
+    const available = Math.min(sampleCount, Math.floor((view.byteLength - rowByteOffset) / bytesPerSample));
+    for (let i = 0; i < available; i++) {
+        samples[i] = readSample(view, rowByteOffset + i * bytesPerSample, littleEndian);
+    }
+    for (let i = Math.max(available, 0); i < sampleCount; i++) samples[i] = NaN; // Truncated block
+    return samples;
+}
+
+/**
+ * Reverses TIFF predictor 2 (horizontal differencing) on one row of integer samples, in place.
+ * Wraps around at the sample's bit width like the encoder did.
+ */
+function undoHorizontalPredictor(rowSamples, samplesPerPixel, sampleFormat, bitsPerSample) {
+    const range = 2 ** bitsPerSample;
+    const isSigned = sampleFormat === 2;
+    for (let i = samplesPerPixel; i < rowSamples.length; i++) {
+        let value = (rowSamples[i] + rowSamples[i - samplesPerPixel]) % range;
+        if (value < 0) value += range;
+        if (isSigned && value >= range / 2) value -= range;
+        rowSamples[i] = value;
+    }
+}
+
+/**
+ * Reverses TIFF predictor 3 (floating point) on one row of bytes, in place.
+ * The output bytes are in little-endian order.
+ */
+function undoFloatingPointPredictor(rowBytes, samplesPerPixel, bytesPerSample) {
+    for (let i = samplesPerPixel; i < rowBytes.length; i++) {
+        rowBytes[i] = (rowBytes[i] + rowBytes[i - samplesPerPixel]) & 0xFF;
+    }
+    const wordCount = rowBytes.length / bytesPerSample;
+    const shuffled = rowBytes.slice();
+    for (let i = 0; i < wordCount; i++) {
+        for (let b = 0; b < bytesPerSample; b++) {
+            rowBytes[bytesPerSample * i + b] = shuffled[(bytesPerSample - b - 1) * wordCount + i];
+        }
+    }
+}
+
+/**
+ * Decompresses one TIFF strip/tile.
+ * @param {Uint8Array} bytes - Compressed block bytes.
+ * @param {number} compression - TIFF Compression tag value.
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompressTiffBlock(bytes, compression) {
+    switch (compression) {
+        case 1: return bytes.slice();
+        case 5: return decodeLZW(bytes);
+        case 8:
+        case 32946: return inflateZlib(bytes);
+        case 32773: return decodePackBits(bytes);
+        default: throw new Error(`Unsupported GeoTIFF compression: ${compression}.`);
+    }
+}
+
+/**
+ * Inflates zlib-wrapped Deflate data using the browser's DecompressionStream.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateZlib(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decodes TIFF-flavoured LZW (MSB-first codes, "early change" code width increase).
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+function decodeLZW(input) {
+    const CLEAR_CODE = 256;
+    const EOI_CODE = 257;
+    const MAX_CODES = 4096;
+    const prefixes = new Int32Array(MAX_CODES);
+    const suffixes = new Uint8Array(MAX_CODES);
+    const lengths = new Int32Array(MAX_CODES);
+    for (let i = 0; i < 256; i++) {
+        prefixes[i] = -1;
+        suffixes[i] = i;
+        lengths[i] = 1;
+    }
+
+    let output = new Uint8Array(Math.max(input.length * 3, 1024));
+    let outLength = 0;
+    const writeCode = (code) => {
+        const length = lengths[code];
+        if (outLength + length > output.length) {
+            const grown = new Uint8Array(Math.max(output.length * 2, outLength + length));
+            grown.set(output);
+            output = grown;
+        }
+        for (let i = length - 1, c = code; i >= 0; i--, c = prefixes[c]) {
+            output[outLength + i] = suffixes[c];
+        }
+        outLength += length;
+    };
+    const firstByteOf = (code) => {
+        let c = code;
+        while (prefixes[c] !== -1) c = prefixes[c];
+        return suffixes[c];
+    };
+
+    const totalBits = input.length * 8;
+    let bitPosition = 0;
+    let codeWidth = 9;
+    let nextCode = 258;
+    let previousCode = -1;
+
+    while (bitPosition + codeWidth <= totalBits) {
+        const byteIndex = bitPosition >>> 3;
+        const window24 = (input[byteIndex] << 16) | ((input[byteIndex + 1] ?? 0) << 8) | (input[byteIndex + 2] ?? 0);
+        const code = (window24 >>> (24 - (bitPosition & 7) - codeWidth)) & ((1 << codeWidth) - 1);
+        bitPosition += codeWidth;
+
+        if (code === EOI_CODE) break;
+        if (code === CLEAR_CODE) {
+            codeWidth = 9;
+            nextCode = 258;
+            previousCode = -1;
+            continue;
+        }
+        if (previousCode === -1) {
+            if (code > 255) throw new Error("Corrupt LZW stream (first code after clear is not a literal).");
+            writeCode(code);
+            previousCode = code;
+            continue;
+        }
+        // A code equal to nextCode (the "KwKwK" case) is defined by this very step.
+        const isNewCode = code === nextCode;
+        if (code > nextCode) throw new Error("Corrupt LZW stream (code out of range).");
+        const appendedByte = firstByteOf(isNewCode ? previousCode : code);
+        if (nextCode < MAX_CODES) {
+            prefixes[nextCode] = previousCode;
+            suffixes[nextCode] = appendedByte;
+            lengths[nextCode] = lengths[previousCode] + 1;
+            nextCode++;
+        }
+        writeCode(code);
+        previousCode = code;
+        if (nextCode + 1 >= (1 << codeWidth) && codeWidth < 12) codeWidth++;
+    }
+    return output.subarray(0, outLength);
+}
+
+/**
+ * Decodes PackBits run-length encoded data.
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+function decodePackBits(input) {
+    const chunks = [];
+    let total = 0;
+    let i = 0;
+    while (i < input.length) {
+        const header = (input[i++] << 24) >> 24; // Reinterpret as signed byte
+        if (header >= 0) {
+            const literal = input.subarray(i, i + header + 1);
+            chunks.push(literal);
+            total += literal.length;
+            i += header + 1;
+        } else if (header !== -128) {
+            const run = new Uint8Array(1 - header).fill(input[i++]);
+            chunks.push(run);
+            total += run.length;
+        }
+    }
+    const output = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+// --- ESRI Binary Grid Support (.flt/.hdr and .bil/.hdr) ---
+
+/**
+ * Parses an ESRI binary raster: a Float grid (.flt) or a BIL/BIP/BSQ image (.bil), each described by a .hdr sidecar.
+ * Pixel values are read straight from the binary buffer, avoiding the huge intermediate strings of the ASCII path.
+ * Byte order and (for .bil) pixel type, bit depth, band layout and row padding are taken from the header.
+ * Only band 1 is used as elevation.
+ * @param {string} headerText - The text content of the .hdr sidecar.
+ * @param {ArrayBuffer} arrayBuffer - The raw bytes of the .flt/.bil file.
+ * @param {'flt'|'bil'} format - Which binary flavour the data file is.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics; pass one in to keep the failure reason when null is returned.
+ * @returns {object|null} An object containing {header, grid, minElev, maxElev, diagnostics} or null if parsing fails.
+ */
+export function parseESRIBinaryGrid(headerText, arrayBuffer, format, fileNameForLogging = "Unknown File", diagnostics = createParseDiagnostics(fileNameForLogging)) {
+    try {
+        console.log(`[${fileNameForLogging}] Starting ESRI binary grid (${format}) parsing.`);
+        const rawHeader = parseKeyValueHeader(headerText);
+        const ncols = Math.floor(rawHeader.ncols);
+        const nrows = Math.floor(rawHeader.nrows);
+        if (!(ncols > 0) || !(nrows > 0)) {
+            throw new Error(`Missing or invalid 'ncols'/'nrows' in .hdr. Values found: '${rawHeader.ncols}', '${rawHeader.nrows}'.`);
+        }
+
+        const header = { ncols, nrows };
+        let littleEndian;
+        let sampleFormat;
+        let bitsPerSample;
+        let bandCount = 1;
+        let layout = 'BIL';
+        let skipBytes = 0;
+
+        if (format === 'flt') {
+            // ESRI Float grid: always 32-bit float, ESRI keywords for georeferencing.
+            for (const key of ["xllcorner", "yllcorner", "xllcenter", "yllcenter", "cellsize", "dx", "dy"]) {
+                if (key in rawHeader) header[key] = rawHeader[key];
             }
-            elevationData.push(rowToAdd);
-
-            // Calculate min/max elevation for the dataset, excluding NODATA values
-            for (const val of rowToAdd) {
-                if (val !== nodata_value && !isNaN(val)) {
-                    if (val < minElev) minElev = val;
-                    if (val > maxElev) maxElev = val;
-                    validDataPoints++;
+            header.nodata_value = rawHeader.nodata_value ?? rawHeader.nodata;
+            littleEndian = String(rawHeader.byteorder ?? 'LSBFIRST').toUpperCase() !== 'MSBFIRST';
+            sampleFormat = 3;
+            bitsPerSample = 32;
+        } else {
+            // BIL header: ULXMAP/ULYMAP are the centre of the upper-left pixel, XDIM/YDIM the cell size.
+            const xdim = rawHeader.xdim ?? rawHeader.cellsize ?? 1;
+            const ydim = rawHeader.ydim ?? rawHeader.cellsize ?? 1;
+            header.dx = xdim;
+            header.dy = ydim;
+            if (isValidNumber(rawHeader.ulxmap) && isValidNumber(rawHeader.ulymap)) {
+                header.xllcenter = rawHeader.ulxmap;
+                header.yllcenter = rawHeader.ulymap - (nrows - 1) * ydim;
+            } else {
+                if (isValidNumber(rawHeader.ulxmap) || isValidNumber(rawHeader.ulymap)) {
+                    const missingKey = isValidNumber(rawHeader.ulxmap) ? 'ULYMAP' : 'ULXMAP';
+                    diagnostics.warning('ORIGIN_INCOMPLETE', `Missing or invalid '${missingKey}'. Ignoring ULXMAP/ULYMAP and using the 'xll*'/'yll*' keys instead.`);
+                }
+                for (const key of ["xllcorner", "yllcorner", "xllcenter", "yllcenter"]) {
+                    if (key in rawHeader) header[key] = rawHeader[key];
                 }
             }
+            header.nodata_value = rawHeader.nodata ?? rawHeader.nodata_value;
+            const byteOrder = String(rawHeader.byteorder ?? 'I').toUpperCase();
+            littleEndian = byteOrder === 'I' || byteOrder === 'LSBFIRST';
+            bitsPerSample = rawHeader.nbits ?? 8;
+            const pixelType = String(rawHeader.pixeltype ?? '').toUpperCase();
+            if (pixelType.startsWith('FLOAT')) sampleFormat = 3;
+            else if (pixelType.startsWith('UNSIGNED')) sampleFormat = 1;
+            else if (pixelType.startsWith('SIGNED')) sampleFormat = 2;
+            else sampleFormat = bitsPerSample === 8 ? 1 : 2; // Without PIXELTYPE, 16/32-bit elevation BILs (e.g. SRTM) are signed
+            bandCount = Math.max(1, Math.floor(rawHeader.nbands ?? 1));
+            layout = String(rawHeader.layout ?? 'BIL').toUpperCase();
+            skipBytes = rawHeader.skipbytes ?? 0;
+        }
+
+        normalizeGridHeader(header, diagnostics);
+        const nodata_value = header.nodata_value;
+        const bytesPerSample = bitsPerSample / 8;
+        const readSample = getTiffSampleReader(sampleFormat, bitsPerSample);
+
+        // Byte offset of band 1's pixel (row, col) for each interleaving scheme.
+        const bandRowBytes = format === 'bil' ? (rawHeader.bandrowbytes ?? ncols * bytesPerSample) : ncols * bytesPerSample;
+        const totalRowBytes = format === 'bil' ? (rawHeader.totalrowbytes ?? bandRowBytes * bandCount) : bandRowBytes;
+        let rowOffset;
+        let pixelStride;
+        if (layout === 'BIP') {
+            rowOffset = (row) => skipBytes + row * ncols * bandCount * bytesPerSample;
+            pixelStride = bandCount * bytesPerSample;
+        } else if (layout === 'BSQ') {
+            rowOffset = (row) => skipBytes + row * bandRowBytes;
+            pixelStride = bytesPerSample;
+        } else {
+            rowOffset = (row) => skipBytes + row * totalRowBytes;
+            pixelStride = bytesPerSample;
+        }
+        if (bandCount > 1) {
+            diagnostics.info('EXTRA_BANDS', `${layout} file has ${bandCount} bands. Only band 1 is used as elevation.`);
+        }
+
+        const view = new DataView(arrayBuffer);
+        const expectedBytes = rowOffset(nrows - 1) + (ncols - 1) * pixelStride + bytesPerSample;
+        if (expectedBytes > view.byteLength) {
+            diagnostics.error('FILE_TRUNCATED', `File has ${view.byteLength} bytes, header implies ${expectedBytes}. Missing cells are set to NODATA.`);
+        }
+
+        const grid = createElevationGrid(ncols, nrows);
+        for (let r = 0; r < nrows; r++) {
+            const row = getGridRow(grid, r);
+            const base = rowOffset(r);
+            for (let c = 0; c < ncols; c++) {
+                const byteOffset = base + c * pixelStride;
+                if (byteOffset + bytesPerSample > view.byteLength) break; // Missing bytes stay NODATA
+                row[c] = toElevation(readSample(view, byteOffset, littleEndian), nodata_value);
+            }
+        }
+
+        const parsedDem = buildParsedDem(header, grid, fileNameForLogging);
+        parsedDem.diagnostics = diagnostics.entries;
+        return parsedDem;
+    } catch (error) {
+        diagnostics.error('PARSE_FAILED', error.message);
+        return null;
+    } finally {
+        diagnostics.finish();
+    }
+}
+
+/**
+ * Parses a whitespace-separated "KEY value" header (ESRI .hdr) into an object with lowercase keys.
+ * Numeric values are converted to numbers; others are kept as strings.
+ * @param {string} headerText
+ * @returns {object}
+ */
+function parseKeyValueHeader(headerText) {
+    const result = {};
+    for (const rawLine of headerText.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        const parts = line.split(/\s+/);
+        if (parts.length < 2) continue;
+        const numericValue = Number(parts[1]);
+        result[parts[0].toLowerCase()] = isNaN(numericValue) ? parts[1] : numericValue;
+    }
+    return result;
+}
+
+// --- SRTM .hgt Support ---
+
+/**
+ * Parses an SRTM1/SRTM3 .hgt tile. These files have no header: the tile's south-west corner comes from the
+ * filename (e.g. N46E007.hgt) and the grid size from the sample count (1201x1201 or 3601x3601 big-endian int16).
+ * The filename coordinate is the centre of the lower-left sample, and adjacent tiles share their edge rows/columns.
+ * The returned header is flagged with cellsizeUnits = 'degrees' and epsg = 4326 (SRTM is referenced to WGS84).
+ * @param {ArrayBuffer} arrayBuffer - The raw bytes of the .hgt file.
+ * @param {string} fileName - The tile's file name, from which its position is derived.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics; pass one in to keep the failure reason when null is returned.
+ * @returns {object|null} An object containing {header, grid, minElev, maxElev} or null if parsing fails.
+ */
+export function parseSRTMHgt(arrayBuffer, fileName = "Unknown File", diagnostics = createParseDiagnostics(fileName)) {
+    try {
+        console.log(`[${fileName}] Starting SRTM .hgt parsing.`);
+        const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName.slice(fileName.lastIndexOf('/') + 1)); // Not the folders of a zip member's path
+        if (!match) {
+            throw new Error("Cannot derive tile position: file name must contain a tile id like N46E007.");
+        }
+        const latitude = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+        const longitude = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+        const sampleCount = arrayBuffer.byteLength / 2;
+        const samplesPerSide = Math.round(Math.sqrt(sampleCount));
+        if (!Number.isInteger(sampleCount) || samplesPerSide * samplesPerSide !== sampleCount || samplesPerSide < 2) {
+            throw new Error(`File size ${arrayBuffer.byteLength} bytes is not a square grid of int16 samples.`);
+        }
+        if (samplesPerSide !== 1201 && samplesPerSide !== 3601) {
+            diagnostics.warning('UNUSUAL_TILE_SIZE', `Unusual SRTM tile size ${samplesPerSide}x${samplesPerSide} (expected 1201 or 3601); the cell size is derived from it.`);
+        }
+
+        const cellsizeDegrees = 1 / (samplesPerSide - 1);
+        const header = {
+            ncols: samplesPerSide,
+            nrows: samplesPerSide,
+            xllcenter: longitude,
+            yllcenter: latitude,
+            cellsize: cellsizeDegrees,
+            nodata_value: SRTM_VOID_VALUE
+        };
+        normalizeGridHeader(header, diagnostics);
+        header.cellsizeUnits = 'degrees';
+        header.epsg = 4326;
+
+        const view = new DataView(arrayBuffer);
+        const grid = createElevationGrid(samplesPerSide, samplesPerSide);
+        for (let r = 0; r < samplesPerSide; r++) {
+            const row = getGridRow(grid, r);
+            const rowOffset = r * samplesPerSide * 2;
+            for (let c = 0; c < samplesPerSide; c++) {
+                row[c] = toElevation(view.getInt16(rowOffset + c * 2, false), SRTM_VOID_VALUE);
+            }
         }
-        
-        // Handle cases with no valid data points or if all data is NODATA
-        if (validDataPoints === 0) { 
-            minElev = 0; // Default min/max if no valid data
-            maxElev = 0; 
-            console.warn(`[${fileNameForLogging}] No valid data points found in the DEM (all NODATA or empty).`);
-        }
-        // Ensure minElev and maxElev are not Infinity if all data was NODATA but NODATA itself is not Infinity
-        if (minElev === Infinity) minElev = nodata_value !== -Infinity ? nodata_value : 0;
-        if (maxElev === -Infinity) maxElev = nodata_value !== Infinity ? nodata_value : 0;
-        
-        console.log(`[${fileNameForLogging}] Successfully parsed. Header:`, JSON.stringify(header), `MinElev: ${minElev}, MaxElev: ${maxElev}`);
-        return { header, data: elevationData, minElev, maxElev };
 
-    } catch (error) { 
-        console.error(`ASCII Grid Parse Error (${fileNameForLogging}):`, error); 
-        // Optionally, re-throw or notify UI manager: UIManager.setStatusMessage(`Parse Error...`, true);
-        return null; // Return null to indicate failure
+        return buildParsedDem(header, grid, fileName);
+    } catch (error) {
+        diagnostics.error('PARSE_FAILED', error.message);
+        return null;
+    } finally {
+        diagnostics.finish();
     }
 }
 
-// Future: Add parseGeoTIFF function here
-// export async function parseGeoTIFF(fileObject, fileNameForLogging) { /* ... */ }
+/**
+ * Checks that a header value was parsed into a usable number.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidNumber(value) {
+    return typeof value === 'number' && !isNaN(value);
+}
+
+/**
+ * Sets `cellsize` on a header that has dx/dy: equal to dx for square cells, removed otherwise
+ * so that no consumer silently treats non-square cells as square.
+ * @param {object} header - Header with numeric dx and dy.
+ */
+function setSquareCellsize(header) {
+    if (Math.abs(header.dx - header.dy) <= 1e-9 * Math.max(Math.abs(header.dx), 1)) {
+        header.cellsize = header.dx;
+    } else {
+        delete header.cellsize;
+    }
+}
+
+/**
+ * Converts a raw sample to a stored elevation: NODATA and non-finite samples become NaN.
+ * Float32 samples are also matched against the float32 rounding of the NODATA value.
+ * @param {number} value - The sample as read from the file.
+ * @param {number} [nodata_value] - The file's NODATA value; without one only non-finite samples are NODATA.
+ * @returns {number}
+ */
+function toElevation(value, nodata_value) {
+    if (!Number.isFinite(value)) return NaN;
+    if (nodata_value !== undefined && (value === nodata_value || value === Math.fround(nodata_value))) return NaN;
+    return value;
+}
+
+/**
+ * Assembles the standard parsed-DEM object, computing min/max elevation while ignoring NODATA.
+ * @param {object} header - Header with at least ncols, nrows, xllcorner, yllcorner, dx, dy (and nodata_value if the file has one).
+ * @param {object} grid - Elevation grid from elevationGrid.js (NODATA cells are NaN), row 0 being the northernmost row.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @returns {{header: object, grid: object, minElev: number, maxElev: number}}
+ */
+export function buildParsedDem(header, grid, fileNameForLogging) {
+    const { minElev, maxElev, validCount } = computeElevationRange(grid);
+    if (validCount === 0) {
+        console.warn(`[${fileNameForLogging}] No valid data points found in the DEM (all NODATA or empty).`);
+    }
+    console.log(`[${fileNameForLogging}] Successfully parsed. Header:`, JSON.stringify(header), `MinElev: ${minElev}, MaxElev: ${maxElev}`);
+    return { header, grid, minElev, maxElev };
+}
@@ -1,33 +1,69 @@
 // js/demProcessor.js
-import { MAX_POINTS_PER_CHUNK } from './constants.js';
+import { MAX_POINTS_PER_CHUNK, LOD_MAX_LEVELS, LOD_MIN_SAMPLES, LOD_SKIRT_DEPTH_FRACTION } from './constants.js';
+import { getCellSize, isGeographicHeader } from './utils.js';
+import { createElevationGrid, createSubgrid, getElevation, getGridRow } from './elevationGrid.js';
+import { createCrsTransform } from './coordinateSystems.js';
+import { buildParsedDem } from './demParser.js';
+import { sampleGrid, resampleGridVertices } from './demResampler.js';
 /**
- * @file Contains logic for processing parsed DEM data, primarily for splitting large DEMs into smaller chunks.
+ * @file Contains logic for processing parsed DEM data: splitting large DEMs into smaller chunks,
+ * reprojecting DEMs into the scene's CRS, merging and clipping DEMs and building mesh buffers
+ * (full resolution and the coarser levels of detail shown for distant terrain).
  */
 
+// During reprojection, target cell positions are transformed exactly every this many columns and interpolated
+// linearly in between; over so few cells the error is far below a cell's size.
+const REPROJECTION_CONTROL_STEP = 16;
+// Margins of a DEM that is not split: no neighbouring samples around it.
+const NO_NEIGHBOUR_MARGINS = Object.freeze({ top: 0, bottom: 0, left: 0, right: 0 });
+// Number of points per edge used to find a reprojected DEM's extent.
+const REPROJECTION_OUTLINE_SAMPLES = 64;
+// A reprojection that would produce this many times more cells than the source is refused: it means the CRSs
+// do not fit the data (e.g. a tile placed on the far side of a UTM zone).
+const MAX_REPROJECTION_GROWTH = 4;
+// Largest merged grid mosaicDEMs will build (cells); far-apart DEMs would otherwise produce a huge, mostly empty grid.
+const MAX_MOSAIC_CELLS = 50_000_000;
+// Fractional source positions this close to a whole cell are snapped to it, so DEMs on the mosaic's lattice are
+// copied exactly instead of being interpolated with rounding noise.
+const MOSAIC_ALIGNMENT_TOLERANCE = 1e-6;
+
+/**
+ * Ways of resolving cells covered by more than one DEM in mosaicDEMs: keep the first or last DEM's value
+ * (in the given order), or the mean, minimum or maximum of all of them.
+ */
+export const MOSAIC_OVERLAP_POLICIES = ['first', 'last', 'mean', 'min', 'max'];
+
 /**
  * Processes parsed DEM data. If the DEM is too large (exceeds MAX_POINTS_PER_CHUNK),
  * it splits the DEM into smaller, more manageable rectangular chunks.
- * Each chunk gets its own derived header (ncols, nrows, xllcorner, yllcorner) and elevation data.
+ * Each chunk gets its own derived header (ncols, nrows, xllcorner, yllcorner) and a subgrid view
+ * on the original elevation grid, so splitting copies no elevations.
+ * Neighbouring chunks share their boundary row/column of samples, so their meshes meet without a gap, and every
+ * chunk keeps the DEM's full elevation range so shading and NODATA filling match across chunks. Each chunk also
+ * records which sides have a neighbouring sample row/column (`neighbourMargins`), letting buildTerrainGeometryBuffers
+ * compute edge normals from the full-resolution neighbourhood: a split DEM renders like an unsplit one.
  * @param {object} fullParsedData - The full parsed DEM data object from demParser.js 
- * ({ header, data, minElev, maxElev }).
+ * ({ header, grid, minElev, maxElev }).
  * @param {string} originalFileName - The original name of the file, used for naming chunks.
  * @returns {Array<object>} An array of objects. Each object represents a DEM (or chunk)
- * and contains {name: string, parsedData: object with {header, data, minElev, maxElev}}.
+ * and contains {name: string, parsedData: object with {header, grid, minElev, maxElev},
+ * neighbourMargins: {top, bottom, left, right}} (margins are 0 or 1; all 0 when the DEM is not split).
  * Returns an array with the original data if not split, or an empty array on error.
  */
 export function processAndChunkDEM(fullParsedData, originalFileName) {
-    if (!fullParsedData || !fullParsedData.header || !fullParsedData.data) {
+    if (!fullParsedData || !fullParsedData.header || !fullParsedData.grid) {
         console.error(`[${originalFileName}] Invalid data provided to processAndChunkDEM.`);
         return []; // Return empty array if input is invalid
     }
 
-    const { header: originalHeader, data: originalElevationData } = fullParsedData;
+    const { header: originalHeader, grid: originalGrid } = fullParsedData;
+    const cellSize = getCellSize(originalHeader);
     const totalPoints = originalHeader.ncols * originalHeader.nrows;
 
     // If DEM is within size limits, return it as a single "chunk" (the original data)
     if (totalPoints <= MAX_POINTS_PER_CHUNK) {
         console.log(`[${originalFileName}] DEM is within size limit (${totalPoints} points). Not splitting.`);
-        return [{ name: originalFileName, parsedData: fullParsedData }];
+        return [{ name: originalFileName, parsedData: fullParsedData, neighbourMargins: NO_NEIGHBOUR_MARGINS }];
     }
 
     console.log(`[${originalFileName}] DEM is too large (${totalPoints} points). Attempting to split...`);
@@ -40,8 +76,9 @@ export function processAndChunkDEM(fullParsedData, originalFileName) {
     // Determine how many chunks are needed in X and Y directions to meet MAX_POINTS_PER_CHUNK
     // This loop tries to find a good balance for chunk dimensions.
     while (true) {
-        const currentChunkCols = Math.ceil(originalHeader.ncols / numChunksX);
-        const currentChunkRows = Math.ceil(originalHeader.nrows / numChunksY);
+        // Split chunks carry one extra (shared) row/column towards their neighbours.
+        const currentChunkCols = Math.ceil(originalHeader.ncols / numChunksX) + (numChunksX > 1 ? 1 : 0);
+        const currentChunkRows = Math.ceil(originalHeader.nrows / numChunksY) + (numChunksY > 1 ? 1 : 0);
         if (currentChunkCols * currentChunkRows <= MAX_POINTS_PER_CHUNK) {
             break; // Current chunk dimensions are acceptable
         }
@@ -56,7 +93,7 @@ export function processAndChunkDEM(fullParsedData, originalFileName) {
         // which shouldn't happen with a reasonable MAX_POINTS_PER_CHUNK.
         if (numChunksX > originalHeader.ncols && numChunksY > originalHeader.nrows) { 
             console.error(`[${originalFileName}] Cannot split DEM further to meet point limit. This might indicate an issue with MAX_POINTS_PER_CHUNK or very small DEM dimensions.`);
-            return [{ name: originalFileName, parsedData: fullParsedData }]; // Fallback to original if splitting fails catastrophically
+            return [{ name: originalFileName, parsedData: fullParsedData, neighbourMargins: NO_NEIGHBOUR_MARGINS }]; // Fallback to original if splitting fails catastrophically
         }
     }
     console.log(`[${originalFileName}] Will be split into ${numChunksX}x${numChunksY} chunks.`);
@@ -68,13 +105,14 @@ export function processAndChunkDEM(fullParsedData, originalFileName) {
             const chunkName = `${originalFileName}_part${cy}_${cx}`; // e.g., mydem.asc_part0_0
             
             // Calculate row and column boundaries for the current chunk within the original DEM data
-            // Math.floor is used to ensure integer indices.
+            // Math.floor is used to ensure integer indices. All but the last chunk in each direction extend
+            // one sample into the next chunk, so adjacent meshes share their edge vertices.
             const startRowOrig = Math.floor(cy * originalHeader.nrows / numChunksY);
-            const endRowOrig = Math.floor((cy + 1) * originalHeader.nrows / numChunksY);
+            const endRowOrig = Math.min(Math.floor((cy + 1) * originalHeader.nrows / numChunksY) + 1, originalHeader.nrows);
             const chunkNRows = endRowOrig - startRowOrig;
 
             const startColOrig = Math.floor(cx * originalHeader.ncols / numChunksX);
-            const endColOrig = Math.floor((cx + 1) * originalHeader.ncols / numChunksX);
+            const endColOrig = Math.min(Math.floor((cx + 1) * originalHeader.ncols / numChunksX) + 1, originalHeader.ncols);
             const chunkNCols = endColOrig - startColOrig;
 
             // Skip if chunk dimensions are invalid (e.g., due to rounding on the last chunk if dimensions aren't perfectly divisible)
@@ -87,70 +125,572 @@ export function processAndChunkDEM(fullParsedData, originalFileName) {
             const chunkHeader = { ...originalHeader }; // Start by copying the original header
             chunkHeader.ncols = chunkNCols;
             chunkHeader.nrows = chunkNRows;
-            // Calculate xllcorner for the chunk based on its column position and original cellsize
-            chunkHeader.xllcorner = originalHeader.xllcorner + (startColOrig * originalHeader.cellsize);
+            // Calculate xllcorner for the chunk based on its column position and original cell width
+            chunkHeader.xllcorner = originalHeader.xllcorner + (startColOrig * cellSize.dx);
             // Calculate yllcorner for the chunk based on its row position (standard interpretation)
             // This assumes yllcorner is the bottom-left and rows are ordered top-to-bottom in the file.
-            chunkHeader.yllcorner = originalHeader.yllcorner + ((originalHeader.nrows - endRowOrig) * originalHeader.cellsize); 
+            chunkHeader.yllcorner = originalHeader.yllcorner + ((originalHeader.nrows - endRowOrig) * cellSize.dy); 
             
             console.log(`[${chunkName}] Chunk Header: ncols=${chunkNCols}, nrows=${chunkNRows}, xll=${chunkHeader.xllcorner.toFixed(2)}, yll=${chunkHeader.yllcorner.toFixed(2)}`);
 
-            const chunkElevationData = []; // To store elevation data for this specific chunk
-            let chunkMinElev = Infinity;
-            let chunkMaxElev = -Infinity;
-            let chunkValidPoints = 0;
-
-            // Extract elevation data for the current chunk from the original full dataset
-            for (let r = 0; r < chunkNRows; r++) {
-                const originalRowIndex = startRowOrig + r; // Get the corresponding row index in the original data
-                // Safety check, though floor logic above should prevent out-of-bounds
-                if (originalRowIndex < 0 || originalRowIndex >= originalHeader.nrows) {
-                    console.warn(`[${chunkName}] Original row index ${originalRowIndex} out of bounds during chunk data extraction.`);
-                    continue; 
-                }
-                
-                const originalRowData = originalElevationData[originalRowIndex];
-                if (!originalRowData) {
-                     console.warn(`[${chunkName}] Missing original row data at index ${originalRowIndex}.`);
-                     chunkElevationData.push(new Array(chunkNCols).fill(chunkHeader.nodata_value));
-                     continue;
-                }
-                // Extract the relevant columns for this chunk from the original row
-                const newRow = originalRowData.slice(startColOrig, endColOrig); 
-                chunkElevationData.push(newRow);
-
-                // Calculate min/max elevation specifically for this chunk's data, respecting NODATA
-                for (const val of newRow) {
-                    if (val !== chunkHeader.nodata_value && !isNaN(val)) {
-                        if (val < chunkMinElev) chunkMinElev = val;
-                        if (val > chunkMaxElev) chunkMaxElev = val;
-                        chunkValidPoints++;
-                    }
-                }
-            }
-            
-            // Handle cases where the chunk might be all NODATA or have no valid points
-            if (chunkValidPoints === 0) { 
-                chunkMinElev = 0; // Default min/max if no valid data in chunk
-                chunkMaxElev = 0; 
-                console.warn(`[${chunkName}] No valid data points found in this chunk.`);
-            }
-            // Ensure minElev and maxElev are not Infinity if all data was NODATA
-            if (chunkMinElev === Infinity) chunkMinElev = chunkHeader.nodata_value !== -Infinity ? chunkHeader.nodata_value : 0;
-            if (chunkMaxElev === -Infinity) chunkMaxElev = chunkHeader.nodata_value !== Infinity ? chunkHeader.nodata_value : 0;
+            // The chunk's elevations are a view on the original grid. It keeps the full DEM's elevation range,
+            // which the colour ramps and the NODATA fill of the mesh are based on.
+            const chunkGrid = createSubgrid(originalGrid, startRowOrig, startColOrig, chunkNRows, chunkNCols);
 
             // Add the processed chunk data to the results array
             resultsArray.push({ 
                 name: chunkName, 
                 parsedData: { 
                     header: chunkHeader, 
-                    data: chunkElevationData, 
-                    minElev: chunkMinElev, 
-                    maxElev: chunkMaxElev 
-                } 
+                    grid: chunkGrid, 
+                    minElev: fullParsedData.minElev, 
+                    maxElev: fullParsedData.maxElev 
+                },
+                neighbourMargins: {
+                    top: startRowOrig > 0 ? 1 : 0,
+                    bottom: endRowOrig < originalHeader.nrows ? 1 : 0,
+                    left: startColOrig > 0 ? 1 : 0,
+                    right: endColOrig < originalHeader.ncols ? 1 : 0
+                }
             });
-            console.log(`[${originalFileName}] Created chunk: ${chunkName} (${chunkNCols}x${chunkNRows}), MinElev: ${chunkMinElev.toFixed(2)}, MaxElev: ${chunkMaxElev.toFixed(2)}`);
+            console.log(`[${originalFileName}] Created chunk: ${chunkName} (${chunkNCols}x${chunkNRows})`);
         }
     }
     return resultsArray;
 }
+
+/**
+ * Resamples a DEM from its CRS onto a north-up grid in another CRS, so it can be placed in a scene that uses that CRS.
+ * The new grid covers the DEM's transformed extent with the source's resolution (measured at the DEM's centre).
+ * Elevations are interpolated bilinearly; cells next to NODATA take the nearest source cell, and cells outside
+ * the source stay NODATA.
+ * @param {object} parsedData - The object containing {header, grid, minElev, maxElev}, in `sourceCrs`.
+ * @param {object} sourceCrs - The DEM's CRS (see coordinateSystems.js).
+ * @param {object} targetCrs - The CRS to resample into.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @param {function(number): void} [onProgress] - Called with the fraction of target rows done.
+ * @returns {{header: object, grid: object, minElev: number, maxElev: number}} The DEM in `targetCrs`.
+ * @throws {Error} If the DEM's extent cannot be transformed into the target CRS.
+ */
+export function reprojectDEM(parsedData, sourceCrs, targetCrs, fileNameForLogging, onProgress = () => {}) {
+    const { header: sourceHeader, grid: sourceGrid } = parsedData;
+    const { dx: sourceDx, dy: sourceDy } = getCellSize(sourceHeader);
+    const sourceWidth = sourceHeader.ncols * sourceDx;
+    const sourceHeight = sourceHeader.nrows * sourceDy;
+    const sourceTop = sourceHeader.yllcorner + sourceHeight;
+    const toTarget = createCrsTransform(sourceCrs, targetCrs);
+    const toSource = createCrsTransform(targetCrs, sourceCrs);
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i <= REPROJECTION_OUTLINE_SAMPLES; i++) {
+        const t = i / REPROJECTION_OUTLINE_SAMPLES;
+        for (const [u, v] of [[t, 0], [t, 1], [0, t], [1, t]]) {
+            const point = toTarget(sourceHeader.xllcorner + u * sourceWidth, sourceHeader.yllcorner + v * sourceHeight);
+            if (!Number.isFinite(point.x) || !Number.isFinite(point.y)) continue;
+            minX = Math.min(minX, point.x);
+            maxX = Math.max(maxX, point.x);
+            minY = Math.min(minY, point.y);
+            maxY = Math.max(maxY, point.y);
+        }
+    }
+    if (!Number.isFinite(minX)) {
+        throw new Error(`The DEM's extent cannot be transformed from ${sourceCrs.name} to ${targetCrs.name}.`);
+    }
+
+    // Keep the source resolution: the length, in target units, of one source cell step at the DEM's centre.
+    const centreX = sourceHeader.xllcorner + sourceWidth / 2;
+    const centreY = sourceHeader.yllcorner + sourceHeight / 2;
+    const centre = toTarget(centreX, centreY);
+    const east = toTarget(centreX + sourceDx, centreY);
+    const north = toTarget(centreX, centreY + sourceDy);
+    const dx = Math.hypot(east.x - centre.x, east.y - centre.y);
+    const dy = Math.hypot(north.x - centre.x, north.y - centre.y);
+    const ncols = Math.max(1, Math.ceil((maxX - minX) / dx));
+    const nrows = Math.max(1, Math.ceil((maxY - minY) / dy));
+    if (!(ncols * nrows <= MAX_REPROJECTION_GROWTH * sourceHeader.ncols * sourceHeader.nrows)) {
+        throw new Error(`Reprojecting from ${sourceCrs.name} to ${targetCrs.name} would need a ${ncols}x${nrows} grid; check the DEM's CRS.`);
+    }
+    console.log(`[${fileNameForLogging}] Reprojecting ${sourceHeader.ncols}x${sourceHeader.nrows} grid from ${sourceCrs.name} to a ${ncols}x${nrows} grid in ${targetCrs.name}.`);
+
+    const header = { ncols, nrows, xllcorner: minX, yllcorner: minY, dx, dy, nodata_value: sourceHeader.nodata_value };
+    if (Math.abs(dx - dy) <= 1e-9 * Math.max(dx, 1)) header.cellsize = dx;
+    if (targetCrs.type === 'geographic') header.cellsizeUnits = 'degrees';
+
+    const grid = createElevationGrid(ncols, nrows);
+    const controlCols = [];
+    for (let col = 0; col < ncols - 1; col += REPROJECTION_CONTROL_STEP) controlCols.push(col);
+    controlCols.push(ncols - 1);
+    // Fractional source column/row (0 = centre of the first cell) of every target cell in the current row.
+    const sourceCols = new Float64Array(ncols);
+    const sourceRows = new Float64Array(ncols);
+    for (let row = 0; row < nrows; row++) {
+        const y = minY + (nrows - row - 0.5) * dy;
+        let previousCol = -1;
+        for (const col of controlCols) {
+            const point = toSource(minX + (col + 0.5) * dx, y);
+            sourceCols[col] = (point.x - sourceHeader.xllcorner) / sourceDx - 0.5;
+            sourceRows[col] = (sourceTop - point.y) / sourceDy - 0.5;
+            for (let between = previousCol + 1; previousCol >= 0 && between < col; between++) {
+                const t = (between - previousCol) / (col - previousCol);
+                sourceCols[between] = sourceCols[previousCol] + t * (sourceCols[col] - sourceCols[previousCol]);
+                sourceRows[between] = sourceRows[previousCol] + t * (sourceRows[col] - sourceRows[previousCol]);
+            }
+            previousCol = col;
+        }
+        const values = getGridRow(grid, row);
+        for (let col = 0; col < ncols; col++) {
+            values[col] = sampleGrid(sourceGrid, sourceCols[col], sourceRows[col], 'bilinear');
+        }
+        onProgress((row + 1) / nrows);
+    }
+    return buildParsedDem(header, grid, fileNameForLogging);
+}
+
+/**
+ * Merges several DEMs (all in the same CRS) into one grid covering their combined extent. The merged grid uses the
+ * finest cell width and height among the DEMs and is aligned with the DEM that has the finest cells, so tiles on a
+ * common lattice are copied cell for cell; others are resampled bilinearly like in reprojectDEM. Cells covered by
+ * several DEMs are resolved with `overlapPolicy`, and cells covered by none are NODATA.
+ * With `bounds`, the merged grid only covers the cells of the combined extent that touch that rectangle; with
+ * `targetHeader`, the DEMs are merged onto that grid instead (e.g. one from getCommonGridHeader).
+ * @param {Array<{header: object, grid: object}>} sources - The DEMs (or chunks) to merge, in priority order for
+ * the 'first' and 'last' policies.
+ * @param {object} options
+ * @param {'first'|'last'|'mean'|'min'|'max'} options.overlapPolicy - How overlapping cells are resolved (see MOSAIC_OVERLAP_POLICIES).
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}|null} [options.bounds] - Absolute rectangle to crop to.
+ * @param {object|null} [options.targetHeader] - Header of the grid to merge onto.
+ * @param {string} mosaicName - Name of the merged DEM, used for logging messages.
+ * @param {function(number): void} [onProgress] - Called with the fraction of source rows merged.
+ * @returns {{header: object, grid: object, minElev: number, maxElev: number}} The merged DEM.
+ * @throws {Error} If the DEMs mix degree and projected coordinates, `bounds` misses them, or the merged grid would be too large.
+ */
+export function mosaicDEMs(sources, { overlapPolicy, bounds = null, targetHeader = null }, mosaicName, onProgress = () => {}) {
+    if (!MOSAIC_OVERLAP_POLICIES.includes(overlapPolicy)) {
+        throw new Error(`Unknown overlap policy '${overlapPolicy}'.`);
+    }
+    const header = targetHeader ? { ...targetHeader } : getCommonGridHeader(sources, bounds);
+    const { ncols, nrows, xllcorner, yllcorner } = header;
+    const { dx, dy } = getCellSize(header);
+    console.log(`[${mosaicName}] Merging ${sources.length} DEM(s) onto a ${ncols}x${nrows} grid (overlaps: ${overlapPolicy}).`);
+
+    const grid = createElevationGrid(ncols, nrows);
+    // For 'mean', cells hold the running sum until the end.
+    const counts = overlapPolicy === 'mean' ? new Uint16Array(ncols * nrows) : null;
+    const combine = {
+        first: (current, value) => Number.isNaN(current) ? value : current,
+        last: (current, value) => value,
+        mean: (current, value) => Number.isNaN(current) ? value : current + value,
+        min: (current, value) => Number.isNaN(current) || value < current ? value : current,
+        max: (current, value) => Number.isNaN(current) || value > current ? value : current
+    }[overlapPolicy];
+    const snapToCell = (position) => {
+        const nearest = Math.round(position);
+        return Math.abs(position - nearest) < MOSAIC_ALIGNMENT_TOLERANCE ? nearest : position;
+    };
+
+    const top = yllcorner + nrows * dy;
+    const totalSourceRows = sources.reduce((sum, source) => sum + source.header.nrows, 0);
+    let sourceRowsDone = 0;
+    let overlapCells = 0;
+    for (const { header: sourceHeader, grid: sourceGrid } of sources) {
+        const { dx: sourceDx, dy: sourceDy } = getCellSize(sourceHeader);
+        const sourceTop = sourceHeader.yllcorner + sourceHeader.nrows * sourceDy;
+        // Merged cells whose centres lie inside this DEM.
+        const firstCol = Math.max(0, Math.ceil((sourceHeader.xllcorner - xllcorner) / dx - 0.5 - MOSAIC_ALIGNMENT_TOLERANCE));
+        const lastCol = Math.min(ncols - 1, Math.floor((sourceHeader.xllcorner + sourceHeader.ncols * sourceDx - xllcorner) / dx - 0.5 + MOSAIC_ALIGNMENT_TOLERANCE));
+        const firstRow = Math.max(0, Math.ceil((top - sourceTop) / dy - 0.5 - MOSAIC_ALIGNMENT_TOLERANCE));
+        const lastRow = Math.min(nrows - 1, Math.floor((top - sourceHeader.yllcorner) / dy - 0.5 + MOSAIC_ALIGNMENT_TOLERANCE));
+        const sourceCols = new Float64Array(Math.max(0, lastCol - firstCol + 1));
+        for (let col = firstCol; col <= lastCol; col++) {
+            sourceCols[col - firstCol] = snapToCell((xllcorner + (col + 0.5) * dx - sourceHeader.xllcorner) / sourceDx - 0.5);
+        }
+        for (let row = firstRow; row <= lastRow; row++) {
+            const sourceRow = snapToCell((sourceTop - (top - (row + 0.5) * dy)) / sourceDy - 0.5);
+            const values = getGridRow(grid, row);
+            for (let col = firstCol; col <= lastCol; col++) {
+                const value = sampleGrid(sourceGrid, sourceCols[col - firstCol], sourceRow, 'bilinear');
+                if (Number.isNaN(value)) continue;
+                if (!Number.isNaN(values[col])) overlapCells++;
+                values[col] = combine(values[col], value);
+                if (counts) counts[row * ncols + col]++;
+            }
+        }
+        sourceRowsDone += sourceHeader.nrows;
+        onProgress(sourceRowsDone / totalSourceRows);
+    }
+    if (counts) {
+        for (let row = 0; row < nrows; row++) {
+            const values = getGridRow(grid, row);
+            for (let col = 0; col < ncols; col++) {
+                if (counts[row * ncols + col] > 1) values[col] /= counts[row * ncols + col];
+            }
+        }
+    }
+    console.log(`[${mosaicName}] ${overlapCells} overlapping cell value(s) resolved with '${overlapPolicy}'.`);
+    return buildParsedDem(header, grid, mosaicName);
+}
+
+/**
+ * Computes the grid that mosaicDEMs merges DEMs onto: their combined extent (optionally cropped to `bounds`) in the
+ * finest cell width and height among them, aligned with the DEM that has the finest cells.
+ * @param {Array<{header: object}>} sources - The DEMs (or chunks), all in the same CRS.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}|null} [bounds=null] - Absolute rectangle to crop to.
+ * @returns {object} The grid's header (ncols, nrows, xllcorner, yllcorner, dx, dy, nodata_value, cellsize if square).
+ * @throws {Error} If there are no DEMs, they mix degree and projected coordinates, `bounds` misses them, or the
+ * grid would be too large.
+ */
+export function getCommonGridHeader(sources, bounds = null) {
+    if (sources.length === 0) {
+        throw new Error("There are no DEMs to merge.");
+    }
+    const isGeographic = isGeographicHeader(sources[0].header);
+    if (sources.some(source => isGeographicHeader(source.header) !== isGeographic)) {
+        throw new Error("DEMs in degree coordinates cannot be merged with DEMs in projected coordinates.");
+    }
+
+    // The lattice: the finest cells, anchored on the corner of the DEM that has them.
+    let dx = Infinity, dy = Infinity, originX = 0, originY = 0;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const { header } of sources) {
+        const cellSize = getCellSize(header);
+        if (cellSize.dx < dx) { dx = cellSize.dx; originX = header.xllcorner; }
+        if (cellSize.dy < dy) { dy = cellSize.dy; originY = header.yllcorner; }
+        minX = Math.min(minX, header.xllcorner);
+        minY = Math.min(minY, header.yllcorner);
+        maxX = Math.max(maxX, header.xllcorner + header.ncols * cellSize.dx);
+        maxY = Math.max(maxY, header.yllcorner + header.nrows * cellSize.dy);
+    }
+    if (bounds) {
+        minX = Math.max(minX, bounds.minX);
+        minY = Math.max(minY, bounds.minY);
+        maxX = Math.min(maxX, bounds.maxX);
+        maxY = Math.min(maxY, bounds.maxY);
+        if (!(minX < maxX && minY < maxY)) {
+            throw new Error("The area does not overlap the DEM(s).");
+        }
+    }
+    const xllcorner = originX + Math.floor((minX - originX) / dx + MOSAIC_ALIGNMENT_TOLERANCE) * dx;
+    const yllcorner = originY + Math.floor((minY - originY) / dy + MOSAIC_ALIGNMENT_TOLERANCE) * dy;
+    const ncols = Math.max(1, Math.ceil((maxX - xllcorner) / dx - MOSAIC_ALIGNMENT_TOLERANCE));
+    const nrows = Math.max(1, Math.ceil((maxY - yllcorner) / dy - MOSAIC_ALIGNMENT_TOLERANCE));
+    if (!(ncols * nrows <= MAX_MOSAIC_CELLS)) {
+        throw new Error(`Merging these DEMs would need a ${ncols}x${nrows} grid (limit ${MAX_MOSAIC_CELLS} cells); hide DEMs that lie far apart.`);
+    }
+    const header = { ncols, nrows, xllcorner, yllcorner, dx, dy, nodata_value: sources[0].header.nodata_value };
+    if (Math.abs(dx - dy) <= 1e-9 * Math.max(dx, 1)) header.cellsize = dx;
+    if (isGeographic) header.cellsizeUnits = 'degrees';
+    return header;
+}
+
+/**
+ * Sets every cell whose centre lies outside a polygon to NODATA (even-odd rule, so self-intersecting outlines
+ * leave their overlaps out) and recomputes the elevation range. The grid is modified in place.
+ * @param {object} parsedData - The object containing {header, grid, minElev, maxElev}; crop it to the polygon's
+ * bounding box first (mosaicDEMs with `bounds`) so no cells are wasted.
+ * @param {Array<{x: number, y: number}>} polygon - The outline's vertices in absolute coordinates (at least three;
+ * the closing edge is implied).
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @returns {{header: object, grid: object, minElev: number, maxElev: number}} The clipped DEM.
+ * @throws {Error} If the polygon has fewer than three vertices.
+ */
+export function clipDEMToPolygon(parsedData, polygon, fileNameForLogging) {
+    if (polygon.length < 3) {
+        throw new Error("A clip polygon needs at least three vertices.");
+    }
+    const { header, grid } = parsedData;
+    const { dx, dy } = getCellSize(header);
+    const crossings = [];
+    let outsideCells = 0;
+    for (let row = 0; row < header.nrows; row++) {
+        // Scanline through the row's cell centres: the polygon edges it crosses bound the inside spans.
+        const y = header.yllcorner + (header.nrows - row - 0.5) * dy;
+        crossings.length = 0;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[j], b = polygon[i];
+            if ((a.y > y) !== (b.y > y)) {
+                crossings.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+            }
+        }
+        crossings.sort((p, q) => p - q);
+        const values = getGridRow(grid, row);
+        let crossing = 0;
+        let inside = false;
+        for (let col = 0; col < header.ncols; col++) {
+            const x = header.xllcorner + (col + 0.5) * dx;
+            while (crossing < crossings.length && crossings[crossing] <= x) {
+                inside = !inside;
+                crossing++;
+            }
+            if (!inside) {
+                if (!Number.isNaN(values[col])) outsideCells++;
+                values[col] = NaN;
+            }
+        }
+    }
+    console.log(`[${fileNameForLogging}] Clipped to a ${polygon.length}-vertex polygon; ${outsideCells} cell(s) outside it set to NODATA.`);
+    return buildParsedDem({ ...header }, grid, fileNameForLogging);
+}
+
+/**
+ * Subtracts one DEM from another (e.g. an earlier survey from a later one) on a common grid: the finer of the two
+ * grids, cropped to their overlap. The other DEM is sampled bilinearly at its cell centres, like in mosaicDEMs.
+ * Cells where either DEM has no data are NODATA.
+ * @param {{header: object, grid: object}} minuend - The DEM subtracted from (the later surface).
+ * @param {{header: object, grid: object}} subtrahend - The DEM subtracted (the earlier surface).
+ * @param {string} differenceName - Name of the difference DEM, used for logging messages.
+ * @param {function(number): void} [onProgress] - Called with the fraction of rows computed.
+ * @returns {{header: object, grid: object, minElev: number, maxElev: number}} The difference DEM (positive where
+ * the minuend is higher).
+ * @throws {Error} If the DEMs mix degree and projected coordinates or do not overlap.
+ */
+export function differenceDEMs(minuend, subtrahend, differenceName, onProgress = () => {}) {
+    if (isGeographicHeader(minuend.header) !== isGeographicHeader(subtrahend.header)) {
+        throw new Error("DEMs in degree coordinates cannot be compared with DEMs in projected coordinates.");
+    }
+    const getExtent = ({ header }) => {
+        const { dx, dy } = getCellSize(header);
+        return { minX: header.xllcorner, minY: header.yllcorner, maxX: header.xllcorner + header.ncols * dx, maxY: header.yllcorner + header.nrows * dy, cellArea: dx * dy };
+    };
+    const minuendExtent = getExtent(minuend);
+    const subtrahendExtent = getExtent(subtrahend);
+    const bounds = {
+        minX: Math.max(minuendExtent.minX, subtrahendExtent.minX),
+        minY: Math.max(minuendExtent.minY, subtrahendExtent.minY),
+        maxX: Math.min(minuendExtent.maxX, subtrahendExtent.maxX),
+        maxY: Math.min(minuendExtent.maxY, subtrahendExtent.maxY)
+    };
+    if (!(bounds.minX < bounds.maxX && bounds.minY < bounds.maxY)) {
+        throw new Error("The DEMs do not overlap.");
+    }
+    // The finer DEM, cropped to the overlap, is the common grid; the other one is sampled onto it.
+    const minuendIsFiner = minuendExtent.cellArea <= subtrahendExtent.cellArea;
+    const result = mosaicDEMs([minuendIsFiner ? minuend : subtrahend], { overlapPolicy: 'first', bounds }, differenceName);
+    const { header, grid } = result;
+    const { header: otherHeader, grid: otherGrid } = minuendIsFiner ? subtrahend : minuend;
+    const { dx, dy } = getCellSize(header);
+    const { dx: otherDx, dy: otherDy } = getCellSize(otherHeader);
+    const otherTop = otherHeader.yllcorner + otherHeader.nrows * otherDy;
+    const otherCols = new Float64Array(header.ncols);
+    for (let col = 0; col < header.ncols; col++) {
+        otherCols[col] = (header.xllcorner + (col + 0.5) * dx - otherHeader.xllcorner) / otherDx - 0.5;
+    }
+    for (let row = 0; row < header.nrows; row++) {
+        const otherRow = (otherTop - (header.yllcorner + (header.nrows - row - 0.5) * dy)) / otherDy - 0.5;
+        const values = getGridRow(grid, row);
+        for (let col = 0; col < header.ncols; col++) {
+            const otherValue = sampleGrid(otherGrid, otherCols[col], otherRow, 'bilinear');
+            values[col] = minuendIsFiner ? values[col] - otherValue : otherValue - values[col];
+        }
+        onProgress((row + 1) / header.nrows);
+    }
+    console.log(`[${differenceName}] Differenced on a ${header.ncols}x${header.nrows} grid (cells of the ${minuendIsFiner ? 'later' : 'earlier'} DEM).`);
+    return buildParsedDem(header, grid, differenceName);
+}
+
+/**
+ * Builds the vertex buffers of a DEM (or chunk) terrain mesh, laid out exactly like a THREE.PlaneGeometry with
+ * (ncols - 1) x (nrows - 1) segments: vertices at cell centres, row 0 at the top (+Y), centred on the origin.
+ * Z is the elevation and normals are area-weighted face normals, as computed by BufferGeometry.computeVertexNormals.
+ * NODATA samples are dropped to minElev, or with `nodataAsHoles` every triangle touching one is left out, so voids
+ * show as real holes. For a chunk, the faces of the neighbouring samples given by `neighbourMargins` also contribute
+ * to the edge normals, so lighting is continuous across chunk borders.
+ * Runs without three.js so it can be used inside the load worker.
+ * @param {object} parsedData - The object containing {header, grid, minElev, maxElev}.
+ * @param {{x: number, y: number}} sceneScale - Absolute-to-scene unit factors (see appState.getSceneScale).
+ * @param {{top: number, bottom: number, left: number, right: number}} [neighbourMargins] - Rows/columns of the
+ * full DEM available beyond each edge of the grid (0 or 1), from processAndChunkDEM.
+ * @param {{nodataAsHoles?: boolean}} [options]
+ * @returns {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}}
+ */
+export function buildTerrainGeometryBuffers(parsedData, sceneScale, neighbourMargins = NO_NEIGHBOUR_MARGINS, { nodataAsHoles = false } = {}) {
+    const { header, grid, minElev } = parsedData;
+    const ncols = Math.floor(header.ncols);
+    const nrows = Math.floor(header.nrows);
+    const { dx, dy } = getCellSize(header);
+    const segmentsX = Math.max(1, ncols - 1);
+    const segmentsY = Math.max(1, nrows - 1);
+    const width = (ncols - 1) * dx * sceneScale.x;
+    const height = (nrows - 1) * dy * sceneScale.y;
+    const verticesX = segmentsX + 1;
+    const vertexCount = verticesX * (segmentsY + 1);
+    const { top, bottom, left, right } = neighbourMargins;
+
+    // Vertex coordinates as stored in the Float32Array (so normals see the same values as the renderer).
+    // Indices may reach into the neighbour margins; a single-row/column grid repeats its last sample like PlaneGeometry.
+    const xAt = (ix) => Math.fround(ix * width / segmentsX - width / 2);
+    const yAt = (iy) => Math.fround(height / 2 - iy * height / segmentsY);
+    const elevationAt = (iy, ix) => getElevation(grid, Math.min(iy, nrows - 1 + bottom), Math.min(ix, ncols - 1 + right));
+    const zAt = (iy, ix) => {
+        const elevation = elevationAt(iy, ix);
+        return Math.fround(isNaN(elevation) ? minElev : elevation);
+    };
+    // With holes, NODATA vertices keep minElev but no face uses them.
+    const isHole = nodataAsHoles ? (iy, ix) => isNaN(elevationAt(iy, ix)) : () => false;
+
+    const positions = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    for (let iy = 0; iy <= segmentsY; iy++) {
+        const y = yAt(iy);
+        for (let ix = 0; ix <= segmentsX; ix++) {
+            const vertexIndex = iy * verticesX + ix;
+            positions[vertexIndex * 3] = xAt(ix);
+            positions[vertexIndex * 3 + 1] = y;
+            positions[vertexIndex * 3 + 2] = zAt(iy, ix);
+            uvs[vertexIndex * 2] = ix / segmentsX;
+            uvs[vertexIndex * 2 + 1] = 1 - iy / segmentsY;
+        }
+    }
+
+    // Two triangles per cell, wound like PlaneGeometry: (a, b, d) and (b, c, d).
+    let indices = new Uint32Array(segmentsX * segmentsY * 6);
+    let k = 0;
+    for (let iy = 0; iy < segmentsY; iy++) {
+        for (let ix = 0; ix < segmentsX; ix++) {
+            const a = ix + verticesX * iy;
+            const b = ix + verticesX * (iy + 1);
+            const c = ix + 1 + verticesX * (iy + 1);
+            const d = ix + 1 + verticesX * iy;
+            if (!isHole(iy, ix) && !isHole(iy + 1, ix) && !isHole(iy, ix + 1)) {
+                indices[k++] = a; indices[k++] = b; indices[k++] = d;
+            }
+            if (!isHole(iy + 1, ix) && !isHole(iy + 1, ix + 1) && !isHole(iy, ix + 1)) {
+                indices[k++] = b; indices[k++] = c; indices[k++] = d;
+            }
+        }
+    }
+    if (k < indices.length) indices = indices.slice(0, k);
+
+    // Faces are visited in the same order as computeVertexNormals visits the index buffer, extended by the cells
+    // in the neighbour margins; only vertices of this grid receive their contributions.
+    const normals = new Float32Array(vertexCount * 3);
+    const accumulateNormal = (vy, vx, nx, ny, nz) => {
+        if (vy < 0 || vy > segmentsY || vx < 0 || vx > segmentsX) return;
+        const i = (vy * verticesX + vx) * 3;
+        normals[i] += nx;
+        normals[i + 1] += ny;
+        normals[i + 2] += nz;
+    };
+    const addFaceNormal = (ay, ax, by, bx, cy, cx) => {
+        if (isHole(ay, ax) || isHole(by, bx) || isHole(cy, cx)) return;
+        const bxPos = xAt(bx), byPos = yAt(by), bzPos = zAt(by, bx);
+        // (C - B) x (A - B), accumulated unnormalised so larger faces weigh more.
+        const cbx = xAt(cx) - bxPos, cby = yAt(cy) - byPos, cbz = zAt(cy, cx) - bzPos;
+        const abx = xAt(ax) - bxPos, aby = yAt(ay) - byPos, abz = zAt(ay, ax) - bzPos;
+        const nx = cby * abz - cbz * aby;
+        const ny = cbz * abx - cbx * abz;
+        const nz = cbx * aby - cby * abx;
+        accumulateNormal(ay, ax, nx, ny, nz);
+        accumulateNormal(by, bx, nx, ny, nz);
+        accumulateNormal(cy, cx, nx, ny, nz);
+    };
+    for (let iy = -top; iy < segmentsY + bottom; iy++) {
+        for (let ix = -left; ix < segmentsX + right; ix++) {
+            addFaceNormal(iy, ix, iy + 1, ix, iy, ix + 1);
+            addFaceNormal(iy + 1, ix, iy + 1, ix + 1, iy, ix + 1);
+        }
+    }
+    for (let i = 0; i < normals.length; i += 3) {
+        const length = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+        normals[i] /= length;
+        normals[i + 1] /= length;
+        normals[i + 2] /= length;
+    }
+
+    return { positions, normals, uvs, indices };
+}
+
+/**
+ * Builds the coarser levels of a DEM (or chunk) mesh, shown instead of the full-resolution mesh when the camera is
+ * far away. Level k has about 1/2^k of the vertices along each axis, resampled from the full grid with `method`,
+ * and spans exactly the same extent. Levels are added until one has at most LOD_MIN_SAMPLES samples along its
+ * longer side (or LOD_MAX_LEVELS is reached). Each level gets a skirt, a strip hanging down from its edges, which
+ * hides the cracks where it meets a neighbouring chunk shown at another level.
+ * @param {object} parsedData - The object containing {header, grid, minElev, maxElev}.
+ * @param {{x: number, y: number}} sceneScale - Absolute-to-scene unit factors (see appState.getSceneScale).
+ * @param {object} [options]
+ * @param {'nearest'|'bilinear'|'cubic'|'min'|'max'} [options.lodMethod='bilinear'] - Resampling method (see
+ * demResampler.RESAMPLING_METHODS).
+ * @param {boolean} [options.nodataAsHoles=false] - Leave NODATA as holes, as in buildTerrainGeometryBuffers.
+ * @returns {Array<{factor: number, geometryBuffers: object}>} The levels from finest to coarsest; `factor` is the
+ * level's sample spacing in full-resolution cells. Empty for grids too small to reduce.
+ */
+export function buildTerrainLodBuffers(parsedData, sceneScale, { lodMethod = 'bilinear', nodataAsHoles = false } = {}) {
+    const { header, grid, minElev, maxElev } = parsedData;
+    const { dx, dy } = getCellSize(header);
+    const skirtDepth = Math.max(1, (maxElev - minElev) * LOD_SKIRT_DEPTH_FRACTION);
+    const levels = [];
+    if (header.ncols < 2 || header.nrows < 2) return levels;
+    let previousSize = Math.max(header.ncols, header.nrows);
+    for (let level = 1; level <= LOD_MAX_LEVELS && previousSize > LOD_MIN_SAMPLES; level++) {
+        const factor = 2 ** level;
+        const ncols = Math.ceil((header.ncols - 1) / factor) + 1;
+        const nrows = Math.ceil((header.nrows - 1) / factor) + 1;
+        // Even spacing over the full-resolution vertex extent (the last step of a plain 1-in-factor pick would be shorter).
+        const levelHeader = {
+            ...header,
+            ncols,
+            nrows,
+            dx: dx * (header.ncols - 1) / (ncols - 1),
+            dy: dy * (header.nrows - 1) / (nrows - 1)
+        };
+        const levelGrid = resampleGridVertices(grid, ncols, nrows, lodMethod);
+        const levelDem = { header: levelHeader, grid: levelGrid, minElev, maxElev };
+        const geometryBuffers = buildTerrainGeometryBuffers(levelDem, sceneScale, NO_NEIGHBOUR_MARGINS, { nodataAsHoles });
+        levels.push({ factor, geometryBuffers: addTerrainSkirt(geometryBuffers, levelGrid, skirtDepth, nodataAsHoles) });
+        previousSize = Math.max(ncols, nrows);
+    }
+    return levels;
+}
+
+/**
+ * Appends a skirt to terrain mesh buffers: a copy of the boundary vertices lowered by `depth`, joined to the
+ * boundary by outward-facing triangles.
+ * @param {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}} buffers - From
+ * buildTerrainGeometryBuffers.
+ * @param {object} grid - The grid the buffers were built from (at least 2x2), one vertex per cell.
+ * @param {number} depth - How far the skirt hangs below the edge, in elevation units.
+ * @param {boolean} nodataAsHoles - Leave out the skirt under edge segments that touch NODATA.
+ * @returns {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}} New buffers.
+ */
+function addTerrainSkirt({ positions, normals, uvs, indices }, grid, depth, nodataAsHoles) {
+    const verticesX = grid.ncols;
+    const verticesY = grid.nrows;
+    // Boundary vertices counter-clockwise seen from above: bottom row left to right, right column upwards,
+    // top row right to left, left column downwards.
+    const lastRow = verticesY - 1;
+    const boundary = [];
+    for (let ix = 0; ix < verticesX - 1; ix++) boundary.push(lastRow * verticesX + ix);
+    for (let iy = lastRow; iy > 0; iy--) boundary.push(iy * verticesX + verticesX - 1);
+    for (let ix = verticesX - 1; ix > 0; ix--) boundary.push(ix);
+    for (let iy = 0; iy < lastRow; iy++) boundary.push(iy * verticesX);
+
+    const baseCount = positions.length / 3;
+    const isNodataVertex = (vertex) => Number.isNaN(getElevation(grid, Math.floor(vertex / verticesX), vertex % verticesX));
+    const skirtPositions = new Float32Array((baseCount + boundary.length) * 3);
+    const skirtNormals = new Float32Array(skirtPositions.length);
+    const skirtUvs = new Float32Array((baseCount + boundary.length) * 2);
+    let skirtIndices = new Uint32Array(indices.length + boundary.length * 6);
+    skirtPositions.set(positions);
+    skirtNormals.set(normals);
+    skirtUvs.set(uvs);
+    skirtIndices.set(indices);
+    let k = indices.length;
+    boundary.forEach((edgeVertex, i) => {
+        const skirtVertex = baseCount + i;
+        for (let axis = 0; axis < 3; axis++) {
+            skirtPositions[skirtVertex * 3 + axis] = positions[edgeVertex * 3 + axis];
+            skirtNormals[skirtVertex * 3 + axis] = normals[edgeVertex * 3 + axis];
+        }
+        skirtPositions[skirtVertex * 3 + 2] -= depth;
+        skirtUvs[skirtVertex * 2] = uvs[edgeVertex * 2];
+        skirtUvs[skirtVertex * 2 + 1] = uvs[edgeVertex * 2 + 1];
+        // Quad between this edge segment and its lowered copy, wound to face outwards.
+        const nextEdgeVertex = boundary[(i + 1) % boundary.length];
+        const nextSkirtVertex = baseCount + (i + 1) % boundary.length;
+        if (nodataAsHoles && (isNodataVertex(edgeVertex) || isNodataVertex(nextEdgeVertex))) return;
+        skirtIndices[k++] = edgeVertex; skirtIndices[k++] = skirtVertex; skirtIndices[k++] = nextEdgeVertex;
+        skirtIndices[k++] = nextEdgeVertex; skirtIndices[k++] = skirtVertex; skirtIndices[k++] = nextSkirtVertex;
+    });
+    if (k < skirtIndices.length) skirtIndices = skirtIndices.slice(0, k);
+    return { positions: skirtPositions, normals: skirtNormals, uvs: skirtUvs, indices: skirtIndices };
+}
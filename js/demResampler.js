@@ -0,0 +1,166 @@
+// js/demResampler.js
+import { createElevationGrid, getElevation, getGridRow } from './elevationGrid.js';
+
+/**
+ * @file Resampling engine for elevation grids: reads a grid at fractional cell positions by nearest neighbour,
+ * bilinear or cubic interpolation, or aggregates the cells under a footprint (min/max). Used to reproject and
+ * merge DEMs and to build the coarser levels of the terrain mesh pyramid.
+ */
+
+/**
+ * Supported resampling methods. 'min' and 'max' aggregate every cell under the sample's footprint, which keeps
+ * peaks ('max') or valleys ('min') visible when a grid is reduced.
+ */
+export const RESAMPLING_METHODS = ['nearest', 'bilinear', 'cubic', 'min', 'max'];
+
+/**
+ * Reads a grid at a fractional cell position (0 = centre of the first cell); positions in the outer half cell use
+ * the edge values. Interpolating methods fall back to simpler ones next to NODATA: cubic to bilinear, bilinear
+ * to the nearest cell.
+ * @param {object} grid - Elevation grid from elevationGrid.js.
+ * @param {number} col - Fractional column.
+ * @param {number} row - Fractional row (0 = top row).
+ * @param {'nearest'|'bilinear'|'cubic'|'min'|'max'} [method='bilinear'] - See RESAMPLING_METHODS.
+ * @param {number} [footprintCols=1] - Width of the area aggregated by 'min'/'max', in cells.
+ * @param {number} [footprintRows=footprintCols] - Height of that area, in cells.
+ * @returns {number} The elevation, or NaN outside the grid or on NODATA.
+ */
+export function sampleGrid(grid, col, row, method = 'bilinear', footprintCols = 1, footprintRows = footprintCols) {
+    if (!(col >= -0.5 && col <= grid.ncols - 0.5 && row >= -0.5 && row <= grid.nrows - 0.5)) return NaN;
+    const clampedCol = Math.min(Math.max(col, 0), grid.ncols - 1);
+    const clampedRow = Math.min(Math.max(row, 0), grid.nrows - 1);
+    switch (method) {
+        case 'nearest':
+            return getElevation(grid, Math.round(clampedRow), Math.round(clampedCol));
+        case 'cubic':
+            return sampleCubic(grid, clampedCol, clampedRow);
+        case 'min':
+        case 'max':
+            return sampleAggregate(grid, clampedCol, clampedRow, footprintCols, footprintRows, method === 'max');
+        case 'bilinear':
+            return sampleBilinear(grid, clampedCol, clampedRow);
+        default:
+            throw new Error(`Unknown resampling method '${method}'.`);
+    }
+}
+
+/**
+ * Resamples a grid onto a coarser (or finer) set of samples treated as mesh vertices: the first and last samples
+ * of each row and column stay on the grid's edge cells and the rest are spaced evenly between them, so meshes
+ * built from any resolution cover exactly the same extent.
+ * @param {object} grid - The source elevation grid.
+ * @param {number} ncols - Number of columns of the result (at least 2 unless the source has one column).
+ * @param {number} nrows - Number of rows of the result.
+ * @param {'nearest'|'bilinear'|'cubic'|'min'|'max'} method - See RESAMPLING_METHODS; 'min'/'max' aggregate the
+ * cells between neighbouring samples.
+ * @returns {object} A new elevation grid of ncols x nrows.
+ */
+export function resampleGridVertices(grid, ncols, nrows, method) {
+    const result = createElevationGrid(ncols, nrows);
+    const colStep = ncols > 1 ? (grid.ncols - 1) / (ncols - 1) : 0;
+    const rowStep = nrows > 1 ? (grid.nrows - 1) / (nrows - 1) : 0;
+    for (let row = 0; row < nrows; row++) {
+        const values = getGridRow(result, row);
+        for (let col = 0; col < ncols; col++) {
+            values[col] = sampleGrid(grid, col * colStep, row * rowStep, method, colStep, rowStep);
+        }
+    }
+    return result;
+}
+
+/**
+ * Bilinear interpolation between the four surrounding cells; the nearest cell if any of them is NODATA.
+ * @param {object} grid
+ * @param {number} col - Fractional column, within [0, ncols - 1].
+ * @param {number} row - Fractional row, within [0, nrows - 1].
+ * @returns {number}
+ */
+function sampleBilinear(grid, col, row) {
+    const col0 = Math.min(Math.floor(col), Math.max(grid.ncols - 2, 0));
+    const row0 = Math.min(Math.floor(row), Math.max(grid.nrows - 2, 0));
+    const col1 = Math.min(col0 + 1, grid.ncols - 1);
+    const row1 = Math.min(row0 + 1, grid.nrows - 1);
+    const v00 = getElevation(grid, row0, col0);
+    const v01 = getElevation(grid, row0, col1);
+    const v10 = getElevation(grid, row1, col0);
+    const v11 = getElevation(grid, row1, col1);
+    if (Number.isNaN(v00 + v01 + v10 + v11)) {
+        return getElevation(grid, Math.round(row), Math.round(col));
+    }
+    const tCol = col - col0;
+    const tRow = row - row0;
+    const top = v00 + (v01 - v00) * tCol;
+    const bottom = v10 + (v11 - v10) * tCol;
+    return top + (bottom - top) * tRow;
+}
+
+/**
+ * Catmull-Rom bicubic interpolation over the surrounding 4x4 cells (edge cells repeated); bilinear if any of
+ * them is NODATA.
+ * @param {object} grid
+ * @param {number} col - Fractional column, within [0, ncols - 1].
+ * @param {number} row - Fractional row, within [0, nrows - 1].
+ * @returns {number}
+ */
+function sampleCubic(grid, col, row) {
+    const col0 = Math.floor(col);
+    const row0 = Math.floor(row);
+    const colWeights = catmullRomWeights(col - col0);
+    const rowWeights = catmullRomWeights(row - row0);
+    let sum = 0;
+    for (let i = 0; i < 4; i++) {
+        const sampleRow = Math.min(Math.max(row0 - 1 + i, 0), grid.nrows - 1);
+        let rowSum = 0;
+        for (let j = 0; j < 4; j++) {
+            const sampleCol = Math.min(Math.max(col0 - 1 + j, 0), grid.ncols - 1);
+            rowSum += colWeights[j] * getElevation(grid, sampleRow, sampleCol);
+        }
+        sum += rowWeights[i] * rowSum;
+    }
+    return Number.isNaN(sum) ? sampleBilinear(grid, col, row) : sum;
+}
+
+/**
+ * Catmull-Rom weights of the four samples around a position.
+ * @param {number} t - Offset of the position past the second sample, in [0, 1).
+ * @returns {Array<number>} Weights of the samples at -1, 0, 1 and 2.
+ */
+function catmullRomWeights(t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return [
+        (-t3 + 2 * t2 - t) / 2,
+        (3 * t3 - 5 * t2 + 2) / 2,
+        (-3 * t3 + 4 * t2 + t) / 2,
+        (t3 - t2) / 2
+    ];
+}
+
+/**
+ * Minimum or maximum of the valid cells whose centres lie within a footprint around a position (at least the
+ * nearest cell).
+ * @param {object} grid
+ * @param {number} col - Fractional column, within [0, ncols - 1].
+ * @param {number} row - Fractional row, within [0, nrows - 1].
+ * @param {number} footprintCols - Footprint width in cells.
+ * @param {number} footprintRows - Footprint height in cells.
+ * @param {boolean} takeMax - True for the maximum, false for the minimum.
+ * @returns {number} NaN if every cell in the footprint is NODATA.
+ */
+function sampleAggregate(grid, col, row, footprintCols, footprintRows, takeMax) {
+    const nearestCol = Math.round(col);
+    const nearestRow = Math.round(row);
+    const firstCol = Math.max(0, Math.min(nearestCol, Math.ceil(col - footprintCols / 2)));
+    const lastCol = Math.min(grid.ncols - 1, Math.max(nearestCol, Math.floor(col + footprintCols / 2)));
+    const firstRow = Math.max(0, Math.min(nearestRow, Math.ceil(row - footprintRows / 2)));
+    const lastRow = Math.min(grid.nrows - 1, Math.max(nearestRow, Math.floor(row + footprintRows / 2)));
+    let result = NaN;
+    for (let r = firstRow; r <= lastRow; r++) {
+        for (let c = firstCol; c <= lastCol; c++) {
+            const value = getElevation(grid, r, c);
+            if (Number.isNaN(value)) continue;
+            if (Number.isNaN(result) || (takeMax ? value > result : value < result)) result = value;
+        }
+    }
+    return result;
+}
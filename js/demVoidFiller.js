@@ -0,0 +1,379 @@
+// js/demVoidFiller.js
+import { getCellSize } from './utils.js';
+
+/**
+ * @file Fills NODATA voids (holes left by radar shadow, water, clipping of bad data, ...) in an elevation grid by
+ * interpolating from the data around each void. A void is a 4-connected region of NODATA cells. Only voids enclosed
+ * by data are filled: regions that touch the grid's edge, such as the collar of a reprojected or clipped DEM, lie
+ * outside the surveyed area and are left as they are.
+ */
+
+/**
+ * Supported fill methods:
+ * 'idw' - inverse-distance weighting of the first data cell found in each of 8 directions;
+ * 'laplacian' - the smoothest membrane through the void's rim (solves Laplace's equation);
+ * 'spline' - a thin-plate spline fitted to the data around the void, which also continues the slopes at the rim;
+ * 'nearest' - the value of the nearest data cell on the rim (flat terraces, but never invents elevations).
+ */
+export const VOID_FILL_METHODS = ['idw', 'laplacian', 'spline', 'nearest'];
+
+// The 8 search directions of the IDW fill, as [rowStep, colStep].
+const SEARCH_DIRECTIONS = [[-1, 0], [-1, 1], [0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1]];
+// The Laplacian relaxation stops when no cell moves more than this (in elevation units), or after the sweep limit.
+const RELAXATION_TOLERANCE = 1e-3;
+const MAX_RELAXATION_SWEEPS = 5000;
+// Data cells within this many cells of a void are the thin-plate spline's control points...
+const SPLINE_RIM_WIDTH = 2;
+// ...thinned out evenly to at most this many, which bounds the size of the dense system solved per void.
+const MAX_SPLINE_CONTROL_POINTS = 400;
+
+/**
+ * Fills the enclosed NODATA voids of a grid in place.
+ * @param {object} parsedData - The object containing {header, grid}; its grid is modified.
+ * @param {object} options
+ * @param {'idw'|'laplacian'|'spline'|'nearest'} [options.method='idw'] - See VOID_FILL_METHODS.
+ * @param {number|null} [options.maxVoidCells=null] - Voids with more cells are left unfilled; null for no limit.
+ * @param {number} [options.idwPower=2] - Distance exponent of the 'idw' method.
+ * @param {function(number): void} [onProgress] - Called with the fraction of void cells processed.
+ * @returns {{filledVoids: number, filledCells: number, largeVoids: number, openVoids: number}} Counts of the voids
+ * filled and of the voids skipped for being too large or for touching the grid's edge.
+ */
+export function fillDemVoids(parsedData, { method = 'idw', maxVoidCells = null, idwPower = 2 } = {}, onProgress = () => {}) {
+    if (!VOID_FILL_METHODS.includes(method)) throw new Error(`Unknown void fill method '${method}'.`);
+    const { header, grid } = parsedData;
+    const { ncols, nrows } = grid;
+    const { dx, dy } = getCellSize(header);
+    // Distances are measured in columns; a row step is rowScale columns long.
+    const context = { grid, ncols, nrows, rowScale: dy / dx, isVoid: new Uint8Array(ncols * nrows), inVoid: new Uint8Array(ncols * nrows) };
+    let voidCellCount = 0;
+    for (let row = 0; row < nrows; row++) {
+        for (let col = 0; col < ncols; col++) {
+            if (Number.isNaN(readCell(context, row * ncols + col))) {
+                context.isVoid[row * ncols + col] = 1;
+                voidCellCount++;
+            }
+        }
+    }
+
+    const stats = { filledVoids: 0, filledCells: 0, largeVoids: 0, openVoids: 0 };
+    const visited = new Uint8Array(ncols * nrows);
+    const queue = new Int32Array(voidCellCount);
+    let processedCells = 0;
+    for (let start = 0; start < ncols * nrows; start++) {
+        if (!context.isVoid[start] || visited[start]) continue;
+        // Collect the void's cells (breadth first) and check whether it reaches the grid's edge.
+        let length = 0;
+        let touchesEdge = false;
+        queue[length++] = start;
+        visited[start] = 1;
+        for (let head = 0; head < length; head++) {
+            const cell = queue[head];
+            const row = Math.floor(cell / ncols);
+            const col = cell - row * ncols;
+            if (row === 0 || col === 0 || row === nrows - 1 || col === ncols - 1) touchesEdge = true;
+            for (const neighbour of [cell - ncols, cell + ncols, col > 0 ? cell - 1 : -1, col < ncols - 1 ? cell + 1 : -1]) {
+                if (neighbour < 0 || neighbour >= ncols * nrows || !context.isVoid[neighbour] || visited[neighbour]) continue;
+                visited[neighbour] = 1;
+                queue[length++] = neighbour;
+            }
+        }
+        const cells = queue.subarray(0, length);
+        if (touchesEdge) {
+            stats.openVoids++;
+        } else if (maxVoidCells !== null && length > maxVoidCells) {
+            stats.largeVoids++;
+        } else {
+            for (const cell of cells) context.inVoid[cell] = 1;
+            fillVoid(context, cells, method, idwPower);
+            for (const cell of cells) context.inVoid[cell] = 0;
+            stats.filledVoids++;
+            stats.filledCells += length;
+        }
+        processedCells += length;
+        onProgress(processedCells / voidCellCount);
+    }
+    return stats;
+}
+
+/**
+ * Fills one enclosed void.
+ * @param {object} context - Shared state: {grid, ncols, nrows, rowScale, isVoid, inVoid} (cells indexed row * ncols + col).
+ * @param {Int32Array} cells - The void's cells.
+ * @param {string} method
+ * @param {number} idwPower
+ */
+function fillVoid(context, cells, method, idwPower) {
+    if (method === 'nearest') {
+        fillNearest(context, cells);
+    } else if (method === 'spline') {
+        fillThinPlateSpline(context, cells);
+    } else {
+        // IDW searches skip every original void cell, so the cells can be written as they are interpolated.
+        // The Laplacian relaxation starts from the IDW surface, which is already close and speeds it up.
+        for (const cell of cells) writeCell(context, cell, interpolateIdw(context, cell, idwPower));
+        if (method === 'laplacian') relaxLaplacian(context, cells);
+    }
+}
+
+/**
+ * Inverse-distance weighting of the first data cell met in each of the 8 directions from a cell. Searches run
+ * through NODATA of any void, so they stop on original data only.
+ * @param {object} context
+ * @param {number} cell
+ * @param {number} power - Distance exponent.
+ * @returns {number}
+ */
+function interpolateIdw(context, cell, power) {
+    const { ncols, nrows, rowScale, isVoid } = context;
+    const row = Math.floor(cell / ncols);
+    const col = cell - row * ncols;
+    let weightSum = 0;
+    let valueSum = 0;
+    for (const [rowStep, colStep] of SEARCH_DIRECTIONS) {
+        let r = row + rowStep;
+        let c = col + colStep;
+        let steps = 1;
+        while (r >= 0 && r < nrows && c >= 0 && c < ncols && isVoid[r * ncols + c]) {
+            r += rowStep;
+            c += colStep;
+            steps++;
+        }
+        if (r < 0 || r >= nrows || c < 0 || c >= ncols) continue;
+        const weight = 1 / Math.hypot(steps * colStep, steps * rowStep * rowScale) ** power;
+        weightSum += weight;
+        valueSum += weight * readCell(context, r * ncols + c);
+    }
+    // Every enclosed void cell has data in its four axis directions, so weightSum is never 0.
+    return valueSum / weightSum;
+}
+
+/**
+ * Solves Laplace's equation over the void, with the rim's data as boundary values, by successive over-relaxation.
+ * The void's cells must already hold a starting surface.
+ * @param {object} context
+ * @param {Int32Array} cells
+ */
+function relaxLaplacian(context, cells) {
+    const { ncols, rowScale } = context;
+    const colWeight = 1;
+    const rowWeight = 1 / (rowScale * rowScale);
+    const centreWeight = 2 * colWeight + 2 * rowWeight;
+    // Near-optimal relaxation factor for a region of the void's size.
+    let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+    for (const cell of cells) {
+        const row = Math.floor(cell / ncols);
+        const col = cell - row * ncols;
+        minRow = Math.min(minRow, row);
+        maxRow = Math.max(maxRow, row);
+        minCol = Math.min(minCol, col);
+        maxCol = Math.max(maxCol, col);
+    }
+    const extent = Math.max(maxRow - minRow, maxCol - minCol) + 2;
+    const omega = 2 / (1 + Math.sin(Math.PI / extent));
+    for (let sweep = 0; sweep < MAX_RELAXATION_SWEEPS; sweep++) {
+        let maxChange = 0;
+        for (const cell of cells) {
+            // Enclosed voids never reach the edge, so all four neighbours exist (data or this void).
+            const target = (colWeight * (readCell(context, cell - 1) + readCell(context, cell + 1))
+                + rowWeight * (readCell(context, cell - ncols) + readCell(context, cell + ncols))) / centreWeight;
+            const current = readCell(context, cell);
+            const updated = current + omega * (target - current);
+            writeCell(context, cell, updated);
+            maxChange = Math.max(maxChange, Math.abs(updated - current));
+        }
+        if (maxChange < RELAXATION_TOLERANCE) return;
+    }
+}
+
+/**
+ * Gives every void cell the value of the nearest data cell around the void, propagating the nearest source from
+ * the rim inwards (a label-correcting distance transform, exact up to rare ties on diagonals).
+ * @param {object} context
+ * @param {Int32Array} cells
+ */
+function fillNearest(context, cells) {
+    const { ncols, rowScale, inVoid } = context;
+    const source = new Map();
+    const distance = new Map();
+    const queue = [];
+    const distanceBetween = (a, b) => {
+        const rowA = Math.floor(a / ncols);
+        const rowB = Math.floor(b / ncols);
+        return Math.hypot((a - rowA * ncols) - (b - rowB * ncols), (rowA - rowB) * rowScale);
+    };
+    for (const cell of getRimCells(context, cells, 1)) {
+        source.set(cell, cell);
+        queue.push(cell);
+    }
+    for (let head = 0; head < queue.length; head++) {
+        const cell = queue[head];
+        const cellSource = source.get(cell);
+        for (const neighbour of getNeighbours8(context, cell)) {
+            if (!inVoid[neighbour]) continue;
+            const candidate = distanceBetween(neighbour, cellSource);
+            if (candidate < (distance.get(neighbour) ?? Infinity)) {
+                distance.set(neighbour, candidate);
+                source.set(neighbour, cellSource);
+                queue.push(neighbour);
+            }
+        }
+    }
+    for (const cell of cells) writeCell(context, cell, readCell(context, source.get(cell)));
+}
+
+/**
+ * Fits a thin-plate spline (z = a + b·x + c·y + Σ wᵢ·r²·ln r) to the data cells around the void and evaluates
+ * it on the void's cells. Falls back to IDW if the control points are degenerate (e.g. all on one line).
+ * @param {object} context
+ * @param {Int32Array} cells
+ */
+function fillThinPlateSpline(context, cells) {
+    const { ncols, rowScale } = context;
+    const rim = getRimCells(context, cells, SPLINE_RIM_WIDTH);
+    const step = Math.max(1, rim.length / MAX_SPLINE_CONTROL_POINTS);
+    const controlCells = [];
+    for (let i = 0; i < rim.length; i += step) controlCells.push(rim[Math.floor(i)]);
+
+    // Coordinates relative to the first control point, in columns, keep the system well scaled.
+    const originRow = Math.floor(controlCells[0] / ncols);
+    const originCol = controlCells[0] - originRow * ncols;
+    const toPoint = (cell) => {
+        const row = Math.floor(cell / ncols);
+        return { x: cell - row * ncols - originCol, y: (originRow - row) * rowScale };
+    };
+    const points = controlCells.map(toPoint);
+    const n = points.length;
+    const size = n + 3;
+    // [K P; Pᵀ 0] [w; a] = [z; 0]
+    const matrix = Array.from({ length: size }, () => new Float64Array(size + 1));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            matrix[i][j] = thinPlateKernel(points[i].x - points[j].x, points[i].y - points[j].y);
+        }
+        matrix[i][n] = matrix[n][i] = 1;
+        matrix[i][n + 1] = matrix[n + 1][i] = points[i].x;
+        matrix[i][n + 2] = matrix[n + 2][i] = points[i].y;
+        matrix[i][size] = readCell(context, controlCells[i]);
+    }
+    const coefficients = solveLinearSystem(matrix);
+    if (!coefficients) {
+        console.warn("[DemVoidFiller] Degenerate spline control points; filling the void by IDW instead.");
+        for (const cell of cells) writeCell(context, cell, interpolateIdw(context, cell, 2));
+        return;
+    }
+    for (const cell of cells) {
+        const { x, y } = toPoint(cell);
+        let value = coefficients[n] + coefficients[n + 1] * x + coefficients[n + 2] * y;
+        for (let i = 0; i < n; i++) value += coefficients[i] * thinPlateKernel(x - points[i].x, y - points[i].y);
+        writeCell(context, cell, value);
+    }
+}
+
+/**
+ * Thin-plate spline radial basis function r²·ln r (0 at r = 0).
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function thinPlateKernel(x, y) {
+    const squared = x * x + y * y;
+    return squared === 0 ? 0 : 0.5 * squared * Math.log(squared);
+}
+
+/**
+ * Solves a dense linear system by Gaussian elimination with partial pivoting.
+ * @param {Array<Float64Array>} matrix - The augmented matrix [A | b], overwritten.
+ * @returns {Float64Array|null} The solution, or null if A is singular.
+ */
+function solveLinearSystem(matrix) {
+    const size = matrix.length;
+    for (let pivot = 0; pivot < size; pivot++) {
+        let best = pivot;
+        for (let row = pivot + 1; row < size; row++) {
+            if (Math.abs(matrix[row][pivot]) > Math.abs(matrix[best][pivot])) best = row;
+        }
+        if (Math.abs(matrix[best][pivot]) < 1e-12) return null;
+        [matrix[pivot], matrix[best]] = [matrix[best], matrix[pivot]];
+        const pivotRow = matrix[pivot];
+        for (let row = pivot + 1; row < size; row++) {
+            const factor = matrix[row][pivot] / pivotRow[pivot];
+            if (factor === 0) continue;
+            const target = matrix[row];
+            for (let col = pivot; col <= size; col++) target[col] -= factor * pivotRow[col];
+        }
+    }
+    const solution = new Float64Array(size);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = matrix[row][size];
+        for (let col = row + 1; col < size; col++) sum -= matrix[row][col] * solution[col];
+        solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Lists the data cells within `width` cells (8-connected steps) of a void.
+ * @param {object} context
+ * @param {Int32Array} cells - The void's cells (marked in context.inVoid).
+ * @param {number} width
+ * @returns {Array<number>}
+ */
+function getRimCells(context, cells, width) {
+    const { isVoid } = context;
+    const seen = new Set(cells);
+    let ring = Array.from(cells);
+    const rim = [];
+    for (let distance = 0; distance < width; distance++) {
+        const nextRing = [];
+        for (const cell of ring) {
+            for (const neighbour of getNeighbours8(context, cell)) {
+                if (seen.has(neighbour)) continue;
+                seen.add(neighbour);
+                nextRing.push(neighbour);
+                if (!isVoid[neighbour]) rim.push(neighbour);
+            }
+        }
+        ring = nextRing;
+    }
+    return rim;
+}
+
+/**
+ * Returns the indices of the (up to 8) cells around a cell.
+ * @param {object} context
+ * @param {number} cell
+ * @returns {Array<number>}
+ */
+function getNeighbours8({ ncols, nrows }, cell) {
+    const row = Math.floor(cell / ncols);
+    const col = cell - row * ncols;
+    const neighbours = [];
+    for (let r = Math.max(0, row - 1); r <= Math.min(nrows - 1, row + 1); r++) {
+        for (let c = Math.max(0, col - 1); c <= Math.min(ncols - 1, col + 1); c++) {
+            if (r !== row || c !== col) neighbours.push(r * ncols + c);
+        }
+    }
+    return neighbours;
+}
+
+/**
+ * Reads a cell by its index (row * ncols + col) within the grid.
+ * @param {object} context
+ * @param {number} cell
+ * @returns {number}
+ */
+function readCell({ grid, ncols }, cell) {
+    const row = Math.floor(cell / ncols);
+    return grid.values[grid.offset + row * grid.stride + cell - row * ncols];
+}
+
+/**
+ * Writes a cell by its index (row * ncols + col) within the grid.
+ * @param {object} context
+ * @param {number} cell
+ * @param {number} value
+ */
+function writeCell({ grid, ncols }, cell, value) {
+    const row = Math.floor(cell / ncols);
+    grid.values[grid.offset + row * grid.stride + cell - row * ncols] = value;
+}
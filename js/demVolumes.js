@@ -0,0 +1,65 @@
+// js/demVolumes.js
+import { METERS_PER_DEGREE } from './constants.js';
+import { getCellSize, isGeographicHeader } from './utils.js';
+import { getGridRow } from './elevationGrid.js';
+
+/**
+ * @file Volume measurement on DEM grids: cut and fill of a difference DEM (after minus before), or the volume
+ * above and below a horizontal reference plane (e.g. a stockpile over its base). Each cell counts as a prism of
+ * its area times its height over the reference. Areas are in square metres for degree-based grids (converted row
+ * by row) and in squared CRS units otherwise; volumes multiply them by the elevation unit.
+ */
+
+/**
+ * Sums the volumes between a grid's surface and a reference elevation.
+ * @param {object} grid - Elevation (or elevation difference) grid from elevationGrid.js, NODATA = NaN.
+ * @param {object} header - The grid's header (cell size; yllcorner and nrows for degree-based grids).
+ * @param {object} [options]
+ * @param {number} [options.reference=0] - Elevation of the reference plane (0 for a difference DEM).
+ * @param {number} [options.threshold=0] - Height differences smaller than this are treated as no change
+ * (the survey's level of detection).
+ * @returns {{fillVolume: number, cutVolume: number, netVolume: number, fillArea: number, cutArea: number,
+ * affectedArea: number, measuredArea: number}} Fill is the material above the reference (added, for a difference
+ * DEM), cut the space below it (removed); both are positive and netVolume = fill - cut. measuredArea is the area
+ * of all cells with data.
+ */
+export function computeVolumes(grid, header, { reference = 0, threshold = 0 } = {}) {
+    const { dx, dy } = getCellSize(header);
+    const isGeographic = isGeographicHeader(header);
+    let fillVolume = 0, cutVolume = 0, fillArea = 0, cutArea = 0, measuredArea = 0;
+    for (let row = 0; row < grid.nrows; row++) {
+        const latitude = header.yllcorner + (header.nrows - row - 0.5) * dy;
+        const cellArea = isGeographic
+            ? dx * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180) * dy * METERS_PER_DEGREE
+            : dx * dy;
+        const values = getGridRow(grid, row);
+        for (let col = 0; col < values.length; col++) {
+            const value = values[col];
+            if (Number.isNaN(value)) continue;
+            measuredArea += cellArea;
+            const height = value - reference;
+            if (Math.abs(height) < threshold || height === 0) continue;
+            if (height > 0) {
+                fillVolume += height * cellArea;
+                fillArea += cellArea;
+            } else {
+                cutVolume -= height * cellArea;
+                cutArea += cellArea;
+            }
+        }
+    }
+    return { fillVolume, cutVolume, netVolume: fillVolume - cutVolume, fillArea, cutArea, affectedArea: fillArea + cutArea, measuredArea };
+}
+
+/**
+ * Formats volumes from computeVolumes for reports and status messages.
+ * @param {object} volumes - From computeVolumes.
+ * @param {{fill: string, cut: string}} [labels] - Names of the two sides, e.g. {fill: 'above', cut: 'below'}.
+ * @returns {string}
+ */
+export function formatVolumes(volumes, labels = { fill: 'fill', cut: 'cut' }) {
+    const formatNumber = (value) => value.toLocaleString('en-US', { maximumFractionDigits: Math.abs(value) < 100 ? 2 : 0 });
+    return `${labels.cut} ${formatNumber(volumes.cutVolume)} m³, ${labels.fill} ${formatNumber(volumes.fillVolume)} m³, ` +
+        `net ${formatNumber(volumes.netVolume)} m³ over ${formatNumber(volumes.affectedArea)} m² ` +
+        `(${labels.cut} ${formatNumber(volumes.cutArea)} m², ${labels.fill} ${formatNumber(volumes.fillArea)} m²)`;
+}
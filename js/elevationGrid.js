@@ -0,0 +1,96 @@
+// js/elevationGrid.js
+
+/**
+ * @file The in-memory elevation model shared by parsers, processor, simulator and exporters.
+ * A grid is one row-major Float32Array addressed through a row stride and a start offset, so a chunk of a
+ * larger DEM is a view on its parent's buffer rather than a copy. NODATA cells are stored as NaN; the header's
+ * nodata_value is only used when reading or writing files.
+ *
+ * Grid shape: {values: Float32Array, ncols: number, nrows: number, stride: number, offset: number}.
+ * Cell (row, col) lives at values[offset + row * stride + col], row 0 being the northernmost row.
+ */
+
+/**
+ * Allocates a grid with every cell set to NODATA (NaN).
+ * @param {number} ncols
+ * @param {number} nrows
+ * @returns {{values: Float32Array, ncols: number, nrows: number, stride: number, offset: number}}
+ */
+export function createElevationGrid(ncols, nrows) {
+    return { values: new Float32Array(ncols * nrows).fill(NaN), ncols, nrows, stride: ncols, offset: 0 };
+}
+
+/**
+ * Returns a view on a rectangular part of a grid. No elevations are copied.
+ * @param {object} grid - The parent grid.
+ * @param {number} startRow - First row of the subgrid in the parent.
+ * @param {number} startCol - First column of the subgrid in the parent.
+ * @param {number} nrows - Number of rows in the subgrid.
+ * @param {number} ncols - Number of columns in the subgrid.
+ * @returns {object} A grid sharing the parent's values buffer.
+ */
+export function createSubgrid(grid, startRow, startCol, nrows, ncols) {
+    return {
+        values: grid.values,
+        ncols,
+        nrows,
+        stride: grid.stride,
+        offset: grid.offset + startRow * grid.stride + startCol
+    };
+}
+
+/**
+ * Reads one cell. Returns NaN for NODATA.
+ * @param {object} grid
+ * @param {number} row - Row index (0 = top row).
+ * @param {number} col - Column index.
+ * @returns {number}
+ */
+export function getElevation(grid, row, col) {
+    return grid.values[grid.offset + row * grid.stride + col];
+}
+
+/**
+ * Writes one cell. Pass NaN to mark it NODATA.
+ * @param {object} grid
+ * @param {number} row - Row index (0 = top row).
+ * @param {number} col - Column index.
+ * @param {number} value
+ */
+export function setElevation(grid, row, col, value) {
+    grid.values[grid.offset + row * grid.stride + col] = value;
+}
+
+/**
+ * Returns one row as a Float32Array view (writes go through to the grid).
+ * @param {object} grid
+ * @param {number} row - Row index (0 = top row).
+ * @returns {Float32Array}
+ */
+export function getGridRow(grid, row) {
+    const start = grid.offset + row * grid.stride;
+    return grid.values.subarray(start, start + grid.ncols);
+}
+
+/**
+ * Computes the elevation range of a grid, ignoring NODATA.
+ * @param {object} grid
+ * @returns {{minElev: number, maxElev: number, validCount: number}} minElev/maxElev are 0 when no cell is valid.
+ */
+export function computeElevationRange(grid) {
+    let minElev = Infinity;
+    let maxElev = -Infinity;
+    let validCount = 0;
+    for (let row = 0; row < grid.nrows; row++) {
+        const values = getGridRow(grid, row);
+        for (let col = 0; col < values.length; col++) {
+            const value = values[col];
+            if (value !== value) continue; // NaN = NODATA
+            if (value < minElev) minElev = value;
+            if (value > maxElev) maxElev = value;
+            validCount++;
+        }
+    }
+    if (validCount === 0) return { minElev: 0, maxElev: 0, validCount };
+    return { minElev, maxElev, validCount };
+}
@@ -2,25 +2,34 @@
 import * as THREE from 'three'; // Import the THREE namespace
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
 import { state } from './appState.js'; 
+import { ASCII_EXPORT_NODATA_VALUE } from './constants.js';
+import { getCellSize, getParentDemData } from './utils.js';
+import { getGridRow } from './elevationGrid.js';
+import { DERIVATIVE_LAYERS, getDemEntryDerivative } from './terrainDerivatives.js';
+import { getDemEntryFlow } from './waterFlowSimulator.js';
 // We'll need the default material creation function if not already available globally
 // For simplicity, let's assume the default material instance is accessible or we create a new one.
 
 /**
- * @file Manages the export of DEM meshes to GLB format.
+ * @file Manages the export of DEM meshes to GLB format, of DEM rasters to ESRI ASCII grids and of contours to GeoJSON.
  */
 
+// File extensions stripped from DEM names to name exported files.
+const DEM_FILE_EXTENSION_PATTERN = /\.(asc|tiff?|flt|bil|hgt|xyz|csv|las|txt)/i;
+
 /**
- * Triggers a browser download for the given GLB data.
- * @param {ArrayBuffer} glbData - The binary GLB data.
+ * Triggers a browser download for the given data.
+ * @param {ArrayBuffer|string|Array<string>} data - The file contents (binary GLB data, or text).
  * @param {string} fileName - The desired filename for the download.
  * @param {function} setStatusFn - Function to update status message (e.g., uiManager.setStatusMessage).
+ * @param {string} [mimeType='application/octet-stream'] - MIME type of the file.
  */
-function triggerGLBDownload(glbData, fileName, setStatusFn) {
+function triggerDownload(data, fileName, setStatusFn, mimeType = 'application/octet-stream') {
     try {
-        const blob = new Blob([glbData], { type: 'application/octet-stream' });
+        const blob = new Blob(Array.isArray(data) ? data : [data], { type: mimeType });
         const link = document.createElement('a');
         link.href = URL.createObjectURL(blob);
-        link.download = fileName;
+        link.download = fileName.replace(/[\\/]/g, '_'); // DEMs from zip archives are named by their path inside it
         document.body.appendChild(link); 
         link.click();
         document.body.removeChild(link); 
@@ -35,8 +44,8 @@ function triggerGLBDownload(glbData, fileName, setStatusFn) {
 
 /**
  * Exports an individual DEM entry (a single mesh) as a GLB file.
- * The mesh is exported with its current world transform.
- * Temporarily switches to a basic material for export to avoid issues with custom shaders.
+ * The full-resolution mesh is exported with its current world transform.
+ * A copy with a basic material is exported to avoid issues with custom shaders.
  * @param {object} demEntry - The DEM entry object containing the mesh to export.
  * @param {function} setStatusFn - Function to update status message.
  * @returns {Promise<void>} A promise that resolves when export is attempted.
@@ -71,17 +80,18 @@ export function exportIndividualDemGLB(demEntry, setStatusFn) {
         // If the original material was a shader that calculated color based on elevation,
         // this basic material won't replicate that. The geometry will be correct.
 
-        demEntry.mesh.material = exportMaterial; // Temporarily assign export material
+        // Export a copy of the full-resolution mesh, placed where its LOD puts it in the scene.
+        const exportMesh = demEntry.mesh.clone(false);
+        exportMesh.position.copy(demEntry.lod.position);
+        exportMesh.material = exportMaterial;
 
         exporter.parse(
-            demEntry.mesh, 
+            exportMesh, 
             (glb) => { 
-                demEntry.mesh.material = originalMaterial; // Restore original material
-                triggerGLBDownload(glb, `${demEntry.name.replace('.asc', '')}.glb`, setStatusFn);
+                triggerDownload(glb, `${demEntry.name.replace(DEM_FILE_EXTENSION_PATTERN, '')}.glb`, setStatusFn);
                 resolve();
             },
             (error) => { 
-                demEntry.mesh.material = originalMaterial; // Restore original material on error too
                 console.error(`Error exporting individual GLB for ${demEntry.name}:`, error); 
                 if (setStatusFn) setStatusFn(`Error exporting ${demEntry.name}. See console.`, true);
                 reject(error);
@@ -116,6 +126,7 @@ export function exportUnifiedVisibleDemsGLB(setStatusFn) {
         visibleDems.forEach(demEntry => {
             const clone = demEntry.mesh.clone(false); // Shallow clone for position, then handle geometry/material
             clone.geometry = demEntry.mesh.geometry; // Share geometry to avoid re-cloning complex data unnecessarily for export
+            clone.position.copy(demEntry.lod.position); // The full-resolution mesh is placed by its LOD
 
             originalMaterialsMap.set(clone, demEntry.mesh.material); // Store original material reference
 
@@ -138,7 +149,7 @@ export function exportUnifiedVisibleDemsGLB(setStatusFn) {
             (glb) => { 
                 // Restore original materials on the clones if they were part of the scene (though they are not)
                 // More importantly, this example doesn't modify originals, only clones.
-                triggerGLBDownload(glb, 'unified_dems.glb', setStatusFn);
+                triggerDownload(glb, 'unified_dems.glb', setStatusFn);
                 resolve();
             },
             (error) => { 
@@ -150,3 +161,188 @@ export function exportUnifiedVisibleDemsGLB(setStatusFn) {
         );
     });
 }
+
+// Rasters exportable besides the elevations and DERIVATIVE_LAYERS, by layer name.
+const FLOW_RASTERS = {
+    flowDirection: (demEntry) => getDemEntryFlow(demEntry).direction,
+    flowAccumulation: (demEntry) => getDemEntryFlow(demEntry).accumulation
+};
+
+/**
+ * Exports a DEM entry as an ESRI ASCII grid: a terrain analysis layer (see DERIVATIVE_LAYERS) or flow raster
+ * ('flowDirection' or 'flowAccumulation'), by default the one currently used for shading, or the elevations when
+ * there is none. NODATA cells are written as ASCII_EXPORT_NODATA_VALUE. The grid keeps the entry's own
+ * georeferencing (its CRS, not the scene's).
+ * @param {object} demEntry - The DEM entry object from appState.js.
+ * @param {function} setStatusFn - Function to update status message.
+ * @param {string} [requestedLayer=state.currentShadingMode] - The raster to export.
+ */
+export function exportDemAsciiGrid(demEntry, setStatusFn, requestedLayer = state.currentShadingMode) {
+    if (!demEntry || !demEntry.demData) {
+        const errorMsg = "Error: DEM entry not found for ASCII grid export.";
+        console.error(errorMsg);
+        if (setStatusFn) setStatusFn(errorMsg, true);
+        return;
+    }
+    const layer = DERIVATIVE_LAYERS[requestedLayer] || FLOW_RASTERS[requestedLayer] ? requestedLayer : null;
+    try {
+        const { header } = demEntry.demData;
+        const grid = !layer ? demEntry.demData.grid
+            : FLOW_RASTERS[layer] ? FLOW_RASTERS[layer](demEntry)
+            : getDemEntryDerivative(demEntry, layer).grid;
+        const baseName = demEntry.name.replace(DEM_FILE_EXTENSION_PATTERN, '');
+        downloadAsciiGrid(grid, header, `${baseName}${layer ? `_${layer}` : ''}.asc`, setStatusFn);
+    } catch (error) {
+        console.error(`Error exporting ASCII grid for ${demEntry.name}:`, error);
+        if (setStatusFn) setStatusFn(`Error exporting ${demEntry.name}. See console.`, true);
+    }
+}
+
+/**
+ * Exports a flow raster ('flowDirection' or 'flowAccumulation') of the whole file a DEM entry was loaded from as
+ * one ESRI ASCII grid, whichever of the file's chunks the entry is.
+ * @param {object} demEntry - Any DEM entry (chunk) of the file.
+ * @param {'flowDirection'|'flowAccumulation'} layer - The raster to export.
+ * @param {string} fileName - Name of the DEM file, used to name the download.
+ * @param {function} setStatusFn - Function to update status message.
+ */
+export function exportFlowRasterAsciiGrid(demEntry, layer, fileName, setStatusFn) {
+    try {
+        const { header, grid } = getParentDemData({ header: demEntry.demData.header, grid: FLOW_RASTERS[layer](demEntry) });
+        downloadAsciiGrid(grid, header, `${fileName.replace(DEM_FILE_EXTENSION_PATTERN, '')}_${layer}.asc`, setStatusFn);
+    } catch (error) {
+        console.error(`Error exporting the ${layer} raster of ${fileName}:`, error);
+        if (setStatusFn) setStatusFn(`Error exporting ${fileName}. See console.`, true);
+    }
+}
+
+/**
+ * Writes a grid as an ESRI ASCII grid and downloads it. NODATA cells are written as ASCII_EXPORT_NODATA_VALUE.
+ * @param {object} grid - Grid from elevationGrid.js.
+ * @param {object} header - The grid's header (origin and cell size).
+ * @param {string} fileName - Name of the download.
+ * @param {function} setStatusFn - Function to update status message.
+ */
+function downloadAsciiGrid(grid, header, fileName, setStatusFn) {
+    const { dx, dy } = getCellSize(header);
+    const lines = [
+        `ncols ${grid.ncols}\n`,
+        `nrows ${grid.nrows}\n`,
+        `xllcorner ${header.xllcorner}\n`,
+        `yllcorner ${header.yllcorner}\n`,
+        dx === dy ? `cellsize ${dx}\n` : `dx ${dx}\ndy ${dy}\n`,
+        `NODATA_value ${ASCII_EXPORT_NODATA_VALUE}\n`
+    ];
+    for (let row = 0; row < grid.nrows; row++) {
+        const values = getGridRow(grid, row);
+        const cells = new Array(grid.ncols);
+        for (let col = 0; col < grid.ncols; col++) {
+            const value = values[col];
+            // Float32 values carry about 7 significant digits; Number() drops the trailing zeros.
+            cells[col] = Number.isNaN(value) ? ASCII_EXPORT_NODATA_VALUE : Number(value.toPrecision(7));
+        }
+        lines.push(cells.join(' ') + '\n');
+    }
+    triggerDownload(lines, fileName, setStatusFn, 'text/plain');
+}
+
+/**
+ * Exports contour sets as a GeoJSON FeatureCollection: one MultiLineString feature per DEM and level, with the
+ * elevation, whether it is an index contour, the interval and the source DEM as properties. Positions are
+ * absolute coordinates in the DEMs' CRS; when it has an EPSG code it is named in a (pre-RFC 7946) `crs` member,
+ * which GIS software reads for non-WGS 84 data.
+ * @param {Array<object>} contourSets - Contour sets as kept in state.contourSets.
+ * @param {function} setStatusFn - Function to update status message.
+ */
+export function exportContoursGeoJSON(contourSets, setStatusFn) {
+    if (!contourSets || contourSets.length === 0) {
+        if (setStatusFn) setStatusFn("No contours to export. Show contours first.", true);
+        return;
+    }
+    try {
+        const features = [];
+        for (const { name, interval, contours } of contourSets) {
+            for (const { elevation, isIndex, lines } of contours) {
+                features.push({
+                    type: 'Feature',
+                    properties: { elevation, index: isIndex, interval, source: name },
+                    geometry: { type: 'MultiLineString', coordinates: lines }
+                });
+            }
+        }
+        const collection = { type: 'FeatureCollection' };
+        const epsg = contourSets.find(set => set.crs?.epsg)?.crs.epsg;
+        if (epsg) collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${epsg}` } };
+        collection.features = features;
+        triggerDownload(JSON.stringify(collection), 'contours.geojson', setStatusFn, 'application/geo+json');
+    } catch (error) {
+        console.error("Error exporting contours:", error);
+        if (setStatusFn) setStatusFn("Error exporting contours. See console.", true);
+    }
+}
+
+/**
+ * Exports a watershed's outline as a GeoJSON FeatureCollection with one Polygon (or MultiPolygon, when cells
+ * touching only at corners split it) feature, with the pour point, cell count, area and perimeter as properties.
+ * Positions are absolute coordinates in the DEM's CRS, named in a `crs` member as for contours.
+ * @param {object|null} watershed - The watershed as kept in state.watershed.
+ * @param {function} setStatusFn - Function to update status message.
+ */
+export function exportWatershedGeoJSON(watershed, setStatusFn) {
+    if (!watershed) {
+        if (setStatusFn) setStatusFn("No watershed to export. Click the terrain in watershed mode first.", true);
+        return;
+    }
+    try {
+        const { name, crs, pourPoint, cellCount, area, perimeter, polygons } = watershed;
+        const geometry = polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+        const collection = { type: 'FeatureCollection' };
+        if (crs?.epsg) collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${crs.epsg}` } };
+        collection.features = [{
+            type: 'Feature',
+            properties: { source: name, pourPoint, cellCount, area, perimeter },
+            geometry
+        }];
+        triggerDownload(JSON.stringify(collection), `${name.replace(DEM_FILE_EXTENSION_PATTERN, '')}_watershed.geojson`, setStatusFn, 'application/geo+json');
+    } catch (error) {
+        console.error("Error exporting watershed:", error);
+        if (setStatusFn) setStatusFn("Error exporting watershed. See console.", true);
+    }
+}
+
+/**
+ * Exports stream networks as a GeoJSON FeatureCollection: one LineString feature per stream link, downstream,
+ * with its elevations as third coordinates, and its Strahler order, Shreve magnitude, length, drop, the threshold
+ * and the source DEM as properties. Positions are absolute coordinates in the DEMs' CRS, named in a `crs` member
+ * as for contours.
+ * @param {Array<object>} streamNetworks - Stream networks as kept in state.streamNetworks.
+ * @param {function} setStatusFn - Function to update status message.
+ */
+export function exportStreamNetworkGeoJSON(streamNetworks, setStatusFn) {
+    if (!streamNetworks || streamNetworks.length === 0) {
+        if (setStatusFn) setStatusFn("No streams to export. Show streams first.", true);
+        return;
+    }
+    try {
+        const features = [];
+        for (const { name, threshold, streams } of streamNetworks) {
+            for (const { points, strahler, shreve, length, drop } of streams) {
+                features.push({
+                    type: 'Feature',
+                    properties: { strahler, shreve, length, drop, threshold, source: name },
+                    geometry: { type: 'LineString', coordinates: points }
+                });
+            }
+        }
+        const collection = { type: 'FeatureCollection' };
+        const epsg = streamNetworks.find(network => network.crs?.epsg)?.crs.epsg;
+        if (epsg) collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${epsg}` } };
+        collection.features = features;
+        triggerDownload(JSON.stringify(collection), 'streams.geojson', setStatusFn, 'application/geo+json');
+    } catch (error) {
+        console.error("Error exporting streams:", error);
+        if (setStatusFn) setStatusFn("Error exporting streams. See console.", true);
+    }
+}
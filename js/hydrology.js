@@ -0,0 +1,199 @@
+// js/hydrology.js
+import { getParentDemData } from './utils.js';
+import { createElevationGrid, getGridRow } from './elevationGrid.js';
+import { computeRobustDisplayRange } from './terrainDerivatives.js';
+
+/**
+ * @file Hydrological conditioning of DEMs. Depressions are filled by Priority-Flood with epsilon (Barnes, Lehman
+ * & Mulla 2014): water drains off the grid's edge and into NODATA voids, every cell is raised to the level at which
+ * it can spill towards one of them, and filled areas and flats get the smallest representable rise per cell along
+ * the way, so every cell has a strictly lower neighbour on its route out. Files are conditioned as a whole, so
+ * flow continues across chunk borders.
+ */
+
+// Neighbour offsets (8-connected): [row, col].
+const NEIGHBOURS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+// Conditioned rasters of whole files, by their shared elevation buffer.
+const conditionedByBuffer = new WeakMap();
+
+// Float32 bit view, to step to the next representable elevation.
+const float32Scratch = new Float32Array(1);
+const int32Scratch = new Int32Array(float32Scratch.buffer);
+
+/**
+ * Returns a DEM entry's depression-filled surface, computing it for the entry's whole file on first use and keeping
+ * it on the entry (demEntry.conditioned).
+ * @param {object} demEntry - A DEM entry from appState.js.
+ * @returns {{grid: object, depth: {grid: object, displayRange: {min: number, max: number}}, filledCells: number,
+ * maxDepth: number}} The filled elevations and the fill depths (filled minus original, NODATA where nothing was
+ * filled), both laid out like the entry's grid; filledCells and maxDepth describe the whole file.
+ */
+export function getDemEntryConditioned(demEntry) {
+    if (!demEntry.conditioned) {
+        const { grid } = demEntry.demData;
+        let conditioned = conditionedByBuffer.get(grid.values);
+        if (!conditioned) {
+            const { grid: parentGrid } = getParentDemData(demEntry.demData);
+            const { filled, depth, filledCells, maxDepth } = fillDepressions(parentGrid);
+            conditioned = {
+                filledValues: filled.values,
+                depthValues: depth.values,
+                displayRange: computeRobustDisplayRange(depth.values, false),
+                filledCells,
+                maxDepth
+            };
+            conditionedByBuffer.set(grid.values, conditioned);
+            console.log(`[Hydrology] Filled ${filledCells} cell(s) in depressions, up to ${maxDepth.toFixed(2)} deep.`);
+        }
+        demEntry.conditioned = {
+            grid: { ...grid, values: conditioned.filledValues },
+            depth: { grid: { ...grid, values: conditioned.depthValues }, displayRange: conditioned.displayRange },
+            filledCells: conditioned.filledCells,
+            maxDepth: conditioned.maxDepth
+        };
+    }
+    return demEntry.conditioned;
+}
+
+/**
+ * Fills the depressions of a grid by Priority-Flood with epsilon. Outlets are the cells on the grid's edge and
+ * those next to NODATA; each cell is processed from the lowest outlet inwards and raised, if needed, to just above
+ * the cell it was reached from. NODATA cells stay NODATA.
+ * @param {object} grid - Elevation grid (elevationGrid.js).
+ * @returns {{filled: object, depth: object, filledCells: number, maxDepth: number}} New grids with the filled
+ * elevations (epsilon gradients included) and the depth of water each depression would hold (without them; NODATA
+ * where nothing is filled), and the number and greatest depth of the filled cells.
+ */
+export function fillDepressions(grid) {
+    const { ncols, nrows } = grid;
+    const filled = createElevationGrid(ncols, nrows);
+    for (let row = 0; row < nrows; row++) getGridRow(filled, row).set(getGridRow(grid, row));
+    const z = filled.values; // Compact: index = row * ncols + col
+    // The plain fill (flat water surfaces), for the depths.
+    const level = Float32Array.from(z);
+    const closed = new Uint8Array(ncols * nrows);
+    const open = createCellHeap();
+    const pit = [];
+
+    for (let row = 0; row < nrows; row++) {
+        for (let col = 0; col < ncols; col++) {
+            const index = row * ncols + col;
+            if (Number.isNaN(z[index])) continue;
+            const isOutlet = row === 0 || col === 0 || row === nrows - 1 || col === ncols - 1 ||
+                NEIGHBOURS.some(([dr, dc]) => Number.isNaN(z[(row + dr) * ncols + col + dc]));
+            if (isOutlet) {
+                closed[index] = 1;
+                open.push(index, z[index]);
+            }
+        }
+    }
+
+    let pitHead = 0;
+    while (open.size() > 0 || pitHead < pit.length) {
+        // Cells raised inside a depression are finished first, in the order they were reached.
+        const index = pitHead < pit.length ? pit[pitHead++] : open.pop();
+        if (pitHead === pit.length && pitHead > 0) {
+            pit.length = 0;
+            pitHead = 0;
+        }
+        const row = Math.floor(index / ncols);
+        const col = index - row * ncols;
+        const spill = nextFloat32Up(z[index]);
+        for (const [dr, dc] of NEIGHBOURS) {
+            const neighbourRow = row + dr;
+            const neighbourCol = col + dc;
+            if (neighbourRow < 0 || neighbourRow >= nrows || neighbourCol < 0 || neighbourCol >= ncols) continue;
+            const neighbour = neighbourRow * ncols + neighbourCol;
+            if (closed[neighbour] || Number.isNaN(z[neighbour])) continue;
+            closed[neighbour] = 1;
+            if (z[neighbour] <= spill) {
+                z[neighbour] = spill;
+                level[neighbour] = Math.max(level[neighbour], level[index]);
+                pit.push(neighbour);
+            } else {
+                open.push(neighbour, z[neighbour]);
+            }
+        }
+    }
+
+    const depth = createElevationGrid(ncols, nrows);
+    let filledCells = 0;
+    let maxDepth = 0;
+    for (let row = 0; row < nrows; row++) {
+        const original = getGridRow(grid, row);
+        const output = getGridRow(depth, row);
+        for (let col = 0; col < ncols; col++) {
+            const waterDepth = level[row * ncols + col] - original[col];
+            if (!(waterDepth > 0)) continue;
+            output[col] = waterDepth;
+            filledCells++;
+            maxDepth = Math.max(maxDepth, waterDepth);
+        }
+    }
+    return { filled, depth, filledCells, maxDepth };
+}
+
+/**
+ * Returns the smallest float32 value greater than a float32 value.
+ * @param {number} value
+ * @returns {number}
+ */
+function nextFloat32Up(value) {
+    if (value === 0) return 2 ** -149;
+    float32Scratch[0] = value;
+    int32Scratch[0] += value > 0 ? 1 : -1;
+    return float32Scratch[0];
+}
+
+/**
+ * A binary min-heap of cell indices keyed by elevation.
+ * @returns {{push: function(number, number): void, pop: function(): number, size: function(): number}}
+ */
+function createCellHeap() {
+    let cells = new Int32Array(1024);
+    let keys = new Float64Array(1024);
+    let count = 0;
+    return {
+        size: () => count,
+        push(cell, key) {
+            if (count === cells.length) {
+                const grownCells = new Int32Array(cells.length * 2);
+                const grownKeys = new Float64Array(keys.length * 2);
+                grownCells.set(cells);
+                grownKeys.set(keys);
+                cells = grownCells;
+                keys = grownKeys;
+            }
+            let i = count++;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (keys[parent] <= key) break;
+                cells[i] = cells[parent];
+                keys[i] = keys[parent];
+                i = parent;
+            }
+            cells[i] = cell;
+            keys[i] = key;
+        },
+        pop() {
+            const top = cells[0];
+            count--;
+            const lastCell = cells[count];
+            const lastKey = keys[count];
+            let i = 0;
+            for (;;) {
+                let child = 2 * i + 1;
+                if (child >= count) break;
+                if (child + 1 < count && keys[child + 1] < keys[child]) child++;
+                if (keys[child] >= lastKey) break;
+                cells[i] = cells[child];
+                keys[i] = keys[child];
+                i = child;
+            }
+            cells[i] = lastCell;
+            keys[i] = lastKey;
+            return top;
+        }
+    };
+}
@@ -7,7 +7,14 @@
 // --- Module Imports ---
 import * as THREE from 'three'; 
 
-import { state, resetFirstDemAbsoluteOrigin } from './appState.js';
+import { 
+    state, 
+    resetFirstDemAbsoluteOrigin, 
+    initFirstDemAbsoluteOrigin, 
+    getSceneScale, 
+    getSceneCrs, 
+    absoluteToScene 
+} from './appState.js';
 
 import { 
     uiElements, 
@@ -16,12 +23,34 @@ import {
     showLoader, 
     addDemToPanelList, 
     setDemControlsEnabled,
+    getPointGriddingOptions,
+    getLASImportOptions,
+    showParseDiagnostics,
+    showLoadProgress,
+    hideLoadProgress,
+    showSkippedFiles,
+    getMosaicOverlapPolicy,
+    getTerrainMeshOptions,
+    getClipShape,
+    getVoidFillOptions,
+    getContourOptions,
+    getRaindropOptions,
+    getTerrainClickAction,
+    getWatershedOptions,
+    getStreamNetworkOptions,
+    getDifferenceOptions,
+    getVolumeReferenceElevation,
+    getRasterCalculatorExpression,
+    showRasterCalculatorVariables,
+    setDemListItemVisibility,
+    setDemOperationsEnabled,
+    updateClipControls,
     showAIDescriptionPanel,
     hideAIDescriptionPanel
 } from './uiManager.js';
 
-import { parseASCIIGrid } from './demParser.js';
-import { processAndChunkDEM } from './demProcessor.js';
+import { loadDemInWorker, runDemOperationInWorker, cancelDemLoading } from './demLoadManager.js';
+import { isZipArchive, extractZipArchive } from './zipArchive.js';
 
 import { 
     initScene, 
@@ -29,21 +58,46 @@ import {
     centerView,
     getCanvasClickIntersectionAndDem, // This is the key function from threeSceneManager for clicks
     addPathLineVisual,          
-    clearAllPathLineVisuals     
+    clearAllPathLineVisuals,
+    addContourLinesVisual,
+    clearContourVisuals,
+    showWatershedVisual,
+    clearWatershedVisual,
+    addStreamLinesVisual,
+    clearStreamVisuals
 } from './threeSceneManager.js';
 
 import { 
     updateDemMaterial, 
-    updateAllDemMaterials 
+    updateAllDemMaterials,
+    assignRegionColorToDem
 } from './materialManager.js';
 import { createDefaultDemMaterial } from './shaderManager.js'; 
-import { exportUnifiedVisibleDemsGLB } from './exportManager.js';
+import { exportUnifiedVisibleDemsGLB, exportContoursGeoJSON, exportFlowRasterAsciiGrid, exportWatershedGeoJSON, exportStreamNetworkGeoJSON } from './exportManager.js';
 import { fetchAIDescription } from './apiManager.js';
-import { calculateRaindropPath } from './waterFlowSimulator.js';
+import { calculateRaindropPath, delineateWatershed, extractStreamNetwork } from './waterFlowSimulator.js';
+import { startClipDrawing, isClipDrawing, canFinishClipPolygon, addClipVertex, finishClipPolygon, cancelClipDrawing } from './clipTool.js';
+import { generateContours } from './contourGenerator.js';
+import { computeVolumes, formatVolumes } from './demVolumes.js';
+import { parseRasterExpression, getExpressionVariables } from './rasterCalculator.js';
+import { computeElevationRange, getElevation } from './elevationGrid.js';
+import { getCellSize, getParentDemData, isGeographicHeader } from './utils.js';
+import { LOD_DISTANCE_PER_SAMPLE, CONTOUR_LIFT_PER_SAMPLE_SPACING } from './constants.js';
 
 
 // --- Main Application Logic ---
 
+// Aborts the zip extraction of the current selection while it runs (see handleCancelLoad).
+let archiveExtraction = null;
+// Number of merged, clipped and calculated DEMs created so far, used to name them.
+let mosaicCount = 0;
+let clipCount = 0;
+let calculationCount = 0;
+// Raster calculator variables are capital letters, given to the loaded DEM files in list order.
+const RASTER_CALCULATOR_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+// Stream colours by order, light to dark blue; higher orders use the last one. The order also sets the width.
+const STREAM_ORDER_COLORS = [0x7dd3fc, 0x38bdf8, 0x0ea5e9, 0x0284c7, 0x0369a1, 0x075985, 0x0c4a6e, 0x082f49];
+
 /**
  * Initializes all application modules and sets up global event listeners.
  * This is the main function called when the DOM is ready.
@@ -83,6 +137,66 @@ function setupEventListeners() {
     if (uiElements.exportUnifiedBtn) {
         uiElements.exportUnifiedBtn.addEventListener('click', handleExportUnified);
     }
+    if (uiElements.cancelLoadBtn) {
+        uiElements.cancelLoadBtn.addEventListener('click', handleCancelLoad);
+    }
+    if (uiElements.mergeDemsBtn) {
+        uiElements.mergeDemsBtn.addEventListener('click', handleMergeVisibleDems);
+    }
+    if (uiElements.clipDrawBtn) {
+        uiElements.clipDrawBtn.addEventListener('click', handleClipDrawToggle);
+    }
+    if (uiElements.clipFinishBtn) {
+        uiElements.clipFinishBtn.addEventListener('click', () => finishClipPolygon());
+    }
+    if (uiElements.fillVoidsBtn) {
+        uiElements.fillVoidsBtn.addEventListener('click', handleFillVoids);
+    }
+    if (uiElements.differenceBtn) {
+        uiElements.differenceBtn.addEventListener('click', handleDifferenceDems);
+    }
+    if (uiElements.measureVolumeBtn) {
+        uiElements.measureVolumeBtn.addEventListener('click', handleMeasureVolumes);
+    }
+    if (uiElements.rasterCalcBtn) {
+        uiElements.rasterCalcBtn.addEventListener('click', handleRasterCalculate);
+    }
+    if (uiElements.rasterCalcExpressionInput) {
+        uiElements.rasterCalcExpressionInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && uiElements.rasterCalcBtn && !uiElements.rasterCalcBtn.disabled) handleRasterCalculate();
+        });
+    }
+    if (uiElements.showContoursBtn) {
+        uiElements.showContoursBtn.addEventListener('click', handleShowContours);
+    }
+    if (uiElements.clearContoursBtn) {
+        uiElements.clearContoursBtn.addEventListener('click', handleClearContours);
+    }
+    if (uiElements.exportContoursBtn) {
+        uiElements.exportContoursBtn.addEventListener('click', () => exportContoursGeoJSON(state.contourSets, setStatusMessage));
+    }
+    if (uiElements.exportFlowDirectionBtn) {
+        uiElements.exportFlowDirectionBtn.addEventListener('click', () => handleExportFlowRaster('flowDirection'));
+    }
+    if (uiElements.exportFlowAccumulationBtn) {
+        uiElements.exportFlowAccumulationBtn.addEventListener('click', () => handleExportFlowRaster('flowAccumulation'));
+    }
+    if (uiElements.exportWatershedBtn) {
+        uiElements.exportWatershedBtn.addEventListener('click', () => exportWatershedGeoJSON(state.watershed, setStatusMessage));
+    }
+    if (uiElements.clearWatershedBtn) {
+        uiElements.clearWatershedBtn.addEventListener('click', handleClearWatershed);
+    }
+    if (uiElements.showStreamsBtn) {
+        uiElements.showStreamsBtn.addEventListener('click', handleShowStreams);
+    }
+    if (uiElements.clearStreamsBtn) {
+        uiElements.clearStreamsBtn.addEventListener('click', handleClearStreams);
+    }
+    if (uiElements.exportStreamsBtn) {
+        uiElements.exportStreamsBtn.addEventListener('click', () => exportStreamNetworkGeoJSON(state.streamNetworks, setStatusMessage));
+    }
+    document.addEventListener('keydown', handleClipKeyDown);
     
     // The primary canvas click listener is now set up inside threeSceneManager's initScene
     // by passing `handleCanvasPrimaryClick` as a callback.
@@ -105,115 +219,884 @@ async function handleFileLoad(event) {
         resetFirstDemAbsoluteOrigin(); 
         console.log("[Main] First DEM load, reset absolute origin.");
     }
+    // Reading, parsing, chunking and meshing run in a worker; block a second selection until this one is done.
+    if (uiElements.fileInput) uiElements.fileInput.disabled = true;
+    setDemOperationsEnabled(false);
+    cancelClipDrawing();
+    updateClipControls(false, false);
     showLoader(true); 
-    setStatusMessage(`Loading ${files.length} file(s)...`);
     hideAIDescriptionPanel(); 
+    showSkippedFiles([]);
+    archiveExtraction = new AbortController();
+    let expandedFiles;
+    let archiveSkippedFiles;
+    try {
+        ({ files: expandedFiles, skippedFiles: archiveSkippedFiles } = await expandZipArchives(files, archiveExtraction.signal));
+    } catch (error) {
+        // Only a cancel gets here; unreadable archives are reported as skipped files.
+        console.log("[Main] Loading cancelled while extracting archives.");
+        expandedFiles = [];
+        archiveSkippedFiles = [];
+    }
+    const extractionCancelled = archiveExtraction.signal.aborted;
+    archiveExtraction = null;
+    const { loadJobs, skippedFiles: unsupportedFiles } = collectDemLoadJobs(expandedFiles);
+    const skippedFiles = [...archiveSkippedFiles, ...unsupportedFiles];
+    for (const skipped of skippedFiles) {
+        console.warn(`[Main] Skipping ${skipped.name}: ${skipped.reason}`); 
+    }
+    showSkippedFiles(skippedFiles);
+    setStatusMessage(`Loading ${loadJobs.length} DEM(s)...`);
+    const importOptions = { gridding: getPointGriddingOptions(), las: getLASImportOptions(), mesh: getTerrainMeshOptions() };
     let filesProcessedSuccessfully = 0;
-    for (const file of files) { 
-        console.log(`[Main] Processing file: ${file.name}`);
-        if (!file.name.toLowerCase().endsWith('.asc')) { 
-            setStatusMessage(`Skipping non .asc file: ${file.name}`, true); 
-            console.warn(`[Main] Skipping non .asc file: ${file.name}`); 
-            continue;
-        }
+    let wasCancelled = extractionCancelled;
+    for (const job of loadJobs) { 
+        const file = job.file;
+        const sidecarNames = [job.headerFile, ...job.sidecarFiles].filter(Boolean).map(f => f.name);
+        console.log(`[Main] Processing file: ${file.name}` + (sidecarNames.length > 0 ? ` (sidecars: ${sidecarNames.join(', ')})` : ''));
         try {
-            const fileContent = await file.text(); 
-            const parsedFullDem = parseASCIIGrid(fileContent, file.name);
-            if (!parsedFullDem) {
-                setStatusMessage(`Failed to parse ${file.name}. Check console.`, true);
+            const { diagnostics, crs, chunks } = await loadDemInWorker(job, importOptions, {
+                onProgress: (phase, fraction) => showLoadProgress(file.name, phase, fraction),
+                onParsed: (header, demCrs) => {
+                    // The scene origin and CRS (and with them the scale of the mesh buffers) come from the first DEM.
+                    initFirstDemAbsoluteOrigin(header, demCrs);
+                    return { sceneScale: getSceneScale(), sceneCrs: getSceneCrs() };
+                }
+            });
+            if (!chunks) {
+                const reason = diagnostics.find(d => d.severity === 'error');
+                setStatusMessage(`Failed to parse ${file.name}${reason ? `: ${reason.message}` : '. Check console.'}`, true);
                 console.error(`[Main] Parsing failed for ${file.name}.`);
+                showParseDiagnostics(file.name, diagnostics);
                 continue; 
             }
-            const demChunksToProcess = processAndChunkDEM(parsedFullDem, file.name);
-            if (demChunksToProcess && demChunksToProcess.length > 0) {
-                for (const chunkData of demChunksToProcess) { 
-                    createAndAddTerrainMesh(chunkData.name, chunkData.parsedData); 
-                }
+            if (chunks.length > 0) {
+                const demEntries = chunks.map(chunk => createAndAddTerrainMesh(chunk.name, chunk.parsedData, chunk.geometryBuffers, crs, chunk.lodLevels));
+                // The report belongs to the file, so it is shown once, on the file's first DEM/chunk.
+                showParseDiagnostics(file.name, diagnostics, demEntries[0].id);
                 filesProcessedSuccessfully++;
             } else { 
                 setStatusMessage(`No processable chunks generated for ${file.name}. Check console.`, true); 
                 console.warn(`[Main] No processable chunks for ${file.name}.`);
             }
         } catch (error) { 
+            if (error.name === 'AbortError') {
+                console.log(`[Main] Loading cancelled during ${file.name}.`);
+                wasCancelled = true;
+                break;
+            }
             console.error(`[Main] Error processing file ${file.name}:`, error);
             setStatusMessage(`Error processing file ${file.name}: ${error.message}`, true);
+            showParseDiagnostics(file.name, [{ severity: 'error', line: null, code: 'PROCESSING_FAILED', message: error.message }]);
         }
     }
+    hideLoadProgress();
+    if (uiElements.fileInput) uiElements.fileInput.disabled = false;
     showLoader(false); 
     if (state.loadedDEMs.length > 0) {
          setStatusMessage(`${state.loadedDEMs.length} DEM(s)/chunk(s) loaded. Click on terrain for coordinates or raindrop.`); 
          centerView(); 
          setDemControlsEnabled(true); 
-    } else if (files.length > 0 && filesProcessedSuccessfully === 0) {
+    } else if (filesProcessedSuccessfully === 0 && (loadJobs.length > 0 || skippedFiles.length > 0)) {
          setStatusMessage("No valid DEMs were loaded. Check files or console.", true);
          setDemControlsEnabled(false);
     } else { 
          setStatusMessage("Please load DEM file(s). Click on terrain for coordinates or raindrop."); 
          setDemControlsEnabled(false);
     }
+    if (wasCancelled) {
+        setStatusMessage(`Loading cancelled. ${state.loadedDEMs.length} DEM(s)/chunk(s) loaded.`, true);
+    }
     if (uiElements.fileInput) uiElements.fileInput.value = ''; 
     console.log("[Main] File loading process complete.");
 }
 
+/**
+ * Determines which DEM parser handles a file, based on its extension.
+ * @param {string} fileName - The name of the selected file.
+ * `.txt` files may hold either an ASCII Grid or an XYZ point list; their content decides (see parseDemFile).
+ * @returns {'ascii'|'text'|'xyz'|'las'|'geotiff'|'flt'|'bil'|'hgt'|null} The DEM format, or null if the file type is not supported.
+ */
+function getDemFormatForFile(fileName) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.asc')) return 'ascii';
+    if (lowerName.endsWith('.txt')) return 'text';
+    if (lowerName.endsWith('.xyz') || lowerName.endsWith('.csv')) return 'xyz';
+    if (lowerName.endsWith('.tif') || lowerName.endsWith('.tiff')) return 'geotiff';
+    if (lowerName.endsWith('.flt')) return 'flt';
+    if (lowerName.endsWith('.bil')) return 'bil';
+    if (lowerName.endsWith('.hgt')) return 'hgt';
+    if (lowerName.endsWith('.las')) return 'las';
+    return null;
+}
+
+/**
+ * Cancels the running load: the archive extraction if one is in progress, otherwise the worker job.
+ */
+function handleCancelLoad() {
+    if (archiveExtraction) {
+        archiveExtraction.abort(new DOMException("Archive extraction was cancelled.", 'AbortError'));
+        return;
+    }
+    cancelDemLoading();
+}
+
+/**
+ * Replaces every .zip archive in a selection with the files it contains, so bundles go through the same
+ * grouping and loading as individually selected files.
+ * @param {FileList|Array<File>} files - The selected files.
+ * @param {AbortSignal} signal - Aborts the extraction (the promise then rejects with an AbortError).
+ * @returns {Promise<{files: Array<File>, skippedFiles: Array<{name: string, reason: string}>}>} The expanded file list
+ * and the archive members (or whole archives) that could not be extracted.
+ */
+async function expandZipArchives(files, signal) {
+    const expandedFiles = [];
+    const skippedFiles = [];
+    for (const file of Array.from(files)) {
+        if (!isZipArchive(file)) {
+            expandedFiles.push(file);
+            continue;
+        }
+        try {
+            const { files: memberFiles, skippedEntries } = await extractZipArchive(file, {
+                onProgress: (fraction) => showLoadProgress(file.name, 'extracting', fraction),
+                signal
+            });
+            console.log(`[Main] ${file.name}: ${memberFiles.length} file(s) extracted.`);
+            expandedFiles.push(...memberFiles);
+            skippedFiles.push(...skippedEntries);
+        } catch (error) {
+            if (signal.aborted) throw error;
+            console.error(`[Main] Could not read archive ${file.name}:`, error);
+            skippedFiles.push({ name: file.name, reason: error.message });
+        }
+    }
+    hideLoadProgress();
+    return { files: expandedFiles, skippedFiles };
+}
+
+/**
+ * Returns a file name without its last extension, lowercased, for matching sidecar files. Files extracted from zip
+ * archives are named by their path (see extractZipArchive), so only sidecars in the grid's own folder match.
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getSidecarKey(fileName) {
+    const lowerName = fileName.toLowerCase();
+    const dotIndex = lowerName.lastIndexOf('.');
+    return dotIndex > lowerName.lastIndexOf('/') + 1 ? lowerName.slice(0, dotIndex) : lowerName;
+}
+
+/**
+ * Returns the key a sidecar file is matched on, or null if the file is not a sidecar.
+ * .hdr and .prj sidecars share the grid's base name (dem.flt + dem.hdr); GDAL's .aux.xml usually extends the
+ * full grid name (dem.tif.aux.xml) but may also replace its extension (dem.aux.xml).
+ * @param {string} fileName
+ * @returns {{type: 'hdr'|'prj'|'aux', key: string}|null}
+ */
+function getSidecarInfo(fileName) {
+    const lowerName = fileName.toLowerCase();
+    if (lowerName.endsWith('.hdr')) return { type: 'hdr', key: getSidecarKey(lowerName) };
+    if (lowerName.endsWith('.prj')) return { type: 'prj', key: getSidecarKey(lowerName) };
+    if (lowerName.endsWith('.aux.xml')) return { type: 'aux', key: lowerName.slice(0, -'.aux.xml'.length) };
+    return null;
+}
+
+/**
+ * Groups a multi-file selection into DEM load jobs, pairing grids with their sidecar files: binary grids
+ * (.flt/.bil) need their .hdr; .prj and .aux.xml files are kept with the grid they describe.
+ * Sidecars without a matching grid are reported as skipped.
+ * @param {FileList|Array<File>} files - The selected files (zip archives already expanded).
+ * @returns {{loadJobs: Array<{file: File, format: string, headerFile?: File, sidecarFiles: Array<File>}>, skippedFiles: Array<{name: string, reason: string}>}}
+ */
+function collectDemLoadJobs(files) {
+    const fileList = Array.from(files);
+    const sidecarsByKey = new Map();
+    for (const file of fileList) {
+        const sidecar = getSidecarInfo(file.name);
+        if (!sidecar) continue;
+        if (!sidecarsByKey.has(sidecar.key)) sidecarsByKey.set(sidecar.key, []);
+        sidecarsByKey.get(sidecar.key).push({ type: sidecar.type, file });
+    }
+    const findSidecars = (fileName) => [
+        ...(sidecarsByKey.get(fileName.toLowerCase()) ?? []),
+        ...(sidecarsByKey.get(getSidecarKey(fileName)) ?? [])
+    ];
+
+    const loadJobs = [];
+    const skippedFiles = [];
+    const usedSidecarFiles = new Set();
+    for (const file of fileList) {
+        if (getSidecarInfo(file.name)) continue; // Sidecars are attached to their grid below
+        const format = getDemFormatForFile(file.name);
+        if (!format) {
+            skippedFiles.push({ name: file.name, reason: 'unsupported file type' });
+            continue;
+        }
+        const sidecars = findSidecars(file.name);
+        const job = { file, format, sidecarFiles: sidecars.filter(s => s.type !== 'hdr').map(s => s.file) };
+        if (format === 'flt' || format === 'bil') {
+            const headerFile = sidecars.find(s => s.type === 'hdr')?.file;
+            if (!headerFile) {
+                skippedFiles.push({ name: file.name, reason: `missing .hdr sidecar (select it together with the .${format} file)` });
+                continue;
+            }
+            job.headerFile = headerFile;
+            usedSidecarFiles.add(headerFile);
+        }
+        job.sidecarFiles.forEach(sidecarFile => usedSidecarFiles.add(sidecarFile));
+        loadJobs.push(job);
+    }
+    for (const sidecars of sidecarsByKey.values()) {
+        for (const { type, file } of sidecars) {
+            if (usedSidecarFiles.has(file)) continue;
+            const reason = type === 'hdr' ? 'no matching .flt/.bil file selected' : 'no matching DEM file selected';
+            skippedFiles.push({ name: file.name, reason });
+        }
+    }
+    return { loadJobs, skippedFiles };
+}
+
 /**
  * Creates a 3D terrain mesh from parsed DEM data and adds it to the scene and UI.
  * This function is called for each DEM or each chunk of a split DEM.
  * @param {string} fileName - The name of the DEM (or chunk).
- * @param {object} parsedData - The object containing {header, data, minElev, maxElev}.
+ * @param {object} parsedData - The object containing {header, grid, minElev, maxElev}.
+ * @param {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}} geometryBuffers -
+ * The mesh buffers built by the load worker (see demProcessor.buildTerrainGeometryBuffers).
+ * @param {object|null} [crs=null] - The CRS of parsedData's coordinates, if known.
+ * @param {Array<{factor: number, geometryBuffers: object}>} [lodLevels=[]] - Coarser mesh buffers of the same
+ * chunk (see demProcessor.buildTerrainLodBuffers), shown instead of the full mesh as the camera moves away.
+ * @returns {object} The new DEM entry added to state.loadedDEMs.
  */
-function createAndAddTerrainMesh(fileName, parsedData) {
-    const { header, data, minElev, maxElev } = parsedData;
+function createAndAddTerrainMesh(fileName, parsedData, geometryBuffers, crs = null, lodLevels = []) {
+    const { header } = parsedData;
     const ncols = Math.floor(header.ncols); 
     const nrows = Math.floor(header.nrows);
-    const cellsize = header.cellsize; 
-    const nodata_value = header.nodata_value;
-    const planeWidthForGeom = (ncols - 1) * cellsize; 
-    const planeHeightForGeom = (nrows - 1) * cellsize;
-    if (state.firstDemAbsoluteOrigin.x === null) { 
-        state.firstDemAbsoluteOrigin.x = header.xllcorner;
-        state.firstDemAbsoluteOrigin.y = header.yllcorner;
-    }
-    const relativeX = header.xllcorner - state.firstDemAbsoluteOrigin.x;
-    const relativeY = header.yllcorner - state.firstDemAbsoluteOrigin.y;
-    const geometry = new THREE.PlaneGeometry(planeWidthForGeom, planeHeightForGeom, Math.max(1, ncols - 1), Math.max(1, nrows - 1));
-    const positions = geometry.attributes.position;
-    for (let j = 0; j < nrows; j++) {
-        for (let i = 0; i < ncols; i++) {
-            const vertexIndex = i + j * ncols;
-            const demRow = j; 
-            const demCol = i; 
-            let elevation = (data[demRow] && data[demRow][demCol] !== undefined) ? data[demRow][demCol] : nodata_value;
-            if (elevation === undefined || elevation === null || isNaN(elevation) || elevation === nodata_value) elevation = minElev; 
-            if (positions.array.length > vertexIndex * 3 + 2) positions.setZ(vertexIndex, elevation);
-        }
+    const { dx, dy } = getCellSize(header); 
+    initFirstDemAbsoluteOrigin(header, crs);
+    if (isGeographicHeader(header) !== state.firstDemAbsoluteOrigin.isGeographic) {
+        console.warn(`[Main] ${fileName} uses ${isGeographicHeader(header) ? 'degree' : 'projected'} coordinates but the scene origin does not. It may be misplaced.`);
     }
-    geometry.computeVertexNormals();
+    // The worker built the vertex buffers in scene units (geographic grids scaled to metres), centred on the origin:
+    // place that centre at the middle of the grid's extent.
+    const { x: relativeX, y: relativeY } = absoluteToScene(header.xllcorner + (ncols * dx) / 2, header.yllcorner + (nrows * dy) / 2);
     state.fileIdCounter++;
     const demEntry = {
         id: `dem-${state.fileIdCounter}`, 
         name: fileName,
-        mesh: new THREE.Mesh(geometry, createDefaultDemMaterial()), 
+        mesh: new THREE.Mesh(createTerrainGeometry(geometryBuffers), createDefaultDemMaterial()), 
+        lod: new THREE.LOD(),
         demData: parsedData, 
+        crs,
         materials: { default: null }, 
+        derivatives: {},
         isVisible: true, 
         fileId: state.fileIdCounter
     };
     // Assign a unique region color to this DEM (for regionColor mode)
-    const { assignRegionColorToDem } = require('./materialManager.js');
     assignRegionColorToDem(demEntry, state.loadedDEMs.length);
     demEntry.materials.default = demEntry.mesh.material; 
     demEntry.mesh.userData.demEntry = demEntry; 
-    demEntry.mesh.position.set(relativeX, relativeY, 0); 
-    addMeshToScene(demEntry.mesh); 
+    // The full-resolution mesh is the LOD's first level; the coarser levels take over at increasing camera
+    // distances, measured from the chunk's centre, so the thresholds start past the chunk's half diagonal.
+    const sceneScale = getSceneScale();
+    const sampleSpacing = Math.max(dx * sceneScale.x, dy * sceneScale.y);
+    const halfDiagonal = Math.hypot(ncols * dx * sceneScale.x, nrows * dy * sceneScale.y) / 2;
+    demEntry.lod.addLevel(demEntry.mesh, 0);
+    for (const { factor, geometryBuffers: levelBuffers } of lodLevels) {
+        const levelMesh = new THREE.Mesh(createTerrainGeometry(levelBuffers), demEntry.mesh.material);
+        levelMesh.userData.demEntry = demEntry;
+        demEntry.lod.addLevel(levelMesh, halfDiagonal + factor * sampleSpacing * LOD_DISTANCE_PER_SAMPLE, 0.1);
+    }
+    demEntry.lod.userData.demEntry = demEntry;
+    demEntry.lod.position.set(relativeX, relativeY, 0); 
+    addMeshToScene(demEntry.lod); 
     state.loadedDEMs.push(demEntry);
     addDemToPanelList(demEntry, (demId, isVisible) => {
         const changedDem = state.loadedDEMs.find(d => d.id === demId);
         if (changedDem) {
             changedDem.isVisible = isVisible;
-            changedDem.mesh.visible = isVisible;
+            changedDem.lod.visible = isVisible;
         }
     }); 
     updateDemMaterial(demEntry, state.currentShadingMode); 
+    refreshRasterCalculatorVariables();
+    return demEntry;
+}
+
+/**
+ * Wraps mesh buffers built by the load worker in a BufferGeometry.
+ * @param {{positions: Float32Array, normals: Float32Array, uvs: Float32Array, indices: Uint32Array}} geometryBuffers
+ * @returns {THREE.BufferGeometry}
+ */
+function createTerrainGeometry(geometryBuffers) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(new THREE.BufferAttribute(geometryBuffers.indices, 1));
+    geometry.setAttribute('position', new THREE.BufferAttribute(geometryBuffers.positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(geometryBuffers.normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(geometryBuffers.uvs, 2));
+    return geometry;
+}
+
+/**
+ * Handles the "Merge visible DEMs" button: merges the visible DEMs (in list order, which decides the 'first' and
+ * 'last' overlap policies) into one grid and adds it as a new DEM entry.
+ */
+async function handleMergeVisibleDems() {
+    const sourceEntries = state.loadedDEMs.filter(demEntry => demEntry.isVisible);
+    if (sourceEntries.length < 2) {
+        setStatusMessage("Show at least two DEMs to merge them.", true);
+        return;
+    }
+    const overlapPolicy = getMosaicOverlapPolicy();
+    const mosaicName = `mosaic_${mosaicCount + 1}`;
+    console.log(`[Main] Merging ${sourceEntries.length} visible DEM(s) into ${mosaicName} (overlaps: ${overlapPolicy}).`);
+    const demEntries = await addDemFromOperation('mosaic', sourceEntries, { overlapPolicy }, mosaicName, `Merging ${sourceEntries.length} DEM(s)...`);
+    if (demEntries) {
+        mosaicCount++;
+        setStatusMessage(`Merged ${sourceEntries.length} DEM(s) into ${mosaicName}; the merged DEMs were hidden.`);
+    }
+}
+
+/**
+ * Handles the clip draw button: starts drawing the selected shape, or cancels the drawing in progress.
+ */
+function handleClipDrawToggle() {
+    if (isClipDrawing()) {
+        cancelClipDrawing();
+        updateClipControls(false, false);
+        setStatusMessage("Clip cancelled.");
+        return;
+    }
+    startClipDrawing(getClipShape(), handleClipShapeComplete);
+    updateClipControls(true, false);
+}
+
+/**
+ * Keyboard shortcuts while a clip shape is drawn: Enter finishes a polygon, Escape cancels.
+ * @param {KeyboardEvent} event
+ */
+function handleClipKeyDown(event) {
+    if (!isClipDrawing()) return;
+    if (event.key === 'Escape') {
+        handleClipDrawToggle();
+    } else if (event.key === 'Enter') {
+        finishClipPolygon();
+    }
+}
+
+/**
+ * Clips a DEM (all its chunks) to a finished clip outline and adds the result as a new DEM entry.
+ * @param {Array<{x: number, y: number}>} polygon - The outline in absolute coordinates.
+ * @param {Array<object>} sourceEntries - The entries of the DEM that was drawn on.
+ */
+async function handleClipShapeComplete(polygon, sourceEntries) {
+    updateClipControls(false, false);
+    const sourceName = getDemFileName(sourceEntries[0]);
+    const clipName = `${sourceName}_clip${clipCount + 1}`;
+    console.log(`[Main] Clipping ${sourceName} to a ${polygon.length}-vertex outline.`);
+    const demEntries = await addDemFromOperation('clip', sourceEntries, { polygon }, clipName, `Clipping ${sourceName}...`);
+    if (demEntries) {
+        clipCount++;
+        setStatusMessage(`Clipped ${sourceName} into ${clipName}; the original DEM was hidden.`);
+    }
+}
+
+/**
+ * Handles the "Fill voids" button: fills the enclosed NODATA voids of every visible DEM, one DEM (all its chunks)
+ * at a time, and adds each result as a new DEM entry named after its source.
+ */
+async function handleFillVoids() {
+    const visibleEntries = state.loadedDEMs.filter(demEntry => demEntry.isVisible);
+    if (visibleEntries.length === 0) {
+        setStatusMessage("Show the DEM(s) whose voids should be filled.", true);
+        return;
+    }
+    const options = getVoidFillOptions();
+    let filledCount = 0;
+    for (const sourceEntries of groupDemEntriesByFile(visibleEntries)) {
+        const sourceName = getDemFileName(sourceEntries[0]);
+        console.log(`[Main] Filling voids of ${sourceName} (${options.method}, max ${options.maxVoidCells ?? 'unlimited'} cells).`);
+        const demEntries = await addDemFromOperation('fillVoids', sourceEntries, options, `${sourceName}_filled`, `Filling voids in ${sourceName}...`);
+        if (!demEntries) return; // Failed or cancelled; the reason is already shown
+        filledCount++;
+    }
+    setStatusMessage(`Filled the voids of ${filledCount} DEM(s); the originals were hidden.`);
+}
+
+/**
+ * Handles the "Difference" button: subtracts the earlier of exactly two visible DEMs (files) from the later one,
+ * adds the difference as a new DEM coloured around zero and reports its cut/fill volumes.
+ */
+async function handleDifferenceDems() {
+    const demGroups = groupDemEntriesByFile(state.loadedDEMs.filter(demEntry => demEntry.isVisible));
+    if (demGroups.length !== 2) {
+        setStatusMessage(`Show exactly two DEMs to compare (${demGroups.length} visible).`, true);
+        return;
+    }
+    const { lowerIsLater, threshold } = getDifferenceOptions();
+    const [laterEntries, earlierEntries] = lowerIsLater ? [demGroups[1], demGroups[0]] : demGroups;
+    const laterName = getDemFileName(laterEntries[0]);
+    const earlierName = getDemFileName(earlierEntries[0]);
+    const differenceName = `${laterName}_minus_${earlierName}`;
+    console.log(`[Main] Differencing ${laterName} minus ${earlierName}.`);
+    const demEntries = await addDemFromOperation('difference', [...laterEntries, ...earlierEntries], { laterSourceCount: laterEntries.length, threshold },
+        differenceName, `Comparing ${laterName} with ${earlierName}...`);
+    if (!demEntries) return;
+    for (const demEntry of demEntries) {
+        demEntry.isDifference = true;
+        updateDemMaterial(demEntry, state.currentShadingMode);
+    }
+    const { header, grid } = getParentDemData(demEntries[0].demData);
+    const volumes = computeVolumes(grid, header, { threshold });
+    console.log(`[Main] ${differenceName}:`, volumes);
+    setStatusMessage(`${differenceName}: ${formatVolumes(volumes)}.`);
+}
+
+/**
+ * Handles the "Measure volume" button: reports, for each visible DEM, the volume above and below a horizontal
+ * plane (by default at the DEM's lowest point, which gives a stockpile's volume once it is clipped out).
+ */
+function handleMeasureVolumes() {
+    const demGroups = groupDemEntriesByFile(state.loadedDEMs.filter(demEntry => demEntry.isVisible));
+    if (demGroups.length === 0) {
+        setStatusMessage("Show the DEM(s) to measure.", true);
+        return;
+    }
+    const referenceElevation = getVolumeReferenceElevation();
+    const reports = demGroups.map(sourceEntries => {
+        const { header, grid } = getParentDemData(sourceEntries[0].demData);
+        const reference = referenceElevation ?? computeElevationRange(grid).minElev;
+        const volumes = computeVolumes(grid, header, { reference });
+        console.log(`[Main] Volumes of ${getDemFileName(sourceEntries[0])} against ${reference}:`, volumes);
+        return `${getDemFileName(sourceEntries[0])} (base ${reference.toFixed(2)}): ${formatVolumes(volumes, { fill: 'above', cut: 'below' })}`;
+    });
+    setStatusMessage(reports.join('; '));
+}
+
+/**
+ * Handles the "Calculate" button: evaluates the raster calculator expression over the DEMs it names and adds the
+ * result as a new DEM. Variables are the letters shown under the expression (see getRasterCalculatorFiles),
+ * [file names] or [chunk names]; a file's chunks are always used together.
+ */
+async function handleRasterCalculate() {
+    const expression = getRasterCalculatorExpression();
+    if (!expression) {
+        setStatusMessage("Enter an expression, e.g. A - B.", true);
+        return;
+    }
+    let variableNames;
+    try {
+        variableNames = getExpressionVariables(parseRasterExpression(expression));
+    } catch (error) {
+        setStatusMessage(error.message, true);
+        return;
+    }
+    if (variableNames.length === 0) {
+        setStatusMessage("The expression must use at least one DEM (A, B, ... or [file name]).", true);
+        return;
+    }
+    const files = getRasterCalculatorFiles();
+    const variables = [];
+    for (const variableName of variableNames) {
+        const file = files.find(candidate => candidate.letter === variableName || candidate.fileName === variableName)
+            ?? files.find(candidate => candidate.entries.some(demEntry => demEntry.name === variableName));
+        if (!file) {
+            setStatusMessage(`Unknown DEM '${variableName}' in the expression; use ${files.length > 0 ? `A to ${files[files.length - 1].letter}` : 'a loaded DEM'} or a [file name].`, true);
+            return;
+        }
+        variables.push({ name: variableName, fileName: file.fileName, entries: file.entries });
+    }
+    const resultName = `calc_${calculationCount + 1}`;
+    console.log(`[Main] Calculating ${resultName} = ${expression}.`);
+    const demEntries = await addDemFromOperation('calculate', variables.flatMap(variable => variable.entries), {
+        expression,
+        variables: variables.map(({ name, fileName, entries }) => ({ name, fileName, sourceCount: entries.length }))
+    }, resultName, `Calculating ${expression}...`);
+    if (demEntries) {
+        calculationCount++;
+        setStatusMessage(`Calculated ${resultName} = ${expression}; the DEMs it uses were hidden.`);
+    }
+}
+
+/**
+ * Lists the loaded DEM files with their raster calculator letters (files past Z can only be named in brackets).
+ * @returns {Array<{letter: string|null, fileName: string, entries: Array<object>}>} In list order.
+ */
+function getRasterCalculatorFiles() {
+    return groupDemEntriesByFile(state.loadedDEMs).map((entries, index) => ({
+        letter: RASTER_CALCULATOR_LETTERS[index] ?? null,
+        fileName: getDemFileName(entries[0]),
+        entries
+    }));
+}
+
+/**
+ * Updates the raster calculator's list of letters after DEMs were added.
+ */
+function refreshRasterCalculatorVariables() {
+    showRasterCalculatorVariables(getRasterCalculatorFiles().filter(file => file.letter));
+}
+
+/**
+ * Handles the "Show contours" button: traces the contours of every visible DEM and draws them over the terrain,
+ * replacing the contours shown before. A file's chunks are traced together, so lines run across chunk borders
+ * (and over the file's hidden chunks too).
+ */
+function handleShowContours() {
+    const visibleEntries = state.loadedDEMs.filter(demEntry => demEntry.isVisible);
+    if (visibleEntries.length === 0) {
+        setStatusMessage("Show the DEM(s) to draw contours on.", true);
+        return;
+    }
+    handleClearContours();
+    const options = getContourOptions();
+    const sceneScale = getSceneScale();
+    let levelCount = 0;
+    try {
+        for (const sourceEntries of groupDemEntriesByFile(visibleEntries)) {
+            const sourceName = getDemFileName(sourceEntries[0]);
+            const { header, grid } = getParentDemData(sourceEntries[0].demData);
+            const { interval, contours } = generateContours(grid, header, options);
+            if (interval === null) {
+                console.log(`[Main] ${sourceName} has no data to trace contours on.`);
+                continue;
+            }
+            console.log(`[Main] Traced ${contours.length} contour level(s) of ${sourceName} every ${interval}.`);
+            state.contourSets.push({ name: sourceName, crs: sourceEntries[0].crs, interval, base: options.base, contours });
+            const { dx, dy } = getCellSize(header);
+            const lift = Math.max(dx * sceneScale.x, dy * sceneScale.y) * CONTOUR_LIFT_PER_SAMPLE_SPACING;
+            addContourLinesVisual(getContourSegmentPositions(contours.filter(contour => !contour.isIndex), lift), false);
+            addContourLinesVisual(getContourSegmentPositions(contours.filter(contour => contour.isIndex), lift), true);
+            levelCount += contours.length;
+        }
+    } catch (error) {
+        console.error("[Main] Error tracing contours:", error);
+        setStatusMessage(`Could not trace contours: ${error.message}`, true);
+        handleClearContours();
+        return;
+    }
+    if (state.contourSets.length === 0) {
+        setStatusMessage("The visible DEM(s) have no data to trace contours on.", true);
+        return;
+    }
+    const intervals = [...new Set(state.contourSets.map(set => set.interval))].join(', ');
+    setStatusMessage(`Drew ${levelCount} contour level(s) every ${intervals} on ${state.contourSets.length} DEM(s).`);
+}
+
+/**
+ * Removes the contours drawn by handleShowContours.
+ */
+function handleClearContours() {
+    clearContourVisuals();
+    state.contourSets = [];
+}
+
+/**
+ * Downloads a flow raster (D8 direction or accumulation) of every visible DEM as an ASCII grid, one per file
+ * (a file's chunks share their rasters).
+ * @param {'flowDirection'|'flowAccumulation'} layer
+ */
+function handleExportFlowRaster(layer) {
+    const visibleEntries = state.loadedDEMs.filter(entry => entry.isVisible);
+    if (visibleEntries.length === 0) {
+        setStatusMessage("No visible DEMs to export.");
+        return;
+    }
+    const demGroups = groupDemEntriesByFile(visibleEntries);
+    setStatusMessage(`Computing flow rasters of ${demGroups.length} DEM(s)...`);
+    for (const sourceEntries of demGroups) {
+        exportFlowRasterAsciiGrid(sourceEntries[0], layer, getDemFileName(sourceEntries[0]), setStatusMessage);
+    }
+}
+
+/**
+ * Delineates and highlights the watershed draining to a clicked point, replacing the one shown before, and reports
+ * its size.
+ * @param {object} demEntry - The clicked DEM entry.
+ * @param {THREE.Vector3} point - The clicked point in scene coordinates.
+ */
+function handleWatershedClick(demEntry, point) {
+    handleClearWatershed();
+    const watershed = delineateWatershed(point, demEntry, getWatershedOptions());
+    if (!watershed) {
+        setStatusMessage(`Could not delineate a watershed at X:${point.x.toFixed(2)}, Y:${point.y.toFixed(2)} (no data there).`, true);
+        return;
+    }
+    const name = getDemFileName(demEntry);
+    const { pourPoint, pourCell, snapped, cellCount, area, perimeter, polygons } = watershed;
+    state.watershed = { name, crs: demEntry.crs, pourPoint, cellCount, area, perimeter, polygons };
+
+    const { header, grid } = getParentDemData(demEntry.demData);
+    const sceneScale = getSceneScale();
+    const { dx, dy } = getCellSize(header);
+    const lift = Math.max(dx * sceneScale.x, dy * sceneScale.y) * CONTOUR_LIFT_PER_SAMPLE_SPACING;
+    const { surfacePositions, surfaceIndices, outlineSegmentPositions } = getWatershedVisualGeometry(watershed, grid, lift);
+    const pourScene = absoluteToScene(pourPoint[0], pourPoint[1]);
+    showWatershedVisual(surfacePositions, surfaceIndices, outlineSegmentPositions,
+        new THREE.Vector3(pourScene.x, pourScene.y, getElevation(grid, pourCell.row, pourCell.col) + lift));
+
+    const formatNumber = (value, digits) => value.toLocaleString('en-US', { maximumFractionDigits: digits });
+    const areaText = area >= 1e6 ? `${formatNumber(area / 1e6, 3)} km²` : `${formatNumber(area, 0)} m²`;
+    const perimeterText = perimeter >= 1e3 ? `${formatNumber(perimeter / 1e3, 2)} km` : `${formatNumber(perimeter, 0)} m`;
+    setStatusMessage(`Watershed on ${name}: ${cellCount.toLocaleString('en-US')} cells, area ${areaText}, perimeter ${perimeterText}` +
+        `${snapped ? ' (pour point snapped to the largest flow nearby)' : ''}.`);
+}
+
+/**
+ * Removes the highlighted watershed.
+ */
+function handleClearWatershed() {
+    clearWatershedVisual();
+    state.watershed = null;
+}
+
+/**
+ * Handles the "Show streams" button: extracts the stream network of every visible DEM and draws it over the
+ * terrain, replacing the streams shown before. Wider and darker lines are higher orders: the Strahler order, or for
+ * Shreve magnitudes their power of two (1, 2-3, 4-7, ...). A file's chunks are analysed together.
+ */
+function handleShowStreams() {
+    const visibleEntries = state.loadedDEMs.filter(demEntry => demEntry.isVisible);
+    if (visibleEntries.length === 0) {
+        setStatusMessage("Show the DEM(s) to extract streams from.", true);
+        return;
+    }
+    handleClearStreams();
+    const { threshold, order } = getStreamNetworkOptions();
+    const sceneScale = getSceneScale();
+    let linkCount = 0;
+    let highestOrder = 0;
+    try {
+        for (const sourceEntries of groupDemEntriesByFile(visibleEntries)) {
+            const network = extractStreamNetwork(sourceEntries[0], { threshold });
+            state.streamNetworks.push({ name: getDemFileName(sourceEntries[0]), crs: sourceEntries[0].crs, ...network });
+            const { header } = getParentDemData(sourceEntries[0].demData);
+            const { dx, dy } = getCellSize(header);
+            const lift = Math.max(dx * sceneScale.x, dy * sceneScale.y) * CONTOUR_LIFT_PER_SAMPLE_SPACING;
+            const streamsByStyle = new Map();
+            for (const stream of network.streams) {
+                const rank = order === 'shreve' ? Math.floor(Math.log2(stream.shreve)) + 1 : stream.strahler;
+                const style = Math.min(rank, STREAM_ORDER_COLORS.length);
+                if (streamsByStyle.has(style)) streamsByStyle.get(style).push(stream);
+                else streamsByStyle.set(style, [stream]);
+                highestOrder = Math.max(highestOrder, order === 'shreve' ? stream.shreve : stream.strahler);
+            }
+            for (const [style, streams] of streamsByStyle) {
+                addStreamLinesVisual(getStreamSegmentPositions(streams, lift), STREAM_ORDER_COLORS[style - 1], style);
+            }
+            linkCount += network.streams.length;
+        }
+    } catch (error) {
+        console.error("[Main] Error extracting streams:", error);
+        setStatusMessage(`Could not extract streams: ${error.message}`, true);
+        handleClearStreams();
+        return;
+    }
+    const thresholds = [...new Set(state.streamNetworks.map(network => network.threshold))].join(', ');
+    setStatusMessage(`Drew ${linkCount} stream link(s) on ${state.streamNetworks.length} DEM(s), threshold ${thresholds} cells, ` +
+        `highest ${order === 'shreve' ? 'Shreve magnitude' : 'Strahler order'} ${highestOrder}.`);
+}
+
+/**
+ * Removes the streams drawn by handleShowStreams.
+ */
+function handleClearStreams() {
+    clearStreamVisuals();
+    state.streamNetworks = [];
+}
+
+/**
+ * Converts stream links into scene line segment positions, at their elevation plus a small lift.
+ * @param {Array<{points: Array<[number, number, number]>}>} streams - From extractStreamNetwork.
+ * @param {number} lift - Height added to the lines, in scene units.
+ * @returns {Float32Array} Two points (six values) per segment.
+ */
+function getStreamSegmentPositions(streams, lift) {
+    let segmentCount = 0;
+    for (const { points } of streams) segmentCount += points.length - 1;
+    const positions = new Float32Array(segmentCount * 6);
+    let index = 0;
+    for (const { points } of streams) {
+        const scenePoints = points.map(([x, y, z]) => ({ ...absoluteToScene(x, y), z: z + lift }));
+        for (let i = 1; i < scenePoints.length; i++) {
+            for (const point of [scenePoints[i - 1], scenePoints[i]]) {
+                positions[index++] = point.x;
+                positions[index++] = point.y;
+                positions[index++] = point.z;
+            }
+        }
+    }
+    return positions;
+}
+
+/**
+ * Builds the scene geometry highlighting a watershed: its cells as a surface draped on the terrain (cell corners at
+ * the mean elevation of the cells around them, as on the mesh) and the cell edges along its outline.
+ * @param {{mask: Uint8Array, header: object}} watershed - From delineateWatershed.
+ * @param {object} grid - The file's elevation grid, laid out like the watershed's mask.
+ * @param {number} lift - Height added over the terrain, in scene units.
+ * @returns {{surfacePositions: Float32Array, surfaceIndices: Uint32Array, outlineSegmentPositions: Float32Array}}
+ */
+function getWatershedVisualGeometry({ mask, header }, grid, lift) {
+    const { ncols, nrows } = header;
+    const { dx, dy } = getCellSize(header);
+    const inMask = (row, col) => row >= 0 && row < nrows && col >= 0 && col < ncols && mask[row * ncols + col] === 1;
+    const cornerPosition = (row, col) => {
+        let sum = 0;
+        let count = 0;
+        for (const [r, c] of [[row - 1, col - 1], [row - 1, col], [row, col - 1], [row, col]]) {
+            if (r < 0 || r >= nrows || c < 0 || c >= ncols) continue;
+            const elevation = getElevation(grid, r, c);
+            if (Number.isNaN(elevation)) continue;
+            sum += elevation;
+            count++;
+        }
+        const point = absoluteToScene(header.xllcorner + col * dx, header.yllcorner + (nrows - row) * dy);
+        return [point.x, point.y, sum / count + lift];
+    };
+    const vertexByCorner = new Map();
+    const positions = [];
+    const vertex = (row, col) => {
+        const id = row * (ncols + 1) + col;
+        if (!vertexByCorner.has(id)) {
+            vertexByCorner.set(id, positions.length / 3);
+            positions.push(...cornerPosition(row, col));
+        }
+        return vertexByCorner.get(id);
+    };
+    const indices = [];
+    const outline = [];
+    const addOutlineEdge = (rowA, colA, rowB, colB) => {
+        for (const index of [vertex(rowA, colA), vertex(rowB, colB)]) outline.push(positions[3 * index], positions[3 * index + 1], positions[3 * index + 2]);
+    };
+    for (let row = 0; row < nrows; row++) {
+        for (let col = 0; col < ncols; col++) {
+            if (!inMask(row, col)) continue;
+            const topLeft = vertex(row, col);
+            const topRight = vertex(row, col + 1);
+            const bottomRight = vertex(row + 1, col + 1);
+            const bottomLeft = vertex(row + 1, col);
+            indices.push(topLeft, bottomLeft, bottomRight, topLeft, bottomRight, topRight);
+            if (!inMask(row - 1, col)) addOutlineEdge(row, col, row, col + 1);
+            if (!inMask(row + 1, col)) addOutlineEdge(row + 1, col, row + 1, col + 1);
+            if (!inMask(row, col - 1)) addOutlineEdge(row, col, row + 1, col);
+            if (!inMask(row, col + 1)) addOutlineEdge(row, col + 1, row + 1, col + 1);
+        }
+    }
+    return {
+        surfacePositions: new Float32Array(positions),
+        surfaceIndices: new Uint32Array(indices),
+        outlineSegmentPositions: new Float32Array(outline)
+    };
+}
+
+/**
+ * Converts contour polylines into scene line segment positions, at their elevation plus a small lift.
+ * @param {Array<{elevation: number, lines: Array<Array<[number, number]>>}>} contours - From generateContours.
+ * @param {number} lift - Height added to the lines, in scene units.
+ * @returns {Float32Array} Two points (six values) per segment.
+ */
+function getContourSegmentPositions(contours, lift) {
+    let segmentCount = 0;
+    for (const { lines } of contours) {
+        for (const line of lines) segmentCount += line.length - 1;
+    }
+    const positions = new Float32Array(segmentCount * 6);
+    let index = 0;
+    for (const { elevation, lines } of contours) {
+        for (const line of lines) {
+            const points = line.map(([x, y]) => absoluteToScene(x, y));
+            for (let i = 1; i < points.length; i++) {
+                for (const point of [points[i - 1], points[i]]) {
+                    positions[index++] = point.x;
+                    positions[index++] = point.y;
+                    positions[index++] = elevation + lift;
+                }
+            }
+        }
+    }
+    return positions;
+}
+
+/**
+ * Groups DEM entries by the file they were loaded from: chunks of one file are views on the same elevation buffer.
+ * @param {Array<object>} demEntries
+ * @returns {Array<Array<object>>} The groups, in order of their first entry.
+ */
+function groupDemEntriesByFile(demEntries) {
+    const groups = new Map();
+    for (const demEntry of demEntries) {
+        const group = groups.get(demEntry.demData.grid.values) ?? [];
+        group.push(demEntry);
+        groups.set(demEntry.demData.grid.values, group);
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Returns the name of the file a DEM entry was loaded from (a chunk's name without its part suffix).
+ * @param {object} demEntry
+ * @returns {string}
+ */
+function getDemFileName(demEntry) {
+    return demEntry.name.replace(/_part\d+_\d+$/, '');
+}
+
+/**
+ * Runs a DEM operation (see runDemOperationInWorker) on loaded DEMs and adds the resulting DEM as new entries,
+ * chunked like a loaded file. The source DEMs are hidden afterwards so the new surface is not drawn on top of them.
+ * Loading and other operations are blocked while it runs; the load Cancel button cancels it.
+ * @param {string} operation - The worker operation, e.g. 'mosaic', 'clip' or 'fillVoids'.
+ * @param {Array<object>} sourceEntries - The DEM entries the operation reads.
+ * @param {object} options - Operation-specific options.
+ * @param {string} resultName - Name of the new DEM.
+ * @param {string} busyMessage - Status message shown while the operation runs.
+ * @returns {Promise<Array<object>|null>} The new DEM entries, or null if the operation failed or was cancelled.
+ */
+async function addDemFromOperation(operation, sourceEntries, options, resultName, busyMessage) {
+    if (uiElements.fileInput) uiElements.fileInput.disabled = true;
+    setDemOperationsEnabled(false);
+    showLoader(true);
+    setStatusMessage(busyMessage);
+    try {
+        const sources = sourceEntries.map(demEntry => ({ name: demEntry.name, header: demEntry.demData.header, grid: demEntry.demData.grid }));
+        const { diagnostics, crs, chunks } = await runDemOperationInWorker(operation, sources, options, {
+            name: resultName,
+            sceneScale: getSceneScale(),
+            crs: getSceneCrs(), // Every loaded DEM is placed in the scene CRS
+            mesh: getTerrainMeshOptions()
+        }, (phase, fraction) => showLoadProgress(resultName, phase, fraction));
+        if (!chunks || chunks.length === 0) {
+            const reason = diagnostics.find(d => d.severity === 'error');
+            setStatusMessage(`Could not create ${resultName}${reason ? `: ${reason.message}` : '. Check console.'}`, true);
+            showParseDiagnostics(resultName, diagnostics);
+            return null;
+        }
+        const demEntries = chunks.map(chunk => createAndAddTerrainMesh(chunk.name, chunk.parsedData, chunk.geometryBuffers, crs, chunk.lodLevels));
+        showParseDiagnostics(resultName, diagnostics, demEntries[0].id);
+        for (const sourceEntry of sourceEntries) {
+            sourceEntry.isVisible = false;
+            sourceEntry.lod.visible = false;
+            setDemListItemVisibility(sourceEntry.id, false);
+        }
+        return demEntries;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log(`[Main] ${operation} cancelled.`);
+            setStatusMessage(`Creating ${resultName} was cancelled.`, true);
+        } else {
+            console.error(`[Main] Error running ${operation}:`, error);
+            setStatusMessage(`Error creating ${resultName}: ${error.message}`, true);
+        }
+        return null;
+    } finally {
+        hideLoadProgress();
+        showLoader(false);
+        if (uiElements.fileInput) uiElements.fileInput.disabled = false;
+        setDemOperationsEnabled(true);
+    }
 }
 
 /**
@@ -240,8 +1123,15 @@ function handleCanvasPrimaryClick(intersectionData) {
         console.log("[Main] No DEMs loaded, click ignored.");
         return;
     }
+    if (isClipDrawing()) {
+        addClipVertex(intersectionData);
+        updateClipControls(isClipDrawing(), canFinishClipPolygon());
+        return;
+    }
 
-    if (intersectionData && intersectionData.demEntry && intersectionData.intersection) {
+    if (intersectionData && intersectionData.demEntry && intersectionData.intersection && getTerrainClickAction() === 'watershed') {
+        handleWatershedClick(intersectionData.demEntry, intersectionData.intersection.point);
+    } else if (intersectionData && intersectionData.demEntry && intersectionData.intersection) {
         const demEntry = intersectionData.demEntry;
         const startPoint = intersectionData.intersection.point; 
 
@@ -250,12 +1140,13 @@ function handleCanvasPrimaryClick(intersectionData) {
         
         clearAllPathLineVisuals(); 
 
-        const pathPoints = calculateRaindropPath(startPoint, demEntry);
+        const { conditioned } = getRaindropOptions();
+        const pathPoints = calculateRaindropPath(startPoint, demEntry, { conditioned });
         console.log("[Main] Calculated path points:", pathPoints ? pathPoints.length : 0); 
 
         if (pathPoints && pathPoints.length >= 2) {
             addPathLineVisual(pathPoints, 0x007bff); 
-            setStatusMessage(`Raindrop path simulated on ${demEntry.name} with ${pathPoints.length} points.`);
+            setStatusMessage(`Raindrop path simulated on ${demEntry.name}${conditioned ? ' (depression-filled surface)' : ''} with ${pathPoints.length} points.`);
         } else if (pathPoints && pathPoints.length === 1) {
             setStatusMessage(`Raindrop started at X:${startPoint.x.toFixed(2)}, Y:${startPoint.y.toFixed(2)} but did not move (local minimum or edge).`);
         } else {
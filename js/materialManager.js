@@ -4,9 +4,14 @@ import { state } from './appState.js';
 import { 
     createColorElevationShaderMaterial, 
     createGrayElevationShaderMaterial,
+    createDerivativeShaderMaterial,
     createDefaultDemMaterial 
 } from './shaderManager.js';
-import { getAmbientLight, getDirectionalLight } from './threeSceneManager.js';
+import { getAmbientLight, getDirectionalLight, getMaxTextureSize } from './threeSceneManager.js';
+import { DERIVATIVE_LAYERS, getDemEntryDerivative, computeRobustDisplayRange } from './terrainDerivatives.js';
+import { getElevation } from './elevationGrid.js';
+import { getDemEntryConditioned } from './hydrology.js';
+import { getDemEntryFlow } from './waterFlowSimulator.js';
 
 /**
  * @file Manages the creation, assignment, and updating of materials for DEM meshes.
@@ -22,7 +27,8 @@ const REGION_COLOR_PALETTE = [
  * Updates the material of a specific DEM mesh based on the selected shading type.
  * Creates new shader materials if they don't exist for this DEM yet, or updates existing ones.
  * @param {object} demEntry - The DEM entry object from appState.js.
- * @param {string} materialType - The selected material type ('default', 'colorElevation', 'grayElevation').
+ * @param {string} materialType - The selected material type ('default', 'colorElevation', 'grayElevation', 'regionColor'
+ * 'fillDepth', 'flowAccumulation' or a terrain analysis layer, a key of DERIVATIVE_LAYERS).
  */
 export function updateDemMaterial(demEntry, materialType) {
     if (!demEntry || !demEntry.mesh || !demEntry.demData) {
@@ -53,8 +59,10 @@ export function updateDemMaterial(demEntry, materialType) {
     };
     
     let targetMaterial;
+    // Difference DEMs (cut/fill) are coloured around zero instead of by elevation.
+    const shading = demEntry.isDifference && (materialType === 'default' || materialType === 'colorElevation') ? 'difference' : materialType;
 
-    switch (materialType) {
+    switch (shading) {
         case 'colorElevation':
             if (!demEntry.materials.color) {
                 demEntry.materials.color = createColorElevationShaderMaterial(commonShaderUniforms);
@@ -89,6 +97,60 @@ export function updateDemMaterial(demEntry, materialType) {
             }
             targetMaterial = demEntry.materials.regionColor;
             break;
+        case 'difference':
+            if (!demEntry.materials.difference) {
+                const { grid } = demEntry.demData;
+                const texture = createDerivativeTexture(grid, computeRobustDisplayRange(grid.values, true), 'difference');
+                demEntry.materials.difference = createDerivativeShaderMaterial(commonShaderUniforms, texture, 'diverging');
+            } else {
+                demEntry.materials.difference.uniforms.uDirectionalLightColor.value.copy(effectiveDirectionalColor);
+                demEntry.materials.difference.uniforms.uAmbientLightColor.value.copy(effectiveAmbientColor);
+            }
+            targetMaterial = demEntry.materials.difference;
+            break;
+        // Terrain analysis layers (terrainDerivatives.js), computed the first time they are shown.
+        case 'slope':
+        case 'slopePercent':
+        case 'aspect':
+        case 'planCurvature':
+        case 'profileCurvature':
+        case 'tri':
+        case 'roughness':
+        case 'hillshade':
+            if (!demEntry.materials[materialType]) {
+                const { grid, displayRange } = getDemEntryDerivative(demEntry, materialType);
+                const texture = createDerivativeTexture(grid, displayRange, materialType);
+                demEntry.materials[materialType] = createDerivativeShaderMaterial(commonShaderUniforms, texture, DERIVATIVE_LAYERS[materialType].ramp);
+            } else {
+                demEntry.materials[materialType].uniforms.uDirectionalLightColor.value.copy(effectiveDirectionalColor);
+                demEntry.materials[materialType].uniforms.uAmbientLightColor.value.copy(effectiveAmbientColor);
+            }
+            targetMaterial = demEntry.materials[materialType];
+            break;
+        // Depths of the depressions filled by hydrology.js; cells left as they were stay neutral grey.
+        case 'fillDepth':
+            if (!demEntry.materials.fillDepth) {
+                const { grid, displayRange } = getDemEntryConditioned(demEntry).depth;
+                const texture = createDerivativeTexture(grid, displayRange, 'fillDepth');
+                demEntry.materials.fillDepth = createDerivativeShaderMaterial(commonShaderUniforms, texture, 'water');
+            } else {
+                demEntry.materials.fillDepth.uniforms.uDirectionalLightColor.value.copy(effectiveDirectionalColor);
+                demEntry.materials.fillDepth.uniforms.uAmbientLightColor.value.copy(effectiveAmbientColor);
+            }
+            targetMaterial = demEntry.materials.fillDepth;
+            break;
+        // D8 flow accumulation (waterFlowSimulator.js), on a log scale so streams of every size show.
+        case 'flowAccumulation':
+            if (!demEntry.materials.flowAccumulation) {
+                const { accumulation, maxAccumulation } = getDemEntryFlow(demEntry);
+                const texture = createDerivativeTexture(accumulation, { min: 0, max: Math.log10(1 + maxAccumulation) }, 'flowAccumulation');
+                demEntry.materials.flowAccumulation = createDerivativeShaderMaterial(commonShaderUniforms, texture, 'water');
+            } else {
+                demEntry.materials.flowAccumulation.uniforms.uDirectionalLightColor.value.copy(effectiveDirectionalColor);
+                demEntry.materials.flowAccumulation.uniforms.uAmbientLightColor.value.copy(effectiveAmbientColor);
+            }
+            targetMaterial = demEntry.materials.flowAccumulation;
+            break;
         case 'default':
         default:
             // Ensure the 'default' material exists in the demEntry.materials cache
@@ -104,7 +166,8 @@ export function updateDemMaterial(demEntry, materialType) {
     }
 
     if (demEntry.mesh.material !== targetMaterial) {
-        demEntry.mesh.material = targetMaterial;
+        // Every level of detail (the full-resolution mesh included) shares the material.
+        for (const level of demEntry.lod.levels) level.object.material = targetMaterial;
         // Note: ShaderMaterial uniforms are objects, so direct assignment is fine.
         // If you were changing properties of a shared material, you'd need material.needsUpdate = true.
         // For swapping entire materials, this is generally not needed unless the new material itself needs an update.
@@ -112,6 +175,42 @@ export function updateDemMaterial(demEntry, materialType) {
      console.log(`[${demEntry.name}] Material updated to: ${materialType}`);
 }
 
+/**
+ * Packs a derived layer (or a difference DEM's values, fill depths or flow accumulation) into a two-channel texture for createDerivativeShaderMaterial: R = value scaled to the
+ * display range, G = 255 where the layer has data. Flow accumulation is packed as log10(1 + cells). Texture row 0 is the grid's last (southern) row, matching the
+ * mesh UVs. Grids larger than the GPU allows are sampled down (nearest cell) to fit.
+ * @param {object} grid - The layer's grid (NaN = no data), laid out like the mesh's elevation grid.
+ * @param {{min: number, max: number}} displayRange - Values mapped to the ends of the colour ramp.
+ * @param {string} layer - A key of DERIVATIVE_LAYERS, 'difference', 'fillDepth' or 'flowAccumulation'.
+ * @returns {THREE.DataTexture}
+ */
+function createDerivativeTexture(grid, displayRange, layer) {
+    const maxSize = getMaxTextureSize();
+    const width = Math.min(grid.ncols, maxSize);
+    const height = Math.min(grid.nrows, maxSize);
+    const data = new Uint8Array(width * height * 2);
+    const scale = displayRange.max > displayRange.min ? 255 / (displayRange.max - displayRange.min) : 0;
+    for (let y = 0; y < height; y++) {
+        const row = height > 1 ? Math.round((height - 1 - y) * (grid.nrows - 1) / (height - 1)) : 0;
+        for (let x = 0; x < width; x++) {
+            const col = width > 1 ? Math.round(x * (grid.ncols - 1) / (width - 1)) : 0;
+            const cellValue = getElevation(grid, row, col);
+            if (Number.isNaN(cellValue)) continue;
+            const value = layer === 'flowAccumulation' ? Math.log10(1 + cellValue) : cellValue;
+            const index = (y * width + x) * 2;
+            data[index] = Math.max(0, Math.min(255, Math.round((value - displayRange.min) * scale)));
+            data[index + 1] = 255;
+        }
+    }
+    const texture = new THREE.DataTexture(data, width, height, THREE.RGFormat, THREE.UnsignedByteType);
+    texture.unpackAlignment = 1;
+    // Interpolating across north (0 = 360 degrees) would paint a false band of southern colours.
+    texture.magFilter = layer === 'aspect' ? THREE.NearestFilter : THREE.LinearFilter;
+    texture.minFilter = texture.magFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
 /**
  * Applies the currently selected global shading type (from state.currentShadingMode) 
  * to all loaded DEMs.
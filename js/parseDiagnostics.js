@@ -0,0 +1,68 @@
+// js/parseDiagnostics.js
+
+/**
+ * @file Collects structured diagnostics (severity, line number, code, message) while a DEM file is parsed,
+ * so repairs and failures can be shown per file in the UI instead of only being logged to the console.
+ */
+
+// Repeated diagnostics with the same code (e.g. one per short row) are capped at this many entries.
+const MAX_DIAGNOSTICS_PER_CODE = 20;
+
+/**
+ * @typedef {object} ParseDiagnostic
+ * @property {'info'|'warning'|'error'} severity - How much the issue affects trust in the result.
+ * @property {number|null} line - 1-based line number in the source file, or null if not tied to a line.
+ * @property {string} code - Stable machine-readable identifier, e.g. 'ROW_LENGTH_MISMATCH'.
+ * @property {string} message - Human-readable description.
+ */
+
+/**
+ * Creates a diagnostics collector for one file. Every entry is also written to the console.
+ * Call finish() when parsing ends so capped codes get a summary entry.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @returns {{entries: Array<ParseDiagnostic>, info: function, warning: function, error: function, finish: function}}
+ */
+export function createParseDiagnostics(fileNameForLogging = "Unknown File") {
+    const entries = [];
+    const countsByCode = new Map();
+
+    const add = (severity, code, message, line = null) => {
+        const count = (countsByCode.get(code) ?? 0) + 1;
+        countsByCode.set(code, count);
+        if (count > MAX_DIAGNOSTICS_PER_CODE) return;
+        entries.push({ severity, line, code, message });
+        const location = line !== null ? ` (line ${line})` : '';
+        const text = `[${fileNameForLogging}] ${code}${location}: ${message}`;
+        if (severity === 'error') console.error(text);
+        else if (severity === 'warning') console.warn(text);
+        else console.log(text);
+    };
+
+    return {
+        entries,
+        info: (code, message, line) => add('info', code, message, line),
+        warning: (code, message, line) => add('warning', code, message, line),
+        error: (code, message, line) => add('error', code, message, line),
+        finish: () => {
+            for (const [code, count] of countsByCode) {
+                if (count > MAX_DIAGNOSTICS_PER_CODE) {
+                    const severity = entries.find(entry => entry.code === code).severity;
+                    entries.push({ severity, line: null, code, message: `${count - MAX_DIAGNOSTICS_PER_CODE} more occurrence(s) not listed.` });
+                }
+            }
+            countsByCode.clear();
+            return entries;
+        }
+    };
+}
+
+/**
+ * Counts diagnostics by severity.
+ * @param {Array<ParseDiagnostic>} diagnostics
+ * @returns {{error: number, warning: number, info: number}}
+ */
+export function countDiagnosticsBySeverity(diagnostics) {
+    const counts = { error: 0, warning: 0, info: 0 };
+    for (const diagnostic of diagnostics) counts[diagnostic.severity]++;
+    return counts;
+}
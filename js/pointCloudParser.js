@@ -0,0 +1,201 @@
+// js/pointCloudParser.js
+import { createParseDiagnostics } from './parseDiagnostics.js';
+
+/**
+ * @file Contains logic for reading point cloud files into flat coordinate arrays,
+ * which pointGridder.js rasterises into DEMs. Supports XYZ/CSV text and uncompressed LAS 1.2-1.4.
+ */
+
+// Column names recognised in a CSV/XYZ header line, in order of preference.
+const X_COLUMN_NAMES = ["x", "easting", "east", "e", "lon", "longitude"];
+const Y_COLUMN_NAMES = ["y", "northing", "north", "n", "lat", "latitude"];
+const Z_COLUMN_NAMES = ["z", "elevation", "elev", "height", "h", "alt", "altitude"];
+
+/**
+ * Parses an XYZ or CSV point list ("x y z" per line, separated by whitespace, commas or semicolons).
+ * A non-numeric first line is treated as a header; if it names the x/y/z columns those are used,
+ * otherwise the first three columns are taken as x, y, z. Comment lines (# or //) and malformed lines are skipped.
+ * @param {string} fileContent - The text content of the .xyz/.csv file.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics; pass one in to keep the failure reason when null is returned.
+ * @returns {{x: Float64Array, y: Float64Array, z: Float64Array, count: number}|null} The points, or null if parsing fails.
+ */
+export function parseXYZPoints(fileContent, fileNameForLogging = "Unknown File", diagnostics = createParseDiagnostics(fileNameForLogging)) {
+    try {
+        console.log(`[${fileNameForLogging}] Starting XYZ/CSV point parsing.`);
+        const lines = fileContent.split(/\r?\n/);
+        const separator = /[\s,;]+/;
+        let columns = { x: 0, y: 1, z: 2 };
+        let headerChecked = false;
+        const xs = [];
+        const ys = [];
+        const zs = [];
+        let skippedLines = 0;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+            const parts = line.split(separator);
+
+            if (!headerChecked) {
+                headerChecked = true;
+                if (parts.some(p => isNaN(parseFloat(p)))) {
+                    columns = findXYZColumns(parts, fileNameForLogging, diagnostics, i + 1);
+                    continue;
+                }
+            }
+
+            const x = parseFloat(parts[columns.x]);
+            const y = parseFloat(parts[columns.y]);
+            const z = parseFloat(parts[columns.z]);
+            if (isNaN(x) || isNaN(y) || isNaN(z)) {
+                diagnostics.warning('MALFORMED_LINE', `Line is not an x/y/z point: '${line.slice(0, 40)}'. Skipped.`, i + 1);
+                skippedLines++;
+                continue;
+            }
+            xs.push(x);
+            ys.push(y);
+            zs.push(z);
+        }
+
+        if (xs.length < 1) {
+            throw new Error("No valid x/y/z points found.");
+        }
+        console.log(`[${fileNameForLogging}] Parsed ${xs.length} points` + (skippedLines > 0 ? `, skipped ${skippedLines} malformed line(s).` : '.'));
+        return { x: Float64Array.from(xs), y: Float64Array.from(ys), z: Float64Array.from(zs), count: xs.length };
+    } catch (error) {
+        diagnostics.error('PARSE_FAILED', error.message);
+        return null;
+    } finally {
+        diagnostics.finish();
+    }
+}
+
+/**
+ * Finds the x, y and z column indices from a header line, falling back to the first three columns.
+ * @param {Array<string>} headerParts - The header line split into column names.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @param {object} diagnostics - Collector from createParseDiagnostics that records the fallback.
+ * @param {number} lineNumber - 1-based line number of the header line.
+ * @returns {{x: number, y: number, z: number}}
+ */
+function findXYZColumns(headerParts, fileNameForLogging, diagnostics, lineNumber) {
+    const names = headerParts.map(p => p.replace(/^["']|["']$/g, '').toLowerCase());
+    const findColumn = (candidates) => {
+        for (const candidate of candidates) {
+            const index = names.indexOf(candidate);
+            if (index !== -1) return index;
+        }
+        return -1;
+    };
+    const columns = { x: findColumn(X_COLUMN_NAMES), y: findColumn(Y_COLUMN_NAMES), z: findColumn(Z_COLUMN_NAMES) };
+    if (columns.x === -1 || columns.y === -1 || columns.z === -1) {
+        diagnostics.warning('COLUMNS_ASSUMED', `Header "${headerParts.join(' ')}" does not name x/y/z columns. Using the first three columns.`, lineNumber);
+        return { x: 0, y: 1, z: 2 };
+    }
+    console.log(`[${fileNameForLogging}] Using header columns x=${names[columns.x]}, y=${names[columns.y]}, z=${names[columns.z]}.`);
+    return columns;
+}
+
+// --- LAS Support ---
+
+// Point data record formats the LAS reader understands (the classification byte moves in formats 6+).
+const SUPPORTED_LAS_POINT_FORMATS = [0, 1, 2, 3, 6, 7, 8];
+
+/**
+ * Parses an uncompressed LAS 1.2-1.4 file: the public header block and the point records of formats 0-3 and 6-8.
+ * Coordinates are scaled and offset as the header specifies. Withheld points are dropped, and points can be
+ * filtered by ASPRS classification (e.g. [2] keeps ground only).
+ * @param {ArrayBuffer} arrayBuffer - The raw bytes of the .las file.
+ * @param {string} fileNameForLogging - The name of the file, used for logging messages.
+ * @param {object} [options] - Reading options.
+ * @param {Array<number>|null} [options.classes] - Classification codes to keep; null or empty keeps all points.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics; pass one in to keep the failure reason when null is returned.
+ * @returns {{x: Float64Array, y: Float64Array, z: Float64Array, count: number}|null} The kept points, or null if parsing fails.
+ */
+export function parseLASPoints(arrayBuffer, fileNameForLogging = "Unknown File", options = {}, diagnostics = createParseDiagnostics(fileNameForLogging)) {
+    try {
+        console.log(`[${fileNameForLogging}] Starting LAS parsing.`);
+        const view = new DataView(arrayBuffer);
+        const signature = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+        if (signature !== 'LASF') {
+            throw new Error("Not a LAS file (missing LASF signature).");
+        }
+        const versionMajor = view.getUint8(24);
+        const versionMinor = view.getUint8(25);
+        const offsetToPointData = view.getUint32(96, true);
+        const rawPointFormat = view.getUint8(104);
+        if (rawPointFormat & 0x80) {
+            throw new Error("Compressed (LAZ) point data is not supported. Decompress to .las first.");
+        }
+        const pointFormat = rawPointFormat & 0x3F;
+        if (!SUPPORTED_LAS_POINT_FORMATS.includes(pointFormat)) {
+            throw new Error(`Unsupported LAS point data record format ${pointFormat}. Supported: ${SUPPORTED_LAS_POINT_FORMATS.join(', ')}.`);
+        }
+        const recordLength = view.getUint16(105, true);
+        let pointCount = view.getUint32(107, true);
+        if (versionMajor === 1 && versionMinor >= 4 && view.getUint16(94, true) >= 375) {
+            // LAS 1.4 stores the full 64-bit point count; the legacy field is 0 for large or format 6+ files.
+            pointCount = Number(view.getBigUint64(247, true)) || pointCount;
+        }
+        const scale = [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)];
+        const offset = [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)];
+        console.log(`[${fileNameForLogging}] LAS ${versionMajor}.${versionMinor}, point format ${pointFormat}, ${pointCount} points of ${recordLength} bytes.`);
+
+        const availablePoints = Math.floor((arrayBuffer.byteLength - offsetToPointData) / recordLength);
+        if (availablePoints < pointCount) {
+            diagnostics.error('FILE_TRUNCATED', `Header declares ${pointCount} points but only ${availablePoints} fit in the file. Reading those.`);
+            pointCount = availablePoints;
+        }
+
+        const classFilter = options.classes && options.classes.length > 0 ? new Set(options.classes) : null;
+        const isExtendedFormat = pointFormat >= 6;
+        const x = new Float64Array(pointCount);
+        const y = new Float64Array(pointCount);
+        const z = new Float64Array(pointCount);
+        let kept = 0;
+        let withheld = 0;
+
+        for (let i = 0; i < pointCount; i++) {
+            const base = offsetToPointData + i * recordLength;
+            let classification;
+            let isWithheld;
+            if (isExtendedFormat) {
+                classification = view.getUint8(base + 16);
+                isWithheld = (view.getUint8(base + 15) & 0x04) !== 0;
+            } else {
+                const classByte = view.getUint8(base + 15);
+                classification = classByte & 0x1F;
+                isWithheld = (classByte & 0x80) !== 0;
+            }
+            if (isWithheld) {
+                withheld++;
+                continue;
+            }
+            if (classFilter && !classFilter.has(classification)) continue;
+            x[kept] = view.getInt32(base, true) * scale[0] + offset[0];
+            y[kept] = view.getInt32(base + 4, true) * scale[1] + offset[1];
+            z[kept] = view.getInt32(base + 8, true) * scale[2] + offset[2];
+            kept++;
+        }
+
+        if (withheld > 0) {
+            diagnostics.info('WITHHELD_POINTS', `Ignored ${withheld} point(s) flagged as withheld.`);
+        }
+        if (kept === 0) {
+            throw new Error(classFilter
+                ? `No points with classification ${[...classFilter].join(', ')} found.`
+                : "No points found.");
+        }
+        if (classFilter && kept < pointCount - withheld) {
+            diagnostics.info('POINTS_FILTERED', `Kept ${kept} of ${pointCount - withheld} point(s) with classification ${[...classFilter].join(', ')}.`);
+        }
+        console.log(`[${fileNameForLogging}] Kept ${kept} of ${pointCount} points` + (classFilter ? ` (classes ${[...classFilter].join(', ')}).` : '.'));
+        return { x: x.slice(0, kept), y: y.slice(0, kept), z: z.slice(0, kept), count: kept };
+    } catch (error) {
+        diagnostics.error('PARSE_FAILED', error.message);
+        return null;
+    } finally {
+        diagnostics.finish();
+    }
+}
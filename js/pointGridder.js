@@ -0,0 +1,475 @@
+// js/pointGridder.js
+import { GRIDDED_NODATA_VALUE } from './constants.js';
+import { buildParsedDem } from './demParser.js';
+import { createElevationGrid } from './elevationGrid.js';
+import { createParseDiagnostics } from './parseDiagnostics.js';
+
+/**
+ * @file Contains logic for rasterising scattered points (XYZ/CSV survey data, LAS lidar) into a regular DEM grid.
+ * The output has the same {header, grid, minElev, maxElev} shape as the DEM parsers, so it flows into
+ * processAndChunkDEM and createAndAddTerrainMesh like any other file.
+ */
+
+// Maximum number of neighbours used for one inverse-distance-weighted cell.
+const MAX_IDW_NEIGHBOURS = 12;
+// Search radius used when none is given, in cells.
+const DEFAULT_SEARCH_RADIUS_CELLS = 3;
+// Largest grid the points are rasterised onto (cells); a small cell size over a large survey would otherwise run the
+// worker out of memory.
+const MAX_GRIDDED_CELLS = 50_000_000;
+
+/**
+ * Grids a point set into a DEM.
+ * Cells with no point within `searchRadius` of their centre are set to NODATA for every method.
+ * @param {{x: Float64Array, y: Float64Array, z: Float64Array, count: number}} points - The points to grid.
+ * @param {object} options - Gridding options.
+ * @param {number|null} [options.cellsize] - Output cell size. Estimated from the point density when empty.
+ * @param {'nearest'|'idw'|'tin'} [options.method='idw'] - Interpolation method.
+ * @param {number|null} [options.searchRadius] - Maximum search radius. Defaults to 3 cells.
+ * @param {number} [options.idwPower=2] - Distance exponent for inverse-distance weighting.
+ * @param {string} fileNameForLogging - The name of the source file, used for logging messages.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics; pass one in to keep the failure reason when null is returned.
+ * @returns {object|null} An object containing {header, grid, minElev, maxElev} or null if gridding fails.
+ */
+export function gridPointsToDEM(points, options = {}, fileNameForLogging = "Unknown File", diagnostics = createParseDiagnostics(fileNameForLogging)) {
+    try {
+        if (!points || points.count < 1) {
+            throw new Error("No points to grid.");
+        }
+        const method = options.method || 'idw';
+        const extent = getPointExtent(points);
+        const cellsize = options.cellsize > 0 ? options.cellsize : estimateCellsize(points, extent);
+        const searchRadius = options.searchRadius > 0 ? options.searchRadius : DEFAULT_SEARCH_RADIUS_CELLS * cellsize;
+        const idwPower = options.idwPower > 0 ? options.idwPower : 2;
+        console.log(`[${fileNameForLogging}] Gridding ${points.count} points: method=${method}, cellsize=${cellsize}, searchRadius=${searchRadius}.`);
+
+        const header = createGridHeaderForExtent(extent, cellsize);
+        if (!checkGridSize(header, extent, diagnostics)) return null;
+        const { ncols, nrows } = header;
+        // Buckets are at least as large as the search radius, but capped in number for tiny radii over large extents.
+        const bucketSize = Math.max(searchRadius, Math.max(extent.maxX - extent.minX, extent.maxY - extent.minY) / 2048);
+        const index = buildPointBucketIndex(points, extent, bucketSize);
+        const grid = createElevationGrid(ncols, nrows);
+        const values = grid.values; // Freshly allocated, so cell (row, col) is at row * ncols + col
+
+        if (method === 'tin') {
+            rasteriseTIN(points, header, values);
+        }
+
+        for (let row = 0; row < nrows; row++) {
+            const cellY = header.yllcorner + (nrows - row - 0.5) * cellsize;
+            for (let col = 0; col < ncols; col++) {
+                const cellX = header.xllcorner + (col + 0.5) * cellsize;
+                const cellIndex = row * ncols + col;
+                if (method === 'tin') {
+                    if (!isNaN(values[cellIndex]) && !hasPointWithin(index, points, cellX, cellY, searchRadius)) {
+                        values[cellIndex] = NaN;
+                    }
+                } else if (method === 'nearest') {
+                    values[cellIndex] = interpolateNearest(index, points, cellX, cellY, searchRadius);
+                } else {
+                    values[cellIndex] = interpolateIDW(index, points, cellX, cellY, searchRadius, idwPower);
+                }
+            }
+        }
+
+        return buildParsedDem(header, grid, fileNameForLogging);
+    } catch (error) {
+        diagnostics.error('GRIDDING_FAILED', error.message);
+        return null;
+    } finally {
+        diagnostics.finish();
+    }
+}
+
+/**
+ * Rasterises points by binning: each cell takes the minimum, mean or maximum elevation of the points that fall
+ * inside it, and cells without points are NODATA. This is the usual way to turn dense lidar into a DTM/DSM.
+ * @param {{x: Float64Array, y: Float64Array, z: Float64Array, count: number}} points - The points to bin.
+ * @param {object} options - Binning options.
+ * @param {number|null} [options.cellsize] - Output cell size. Estimated from the point density when empty.
+ * @param {'min'|'mean'|'max'} [options.aggregate='mean'] - How the points of one cell are combined.
+ * @param {string} fileNameForLogging - The name of the source file, used for logging messages.
+ * @param {object} [diagnostics] - Collector from createParseDiagnostics; pass one in to keep the failure reason when null is returned.
+ * @returns {object|null} An object containing {header, grid, minElev, maxElev} or null if binning fails.
+ */
+export function binPointsToDEM(points, options = {}, fileNameForLogging = "Unknown File", diagnostics = createParseDiagnostics(fileNameForLogging)) {
+    try {
+        if (!points || points.count < 1) {
+            throw new Error("No points to rasterise.");
+        }
+        const aggregate = options.aggregate || 'mean';
+        const extent = getPointExtent(points);
+        const cellsize = options.cellsize > 0 ? options.cellsize : estimateCellsize(points, extent);
+        console.log(`[${fileNameForLogging}] Binning ${points.count} points: aggregate=${aggregate}, cellsize=${cellsize}.`);
+
+        const header = createGridHeaderForExtent(extent, cellsize);
+        if (!checkGridSize(header, extent, diagnostics)) return null;
+        const { ncols, nrows } = header;
+        const values = new Float64Array(ncols * nrows).fill(NaN);
+        const counts = new Uint32Array(ncols * nrows);
+
+        for (let i = 0; i < points.count; i++) {
+            const col = Math.min(ncols - 1, Math.floor((points.x[i] - header.xllcorner) / cellsize));
+            const row = Math.max(0, nrows - 1 - Math.floor((points.y[i] - header.yllcorner) / cellsize));
+            const cellIndex = row * ncols + col;
+            const z = points.z[i];
+            if (counts[cellIndex] === 0) {
+                values[cellIndex] = z;
+            } else if (aggregate === 'min') {
+                if (z < values[cellIndex]) values[cellIndex] = z;
+            } else if (aggregate === 'max') {
+                if (z > values[cellIndex]) values[cellIndex] = z;
+            } else {
+                values[cellIndex] += z;
+            }
+            counts[cellIndex]++;
+        }
+
+        // Sums and extremes are accumulated in double precision, then stored; empty cells stay NODATA.
+        const grid = createElevationGrid(ncols, nrows);
+        for (let cellIndex = 0; cellIndex < counts.length; cellIndex++) {
+            if (counts[cellIndex] === 0) continue;
+            grid.values[cellIndex] = aggregate === 'mean' ? values[cellIndex] / counts[cellIndex] : values[cellIndex];
+        }
+        return buildParsedDem(header, grid, fileNameForLogging);
+    } catch (error) {
+        diagnostics.error('GRIDDING_FAILED', error.message);
+        return null;
+    } finally {
+        diagnostics.finish();
+    }
+}
+
+/**
+ * Computes the bounding box of a point set.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export function getPointExtent(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < points.count; i++) {
+        if (points.x[i] < minX) minX = points.x[i];
+        if (points.x[i] > maxX) maxX = points.x[i];
+        if (points.y[i] < minY) minY = points.y[i];
+        if (points.y[i] > maxY) maxY = points.y[i];
+    }
+    return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Builds a DEM header whose cells (aligned to multiples of the cell size) cover a point extent.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} extent
+ * @param {number} cellsize
+ * @returns {object} Header with ncols, nrows, xllcorner, yllcorner, cellsize, dx, dy and nodata_value.
+ */
+export function createGridHeaderForExtent(extent, cellsize) {
+    const xllcorner = Math.floor(extent.minX / cellsize) * cellsize;
+    const yllcorner = Math.floor(extent.minY / cellsize) * cellsize;
+    return {
+        ncols: Math.floor((extent.maxX - xllcorner) / cellsize) + 1,
+        nrows: Math.floor((extent.maxY - yllcorner) / cellsize) + 1,
+        xllcorner,
+        yllcorner,
+        cellsize,
+        dx: cellsize,
+        dy: cellsize,
+        nodata_value: GRIDDED_NODATA_VALUE
+    };
+}
+
+/**
+ * Checks that a grid header stays within MAX_GRIDDED_CELLS, recording an error with the smallest cell size that
+ * would fit the points' extent when it does not.
+ * @param {object} header - Header from createGridHeaderForExtent.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} extent - The points' extent.
+ * @param {object} diagnostics - Collector from createParseDiagnostics.
+ * @returns {boolean} True if the grid may be built.
+ */
+function checkGridSize(header, extent, diagnostics) {
+    const { ncols, nrows, cellsize } = header;
+    if (ncols * nrows <= MAX_GRIDDED_CELLS) return true;
+    // Start from the cell size that fits the extent exactly, then grow it until the aligned grid fits too.
+    const width = extent.maxX - extent.minX;
+    const height = extent.maxY - extent.minY;
+    let minimumCellsize = Math.max(Math.sqrt((width * height) / MAX_GRIDDED_CELLS), Math.max(width, height) / MAX_GRIDDED_CELLS);
+    minimumCellsize = Number(minimumCellsize.toPrecision(3));
+    while (!(countGridCells(extent, minimumCellsize) <= MAX_GRIDDED_CELLS)) {
+        minimumCellsize = Number((minimumCellsize * 1.005).toPrecision(3));
+    }
+    diagnostics.error('GRID_TOO_LARGE', `A cell size of ${cellsize} over the points' ${width.toFixed(1)} x ${height.toFixed(1)} extent needs a ${ncols}x${nrows} grid (limit ${MAX_GRIDDED_CELLS} cells). Use a cell size of at least ${minimumCellsize}.`);
+    return false;
+}
+
+/**
+ * Counts the cells of the grid createGridHeaderForExtent builds for an extent and cell size.
+ * @returns {number}
+ */
+function countGridCells(extent, cellsize) {
+    const { ncols, nrows } = createGridHeaderForExtent(extent, cellsize);
+    return ncols * nrows;
+}
+
+/**
+ * Estimates a cell size matching the average point spacing (bounding box area / point count).
+ */
+function estimateCellsize(points, extent) {
+    const width = extent.maxX - extent.minX;
+    const height = extent.maxY - extent.minY;
+    const spacing = Math.sqrt((width * height) / Math.max(points.count, 1));
+    if (spacing > 0 && isFinite(spacing)) return spacing;
+    return Math.max(width, height, 1) / 100;
+}
+
+// --- Spatial Bucket Index ---
+
+/**
+ * Buckets points into a uniform grid (compressed row storage) for fixed-radius neighbour queries.
+ * @returns {{minX: number, minY: number, bucketSize: number, cols: number, rows: number, bucketStart: Int32Array, bucketPoints: Int32Array}}
+ */
+function buildPointBucketIndex(points, extent, bucketSize) {
+    const cols = Math.max(1, Math.floor((extent.maxX - extent.minX) / bucketSize) + 1);
+    const rows = Math.max(1, Math.floor((extent.maxY - extent.minY) / bucketSize) + 1);
+    const bucketOf = new Int32Array(points.count);
+    const bucketStart = new Int32Array(cols * rows + 1);
+    for (let i = 0; i < points.count; i++) {
+        const bc = Math.min(cols - 1, Math.floor((points.x[i] - extent.minX) / bucketSize));
+        const br = Math.min(rows - 1, Math.floor((points.y[i] - extent.minY) / bucketSize));
+        bucketOf[i] = br * cols + bc;
+        bucketStart[bucketOf[i] + 1]++;
+    }
+    for (let b = 0; b < cols * rows; b++) bucketStart[b + 1] += bucketStart[b];
+    const fill = bucketStart.slice(0, cols * rows);
+    const bucketPoints = new Int32Array(points.count);
+    for (let i = 0; i < points.count; i++) bucketPoints[fill[bucketOf[i]]++] = i;
+    return { minX: extent.minX, minY: extent.minY, bucketSize, cols, rows, bucketStart, bucketPoints };
+}
+
+/**
+ * Calls `callback(pointIndex, squaredDistance)` for every point within `radius` of (x, y).
+ */
+function forEachPointWithin(index, points, x, y, radius, callback) {
+    const radiusSq = radius * radius;
+    const c0 = Math.max(0, Math.floor((x - radius - index.minX) / index.bucketSize));
+    const c1 = Math.min(index.cols - 1, Math.floor((x + radius - index.minX) / index.bucketSize));
+    const r0 = Math.max(0, Math.floor((y - radius - index.minY) / index.bucketSize));
+    const r1 = Math.min(index.rows - 1, Math.floor((y + radius - index.minY) / index.bucketSize));
+    for (let br = r0; br <= r1; br++) {
+        for (let bc = c0; bc <= c1; bc++) {
+            const bucket = br * index.cols + bc;
+            for (let k = index.bucketStart[bucket]; k < index.bucketStart[bucket + 1]; k++) {
+                const i = index.bucketPoints[k];
+                const ddx = points.x[i] - x;
+                const ddy = points.y[i] - y;
+                const distSq = ddx * ddx + ddy * ddy;
+                if (distSq <= radiusSq) callback(i, distSq);
+            }
+        }
+    }
+}
+
+function hasPointWithin(index, points, x, y, radius) {
+    let found = false;
+    forEachPointWithin(index, points, x, y, radius, () => { found = true; });
+    return found;
+}
+
+function interpolateNearest(index, points, x, y, radius) {
+    let bestDistSq = Infinity;
+    let bestZ = NaN;
+    forEachPointWithin(index, points, x, y, radius, (i, distSq) => {
+        if (distSq < bestDistSq) {
+            bestDistSq = distSq;
+            bestZ = points.z[i];
+        }
+    });
+    return bestZ;
+}
+
+function interpolateIDW(index, points, x, y, radius, power) {
+    const neighbours = [];
+    forEachPointWithin(index, points, x, y, radius, (i, distSq) => neighbours.push({ i, distSq }));
+    if (neighbours.length === 0) return NaN;
+    if (neighbours.length > MAX_IDW_NEIGHBOURS) {
+        neighbours.sort((a, b) => a.distSq - b.distSq);
+        neighbours.length = MAX_IDW_NEIGHBOURS;
+    }
+    let weightSum = 0;
+    let valueSum = 0;
+    for (const { i, distSq } of neighbours) {
+        if (distSq < 1e-18) return points.z[i]; // Cell centre coincides with a point
+        const weight = 1 / Math.pow(distSq, power / 2);
+        weightSum += weight;
+        valueSum += weight * points.z[i];
+    }
+    return valueSum / weightSum;
+}
+
+// --- TIN (Delaunay) Interpolation ---
+
+/**
+ * Linearly interpolates a Delaunay triangulation of the points into the grid values (NaN outside the hull).
+ */
+function rasteriseTIN(points, header, values) {
+    const { ncols, nrows, xllcorner, yllcorner, cellsize } = header;
+    const triangles = triangulateDelaunay(points);
+    const { x, y, z } = points;
+    for (let t = 0; t < triangles.length; t += 3) {
+        const a = triangles[t], b = triangles[t + 1], c = triangles[t + 2];
+        const minX = Math.min(x[a], x[b], x[c]), maxX = Math.max(x[a], x[b], x[c]);
+        const minY = Math.min(y[a], y[b], y[c]), maxY = Math.max(y[a], y[b], y[c]);
+        const col0 = Math.max(0, Math.ceil((minX - xllcorner) / cellsize - 0.5));
+        const col1 = Math.min(ncols - 1, Math.floor((maxX - xllcorner) / cellsize - 0.5));
+        const row0 = Math.max(0, Math.ceil(nrows - 0.5 - (maxY - yllcorner) / cellsize));
+        const row1 = Math.min(nrows - 1, Math.floor(nrows - 0.5 - (minY - yllcorner) / cellsize));
+        const det = (y[b] - y[c]) * (x[a] - x[c]) + (x[c] - x[b]) * (y[a] - y[c]);
+        if (Math.abs(det) < 1e-18) continue;
+        for (let row = row0; row <= row1; row++) {
+            const py = yllcorner + (nrows - row - 0.5) * cellsize;
+            for (let col = col0; col <= col1; col++) {
+                const px = xllcorner + (col + 0.5) * cellsize;
+                const w1 = ((y[b] - y[c]) * (px - x[c]) + (x[c] - x[b]) * (py - y[c])) / det;
+                const w2 = ((y[c] - y[a]) * (px - x[c]) + (x[a] - x[c]) * (py - y[c])) / det;
+                const w3 = 1 - w1 - w2;
+                if (w1 < -1e-9 || w2 < -1e-9 || w3 < -1e-9) continue;
+                values[row * ncols + col] = w1 * z[a] + w2 * z[b] + w3 * z[c];
+            }
+        }
+    }
+}
+
+/**
+ * Builds a Delaunay triangulation by incremental insertion with Lawson edge flips.
+ * Points are inserted in spatially coherent order so the point-location walk stays short.
+ * Coordinates are centred and given a tiny deterministic jitter so that the collinear and cocircular
+ * points typical of gridded survey exports do not produce degenerate triangles.
+ * @returns {Int32Array} Flat list of triangle vertex indices (3 per triangle), excluding the super triangle.
+ */
+function triangulateDelaunay(points) {
+    const n = points.count;
+    const extent = getPointExtent(points);
+    const centreX = (extent.minX + extent.maxX) / 2;
+    const centreY = (extent.minY + extent.maxY) / 2;
+    const span = Math.max(extent.maxX - extent.minX, extent.maxY - extent.minY) || 1;
+
+    const px = new Float64Array(n + 3);
+    const py = new Float64Array(n + 3);
+    let seed = 12345;
+    const jitter = () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return (seed / 0x7fffffff - 0.5) * span * 1e-9;
+    };
+    for (let i = 0; i < n; i++) {
+        px[i] = points.x[i] - centreX + jitter();
+        py[i] = points.y[i] - centreY + jitter();
+    }
+    // Super triangle (counter-clockwise) enclosing every point.
+    px[n] = -20 * span; py[n] = -10 * span;
+    px[n + 1] = 20 * span; py[n + 1] = -10 * span;
+    px[n + 2] = 0; py[n + 2] = 20 * span;
+
+    // V[3t + i]: vertex i of triangle t (counter-clockwise). N[3t + i]: triangle across the edge opposite vertex i.
+    const V = [n, n + 1, n + 2];
+    const N = [-1, -1, -1];
+    const stack = [];
+
+    const orient = (a, b, p) => (px[b] - px[a]) * (py[p] - py[a]) - (py[b] - py[a]) * (px[p] - px[a]);
+    const inCircle = (a, b, c, d) => {
+        const adx = px[a] - px[d], ady = py[a] - py[d];
+        const bdx = px[b] - px[d], bdy = py[b] - py[d];
+        const cdx = px[c] - px[d], cdy = py[c] - py[d];
+        return (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy)
+            + (bdx * bdx + bdy * bdy) * (cdx * ady - adx * cdy)
+            + (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady) > 0;
+    };
+    const replaceNeighbour = (t, oldNeighbour, newNeighbour) => {
+        for (let k = 0; k < 3; k++) {
+            if (N[3 * t + k] === oldNeighbour) { N[3 * t + k] = newNeighbour; return; }
+        }
+    };
+    const containsPoint = (t, p) => orient(V[3 * t + 1], V[3 * t + 2], p) >= 0
+        && orient(V[3 * t + 2], V[3 * t], p) >= 0
+        && orient(V[3 * t], V[3 * t + 1], p) >= 0;
+    const locate = (p, start) => {
+        let t = start;
+        const triangleCount = V.length / 3;
+        for (let steps = 0; steps < triangleCount + 3; steps++) {
+            let next = -1;
+            for (let e = 0; e < 3; e++) {
+                if (orient(V[3 * t + (e + 1) % 3], V[3 * t + (e + 2) % 3], p) < 0) { next = N[3 * t + e]; break; }
+            }
+            if (next === -1) return containsPoint(t, p) ? t : -1;
+            t = next;
+        }
+        for (let s = 0; s < triangleCount; s++) { // Walk failed to converge: fall back to a scan.
+            if (containsPoint(s, p)) return s;
+        }
+        return -1;
+    };
+    // Restores the Delaunay property for triangles whose newly inserted point is vertex 0.
+    const legalize = () => {
+        while (stack.length > 0) {
+            const t = stack.pop();
+            const u = N[3 * t];
+            if (u === -1) continue;
+            let j = 0;
+            while (j < 3 && N[3 * u + j] !== t) j++;
+            if (j === 3) continue;
+            const p = V[3 * t], b = V[3 * t + 1], c = V[3 * t + 2];
+            const d = V[3 * u + j];
+            if (!inCircle(p, b, c, d)) continue;
+            const a1 = N[3 * t + 1], a2 = N[3 * t + 2];
+            const b1 = N[3 * u + (j + 1) % 3], b2 = N[3 * u + (j + 2) % 3];
+            V[3 * t] = p; V[3 * t + 1] = b; V[3 * t + 2] = d;
+            N[3 * t] = b1; N[3 * t + 1] = u; N[3 * t + 2] = a2;
+            V[3 * u] = p; V[3 * u + 1] = d; V[3 * u + 2] = c;
+            N[3 * u] = b2; N[3 * u + 1] = a1; N[3 * u + 2] = t;
+            if (b1 !== -1) replaceNeighbour(b1, u, t);
+            if (a1 !== -1) replaceNeighbour(a1, t, u);
+            stack.push(t, u);
+        }
+    };
+
+    let lastTriangle = 0;
+    for (const p of getSpatialInsertionOrder(px, py, n, span)) {
+        const t = locate(p, lastTriangle);
+        if (t === -1) continue;
+        const a = V[3 * t], b = V[3 * t + 1], c = V[3 * t + 2];
+        if ([a, b, c].some(v => v < n && points.x[v] === points.x[p] && points.y[v] === points.y[p])) continue; // Duplicate point
+        const na = N[3 * t], nb = N[3 * t + 1], nc = N[3 * t + 2];
+        const t1 = V.length / 3;
+        const t2 = t1 + 1;
+        V[3 * t] = p; V[3 * t + 1] = b; V[3 * t + 2] = c;
+        N[3 * t] = na; N[3 * t + 1] = t1; N[3 * t + 2] = t2;
+        V.push(p, c, a); N.push(nb, t2, t);
+        V.push(p, a, b); N.push(nc, t, t1);
+        if (nb !== -1) replaceNeighbour(nb, t, t1);
+        if (nc !== -1) replaceNeighbour(nc, t, t2);
+        stack.push(t, t1, t2);
+        legalize();
+        lastTriangle = t;
+    }
+
+    const result = [];
+    for (let t = 0; t < V.length; t += 3) {
+        if (V[t] < n && V[t + 1] < n && V[t + 2] < n) result.push(V[t], V[t + 1], V[t + 2]);
+    }
+    return Int32Array.from(result);
+}
+
+/**
+ * Orders point indices along a serpentine walk through coarse buckets, keeping consecutive insertions close together.
+ */
+function getSpatialInsertionOrder(px, py, n, span) {
+    const bucketsPerSide = Math.max(1, Math.ceil(Math.sqrt(n / 4)));
+    const bucketSize = span / bucketsPerSide;
+    const keys = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        const bc = Math.min(bucketsPerSide - 1, Math.floor((px[i] + span / 2) / bucketSize));
+        const br = Math.min(bucketsPerSide - 1, Math.floor((py[i] + span / 2) / bucketSize));
+        const snakeCol = br % 2 === 0 ? bc : bucketsPerSide - 1 - bc;
+        keys[i] = br * bucketsPerSide + snakeCol;
+    }
+    const order = Array.from({ length: n }, (_, i) => i);
+    order.sort((i, j) => keys[i] - keys[j]);
+    return order;
+}
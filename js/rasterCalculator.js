@@ -0,0 +1,322 @@
+// js/rasterCalculator.js
+import { createElevationGrid, getGridRow } from './elevationGrid.js';
+
+/**
+ * @file Expression language of the raster calculator: cell-by-cell arithmetic over DEMs, e.g. `A - B`,
+ * `max(A, 0)`, `A * 0.3048` or `A > 500 ? 1 : nodata`. Variables are DEMs, named by a single capital letter or by
+ * a file name in square brackets (`[site_2020.tif]`); main.js resolves them to loaded DEMs. Expressions are
+ * parsed into a syntax tree, which is compiled into a function of the variables' values at one cell.
+ *
+ * NODATA (NaN) propagates: any operation or function with a NODATA operand is NODATA, comparisons and logical
+ * operators included (they give 1 or 0 otherwise), and a NODATA condition makes `?:` NODATA. `isnodata(x)` tests
+ * for it and `nodata` produces it.
+ *
+ * Precedence, lowest first: `?:`, `||`, `&&`, comparisons (`< <= > >= == !=`), `+ -`, `* / %`, unary `- + !`,
+ * `^` (power, right-associative).
+ */
+
+// Functions callable in expressions: [minimum arity, maximum arity, implementation].
+const FUNCTIONS = {
+    abs: [1, 1, Math.abs],
+    sqrt: [1, 1, Math.sqrt],
+    exp: [1, 1, Math.exp],
+    log: [1, 1, Math.log],
+    log10: [1, 1, Math.log10],
+    sin: [1, 1, Math.sin],
+    cos: [1, 1, Math.cos],
+    tan: [1, 1, Math.tan],
+    asin: [1, 1, Math.asin],
+    acos: [1, 1, Math.acos],
+    atan: [1, 1, Math.atan],
+    atan2: [2, 2, Math.atan2],
+    pow: [2, 2, Math.pow],
+    floor: [1, 1, Math.floor],
+    ceil: [1, 1, Math.ceil],
+    round: [1, 1, Math.round],
+    min: [2, Infinity, Math.min],
+    max: [2, Infinity, Math.max],
+    clamp: [3, 3, (value, low, high) => Math.min(Math.max(value, low), high)],
+    isnodata: [1, 1, (value) => Number.isNaN(value) ? 1 : 0]
+};
+
+// Named constants.
+const CONSTANTS = { nodata: NaN, pi: Math.PI };
+
+// Binary operators by precedence level, lowest first (the ternary and unary operators are handled apart).
+const BINARY_LEVELS = [['||'], ['&&'], ['<', '<=', '>', '>=', '==', '!='], ['+', '-'], ['*', '/', '%']];
+
+// 1/0 result of a comparison or logical operator, NODATA if an operand is.
+const truth = (condition, a, b) => Number.isNaN(a) || Number.isNaN(b) ? NaN : (condition ? 1 : 0);
+const BINARY_OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '^': (a, b) => a ** b,
+    '<': (a, b) => truth(a < b, a, b),
+    '<=': (a, b) => truth(a <= b, a, b),
+    '>': (a, b) => truth(a > b, a, b),
+    '>=': (a, b) => truth(a >= b, a, b),
+    '==': (a, b) => truth(a === b, a, b),
+    '!=': (a, b) => truth(a !== b, a, b),
+    '&&': (a, b) => truth(a !== 0 && b !== 0, a, b),
+    '||': (a, b) => truth(a !== 0 || b !== 0, a, b)
+};
+
+/**
+ * Parses a raster expression.
+ * @param {string} text - The expression.
+ * @returns {object} The syntax tree: nodes {type: 'number', value}, {type: 'variable', name},
+ * {type: 'unary', operator, operand}, {type: 'binary', operator, left, right},
+ * {type: 'conditional', test, consequent, alternate} and {type: 'call', name, args}.
+ * @throws {Error} With the position (1-based character) of the first syntax error.
+ */
+export function parseRasterExpression(text) {
+    const tokens = tokenize(text);
+    let index = 0;
+    const peek = () => tokens[index];
+    const fail = (message, token = peek()) => {
+        throw new Error(`${message} at position ${token.position + 1} of the expression.`);
+    };
+    const accept = (value) => {
+        if (peek().type === 'operator' && peek().value === value) {
+            index++;
+            return true;
+        }
+        return false;
+    };
+    const expect = (value) => {
+        if (!accept(value)) fail(`Expected '${value}' but found ${describeToken(peek())}`);
+    };
+
+    const parseConditional = () => {
+        const test = parseBinary(0);
+        if (!accept('?')) return test;
+        const consequent = parseConditional();
+        expect(':');
+        const alternate = parseConditional();
+        return { type: 'conditional', test, consequent, alternate };
+    };
+    const parseBinary = (level) => {
+        if (level === BINARY_LEVELS.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        // Comparisons do not chain (a < b < c is an error).
+        const isComparison = BINARY_LEVELS[level].includes('<');
+        while (peek().type === 'operator' && BINARY_LEVELS[level].includes(peek().value)) {
+            const operator = tokens[index++].value;
+            left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+            if (isComparison) break;
+        }
+        return left;
+    };
+    const parseUnary = () => {
+        const token = peek();
+        if (token.type === 'operator' && ['-', '+', '!'].includes(token.value)) {
+            index++;
+            return { type: 'unary', operator: token.value, operand: parseUnary() };
+        }
+        return parsePower();
+    };
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (!accept('^')) return base;
+        // Right-associative, and binds tighter than a unary minus on its left: -A^2 = -(A^2).
+        return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+    };
+    const parsePrimary = () => {
+        const token = tokens[index++];
+        switch (token.type) {
+            case 'number':
+                return { type: 'number', value: token.value };
+            case 'name':
+                return { type: 'variable', name: token.value };
+            case 'identifier': {
+                if (accept('(')) {
+                    const definition = FUNCTIONS[token.value];
+                    if (!definition) fail(`Unknown function '${token.value}'`, token);
+                    const args = [];
+                    if (!accept(')')) {
+                        do args.push(parseConditional()); while (accept(','));
+                        expect(')');
+                    }
+                    const [minArgs, maxArgs] = definition;
+                    if (args.length < minArgs || args.length > maxArgs) {
+                        const expected = minArgs === maxArgs ? `${minArgs}` : maxArgs === Infinity ? `at least ${minArgs}` : `${minArgs} to ${maxArgs}`;
+                        fail(`${token.value}() takes ${expected} argument(s), not ${args.length},`, token);
+                    }
+                    return { type: 'call', name: token.value, args };
+                }
+                if (token.value in CONSTANTS) return { type: 'number', value: CONSTANTS[token.value] };
+                return { type: 'variable', name: token.value };
+            }
+            case 'operator':
+                if (token.value === '(') {
+                    const inner = parseConditional();
+                    expect(')');
+                    return inner;
+                }
+                break;
+        }
+        return fail(token.type === 'end' ? 'Unexpected end' : `Unexpected ${describeToken(token)}`, token);
+    };
+
+    const tree = parseConditional();
+    if (peek().type !== 'end') fail(`Unexpected ${describeToken(peek())}`);
+    return tree;
+}
+
+/**
+ * Lists the variables (DEM names) an expression refers to.
+ * @param {object} tree - From parseRasterExpression.
+ * @returns {Array<string>} Unique names in order of first appearance.
+ */
+export function getExpressionVariables(tree) {
+    const names = new Set();
+    const visit = (node) => {
+        switch (node.type) {
+            case 'variable': names.add(node.name); break;
+            case 'unary': visit(node.operand); break;
+            case 'binary': visit(node.left); visit(node.right); break;
+            case 'conditional': visit(node.test); visit(node.consequent); visit(node.alternate); break;
+            case 'call': node.args.forEach(visit); break;
+        }
+    };
+    visit(tree);
+    return [...names];
+}
+
+/**
+ * Compiles a syntax tree into a function evaluating it at one cell.
+ * @param {object} tree - From parseRasterExpression.
+ * @param {Array<string>} variableNames - The order of the values passed to the function.
+ * @returns {function(Float64Array): number} Takes the variables' values at a cell (NaN = NODATA).
+ * @throws {Error} If the tree uses a variable not in variableNames.
+ */
+export function compileRasterExpression(tree, variableNames) {
+    const compile = (node) => {
+        switch (node.type) {
+            case 'number': {
+                const { value } = node;
+                return () => value;
+            }
+            case 'variable': {
+                const variableIndex = variableNames.indexOf(node.name);
+                if (variableIndex < 0) throw new Error(`Unknown DEM '${node.name}' in the expression.`);
+                return (values) => values[variableIndex];
+            }
+            case 'unary': {
+                const operand = compile(node.operand);
+                if (node.operator === '-') return (values) => -operand(values);
+                if (node.operator === '!') return (values) => {
+                    const value = operand(values);
+                    return Number.isNaN(value) ? NaN : (value === 0 ? 1 : 0);
+                };
+                return operand;
+            }
+            case 'binary': {
+                const left = compile(node.left);
+                const right = compile(node.right);
+                const apply = BINARY_OPERATORS[node.operator];
+                return (values) => apply(left(values), right(values));
+            }
+            case 'conditional': {
+                const test = compile(node.test);
+                const consequent = compile(node.consequent);
+                const alternate = compile(node.alternate);
+                return (values) => {
+                    const condition = test(values);
+                    if (Number.isNaN(condition)) return NaN;
+                    return condition !== 0 ? consequent(values) : alternate(values);
+                };
+            }
+            case 'call': {
+                const args = node.args.map(compile);
+                const fn = FUNCTIONS[node.name][2];
+                // NaN arguments give NaN in every function but isnodata (Math.min/max included).
+                if (args.length === 1) return (values) => fn(args[0](values));
+                return (values) => fn(...args.map(arg => arg(values)));
+            }
+            default:
+                throw new Error(`Unknown expression node '${node.type}'.`);
+        }
+    };
+    return compile(tree);
+}
+
+/**
+ * Evaluates an expression over grids of the same size, cell by cell. Results that are not finite numbers
+ * (division by zero, log of a negative number) become NODATA.
+ * @param {object} tree - From parseRasterExpression.
+ * @param {Array<{name: string, grid: object}>} variables - The grid of every variable in the expression, all
+ * with the same ncols and nrows.
+ * @param {function(number): void} [onProgress] - Called with the fraction of rows computed.
+ * @returns {{grid: object, invalidCells: number}} The result grid, and how many cells had data in every variable
+ * but gave no finite result.
+ */
+export function calculateRaster(tree, variables, onProgress = () => {}) {
+    const evaluate = compileRasterExpression(tree, variables.map(variable => variable.name));
+    const { ncols, nrows } = variables.length > 0 ? variables[0].grid : { ncols: 1, nrows: 1 };
+    const grid = createElevationGrid(ncols, nrows);
+    const values = new Float64Array(variables.length);
+    let invalidCells = 0;
+    for (let row = 0; row < nrows; row++) {
+        const inputs = variables.map(variable => getGridRow(variable.grid, row));
+        const output = getGridRow(grid, row);
+        for (let col = 0; col < ncols; col++) {
+            let hasData = true;
+            for (let i = 0; i < inputs.length; i++) {
+                values[i] = inputs[i][col];
+                if (Number.isNaN(values[i])) hasData = false;
+            }
+            const result = evaluate(values);
+            if (Number.isFinite(result)) {
+                output[col] = result;
+            } else if (hasData && !Number.isNaN(result)) {
+                invalidCells++; // NaN with full data is an intended `nodata`; infinities are not
+            }
+        }
+        onProgress((row + 1) / nrows);
+    }
+    return { grid, invalidCells };
+}
+
+/**
+ * Splits an expression into tokens: numbers, identifiers, [bracketed names] and operators.
+ * @param {string} text
+ * @returns {Array<{type: 'number'|'identifier'|'name'|'operator'|'end', value: any, position: number}>}
+ * @throws {Error} On a character that cannot start a token.
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|\[([^\]]+)\]|(<=|>=|==|!=|&&|\|\||[-+*/%^()?:,<>!]))/y;
+    let position = 0;
+    while (position < text.length) {
+        if (/^\s*$/.test(text.slice(position))) break;
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        if (!match) {
+            const offset = position + text.slice(position).search(/\S/);
+            throw new Error(`Unexpected character '${text[offset]}' at position ${offset + 1} of the expression.`);
+        }
+        const start = match.index + match[0].search(/\S/);
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+        else if (match[2] !== undefined) tokens.push({ type: 'identifier', value: match[2], position: start });
+        else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3].trim(), position: start });
+        else tokens.push({ type: 'operator', value: match[4], position: start });
+        position = pattern.lastIndex;
+    }
+    tokens.push({ type: 'end', value: null, position: text.length });
+    return tokens;
+}
+
+/**
+ * Describes a token for error messages.
+ * @param {{type: string, value: any}} token
+ * @returns {string}
+ */
+function describeToken(token) {
+    if (token.type === 'end') return 'the end of the expression';
+    if (token.type === 'name') return `'[${token.value}]'`;
+    return `'${token.value}'`;
+}
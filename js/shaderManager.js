@@ -68,6 +68,68 @@ export const grayElevationFragmentShader = `
     }
 `;
 
+export const derivativeVertexShader = `
+    varying vec2 vUv; 
+    varying vec3 vNormal; 
+    void main() { 
+        vUv = uv; 
+        vNormal = normalize(normalMatrix * normal); 
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0); 
+    }
+`;
+
+// Colours a terrain analysis layer stored in a texture laid out like the mesh's grid: R = value scaled to 0..1,
+// G = 1 where the layer has data. Mesh UVs run from the first to the last sample, hence the half-texel remap.
+export const derivativeFragmentShader = `
+    varying vec2 vUv; 
+    varying vec3 vNormal; 
+    uniform sampler2D uDerivativeMap; 
+    uniform vec2 uTextureSize; 
+    uniform int uRampType; // 0 sequential, 1 circular, 2 diverging, 3 gray, 4 water
+    uniform float uLit; // 1.0 applies the scene lights, 0.0 shows the layer as is (hillshade)
+    uniform vec3 uDirectionalLightDirection; 
+    uniform vec3 uDirectionalLightColor; 
+    uniform vec3 uAmbientLightColor; 
+    vec3 sequentialRamp(float t) { 
+        vec3 c1=vec3(0.27,0.00,0.33); vec3 c2=vec3(0.23,0.32,0.55); vec3 c3=vec3(0.13,0.57,0.55); 
+        vec3 c4=vec3(0.37,0.79,0.38); vec3 c5=vec3(0.99,0.91,0.14); 
+        if(t<0.25) return mix(c1,c2,t/0.25); 
+        if(t<0.5) return mix(c2,c3,(t-0.25)/0.25); 
+        if(t<0.75) return mix(c3,c4,(t-0.5)/0.25); 
+        return mix(c4,c5,(t-0.75)/0.25); 
+    } 
+    vec3 circularRamp(float t) { 
+        vec3 k=clamp(abs(mod(t*6.0+vec3(0.0,4.0,2.0),6.0)-3.0)-1.0,0.0,1.0); 
+        return mix(vec3(1.0),k,0.6)*0.9; 
+    } 
+    vec3 divergingRamp(float t) { 
+        vec3 low=vec3(0.23,0.30,0.75); vec3 mid=vec3(0.95,0.95,0.95); vec3 high=vec3(0.70,0.02,0.15); 
+        return t<0.5 ? mix(low,mid,t/0.5) : mix(mid,high,(t-0.5)/0.5); 
+    } 
+    vec3 waterRamp(float t) { 
+        return mix(vec3(0.62,0.85,0.98),vec3(0.03,0.19,0.52),t); 
+    } 
+    void main() { 
+        vec2 texel=(vUv*(uTextureSize-1.0)+0.5)/uTextureSize; 
+        vec2 sampled=texture2D(uDerivativeMap,texel).rg; 
+        float t=clamp(sampled.r,0.0,1.0); 
+        vec3 baseColor; 
+        if(sampled.g<0.5){ baseColor=vec3(0.5,0.5,0.5); } 
+        else if(uRampType==1){ baseColor=circularRamp(t); } 
+        else if(uRampType==2){ baseColor=divergingRamp(t); } 
+        else if(uRampType==3){ baseColor=vec3(t,t,t); } 
+        else if(uRampType==4){ baseColor=waterRamp(t); } 
+        else { baseColor=sequentialRamp(t); } 
+        vec3 norm=normalize(vNormal); 
+        float dotNL=max(dot(norm,normalize(uDirectionalLightDirection)),0.0); 
+        vec3 lighting=uAmbientLightColor+uDirectionalLightColor*dotNL; 
+        gl_FragColor=vec4(baseColor*mix(vec3(1.0),lighting,uLit),1.0); 
+    }
+`;
+
+// Ramp numbers used by derivativeFragmentShader, by DERIVATIVE_LAYERS ramp name ('water' for depths of water).
+const DERIVATIVE_RAMP_TYPES = { sequential: 0, circular: 1, diverging: 2, gray: 3, water: 4 };
+
 /**
  * Creates a ShaderMaterial for coloring by elevation.
  * @param {object} initialUniforms - Object containing initial values for minElevation, maxElevation, and light uniforms.
@@ -102,6 +164,28 @@ export function createGrayElevationShaderMaterial(initialUniforms) {
     });
 }
 
+/**
+ * Creates a ShaderMaterial that colours a terrain analysis layer (see terrainDerivatives.js).
+ * @param {object} initialUniforms - Object containing initial values for the light uniforms.
+ * @param {THREE.DataTexture} derivativeMap - The layer's texture (R = scaled value, G = data flag).
+ * @param {'sequential'|'circular'|'diverging'|'gray'|'water'} ramp - Colour ramp of the layer.
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createDerivativeShaderMaterial(initialUniforms, derivativeMap, ramp) {
+    const uniforms = THREE.UniformsUtils.clone(initialUniforms);
+    // The texture is shared, not cloned with the other uniforms.
+    uniforms.uDerivativeMap = { value: derivativeMap };
+    uniforms.uTextureSize = { value: new THREE.Vector2(derivativeMap.image.width, derivativeMap.image.height) };
+    uniforms.uRampType = { value: DERIVATIVE_RAMP_TYPES[ramp] };
+    // A hillshade already is the lighting.
+    uniforms.uLit = { value: ramp === 'gray' ? 0 : 1 };
+    return new THREE.ShaderMaterial({
+        vertexShader: derivativeVertexShader,
+        fragmentShader: derivativeFragmentShader,
+        uniforms
+    });
+}
+
 /**
  * Creates a default MeshStandardMaterial.
  * @returns {THREE.MeshStandardMaterial}
@@ -0,0 +1,206 @@
+// js/terrainDerivatives.js
+import { METERS_PER_DEGREE } from './constants.js';
+import { getCellSize, getParentDemData, isGeographicHeader } from './utils.js';
+import { createElevationGrid, getElevation, getGridRow } from './elevationGrid.js';
+
+/**
+ * @file Terrain analysis rasters derived from a DEM's elevations: slope, aspect, curvature, ruggedness and
+ * hillshade. Every layer is computed from the 3x3 neighbourhood of each cell with the cell's real size in metres
+ * (degree-based grids are converted row by row), using Horn's weighted differences for slope, aspect and hillshade
+ * and the Zevenbergen-Thorne surface for curvature. NODATA cells stay NODATA; missing neighbours (NODATA or beyond
+ * the edge) take the centre cell's value. Chunks of one file are derived together on their shared buffer, so the
+ * layers have no seams at chunk borders.
+ */
+
+/**
+ * The derivable layers, by name. `ramp` is how the layer is coloured when shown as a shading mode:
+ * 'sequential' (low to high), 'circular' (compass directions), 'diverging' (negative / zero / positive) or 'gray'.
+ * Aspect is NODATA on flat cells, where it is undefined. Curvatures are second derivatives of the surface times
+ * 100, both positive where the surface is convex in their direction and negative where it is concave: plan
+ * curvature across the slope (positive on ridges and spurs, where flow diverges), profile curvature along it
+ * (positive at convex breaks of slope, where flow speeds up). Plan curvature has the sign ArcGIS uses; ArcGIS's
+ * profile curvature has the opposite one (positive where concave).
+ */
+export const DERIVATIVE_LAYERS = {
+    slope: { label: 'Slope (degrees)', ramp: 'sequential' },
+    slopePercent: { label: 'Slope (percent)', ramp: 'sequential' },
+    aspect: { label: 'Aspect (degrees clockwise from north)', ramp: 'circular' },
+    planCurvature: { label: 'Plan curvature', ramp: 'diverging' },
+    profileCurvature: { label: 'Profile curvature', ramp: 'diverging' },
+    tri: { label: 'Terrain ruggedness index', ramp: 'sequential' },
+    roughness: { label: 'Roughness (max - min)', ramp: 'sequential' },
+    hillshade: { label: 'Hillshade (0-255)', ramp: 'gray' }
+};
+
+// Hillshade light: from the north-west, 45 degrees above the horizon (the usual cartographic default).
+const HILLSHADE_AZIMUTH_DEGREES = 315;
+const HILLSHADE_ALTITUDE_DEGREES = 45;
+// Sequential and diverging layers are coloured up to this percentile of their values, so a few extreme cells
+// do not wash out the rest...
+const DISPLAY_RANGE_PERCENTILE = 0.98;
+// ...estimated from at most this many evenly spaced cells.
+const DISPLAY_RANGE_SAMPLES = 100_000;
+
+// Derived rasters of whole files, by their shared elevation buffer: Map(layer -> {values, displayRange}).
+const derivedByBuffer = new WeakMap();
+
+/**
+ * Returns a derived layer of a DEM entry, computing it on first use and keeping it on the entry
+ * (demEntry.derivatives[layer]).
+ * @param {object} demEntry - A DEM entry from appState.js.
+ * @param {string} layer - A key of DERIVATIVE_LAYERS.
+ * @returns {{grid: object, displayRange: {min: number, max: number}}} The layer as a grid laid out like the
+ * entry's elevation grid (NODATA = NaN), and the value range used to colour it, shared by all chunks of the file.
+ */
+export function getDemEntryDerivative(demEntry, layer) {
+    if (!DERIVATIVE_LAYERS[layer]) throw new Error(`Unknown terrain derivative '${layer}'.`);
+    demEntry.derivatives ??= {};
+    if (!demEntry.derivatives[layer]) {
+        const { grid } = demEntry.demData;
+        let layers = derivedByBuffer.get(grid.values);
+        if (!layers) {
+            layers = new Map();
+            derivedByBuffer.set(grid.values, layers);
+        }
+        if (!layers.has(layer)) {
+            const { grid: parentGrid, header: parentHeader } = getParentDemData(demEntry.demData);
+            const derived = computeDerivativeRaster(parentGrid, parentHeader, layer);
+            layers.set(layer, { values: derived.values, displayRange: computeDisplayRange(derived.values, layer) });
+        }
+        const { values, displayRange } = layers.get(layer);
+        demEntry.derivatives[layer] = { grid: { ...grid, values }, displayRange };
+    }
+    return demEntry.derivatives[layer];
+}
+
+/**
+ * Computes one derived layer of a grid.
+ * @param {object} grid - Elevation grid (elevationGrid.js).
+ * @param {object} header - The grid's header (cell size, yllcorner and nrows; cellsizeUnits for degree grids).
+ * @param {string} layer - A key of DERIVATIVE_LAYERS.
+ * @returns {object} A new grid of the same size holding the layer's values (NaN where undefined).
+ */
+export function computeDerivativeRaster(grid, header, layer) {
+    const { ncols, nrows } = grid;
+    const { dx, dy } = getCellSize(header);
+    const isGeographic = isGeographicHeader(header);
+    const result = createElevationGrid(ncols, nrows);
+    const window = new Float64Array(9); // z1..z9: row by row from the north-west corner, z5 the centre
+    const azimuth = HILLSHADE_AZIMUTH_DEGREES * Math.PI / 180;
+    const altitude = HILLSHADE_ALTITUDE_DEGREES * Math.PI / 180;
+    const light = { east: Math.sin(azimuth) * Math.cos(altitude), north: Math.cos(azimuth) * Math.cos(altitude), up: Math.sin(altitude) };
+
+    for (let row = 0; row < nrows; row++) {
+        const latitude = header.yllcorner + (nrows - row - 0.5) * dy;
+        const cellWidth = isGeographic ? dx * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180) : dx;
+        const cellHeight = isGeographic ? dy * METERS_PER_DEGREE : dy;
+        const output = getGridRow(result, row);
+        for (let col = 0; col < ncols; col++) {
+            const centre = getElevation(grid, row, col);
+            if (Number.isNaN(centre)) continue;
+            for (let i = 0; i < 9; i++) {
+                const r = row + Math.floor(i / 3) - 1;
+                const c = col + (i % 3) - 1;
+                const value = r >= 0 && r < nrows && c >= 0 && c < ncols ? getElevation(grid, r, c) : NaN;
+                window[i] = Number.isNaN(value) ? centre : value;
+            }
+            output[col] = deriveCell(window, cellWidth, cellHeight, layer, light);
+        }
+    }
+    return result;
+}
+
+/**
+ * Computes a layer's value for one 3x3 window.
+ * @param {Float64Array} z - The window, z[0] = north-west ... z[8] = south-east.
+ * @param {number} cellWidth - Cell size along X, in metres.
+ * @param {number} cellHeight - Cell size along Y, in metres.
+ * @param {string} layer
+ * @param {{east: number, north: number, up: number}} light - Unit vector towards the hillshade light.
+ * @returns {number}
+ */
+function deriveCell(z, cellWidth, cellHeight, layer, light) {
+    const [z1, z2, z3, z4, z5, z6, z7, z8, z9] = z;
+    if (layer === 'tri' || layer === 'roughness') {
+        let sumSquares = 0;
+        let min = z5;
+        let max = z5;
+        for (const value of z) {
+            sumSquares += (value - z5) ** 2;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+        return layer === 'tri' ? Math.sqrt(sumSquares) : max - min;
+    }
+    if (layer === 'planCurvature' || layer === 'profileCurvature') {
+        // Zevenbergen-Thorne: z = Dx² + Ey² + Fxy + Gx + Hy + ... fitted through the window.
+        const d = ((z4 + z6) / 2 - z5) / (cellWidth * cellWidth);
+        const e = ((z2 + z8) / 2 - z5) / (cellHeight * cellHeight);
+        const f = (-z1 + z3 + z7 - z9) / (4 * cellWidth * cellHeight);
+        const g = (z6 - z4) / (2 * cellWidth);
+        const h = (z2 - z8) / (2 * cellHeight);
+        const gradientSquared = g * g + h * h;
+        if (gradientSquared === 0) return 0;
+        // Second derivative along the contour (plan) or along the gradient (profile), negated so convex is positive.
+        const curvature = layer === 'planCurvature'
+            ? -2 * (d * h * h + e * g * g - f * g * h) / gradientSquared
+            : -2 * (d * g * g + e * h * h + f * g * h) / gradientSquared;
+        return 100 * curvature;
+    }
+    // Horn: weighted differences across the window; gradients towards east and north.
+    const east = ((z3 + 2 * z6 + z9) - (z1 + 2 * z4 + z7)) / (8 * cellWidth);
+    const north = ((z1 + 2 * z2 + z3) - (z7 + 2 * z8 + z9)) / (8 * cellHeight);
+    const gradient = Math.hypot(east, north);
+    switch (layer) {
+        case 'slope':
+            return Math.atan(gradient) * 180 / Math.PI;
+        case 'slopePercent':
+            return gradient * 100;
+        case 'aspect': {
+            if (gradient === 0) return NaN;
+            // Direction the slope faces (downhill), clockwise from north.
+            const degrees = Math.atan2(-east, -north) * 180 / Math.PI;
+            return degrees < 0 ? degrees + 360 : degrees;
+        }
+        case 'hillshade': {
+            // Cosine of the angle between the surface normal (-east, -north, 1) and the light.
+            const shade = (-east * light.east - north * light.north + light.up) / Math.sqrt(1 + gradient * gradient);
+            return 255 * Math.max(0, shade);
+        }
+        default:
+            throw new Error(`Unknown terrain derivative '${layer}'.`);
+    }
+}
+
+/**
+ * Value range used to colour a layer: fixed for bounded layers, a robust percentile range otherwise
+ * (symmetric around zero for diverging layers).
+ * @param {Float32Array} values - The layer over the whole file (NaN = NODATA).
+ * @param {string} layer
+ * @returns {{min: number, max: number}}
+ */
+function computeDisplayRange(values, layer) {
+    if (layer === 'aspect') return { min: 0, max: 360 };
+    if (layer === 'hillshade') return { min: 0, max: 255 };
+    return computeRobustDisplayRange(values, DERIVATIVE_LAYERS[layer].ramp === 'diverging');
+}
+
+/**
+ * Value range for colouring a raster, from 0 (or the symmetric negative limit) up to the DISPLAY_RANGE_PERCENTILE
+ * of its values (of their magnitudes when diverging), so a few extreme cells do not wash out the rest.
+ * @param {Float32Array} values - The raster's values (NaN = NODATA).
+ * @param {boolean} isDiverging - True for values centred on zero (e.g. curvature or elevation differences).
+ * @returns {{min: number, max: number}}
+ */
+export function computeRobustDisplayRange(values, isDiverging) {
+    const step = Math.max(1, Math.floor(values.length / DISPLAY_RANGE_SAMPLES));
+    const samples = [];
+    for (let i = 0; i < values.length; i += step) {
+        const value = values[i];
+        if (!Number.isNaN(value)) samples.push(isDiverging ? Math.abs(value) : value);
+    }
+    if (samples.length === 0) return { min: 0, max: 1 };
+    samples.sort((a, b) => a - b);
+    const limit = samples[Math.min(samples.length - 1, Math.floor(samples.length * DISPLAY_RANGE_PERCENTILE))] || 1;
+    return isDiverging ? { min: -limit, max: limit } : { min: 0, max: limit };
+}
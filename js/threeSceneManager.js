@@ -1,13 +1,16 @@
 // js/threeSceneManager.js
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js'; 
+import { LineSegments2 } from 'three/addons/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/addons/lines/LineSegmentsGeometry.js';
+import { LineMaterial } from 'three/addons/lines/LineMaterial.js';
 import { state } from './appState.js'; 
 import { uiElements, setStatusMessage } from './uiManager.js'; 
 
 /**
  * @file Manages the Three.js scene, camera, renderer, lighting, OrbitControls,
  * and the main animation loop. Also handles mouse interactions on the canvas,
- * an orientation cube, and visualization of raindrop paths.
+ * an orientation cube, and visualization of raindrop paths and of the clip outline being drawn.
  */
 
 let scene, camera, renderer, controls; 
@@ -18,6 +21,10 @@ const CUBE_MARGIN = 10;
 let raycaster; 
 const pointer = new THREE.Vector2(); 
 let raindropPathLineObjects = []; 
+let clipOutlineObject = null; // Group with the outline and vertex markers of the clip shape being drawn
+let contourLineObjects = []; // Contour overlays (one LineSegments object per DEM and style)
+let watershedObject = null; // Group with the highlighted catchment, its outline and its pour point
+let streamLineObjects = []; // Stream network overlays (one LineSegments2 object per DEM and order)
 const lightWorldDirection = new THREE.Vector3();
 const viewSpaceLightDirection = new THREE.Vector3();
 
@@ -100,6 +107,8 @@ function onWindowResize() {
         camera.aspect = mainCanvasWidth / mainCanvasHeight;
         camera.updateProjectionMatrix();
         renderer.setSize(mainCanvasWidth, mainCanvasHeight);
+        // Wide lines are sized in pixels of the canvas.
+        streamLineObjects.forEach(lines => lines.material.resolution.set(mainCanvasWidth, mainCanvasHeight));
     }
 }
 
@@ -145,9 +154,10 @@ function updatePointerFromEvent(event) {
 function onCanvasMouseMove(event) {
     updatePointerFromEvent(event); 
     raycaster.setFromCamera(pointer, camera);
-    const visibleMeshes = state.loadedDEMs.filter(dem => dem.isVisible).map(dem => dem.mesh);
+    // Each DEM is raycast through its LOD, which tests only the level currently shown.
+    const visibleMeshes = state.loadedDEMs.filter(dem => dem.isVisible).map(dem => dem.lod);
     if (visibleMeshes.length > 0) {
-        const intersects = raycaster.intersectObjects(visibleMeshes);
+        const intersects = raycaster.intersectObjects(visibleMeshes, false);
         if (intersects.length > 0) {
             if (!state.lastMouseIntersectionPoint) state.lastMouseIntersectionPoint = new THREE.Vector3();
             state.lastMouseIntersectionPoint.copy(intersects[0].point);
@@ -158,9 +168,9 @@ function onCanvasMouseMove(event) {
 function onCanvasMouseDown(event) {
     updatePointerFromEvent(event); 
     raycaster.setFromCamera(pointer, camera);
-    const visibleMeshes = state.loadedDEMs.filter(dem => dem.isVisible).map(dem => dem.mesh);
+    const visibleMeshes = state.loadedDEMs.filter(dem => dem.isVisible).map(dem => dem.lod);
     if (visibleMeshes.length > 0) {
-        const intersects = raycaster.intersectObjects(visibleMeshes);
+        const intersects = raycaster.intersectObjects(visibleMeshes, false);
         if (intersects.length > 0) {
             if (!state.lastMouseIntersectionPoint) state.lastMouseIntersectionPoint = new THREE.Vector3();
             state.lastMouseIntersectionPoint.copy(intersects[0].point);
@@ -200,11 +210,11 @@ export function getCanvasClickIntersectionAndDem(event) {
     }
     raycaster.setFromCamera(pointer, camera);
 
-    const visibleMeshes = state.loadedDEMs.filter(dem => dem.isVisible).map(dem => dem.mesh);
+    const visibleMeshes = state.loadedDEMs.filter(dem => dem.isVisible).map(dem => dem.lod);
     console.log("[ThreeSceneManager] Number of visible meshes for raycasting:", visibleMeshes.length); 
     if (visibleMeshes.length === 0) return null;
 
-    const intersects = raycaster.intersectObjects(visibleMeshes);
+    const intersects = raycaster.intersectObjects(visibleMeshes, false);
     console.log("[ThreeSceneManager] Raycaster intersections found:", intersects.length); 
 
     if (intersects.length > 0) {
@@ -236,7 +246,7 @@ export function centerView() {
     } else {
         const overallBoundingBox = new THREE.Box3();
         visibleMeshes.forEach((mesh, index) => {
-            mesh.updateMatrixWorld(); 
+            mesh.updateWorldMatrix(true, false); // Placed by its parent LOD
             const meshBoundingBox = new THREE.Box3().setFromObject(mesh, true); 
             if (index === 0) overallBoundingBox.copy(meshBoundingBox); 
             else overallBoundingBox.union(meshBoundingBox);
@@ -274,6 +284,7 @@ export function getScene() { return scene; }
 export function getCamera() { return camera; }
 export function getAmbientLight() { return ambientLight; }
 export function getDirectionalLight() { return directionalLight; }
+export function getMaxTextureSize() { return renderer ? renderer.capabilities.maxTextureSize : 4096; }
 
 export function addPathLineVisual(pathPoints, colorHex = 0x007bff) {
     if (!scene || !pathPoints || pathPoints.length < 2) {
@@ -299,3 +310,135 @@ export function clearAllPathLineVisuals() {
     raindropPathLineObjects = []; 
     console.log("Cleared all raindrop path lines.");
 }
+
+/**
+ * Adds stream lines drawn over the terrain, like raindrop paths but with a width (WebGL draws plain lines one
+ * pixel wide), so larger streams can be drawn wider.
+ * @param {Float32Array} segmentPositions - Scene positions, two points (six values) per line segment.
+ * @param {number} colorHex - Colour of the lines.
+ * @param {number} widthPixels - Width of the lines on screen.
+ * @returns {LineSegments2|null}
+ */
+export function addStreamLinesVisual(segmentPositions, colorHex, widthPixels) {
+    if (!scene || !renderer || segmentPositions.length === 0) return null;
+    const geometry = new LineSegmentsGeometry();
+    geometry.setPositions(segmentPositions);
+    const size = renderer.getSize(new THREE.Vector2());
+    const material = new LineMaterial({ color: colorHex, linewidth: widthPixels, resolution: size });
+    const lines = new LineSegments2(geometry, material);
+    lines.renderOrder = 1; // Drawn after the terrain they lie on
+    scene.add(lines);
+    streamLineObjects.push(lines);
+    return lines;
+}
+
+export function clearStreamVisuals() {
+    if (!scene) return;
+    streamLineObjects.forEach(lines => {
+        scene.remove(lines);
+        lines.geometry.dispose();
+        lines.material.dispose();
+    });
+    streamLineObjects = [];
+}
+
+/**
+ * Adds contour lines drawn over the terrain.
+ * @param {Float32Array} segmentPositions - Scene positions, two points (six values) per line segment.
+ * @param {boolean} isIndex - True for index contours, drawn darker than the others.
+ * @returns {THREE.LineSegments|null}
+ */
+export function addContourLinesVisual(segmentPositions, isIndex) {
+    if (!scene || segmentPositions.length === 0) return null;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(segmentPositions, 3));
+    const material = isIndex
+        ? new THREE.LineBasicMaterial({ color: 0x1f1300 })
+        : new THREE.LineBasicMaterial({ color: 0x3f2a14, transparent: true, opacity: 0.6 });
+    const lines = new THREE.LineSegments(geometry, material);
+    lines.renderOrder = 1; // Drawn after the terrain they lie on
+    scene.add(lines);
+    contourLineObjects.push(lines);
+    return lines;
+}
+
+export function clearContourVisuals() {
+    if (!scene) return;
+    contourLineObjects.forEach(lines => {
+        scene.remove(lines);
+        lines.geometry.dispose();
+        lines.material.dispose();
+    });
+    contourLineObjects = [];
+}
+
+/**
+ * Shows the outline of the clip shape being drawn, replacing the previous one.
+ * @param {Array<THREE.Vector3>} outlinePoints - Scene points along the outline (already draped on the terrain).
+ * @param {Array<THREE.Vector3>} vertexPoints - The clicked vertices, drawn as markers.
+ * @param {boolean} closed - True to close the outline back to its first point.
+ * @param {number} [colorHex=0xfacc15] - Colour of the outline.
+ */
+export function showClipOutlineVisual(outlinePoints, vertexPoints, closed, colorHex = 0xfacc15) {
+    if (!scene) return;
+    clearClipOutlineVisual();
+    clipOutlineObject = new THREE.Group();
+    if (outlinePoints.length >= 2) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(outlinePoints);
+        const material = new THREE.LineBasicMaterial({ color: colorHex, depthTest: false });
+        clipOutlineObject.add(closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material));
+    }
+    if (vertexPoints.length > 0) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(vertexPoints);
+        const material = new THREE.PointsMaterial({ color: colorHex, size: 6, sizeAttenuation: false, depthTest: false });
+        clipOutlineObject.add(new THREE.Points(geometry, material));
+    }
+    clipOutlineObject.renderOrder = 1; // Drawn over the terrain it is draped on
+    scene.add(clipOutlineObject);
+}
+
+export function clearClipOutlineVisual() {
+    if (!scene || !clipOutlineObject) return;
+    scene.remove(clipOutlineObject);
+    clipOutlineObject.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+    clipOutlineObject = null;
+}
+
+/**
+ * Highlights a watershed over the terrain, replacing the previous one.
+ * @param {Float32Array} surfacePositions - Scene positions of the catchment surface's vertices (draped on the terrain).
+ * @param {Uint32Array} surfaceIndices - Triangles of the surface, three vertex indices each.
+ * @param {Float32Array} outlineSegmentPositions - Scene positions of the outline, two points (six values) per segment.
+ * @param {THREE.Vector3} pourPoint - Scene position of the pour point, drawn as a marker.
+ */
+export function showWatershedVisual(surfacePositions, surfaceIndices, outlineSegmentPositions, pourPoint) {
+    if (!scene) return;
+    clearWatershedVisual();
+    watershedObject = new THREE.Group();
+    const surfaceGeometry = new THREE.BufferGeometry();
+    surfaceGeometry.setAttribute('position', new THREE.BufferAttribute(surfacePositions, 3));
+    surfaceGeometry.setIndex(new THREE.BufferAttribute(surfaceIndices, 1));
+    const surfaceMaterial = new THREE.MeshBasicMaterial({ color: 0x22d3ee, transparent: true, opacity: 0.35, depthWrite: false, side: THREE.DoubleSide });
+    watershedObject.add(new THREE.Mesh(surfaceGeometry, surfaceMaterial));
+    const outlineGeometry = new THREE.BufferGeometry();
+    outlineGeometry.setAttribute('position', new THREE.BufferAttribute(outlineSegmentPositions, 3));
+    watershedObject.add(new THREE.LineSegments(outlineGeometry, new THREE.LineBasicMaterial({ color: 0x0e7490 })));
+    const markerGeometry = new THREE.BufferGeometry().setFromPoints([pourPoint]);
+    const markerMaterial = new THREE.PointsMaterial({ color: 0xdc2626, size: 8, sizeAttenuation: false, depthTest: false });
+    watershedObject.add(new THREE.Points(markerGeometry, markerMaterial));
+    watershedObject.traverse(object => { object.renderOrder = 1; }); // Drawn after the terrain they lie on
+    scene.add(watershedObject);
+}
+
+export function clearWatershedVisual() {
+    if (!scene || !watershedObject) return;
+    scene.remove(watershedObject);
+    watershedObject.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+    watershedObject = null;
+}
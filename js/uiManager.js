@@ -1,6 +1,8 @@
 // js/uiManager.js
 import { state } from './appState.js';
-import { exportIndividualDemGLB } from './exportManager.js'; // For individual export buttons
+import { exportIndividualDemGLB, exportDemAsciiGrid } from './exportManager.js'; // For individual export buttons
+import { isGeographicHeader } from './utils.js';
+import { countDiagnosticsBySeverity } from './parseDiagnostics.js';
 
 /**
  * @file Manages all direct interactions with the HTML DOM elements,
@@ -21,6 +23,55 @@ export const uiElements = {
     closeAIDescriptionBtn: null,
     demListUl: null,
     exportUnifiedBtn: null,
+    gridCellsizeInput: null,
+    gridMethodSelect: null,
+    gridSearchRadiusInput: null,
+    gridIdwPowerInput: null,
+    lasClassesInput: null,
+    lasAggregateSelect: null,
+    loadProgress: null,
+    loadProgressLabel: null,
+    loadProgressBar: null,
+    cancelLoadBtn: null,
+    skippedFiles: null,
+    skippedFilesSummary: null,
+    skippedFilesList: null,
+    lodMethodSelect: null,
+    nodataDisplaySelect: null,
+    mosaicOverlapSelect: null,
+    mergeDemsBtn: null,
+    clipShapeSelect: null,
+    clipDrawBtn: null,
+    clipFinishBtn: null,
+    voidFillMethodSelect: null,
+    voidFillMaxCellsInput: null,
+    fillVoidsBtn: null,
+    differenceOrderSelect: null,
+    differenceThresholdInput: null,
+    differenceBtn: null,
+    volumePlaneInput: null,
+    measureVolumeBtn: null,
+    rasterCalcExpressionInput: null,
+    rasterCalcVariables: null,
+    rasterCalcBtn: null,
+    contourIntervalInput: null,
+    contourBaseInput: null,
+    contourIndexEveryInput: null,
+    showContoursBtn: null,
+    clearContoursBtn: null,
+    exportContoursBtn: null,
+    raindropConditionedCheckbox: null,
+    exportFlowDirectionBtn: null,
+    exportFlowAccumulationBtn: null,
+    terrainClickSelect: null,
+    watershedSnapInput: null,
+    exportWatershedBtn: null,
+    clearWatershedBtn: null,
+    streamThresholdInput: null,
+    streamOrderSelect: null,
+    showStreamsBtn: null,
+    clearStreamsBtn: null,
+    exportStreamsBtn: null,
 };
 
 /**
@@ -40,6 +91,55 @@ export function initDOMElements() {
     uiElements.closeAIDescriptionBtn = document.getElementById('closeAIDescriptionBtn');
     uiElements.demListUl = document.getElementById('demList');
     uiElements.exportUnifiedBtn = document.getElementById('exportUnifiedBtn');
+    uiElements.gridCellsizeInput = document.getElementById('gridCellsizeInput');
+    uiElements.gridMethodSelect = document.getElementById('gridMethodSelect');
+    uiElements.gridSearchRadiusInput = document.getElementById('gridSearchRadiusInput');
+    uiElements.gridIdwPowerInput = document.getElementById('gridIdwPowerInput');
+    uiElements.lasClassesInput = document.getElementById('lasClassesInput');
+    uiElements.lasAggregateSelect = document.getElementById('lasAggregateSelect');
+    uiElements.loadProgress = document.getElementById('loadProgress');
+    uiElements.loadProgressLabel = document.getElementById('loadProgressLabel');
+    uiElements.loadProgressBar = document.getElementById('loadProgressBar');
+    uiElements.cancelLoadBtn = document.getElementById('cancelLoadBtn');
+    uiElements.skippedFiles = document.getElementById('skippedFiles');
+    uiElements.skippedFilesSummary = document.getElementById('skippedFilesSummary');
+    uiElements.skippedFilesList = document.getElementById('skippedFilesList');
+    uiElements.lodMethodSelect = document.getElementById('lodMethodSelect');
+    uiElements.nodataDisplaySelect = document.getElementById('nodataDisplaySelect');
+    uiElements.mosaicOverlapSelect = document.getElementById('mosaicOverlapSelect');
+    uiElements.mergeDemsBtn = document.getElementById('mergeDemsBtn');
+    uiElements.clipShapeSelect = document.getElementById('clipShapeSelect');
+    uiElements.clipDrawBtn = document.getElementById('clipDrawBtn');
+    uiElements.clipFinishBtn = document.getElementById('clipFinishBtn');
+    uiElements.voidFillMethodSelect = document.getElementById('voidFillMethodSelect');
+    uiElements.voidFillMaxCellsInput = document.getElementById('voidFillMaxCellsInput');
+    uiElements.fillVoidsBtn = document.getElementById('fillVoidsBtn');
+    uiElements.differenceOrderSelect = document.getElementById('differenceOrderSelect');
+    uiElements.differenceThresholdInput = document.getElementById('differenceThresholdInput');
+    uiElements.differenceBtn = document.getElementById('differenceBtn');
+    uiElements.volumePlaneInput = document.getElementById('volumePlaneInput');
+    uiElements.measureVolumeBtn = document.getElementById('measureVolumeBtn');
+    uiElements.rasterCalcExpressionInput = document.getElementById('rasterCalcExpressionInput');
+    uiElements.rasterCalcVariables = document.getElementById('rasterCalcVariables');
+    uiElements.rasterCalcBtn = document.getElementById('rasterCalcBtn');
+    uiElements.contourIntervalInput = document.getElementById('contourIntervalInput');
+    uiElements.contourBaseInput = document.getElementById('contourBaseInput');
+    uiElements.contourIndexEveryInput = document.getElementById('contourIndexEveryInput');
+    uiElements.showContoursBtn = document.getElementById('showContoursBtn');
+    uiElements.clearContoursBtn = document.getElementById('clearContoursBtn');
+    uiElements.exportContoursBtn = document.getElementById('exportContoursBtn');
+    uiElements.raindropConditionedCheckbox = document.getElementById('raindropConditionedCheckbox');
+    uiElements.exportFlowDirectionBtn = document.getElementById('exportFlowDirectionBtn');
+    uiElements.exportFlowAccumulationBtn = document.getElementById('exportFlowAccumulationBtn');
+    uiElements.terrainClickSelect = document.getElementById('terrainClickSelect');
+    uiElements.watershedSnapInput = document.getElementById('watershedSnapInput');
+    uiElements.exportWatershedBtn = document.getElementById('exportWatershedBtn');
+    uiElements.clearWatershedBtn = document.getElementById('clearWatershedBtn');
+    uiElements.streamThresholdInput = document.getElementById('streamThresholdInput');
+    uiElements.streamOrderSelect = document.getElementById('streamOrderSelect');
+    uiElements.showStreamsBtn = document.getElementById('showStreamsBtn');
+    uiElements.clearStreamsBtn = document.getElementById('clearStreamsBtn');
+    uiElements.exportStreamsBtn = document.getElementById('exportStreamsBtn');
 
     // Initialize currentShadingMode from the select element's value
     if (uiElements.materialTypeSelect) {
@@ -69,9 +169,53 @@ export function showLoader(show) {
     }
 }
 
+/**
+ * Shows the progress of the file currently being loaded, with its Cancel button.
+ * @param {string} fileName - The file being loaded.
+ * @param {string} phase - The current step, e.g. 'reading', 'parsing', 'gridding', 'chunking' or 'meshing'.
+ * @param {number|null} fraction - Progress of the step from 0 to 1, or null when it cannot be measured.
+ */
+export function showLoadProgress(fileName, phase, fraction) {
+    if (!uiElements.loadProgress) return;
+    uiElements.loadProgress.style.display = 'flex';
+    const percent = fraction !== null ? ` ${Math.round(fraction * 100)}%` : '';
+    uiElements.loadProgressLabel.textContent = `${fileName}: ${phase}${percent}`;
+    uiElements.loadProgressLabel.title = fileName;
+    if (fraction !== null) {
+        uiElements.loadProgressBar.value = fraction;
+    } else {
+        uiElements.loadProgressBar.removeAttribute('value'); // Indeterminate bar
+    }
+}
+
+/**
+ * Hides the load progress bar.
+ */
+export function hideLoadProgress() {
+    if (uiElements.loadProgress) {
+        uiElements.loadProgress.style.display = 'none';
+    }
+}
+
+/**
+ * Lists the files of a selection (or members of a zip archive) that were not loaded, with the reason for each,
+ * in the status area. An empty list hides it.
+ * @param {Array<{name: string, reason: string}>} skippedFiles
+ */
+export function showSkippedFiles(skippedFiles) {
+    if (!uiElements.skippedFiles) return;
+    uiElements.skippedFilesList.replaceChildren(...skippedFiles.map(skipped => {
+        const item = document.createElement('li');
+        item.textContent = `${skipped.name}: ${skipped.reason}`;
+        return item;
+    }));
+    uiElements.skippedFilesSummary.textContent = `${skippedFiles.length} file(s) skipped`;
+    uiElements.skippedFiles.style.display = skippedFiles.length > 0 ? 'block' : 'none';
+}
+
 /**
  * Adds a DEM entry to the side panel list in the UI.
- * Includes the DEM name, a visibility checkbox, an export button, and its absolute origin coordinates.
+ * Includes the DEM name, a visibility checkbox, export buttons (GLB mesh, ASCII grid), and its absolute origin coordinates.
  * @param {object} demEntry - The DEM entry object from appState.js (contains demData, mesh, etc.).
  * @param {function} onVisibilityToggle - Callback function when visibility checkbox changes.
  * Receives (demId, isVisible).
@@ -112,22 +256,260 @@ export function addDemToPanelList(demEntry, onVisibilityToggle) {
             });
     };
 
+    const asciiButton = document.createElement('button');
+    asciiButton.textContent = 'ASC';
+    asciiButton.className = 'export-btn-small';
+    asciiButton.title = 'Export this DEM as an ASCII grid (the terrain analysis layer when one is shown, else the elevations)';
+    asciiButton.onclick = () => exportDemAsciiGrid(demEntry, setStatusMessage);
+
     // Assemble the header part of the list item
     headerDiv.appendChild(checkbox);
     headerDiv.appendChild(label);
     headerDiv.appendChild(exportButton);
+    headerDiv.appendChild(asciiButton);
     li.appendChild(headerDiv);
     
     // Add a div to display the absolute origin coordinates of this DEM/chunk
     const coordsDiv = document.createElement('div');
     coordsDiv.className = 'dem-item-coords';
     // Displaying the original absolute xllcorner/yllcorner from the header of this specific DEM/chunk
-    coordsDiv.textContent = `Origin (abs): X: ${demEntry.demData.header.xllcorner.toFixed(2)}, Y: ${demEntry.demData.header.yllcorner.toFixed(2)}`;
+    // (degree-based headers need more decimals to be meaningful)
+    const coordDecimals = isGeographicHeader(demEntry.demData.header) ? 6 : 2;
+    coordsDiv.textContent = `Origin (abs): X: ${demEntry.demData.header.xllcorner.toFixed(coordDecimals)}, Y: ${demEntry.demData.header.yllcorner.toFixed(coordDecimals)}`;
     li.appendChild(coordsDiv);
+    if (demEntry.crs) {
+        const crsDiv = document.createElement('div');
+        crsDiv.className = 'dem-item-coords';
+        crsDiv.textContent = `CRS: ${demEntry.crs.name}` + (demEntry.crs.epsg ? ` (EPSG:${demEntry.crs.epsg})` : '');
+        li.appendChild(crsDiv);
+    }
     
     uiElements.demListUl.appendChild(li); // Add the new list item to the panel
 }
 
+/**
+ * Reads the point cloud gridding options from the import options panel.
+ * Empty or invalid numeric fields are returned as null so the gridder falls back to its defaults.
+ * @returns {{cellsize: number|null, method: string, searchRadius: number|null, idwPower: number|null}}
+ */
+export function getPointGriddingOptions() {
+    const readPositive = (input) => {
+        const value = input ? parseFloat(input.value) : NaN;
+        return value > 0 ? value : null;
+    };
+    return {
+        cellsize: readPositive(uiElements.gridCellsizeInput),
+        method: uiElements.gridMethodSelect ? uiElements.gridMethodSelect.value : 'idw',
+        searchRadius: readPositive(uiElements.gridSearchRadiusInput),
+        idwPower: readPositive(uiElements.gridIdwPowerInput)
+    };
+}
+
+/**
+ * Reads the LAS import options: which classifications to keep and how points are combined per cell.
+ * The cell size is shared with the point cloud gridding options.
+ * @returns {{classes: Array<number>|null, aggregate: 'min'|'mean'|'max', cellsize: number|null}}
+ */
+export function getLASImportOptions() {
+    const classText = uiElements.lasClassesInput ? uiElements.lasClassesInput.value : '';
+    const classes = classText.split(/[\s,;]+/)
+        .map(part => parseInt(part, 10))
+        .filter(code => Number.isInteger(code) && code >= 0 && code <= 255);
+    return {
+        classes: classes.length > 0 ? classes : null,
+        aggregate: uiElements.lasAggregateSelect ? uiElements.lasAggregateSelect.value : 'min',
+        cellsize: getPointGriddingOptions().cellsize
+    };
+}
+
+/**
+ * Reads the terrain mesh options from the Terrain Display panel: the resampling method of the coarser meshes
+ * (levels of detail) and whether NODATA cells are left as holes.
+ * @returns {{lodMethod: 'nearest'|'bilinear'|'cubic'|'min'|'max', nodataAsHoles: boolean}}
+ */
+export function getTerrainMeshOptions() {
+    return {
+        lodMethod: uiElements.lodMethodSelect ? uiElements.lodMethodSelect.value : 'bilinear',
+        nodataAsHoles: uiElements.nodataDisplaySelect ? uiElements.nodataDisplaySelect.value === 'holes' : false
+    };
+}
+
+/**
+ * Reads the overlap policy for merging DEMs from the DEM Operations panel.
+ * @returns {'first'|'last'|'mean'|'min'|'max'}
+ */
+export function getMosaicOverlapPolicy() {
+    return uiElements.mosaicOverlapSelect ? uiElements.mosaicOverlapSelect.value : 'mean';
+}
+
+/**
+ * Reads the clip shape to draw from the DEM Operations panel.
+ * @returns {'rectangle'|'polygon'}
+ */
+export function getClipShape() {
+    return uiElements.clipShapeSelect ? uiElements.clipShapeSelect.value : 'rectangle';
+}
+
+/**
+ * Reads the void fill options from the DEM Operations panel.
+ * An empty or invalid maximum size means no limit.
+ * @returns {{method: 'idw'|'laplacian'|'spline'|'nearest', maxVoidCells: number|null}}
+ */
+export function getVoidFillOptions() {
+    const maxVoidCells = uiElements.voidFillMaxCellsInput ? parseInt(uiElements.voidFillMaxCellsInput.value, 10) : NaN;
+    return {
+        method: uiElements.voidFillMethodSelect ? uiElements.voidFillMethodSelect.value : 'idw',
+        maxVoidCells: maxVoidCells > 0 ? maxVoidCells : null
+    };
+}
+
+/**
+ * Reads the DEM differencing options from the DEM Operations panel.
+ * An empty or invalid threshold means every change counts.
+ * @returns {{lowerIsLater: boolean, threshold: number}} lowerIsLater: the DEM lower in the list is the later survey.
+ */
+export function getDifferenceOptions() {
+    const threshold = uiElements.differenceThresholdInput ? parseFloat(uiElements.differenceThresholdInput.value) : NaN;
+    return {
+        lowerIsLater: uiElements.differenceOrderSelect ? uiElements.differenceOrderSelect.value === 'lowerIsLater' : true,
+        threshold: threshold > 0 ? threshold : 0
+    };
+}
+
+/**
+ * Reads the reference plane elevation for volume measurement from the DEM Operations panel.
+ * @returns {number|null} The elevation, or null (empty or invalid) to use each DEM's lowest point.
+ */
+export function getVolumeReferenceElevation() {
+    const elevation = uiElements.volumePlaneInput ? parseFloat(uiElements.volumePlaneInput.value) : NaN;
+    return Number.isFinite(elevation) ? elevation : null;
+}
+
+/**
+ * Reads the raster calculator expression from the DEM Operations panel.
+ * @returns {string} The expression, trimmed (empty if none was entered).
+ */
+export function getRasterCalculatorExpression() {
+    return uiElements.rasterCalcExpressionInput ? uiElements.rasterCalcExpressionInput.value.trim() : '';
+}
+
+/**
+ * Lists the letters the raster calculator assigns to the loaded DEMs.
+ * @param {Array<{letter: string, fileName: string}>} assignments - In list order.
+ */
+export function showRasterCalculatorVariables(assignments) {
+    if (!uiElements.rasterCalcVariables) return;
+    uiElements.rasterCalcVariables.textContent = assignments.length > 0
+        ? assignments.map(({ letter, fileName }) => `${letter} = ${fileName}`).join(', ')
+        : 'No DEMs loaded.';
+}
+
+/**
+ * Reads the contour options from the Contours panel.
+ * An empty or invalid interval means automatic; an invalid base is 0 and an invalid index spacing 5.
+ * @returns {{interval: number|null, base: number, indexEvery: number}}
+ */
+export function getContourOptions() {
+    const interval = uiElements.contourIntervalInput ? parseFloat(uiElements.contourIntervalInput.value) : NaN;
+    const base = uiElements.contourBaseInput ? parseFloat(uiElements.contourBaseInput.value) : NaN;
+    const indexEvery = uiElements.contourIndexEveryInput ? parseInt(uiElements.contourIndexEveryInput.value, 10) : NaN;
+    return {
+        interval: interval > 0 ? interval : null,
+        base: Number.isFinite(base) ? base : 0,
+        indexEvery: indexEvery >= 0 ? indexEvery : 5
+    };
+}
+
+/**
+ * Reads the raindrop options from the Hydrology panel.
+ * @returns {{conditioned: boolean}} conditioned: trace on the depression-filled surface.
+ */
+export function getRaindropOptions() {
+    return {
+        conditioned: uiElements.raindropConditionedCheckbox ? uiElements.raindropConditionedCheckbox.checked : false
+    };
+}
+
+/**
+ * Reads what clicking the terrain does from the Hydrology panel.
+ * @returns {'raindrop'|'watershed'}
+ */
+export function getTerrainClickAction() {
+    return uiElements.terrainClickSelect ? uiElements.terrainClickSelect.value : 'raindrop';
+}
+
+/**
+ * Reads the watershed options from the Hydrology panel. An empty or invalid snap distance means no snapping.
+ * @returns {{snapRadius: number}} snapRadius: in cells.
+ */
+export function getWatershedOptions() {
+    const snapRadius = uiElements.watershedSnapInput ? parseInt(uiElements.watershedSnapInput.value, 10) : NaN;
+    return { snapRadius: snapRadius > 0 ? snapRadius : 0 };
+}
+
+/**
+ * Reads the stream network options from the Hydrology panel. An empty or invalid threshold means automatic.
+ * @returns {{threshold: number|null, order: 'strahler'|'shreve'}} threshold: in upstream cells; order: the one
+ * the streams are drawn by.
+ */
+export function getStreamNetworkOptions() {
+    const threshold = uiElements.streamThresholdInput ? parseInt(uiElements.streamThresholdInput.value, 10) : NaN;
+    return {
+        threshold: threshold > 0 ? threshold : null,
+        order: uiElements.streamOrderSelect ? uiElements.streamOrderSelect.value : 'strahler'
+    };
+}
+
+/**
+ * Shows a file's parse diagnostics in the DEM list panel as a collapsible report.
+ * With a DEM entry id the report is attached to that entry's list item; otherwise (the file failed to load)
+ * a separate list item is added for the file so the reason stays visible.
+ * @param {string} fileName - The name of the source file.
+ * @param {Array<{severity: string, line: number|null, code: string, message: string}>} diagnostics - From parseDiagnostics.js.
+ * @param {string|null} [demEntryId=null] - The id of the file's first DEM/chunk entry, if it loaded.
+ */
+export function showParseDiagnostics(fileName, diagnostics, demEntryId = null) {
+    if (!uiElements.demListUl || !diagnostics || diagnostics.length === 0) return;
+
+    const counts = countDiagnosticsBySeverity(diagnostics);
+    const details = document.createElement('details');
+    details.className = 'dem-item-diagnostics';
+    const summary = document.createElement('summary');
+    summary.textContent = ['error', 'warning', 'info']
+        .filter(severity => counts[severity] > 0)
+        .map(severity => `${counts[severity]} ${severity}${counts[severity] > 1 ? 's' : ''}`)
+        .join(', ');
+    summary.className = counts.error > 0 ? 'diagnostic-error' : (counts.warning > 0 ? 'diagnostic-warning' : 'diagnostic-info');
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    for (const diagnostic of diagnostics) {
+        const item = document.createElement('li');
+        item.className = `diagnostic-${diagnostic.severity}`;
+        const location = diagnostic.line !== null ? `Line ${diagnostic.line} · ` : '';
+        item.textContent = `${location}${diagnostic.code}: ${diagnostic.message}`;
+        list.appendChild(item);
+    }
+    details.appendChild(list);
+
+    const existingItem = demEntryId ? document.getElementById(`item-${demEntryId}`) : null;
+    if (existingItem) {
+        existingItem.appendChild(details);
+        return;
+    }
+    // Failed files get their own list item, opened so the error is seen straight away.
+    const li = document.createElement('li');
+    li.className = 'dem-item-failed';
+    const label = document.createElement('div');
+    label.className = 'dem-item-header';
+    label.textContent = `${fileName} (not loaded)`;
+    label.title = fileName;
+    details.open = true;
+    li.appendChild(label);
+    li.appendChild(details);
+    uiElements.demListUl.appendChild(li);
+}
+
 /**
  * Clears all items from the DEM list panel.
  */
@@ -146,6 +528,51 @@ export function setDemControlsEnabled(enable) {
     if (uiElements.materialTypeSelect) uiElements.materialTypeSelect.disabled = !enable;
     if (uiElements.getAIDescriptionBtn) uiElements.getAIDescriptionBtn.disabled = !enable;
     if (uiElements.exportUnifiedBtn) uiElements.exportUnifiedBtn.disabled = !enable;
+    if (uiElements.showContoursBtn) uiElements.showContoursBtn.disabled = !enable;
+    if (uiElements.clearContoursBtn) uiElements.clearContoursBtn.disabled = !enable;
+    if (uiElements.exportContoursBtn) uiElements.exportContoursBtn.disabled = !enable;
+    if (uiElements.exportFlowDirectionBtn) uiElements.exportFlowDirectionBtn.disabled = !enable;
+    if (uiElements.exportFlowAccumulationBtn) uiElements.exportFlowAccumulationBtn.disabled = !enable;
+    if (uiElements.exportWatershedBtn) uiElements.exportWatershedBtn.disabled = !enable;
+    if (uiElements.clearWatershedBtn) uiElements.clearWatershedBtn.disabled = !enable;
+    if (uiElements.showStreamsBtn) uiElements.showStreamsBtn.disabled = !enable;
+    if (uiElements.clearStreamsBtn) uiElements.clearStreamsBtn.disabled = !enable;
+    if (uiElements.exportStreamsBtn) uiElements.exportStreamsBtn.disabled = !enable;
+    setDemOperationsEnabled(enable);
+}
+
+/**
+ * Enables or disables the buttons of the DEM Operations panel (disabled while a load or operation runs).
+ * @param {boolean} enable - True to enable, false to disable.
+ */
+export function setDemOperationsEnabled(enable) {
+    if (uiElements.mergeDemsBtn) uiElements.mergeDemsBtn.disabled = !enable;
+    if (uiElements.clipDrawBtn) uiElements.clipDrawBtn.disabled = !enable;
+    if (uiElements.fillVoidsBtn) uiElements.fillVoidsBtn.disabled = !enable;
+    if (uiElements.differenceBtn) uiElements.differenceBtn.disabled = !enable;
+    if (uiElements.measureVolumeBtn) uiElements.measureVolumeBtn.disabled = !enable;
+    if (uiElements.rasterCalcBtn) uiElements.rasterCalcBtn.disabled = !enable;
+}
+
+/**
+ * Switches the clip buttons between idle and drawing: while drawing, the draw button cancels and the finish
+ * button is enabled once a polygon can be closed.
+ * @param {boolean} isDrawing - True while a clip shape is being drawn.
+ * @param {boolean} canFinish - True when the polygon being drawn has enough vertices.
+ */
+export function updateClipControls(isDrawing, canFinish) {
+    if (uiElements.clipDrawBtn) uiElements.clipDrawBtn.textContent = isDrawing ? 'Cancel clip' : 'Draw clip shape';
+    if (uiElements.clipFinishBtn) uiElements.clipFinishBtn.disabled = !canFinish;
+}
+
+/**
+ * Updates a DEM's visibility checkbox in the list after its visibility was changed by code.
+ * @param {string} demId - The DEM entry's id.
+ * @param {boolean} isVisible
+ */
+export function setDemListItemVisibility(demId, isVisible) {
+    const checkbox = document.getElementById(`vis-${demId}`);
+    if (checkbox) checkbox.checked = isVisible;
 }
 
 /**
@@ -14,6 +14,85 @@ export function generateUniqueId(prefix = 'id-') {
     return prefix + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Returns the cell width (dx, along X) and cell height (dy, along Y) of a DEM header.
+ * Parsed headers always carry dx/dy; `cellsize` is used as a fallback for square-cell headers.
+ * @param {object} header - A DEM header ({ncols, nrows, xllcorner, yllcorner, dx, dy, cellsize?, ...}).
+ * @returns {{dx: number, dy: number}}
+ */
+export function getCellSize(header) {
+    return {
+        dx: header.dx ?? header.cellsize,
+        dy: header.dy ?? header.cellsize
+    };
+}
+
+/**
+ * Returns the absolute (map) coordinates of the centre of a grid cell.
+ * Rows are indexed as stored in the data array: row 0 is the northernmost (top) row.
+ * @param {object} header - The DEM header (xllcorner/yllcorner are the outer lower-left corner).
+ * @param {number} col - Column index.
+ * @param {number} row - Row index (0 = top row).
+ * @returns {{x: number, y: number}}
+ */
+export function getCellCenterAbsolute(header, col, row) {
+    const { dx, dy } = getCellSize(header);
+    return {
+        x: header.xllcorner + (col + 0.5) * dx,
+        y: header.yllcorner + (header.nrows - row - 0.5) * dy
+    };
+}
+
+/**
+ * Returns the grid cell containing an absolute (map) coordinate.
+ * @param {object} header - The DEM header.
+ * @param {number} absX - Absolute X coordinate.
+ * @param {number} absY - Absolute Y coordinate.
+ * @returns {{col: number, row: number}|null} The cell (row 0 = top row), or null if outside the grid.
+ */
+export function getGridCellAtAbsolute(header, absX, absY) {
+    const { dx, dy } = getCellSize(header);
+    const col = Math.floor((absX - header.xllcorner) / dx);
+    const rowFromBottom = Math.floor((absY - header.yllcorner) / dy);
+    const row = header.nrows - 1 - rowFromBottom;
+    if (col < 0 || col >= header.ncols || row < 0 || row >= header.nrows) {
+        return null;
+    }
+    return { col, row };
+}
+
+/**
+ * Tells whether a DEM header is in geographic coordinates, i.e. its origin and cell size are in degrees.
+ * @param {object} header - The DEM header.
+ * @returns {boolean}
+ */
+export function isGeographicHeader(header) {
+    return header?.cellsizeUnits === 'degrees';
+}
+
+/**
+ * Returns the whole grid that a DEM (or chunk) is a view of, with a matching header, so a file can be analysed
+ * once, across its chunk borders. Every grid is allocated by createElevationGrid, so the shared buffer is
+ * exactly the parent grid.
+ * @param {{header: object, grid: object}} demData - A DEM entry's demData.
+ * @returns {{header: object, grid: object}}
+ */
+export function getParentDemData({ header, grid }) {
+    const { dx, dy } = getCellSize(header);
+    const parentGrid = { values: grid.values, ncols: grid.stride, nrows: grid.values.length / grid.stride, stride: grid.stride, offset: 0 };
+    const startRow = Math.floor(grid.offset / grid.stride);
+    const startCol = grid.offset - startRow * grid.stride;
+    const top = header.yllcorner + header.nrows * dy + startRow * dy;
+    const parentHeader = {
+        ...header,
+        ncols: parentGrid.ncols,
+        nrows: parentGrid.nrows,
+        xllcorner: header.xllcorner - startCol * dx,
+        yllcorner: top - parentGrid.nrows * dy
+    };
+    return { header: parentHeader, grid: parentGrid };
+}
+
 // Add other general utility functions here as needed.
 // For instance, functions for:
 // - Debouncing or throttling event handlers
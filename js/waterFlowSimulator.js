@@ -1,23 +1,57 @@
 // js/waterFlowSimulator.js
 import * as THREE from 'three';
-import { state } from './appState.js'; // Import state to access firstDemAbsoluteOrigin
+import { state, getSceneScale, sceneToAbsolute, absoluteToScene } from './appState.js'; // Import state to access firstDemAbsoluteOrigin
+import { getCellSize, getCellCenterAbsolute, getGridCellAtAbsolute, getParentDemData, isGeographicHeader } from './utils.js';
+import { createElevationGrid, getElevation, getGridRow } from './elevationGrid.js';
+import { getDemEntryConditioned } from './hydrology.js';
+import { METERS_PER_DEGREE } from './constants.js';
 
 /**
- * @file Contains logic for simulating water flow, starting with a single raindrop path.
+ * @file Contains logic for simulating water flow: single raindrop paths, and D8 flow direction and flow
+ * accumulation rasters of whole DEMs.
  */
 
 const MAX_PATH_STEPS = 2000; // Maximum steps for a single raindrop path to prevent infinite loops
+// The 8 cells a raindrop can move to, as column/row offsets (row 0 = top).
+const NEIGHBOR_OFFSETS = [
+    { dc: -1, dr: 0 }, { dc: 1, dr: 0 }, { dc: 0, dr: -1 }, { dc: 0, dr: 1 },
+    { dc: -1, dr: -1 }, { dc: 1, dr: -1 }, { dc: -1, dr: 1 }, { dc: 1, dr: 1 }
+];
+
+// D8 flow direction codes (the ESRI convention), with the [row, col] offset of the neighbour each drains to.
+// Cells with no lower neighbour (outlets on the DEM's edge or next to NODATA) have code 0.
+export const D8_DIRECTIONS = [
+    { code: 1, dr: 0, dc: 1 },    // east
+    { code: 2, dr: 1, dc: 1 },    // south-east
+    { code: 4, dr: 1, dc: 0 },    // south
+    { code: 8, dr: 1, dc: -1 },   // south-west
+    { code: 16, dr: 0, dc: -1 },  // west
+    { code: 32, dr: -1, dc: -1 }, // north-west
+    { code: 64, dr: -1, dc: 0 },  // north
+    { code: 128, dr: -1, dc: 1 }  // north-east
+];
+
+// Without a threshold, cells draining this fraction of the file's largest accumulation start streams...
+const AUTO_STREAM_THRESHOLD_FRACTION = 0.01;
+// ...but at least this many upstream cells.
+const MIN_AUTO_STREAM_THRESHOLD = 10;
+// Refuse thresholds that would make streams of more cells than this (a threshold of 1 marks nearly every cell).
+const MAX_STREAM_CELLS = 1_000_000;
+
+// Flow rasters of whole files, by their shared elevation buffer.
+const flowByBuffer = new WeakMap();
 
 /**
  * Converts world coordinates (from raycaster, relative to scene origin) to grid cell (column, row) 
  * indices for a given DEM chunk.
  * @param {THREE.Vector3} sceneWorldPoint - The point in "scene world" coordinates.
- * @param {object} demHeader - The header object of the DEM chunk (contains absolute geographic xllcorner, yllcorner, cellsize, etc.).
- * @returns {{col: number, row: number}|null} Object with col and row, or null if outside DEM bounds or error.
+ * @param {object} demHeader - The header object of the DEM chunk (contains absolute geographic xllcorner, yllcorner, dx/dy, etc.).
+ * @returns {{col: number, row: number}|null} Object with col and row (row 0 = top row of the data), or null if outside DEM bounds or error.
  */
 function worldToGrid(sceneWorldPoint, demHeader) {
-    if (!demHeader || typeof demHeader.cellsize !== 'number' || demHeader.cellsize <= 0) {
-        console.error("[WaterSim-worldToGrid] Invalid demHeader or cellsize provided:", demHeader);
+    const { dx, dy } = demHeader ? getCellSize(demHeader) : {};
+    if (!demHeader || typeof dx !== 'number' || dx <= 0 || typeof dy !== 'number' || dy <= 0) {
+        console.error("[WaterSim-worldToGrid] Invalid demHeader or cell size provided:", demHeader);
         return null;
     }
     if (state.firstDemAbsoluteOrigin.x === null || state.firstDemAbsoluteOrigin.y === null) {
@@ -25,55 +59,25 @@ function worldToGrid(sceneWorldPoint, demHeader) {
         return null;
     }
 
-    const absGeoClickX = sceneWorldPoint.x + state.firstDemAbsoluteOrigin.x;
-    const absGeoClickY = sceneWorldPoint.y + state.firstDemAbsoluteOrigin.y;
-    const planeWidth = (demHeader.ncols - 1) * demHeader.cellsize;
-    const planeHeight = (demHeader.nrows - 1) * demHeader.cellsize;
-    const chunkGeoExtentBottomLeftX = demHeader.xllcorner - (planeWidth / 2);
-    const chunkGeoExtentBottomLeftY = demHeader.yllcorner - (planeHeight / 2);
-    const xRelativeToChunkBLExtent = absGeoClickX - chunkGeoExtentBottomLeftX;
-    const yRelativeToChunkBLExtent = absGeoClickY - chunkGeoExtentBottomLeftY;
-    let col = Math.floor(xRelativeToChunkBLExtent / demHeader.cellsize);
-    let row = Math.floor(yRelativeToChunkBLExtent / demHeader.cellsize); 
-
-    // console.log(`[WaterSim-worldToGrid] Input SceneClick: (${sceneWorldPoint.x.toFixed(2)}, ${sceneWorldPoint.y.toFixed(2)})`);
-    // console.log(`[WaterSim-worldToGrid] firstDemAbsoluteOrigin: (${state.firstDemAbsoluteOrigin.x?.toFixed(2)}, ${state.firstDemAbsoluteOrigin.y?.toFixed(2)})`);
-    // console.log(`[WaterSim-worldToGrid] -> AbsoluteGeoClick: (${absGeoClickX.toFixed(2)}, ${absGeoClickY.toFixed(2)})`);
-    // console.log(`[WaterSim-worldToGrid] DEM Chunk Header: ncols=${demHeader.ncols}, nrows=${demHeader.nrows}, cellsize=${demHeader.cellsize.toFixed(4)}, xll=${demHeader.xllcorner.toFixed(2)}, yll=${demHeader.yllcorner.toFixed(2)}`);
-    // console.log(`[WaterSim-worldToGrid] PlaneGeom W/H: (${planeWidth.toFixed(2)}, ${planeHeight.toFixed(2)})`);
-    // console.log(`[WaterSim-worldToGrid] ChunkGeoExtentBL: (${chunkGeoExtentBottomLeftX.toFixed(2)}, ${chunkGeoExtentBottomLeftY.toFixed(2)})`);
-    // console.log(`[WaterSim-worldToGrid] -> RelToChunkBLExtent: (${xRelativeToChunkBLExtent.toFixed(2)}, ${yRelativeToChunkBLExtent.toFixed(2)})`);
-    // console.log(`[WaterSim-worldToGrid] -> Calculated Grid (col, row): (${col}, ${row})`);
-
-    const isColLessThanZero = col < 0;
-    const isColGTEQNCols = col >= demHeader.ncols; 
-    const isRowLessThanZero = row < 0;
-    const isRowGTEQNRows = row >= demHeader.nrows; 
-
-    if (isColLessThanZero || isColGTEQNCols || isRowLessThanZero || isRowGTEQNRows) {
-        // console.warn(
-        //     `[WaterSim-worldToGrid] Calculated grid position (${col}, ${row}) is OUTSIDE DEM chunk bounds ` +
-        //     `(ncols: ${demHeader.ncols}, nrows: ${demHeader.nrows}).`
-        // );
-        return null;
-    }
-    return { col, row };
+    const absGeoClick = sceneToAbsolute(sceneWorldPoint.x, sceneWorldPoint.y);
+    // Returns null when the point falls outside this chunk's cells.
+    return getGridCellAtAbsolute(demHeader, absGeoClick.x, absGeoClick.y);
 }
 
 
 /**
  * Gets the elevation at a specific grid cell (col, row) of a DEM.
  * @param {number} col - Column index.
- * @param {number} row - Row index (0-indexed from bottom).
- * @param {object} demData - The demData object {header, data, minElev, maxElev}.
+ * @param {number} row - Row index (0 = top row, as stored in demData.grid).
+ * @param {object} demData - The demData object {header, grid, minElev, maxElev}.
  * @returns {number|null} Elevation value, or null if out of bounds or NODATA.
  */
 function getElevationAtGrid(col, row, demData) {
     if (row < 0 || row >= demData.header.nrows || col < 0 || col >= demData.header.ncols) {
         return null; 
     }
-    const elevation = demData.data[row]?.[col]; 
-    if (elevation === undefined || elevation === null || elevation === demData.header.nodata_value || isNaN(elevation)) {
+    const elevation = getElevation(demData.grid, row, col); 
+    if (isNaN(elevation)) { // NODATA is stored as NaN
         return null; 
     }
     return elevation;
@@ -84,7 +88,7 @@ function getElevationAtGrid(col, row, demData) {
  * "scene world" X, Y, Z coordinates (relative to firstDemAbsoluteOrigin).
  * These coordinates are for the CENTER of the specified grid cell.
  * @param {number} col - Column index.
- * @param {number} row - Row index (0-indexed from bottom).
+ * @param {number} row - Row index (0 = top row, as stored in demData.grid).
  * @param {object} demData - The demData object for the specific DEM/chunk.
  * @returns {THREE.Vector3|null} Scene world coordinates, or null if error.
  */
@@ -99,34 +103,45 @@ function gridToWorld(col, row, demData) {
         return null;
     }
 
-    const header = demData.header; 
-    const planeWidth = (header.ncols - 1) * header.cellsize;
-    const planeHeight = (header.nrows - 1) * header.cellsize;
-    const absGeoCellCenterX = header.xllcorner + ((col + 0.5) * header.cellsize - planeWidth / 2);
-    const absGeoCellCenterY = header.yllcorner + ((row + 0.5) * header.cellsize - planeHeight / 2);
-    const sceneWorldX = absGeoCellCenterX - state.firstDemAbsoluteOrigin.x;
-    const sceneWorldY = absGeoCellCenterY - state.firstDemAbsoluteOrigin.y;
+    // Cell centres coincide with the mesh vertices built in createAndAddTerrainMesh.
+    const absGeoCellCenter = getCellCenterAbsolute(demData.header, col, row);
+    const sceneWorld = absoluteToScene(absGeoCellCenter.x, absGeoCellCenter.y);
 
-    return new THREE.Vector3(sceneWorldX, sceneWorldY, elevation);
+    return new THREE.Vector3(sceneWorld.x, sceneWorld.y, elevation);
 }
 
 
 /**
- * Calculates the path a raindrop would take on a DEM from a starting point.
+ * Calculates the path a raindrop would take on a DEM from a starting point. At the edge of the DEM the path carries
+ * on into the other visible DEM covering the next cell (another chunk of the same file, or an adjacent tile), found
+ * by absolute position, so split and tiled datasets are traced as one surface.
  * @param {THREE.Vector3} initialClickSceneWorldPoint - The starting point in "scene world" coordinates (from raycast).
- * @param {object} demEntry - The DEM entry object { id, name, mesh, demData, ... }.
+ * @param {object} demEntry - The DEM entry object { id, name, mesh, demData, ... } that was clicked.
+ * @param {object} [options]
+ * @param {boolean} [options.conditioned=false] - Trace on the depression-filled surface (hydrology.js) instead of
+ * the raw elevations, so the drop crosses pits and flats (at their water level) instead of stopping in them.
  * @returns {Array<THREE.Vector3>} An array of THREE.Vector3 points representing the path,
  * in "scene world" coordinates. Returns empty array if path cannot be calculated.
  */
-export function calculateRaindropPath(initialClickSceneWorldPoint, demEntry) {
+export function calculateRaindropPath(initialClickSceneWorldPoint, demEntry, { conditioned = false } = {}) {
     if (!demEntry || !demEntry.demData || !demEntry.mesh) {
         console.error("[WaterSim-calculatePath] Invalid demEntry provided.");
         return [];
     }
     console.log("[WaterSim-calculatePath] Calculating raindrop path from initial click (scene coords):", initialClickSceneWorldPoint, "on DEM:", demEntry.name);
 
+    // The surface traced on each DEM entry reached, built on first use.
+    const surfaces = new Map();
+    const getSurface = (entry) => {
+        if (!surfaces.has(entry)) {
+            surfaces.set(entry, conditioned ? { ...entry.demData, grid: getDemEntryConditioned(entry).grid } : entry.demData);
+        }
+        return surfaces.get(entry);
+    };
     const demHeader = demEntry.demData.header; 
-    const demData = demEntry.demData;
+    let currentEntry = demEntry;
+    let demData = getSurface(demEntry);
+    const sceneScale = getSceneScale();
 
     // 1. Determine the starting grid cell from the initial click point.
     let currentGridPos = worldToGrid(initialClickSceneWorldPoint, demHeader);
@@ -160,41 +175,38 @@ export function calculateRaindropPath(initialClickSceneWorldPoint, demEntry) {
 
     for (let step = 0; step < MAX_PATH_STEPS; step++) {
         let steepestSlope = 0; 
-        let nextGridPos = null;
-        let nextCellCenterElevation = currentElevation; // Elevation of the center of the next chosen cell
-
-        const neighbors = [
-            { dc: -1, dr:  0, dist: 1 }, { dc: 1, dr:  0, dist: 1 }, 
-            { dc:  0, dr: -1, dist: 1 }, { dc: 0, dr:  1, dist: 1 }, 
-            { dc: -1, dr: -1, dist: Math.SQRT2 }, { dc: 1, dr: -1, dist: Math.SQRT2 }, 
-            { dc: -1, dr:  1, dist: Math.SQRT2 }, { dc: 1, dr:  1, dist: Math.SQRT2 }  
-        ];
-
-        for (const neighbor of neighbors) {
-            const ncol = currentGridPos.col + neighbor.dc;
-            const nrow = currentGridPos.row + neighbor.dr;
-            
-            const nElev = getElevationAtGrid(ncol, nrow, demData); 
-
-            if (nElev !== null && nElev < currentElevation) { 
-                const deltaElev = currentElevation - nElev; 
-                const slope = deltaElev / (neighbor.dist * demHeader.cellsize); 
-
-                if (slope > steepestSlope) { 
-                    steepestSlope = slope;
-                    nextGridPos = { col: ncol, row: nrow };
-                    nextCellCenterElevation = nElev;
-                }
+        let nextCell = null; // { demEntry, demData, col, row, elevation } of the next chosen cell
+
+        const { dx, dy } = getCellSize(demData.header);
+        const currentCenter = getCellCenterAbsolute(demData.header, currentGridPos.col, currentGridPos.row);
+        for (const neighbor of NEIGHBOR_OFFSETS) {
+            const candidate = findNeighborCell(currentEntry, demData, currentGridPos.col + neighbor.dc, currentGridPos.row + neighbor.dr,
+                currentCenter.x + neighbor.dc * dx, currentCenter.y - neighbor.dr * dy, getSurface);
+            if (!candidate || candidate.elevation >= currentElevation) continue;
+
+            // Distances are in scene units, between the actual cell centres (tiles may have other cell sizes).
+            const candidateCenter = getCellCenterAbsolute(candidate.demData.header, candidate.col, candidate.row);
+            const dist = Math.hypot((candidateCenter.x - currentCenter.x) * sceneScale.x, (candidateCenter.y - currentCenter.y) * sceneScale.y);
+            const slope = dist > 0 ? (currentElevation - candidate.elevation) / dist : Infinity;
+            if (slope > steepestSlope) { 
+                steepestSlope = slope;
+                nextCell = candidate;
             }
         }
+        const nextGridPos = nextCell ? { col: nextCell.col, row: nextCell.row } : null;
 
         if (!nextGridPos) { 
             console.log("[WaterSim-calculatePath] Raindrop stopped: No downhill path from current cell. Steps:", step);
             break;
         }
 
+        if (nextCell.demEntry !== currentEntry) {
+            console.log(`[WaterSim-calculatePath] Raindrop crossed from ${currentEntry.name} into ${nextCell.demEntry.name} at step ${step}.`);
+            currentEntry = nextCell.demEntry;
+            demData = nextCell.demData;
+        }
         currentGridPos = nextGridPos;
-        currentElevation = nextCellCenterElevation; // Update current elevation to the center elevation of the new cell
+        currentElevation = nextCell.elevation; // Update current elevation to the center elevation of the new cell
 
         const nextSceneWorldPoint = gridToWorld(currentGridPos.col, currentGridPos.row, demData);
         
@@ -212,3 +224,561 @@ export function calculateRaindropPath(initialClickSceneWorldPoint, demEntry) {
     console.log("[WaterSim-calculatePath] Calculated path points count:", pathPoints.length);
     return pathPoints;
 }
+
+/**
+ * Finds the cell a raindrop can move to from a cell of a DEM: the given neighbour when it lies within the DEM's grid,
+ * otherwise the cell at the neighbour's absolute position in the first other visible DEM (in list order) that has
+ * data there.
+ * @param {object} demEntry - The DEM entry the raindrop is on.
+ * @param {object} demData - The surface traced on it (demEntry's demData, or its depression-filled version).
+ * @param {number} col - Neighbour's column in demData.
+ * @param {number} row - Neighbour's row in demData.
+ * @param {number} absoluteX - Absolute X of the neighbour's centre.
+ * @param {number} absoluteY - Absolute Y of the neighbour's centre.
+ * @param {function(object): object} getSurface - Returns the surface traced on another DEM entry.
+ * @returns {{demEntry: object, demData: object, col: number, row: number, elevation: number}|null} Null when no
+ * DEM has data there.
+ */
+function findNeighborCell(demEntry, demData, col, row, absoluteX, absoluteY, getSurface) {
+    if (row >= 0 && row < demData.header.nrows && col >= 0 && col < demData.header.ncols) {
+        const elevation = getElevationAtGrid(col, row, demData);
+        return elevation === null ? null : { demEntry, demData, col, row, elevation };
+    }
+    for (const otherEntry of state.loadedDEMs) {
+        if (otherEntry === demEntry || !otherEntry.isVisible || !otherEntry.demData) continue;
+        const cell = getGridCellAtAbsolute(otherEntry.demData.header, absoluteX, absoluteY);
+        if (!cell) continue;
+        const otherData = getSurface(otherEntry);
+        const elevation = getElevationAtGrid(cell.col, cell.row, otherData);
+        if (elevation !== null) return { demEntry: otherEntry, demData: otherData, col: cell.col, row: cell.row, elevation };
+    }
+    return null;
+}
+
+
+/**
+ * Returns the D8 flow direction and flow accumulation rasters of a DEM entry, computing them for the entry's whole
+ * file on first use and keeping them on the entry (demEntry.flow). Both are derived from the depression-filled
+ * surface (hydrology.js), so every cell drains to the DEM's edge or into a NODATA void, across chunk borders.
+ * @param {object} demEntry - A DEM entry from appState.js.
+ * @returns {{direction: object, accumulation: object, maxAccumulation: number}} Grids laid out like the entry's
+ * elevation grid (NODATA = NaN): the direction code of each cell (see D8_DIRECTIONS) and the number of cells
+ * upstream of it (0 on ridges, as in ArcGIS); maxAccumulation is the file's largest accumulation.
+ */
+export function getDemEntryFlow(demEntry) {
+    if (!demEntry.flow) {
+        const { header, grid } = demEntry.demData;
+        let flow = flowByBuffer.get(grid.values);
+        if (!flow) {
+            const filled = getParentDemData({ header, grid: getDemEntryConditioned(demEntry).grid });
+            const direction = computeFlowDirections(filled.grid, filled.header);
+            const { accumulation, maxAccumulation } = computeFlowAccumulation(direction);
+            flow = { directionValues: direction.values, accumulationValues: accumulation.values, maxAccumulation };
+            flowByBuffer.set(grid.values, flow);
+            console.log(`[WaterSim-flow] Flow rasters computed, largest accumulation ${maxAccumulation} cells.`);
+        }
+        demEntry.flow = {
+            direction: { ...grid, values: flow.directionValues },
+            accumulation: { ...grid, values: flow.accumulationValues },
+            maxAccumulation: flow.maxAccumulation
+        };
+    }
+    return demEntry.flow;
+}
+
+/**
+ * Computes the D8 flow direction of every cell: towards the neighbour with the steepest drop per metre
+ * (the first in D8_DIRECTIONS order on ties). Degree-based cells are converted to metres row by row.
+ * @param {object} grid - Elevation grid (elevationGrid.js), normally depression-filled.
+ * @param {object} header - The grid's header (cell size; yllcorner and nrows for degree-based grids).
+ * @returns {object} A new grid of direction codes (0 where no neighbour is lower, NaN on NODATA).
+ */
+export function computeFlowDirections(grid, header) {
+    const { ncols, nrows } = grid;
+    const { dx, dy } = getCellSize(header);
+    const isGeographic = isGeographicHeader(header);
+    const direction = createElevationGrid(ncols, nrows);
+    for (let row = 0; row < nrows; row++) {
+        const latitude = header.yllcorner + (nrows - row - 0.5) * dy;
+        const cellWidth = isGeographic ? dx * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180) : dx;
+        const cellHeight = isGeographic ? dy * METERS_PER_DEGREE : dy;
+        const distances = D8_DIRECTIONS.map(({ dr, dc }) => Math.hypot(dr * cellHeight, dc * cellWidth));
+        const output = getGridRow(direction, row);
+        for (let col = 0; col < ncols; col++) {
+            const elevation = getElevation(grid, row, col);
+            if (Number.isNaN(elevation)) continue;
+            let steepestDrop = 0;
+            let code = 0;
+            D8_DIRECTIONS.forEach(({ code: neighbourCode, dr, dc }, i) => {
+                const r = row + dr;
+                const c = col + dc;
+                if (r < 0 || r >= nrows || c < 0 || c >= ncols) return;
+                const drop = (elevation - getElevation(grid, r, c)) / distances[i]; // NaN (NODATA) never wins
+                if (drop > steepestDrop) {
+                    steepestDrop = drop;
+                    code = neighbourCode;
+                }
+            });
+            output[col] = code;
+        }
+    }
+    return direction;
+}
+
+/**
+ * Computes the flow accumulation of a flow direction grid: for each cell, the number of cells whose flow passes
+ * through it. Cells are processed from the ridges downstream, each once all its inflows are known.
+ * @param {object} direction - From computeFlowDirections.
+ * @returns {{accumulation: object, maxAccumulation: number}} A new grid of upstream cell counts (NaN on NODATA)
+ * and its largest value.
+ */
+export function computeFlowAccumulation(direction) {
+    const { ncols, nrows } = direction;
+    const cellCount = ncols * nrows;
+    const downstream = getDownstreamCells(direction);
+    const pendingInflows = new Uint8Array(cellCount);
+    for (let index = 0; index < cellCount; index++) {
+        if (downstream[index] >= 0) pendingInflows[downstream[index]]++;
+    }
+
+    const upstreamCells = new Float64Array(cellCount);
+    const queue = new Int32Array(cellCount);
+    let queueLength = 0;
+    for (let index = 0; index < cellCount; index++) {
+        if (pendingInflows[index] === 0) queue[queueLength++] = index;
+    }
+    for (let head = 0; head < queueLength; head++) {
+        const index = queue[head];
+        const target = downstream[index];
+        if (target < 0) continue;
+        upstreamCells[target] += upstreamCells[index] + 1;
+        if (--pendingInflows[target] === 0) queue[queueLength++] = target;
+    }
+
+    const accumulation = createElevationGrid(ncols, nrows);
+    let maxAccumulation = 0;
+    for (let row = 0; row < nrows; row++) {
+        const codes = getGridRow(direction, row);
+        const output = getGridRow(accumulation, row);
+        for (let col = 0; col < ncols; col++) {
+            if (Number.isNaN(codes[col])) continue;
+            output[col] = upstreamCells[row * ncols + col];
+            maxAccumulation = Math.max(maxAccumulation, output[col]);
+        }
+    }
+    return { accumulation, maxAccumulation };
+}
+
+/**
+ * Finds the cell each cell drains to.
+ * @param {object} direction - Flow direction grid (compact, from computeFlowDirections).
+ * @returns {Int32Array} Compact index (row * ncols + col) of each cell's downstream neighbour, -1 for outlets and
+ * NODATA.
+ */
+function getDownstreamCells(direction) {
+    const { ncols, nrows } = direction;
+    const offsetsByCode = new Map(D8_DIRECTIONS.map(({ code, dr, dc }) => [code, dr * ncols + dc]));
+    const downstream = new Int32Array(ncols * nrows).fill(-1);
+    for (let row = 0; row < nrows; row++) {
+        const codes = getGridRow(direction, row);
+        for (let col = 0; col < ncols; col++) {
+            if (codes[col] > 0) downstream[row * ncols + col] = row * ncols + col + offsetsByCode.get(codes[col]);
+        }
+    }
+    return downstream;
+}
+
+/**
+ * Extracts the stream network of a DEM entry's file: the cells whose flow accumulation (see getDemEntryFlow)
+ * reaches a threshold, joined along their flow directions into links (from a source or a confluence down to the next
+ * confluence or outlet). Each link has its Strahler order (1 at sources, +1 where two links of the same order meet)
+ * and Shreve magnitude (1 at sources, summed at confluences).
+ * @param {object} demEntry - A DEM entry from appState.js.
+ * @param {object} [options]
+ * @param {number|null} [options.threshold=null] - Upstream cells a cell needs to be part of a stream; null uses
+ * AUTO_STREAM_THRESHOLD_FRACTION of the file's largest accumulation.
+ * @returns {{threshold: number, streams: Array<{points: Array<[number, number, number]>, strahler: number,
+ * shreve: number, length: number, drop: number}>}} The threshold used and the links, each as absolute cell-centre
+ * positions with their elevation (downstream order), its length in metres (CRS units for projected grids) and its
+ * drop in elevation units.
+ * @throws {Error} If the threshold is not positive or would make more than MAX_STREAM_CELLS stream cells.
+ */
+export function extractStreamNetwork(demEntry, { threshold = null } = {}) {
+    const flow = getDemEntryFlow(demEntry);
+    const { header, grid: elevations } = getParentDemData(demEntry.demData);
+    const direction = getParentDemData({ header, grid: flow.direction }).grid;
+    const accumulation = getParentDemData({ header, grid: flow.accumulation }).grid;
+    const { ncols, nrows } = direction;
+    const cellCount = ncols * nrows;
+    const cellThreshold = threshold ?? Math.max(MIN_AUTO_STREAM_THRESHOLD, Math.round(flow.maxAccumulation * AUTO_STREAM_THRESHOLD_FRACTION));
+    if (!(cellThreshold > 0)) throw new Error(`Stream threshold must be positive (got ${threshold}).`);
+
+    const isStream = new Uint8Array(cellCount);
+    let streamCellCount = 0;
+    for (let index = 0; index < cellCount; index++) {
+        if (accumulation.values[index] >= cellThreshold) {
+            isStream[index] = 1;
+            streamCellCount++;
+        }
+    }
+    if (streamCellCount > MAX_STREAM_CELLS) {
+        throw new Error(`A threshold of ${cellThreshold} cells makes ${streamCellCount} stream cells; use a larger threshold.`);
+    }
+    // Downstream of a stream cell is always a stream cell (accumulation only grows), unless it is an outlet.
+    const downstream = getDownstreamCells(direction);
+    const inflows = new Uint8Array(cellCount); // Stream cells draining into each cell
+    for (let index = 0; index < cellCount; index++) {
+        if (isStream[index] && downstream[index] >= 0) inflows[downstream[index]]++;
+    }
+
+    // Orders, from the sources downstream: a cell is final once all its inflows are.
+    const strahler = new Uint16Array(cellCount);
+    const shreve = new Float64Array(cellCount);
+    const highestInflowOrder = new Uint16Array(cellCount);
+    const highestOrderInflows = new Uint8Array(cellCount);
+    const pendingInflows = inflows.slice();
+    const queue = [];
+    for (let index = 0; index < cellCount; index++) {
+        if (isStream[index] && inflows[index] === 0) queue.push(index);
+    }
+    for (let head = 0; head < queue.length; head++) {
+        const index = queue[head];
+        if (inflows[index] === 0) {
+            strahler[index] = 1;
+            shreve[index] = 1;
+        } else {
+            strahler[index] = highestInflowOrder[index] + (highestOrderInflows[index] >= 2 ? 1 : 0);
+        }
+        const target = downstream[index];
+        if (target < 0) continue;
+        shreve[target] += shreve[index];
+        if (strahler[index] > highestInflowOrder[target]) {
+            highestInflowOrder[target] = strahler[index];
+            highestOrderInflows[target] = 1;
+        } else if (strahler[index] === highestInflowOrder[target]) {
+            highestOrderInflows[target]++;
+        }
+        if (--pendingInflows[target] === 0) queue.push(target);
+    }
+
+    const { dx, dy } = getCellSize(header);
+    const isGeographic = isGeographicHeader(header);
+    const position = (index) => {
+        const row = Math.floor(index / ncols);
+        const col = index - row * ncols;
+        const center = getCellCenterAbsolute(header, col, row);
+        return [center.x, center.y, getElevation(elevations, row, col)];
+    };
+    // Length of a step between neighbouring cells, in metres for degree-based grids.
+    const stepLength = (from, to) => {
+        const row = Math.floor(from / ncols);
+        const rowStep = Math.floor(to / ncols) - row;
+        const colStep = to - from - rowStep * ncols;
+        const latitude = header.yllcorner + (nrows - row - 0.5) * dy;
+        const cellWidth = isGeographic ? dx * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180) : dx;
+        const cellHeight = isGeographic ? dy * METERS_PER_DEGREE : dy;
+        return Math.hypot(colStep * cellWidth, rowStep * cellHeight);
+    };
+    const streams = [];
+    for (let start = 0; start < cellCount; start++) {
+        // Links start at sources and confluences.
+        if (!isStream[start] || inflows[start] === 1) continue;
+        const cells = [start];
+        let length = 0;
+        for (let index = start; downstream[index] >= 0;) {
+            const next = downstream[index];
+            length += stepLength(index, next);
+            cells.push(next);
+            if (inflows[next] !== 1) break;
+            index = next;
+        }
+        if (cells.length < 2) continue; // A source that is its own outlet
+        const points = cells.map(position);
+        streams.push({
+            points,
+            strahler: strahler[start],
+            shreve: shreve[start],
+            length,
+            drop: points[0][2] - points[points.length - 1][2]
+        });
+    }
+    console.log(`[WaterSim-streams] ${streams.length} stream link(s) over ${streamCellCount} cells (threshold ${cellThreshold} cells).`);
+    return { threshold: cellThreshold, streams };
+}
+
+/**
+ * Delineates the watershed (catchment) of a clicked pour point: every cell whose D8 flow (see getDemEntryFlow)
+ * passes through it. The whole file is searched, across chunk borders.
+ * @param {THREE.Vector3} sceneWorldPoint - The clicked point in "scene world" coordinates (from raycast).
+ * @param {object} demEntry - The DEM entry that was clicked.
+ * @param {object} [options]
+ * @param {number} [options.snapRadius=0] - Moves the pour point to the cell with the largest flow accumulation
+ * within this many cells of the click (0 keeps the clicked cell), so a click near a stream lands on it.
+ * @returns {{pourPoint: [number, number], pourCell: {row: number, col: number}, snapped: boolean, cellCount: number,
+ * area: number, perimeter: number, polygons: Array<Array<Array<[number, number]>>>, mask: Uint8Array,
+ * header: object}|null} The pour point (absolute centre of its cell, and the cell in the whole file's grid), whether
+ * snapping moved it, the catchment's size (area in square metres, perimeter in metres
+ * along the cell edges; squared CRS units and CRS units for projected grids), its outline as polygons of closed
+ * absolute rings (outer ring counter-clockwise, then any holes clockwise, as GeoJSON MultiPolygon coordinates), and
+ * the catchment's cells (1 = upstream) over the whole file, whose header is returned with it. Null when the click
+ * is off the DEM or on NODATA.
+ */
+export function delineateWatershed(sceneWorldPoint, demEntry, { snapRadius = 0 } = {}) {
+    if (!demEntry || !demEntry.demData) {
+        console.error("[WaterSim-watershed] Invalid demEntry provided.");
+        return null;
+    }
+    const clickedCell = worldToGrid(sceneWorldPoint, demEntry.demData.header);
+    if (!clickedCell) {
+        console.warn("[WaterSim-watershed] Click is outside the DEM chunk bounds.");
+        return null;
+    }
+    const flow = getDemEntryFlow(demEntry);
+    const { header } = getParentDemData(demEntry.demData);
+    const direction = getParentDemData({ header, grid: flow.direction }).grid;
+    const accumulation = getParentDemData({ header, grid: flow.accumulation }).grid;
+    const { ncols, nrows } = direction;
+    // The chunk's position in its file.
+    const { offset, stride } = demEntry.demData.grid;
+    const clickedRow = Math.floor(offset / stride) + clickedCell.row;
+    const clickedCol = offset % stride + clickedCell.col;
+    if (Number.isNaN(getElevation(direction, clickedRow, clickedCol))) {
+        console.warn("[WaterSim-watershed] Clicked cell has no data.");
+        return null;
+    }
+
+    let pourRow = clickedRow;
+    let pourCol = clickedCol;
+    const radius = Math.max(0, Math.floor(snapRadius));
+    for (let row = Math.max(0, clickedRow - radius); row <= Math.min(nrows - 1, clickedRow + radius); row++) {
+        for (let col = Math.max(0, clickedCol - radius); col <= Math.min(ncols - 1, clickedCol + radius); col++) {
+            if (getElevation(accumulation, row, col) > getElevation(accumulation, pourRow, pourCol)) {
+                pourRow = row;
+                pourCol = col;
+            }
+        }
+    }
+
+    const { mask, cellCount } = findUpstreamCells(direction, pourRow, pourCol);
+    const { area, perimeter } = measureCells(mask, header);
+    const { dx, dy } = getCellSize(header);
+    const toAbsolute = ([col, row]) => [header.xllcorner + col * dx, header.yllcorner + (nrows - row) * dy];
+    const polygons = traceMaskOutlines(mask, ncols, nrows).map(rings => rings.map(ring => ring.map(toAbsolute)));
+    const pourPoint = getCellCenterAbsolute(header, pourCol, pourRow);
+    console.log(`[WaterSim-watershed] Pour point row ${pourRow}, col ${pourCol}${pourRow !== clickedRow || pourCol !== clickedCol ? ' (snapped)' : ''}: ${cellCount} cell(s) upstream.`);
+    return {
+        pourPoint: [pourPoint.x, pourPoint.y],
+        pourCell: { row: pourRow, col: pourCol },
+        snapped: pourRow !== clickedRow || pourCol !== clickedCol,
+        cellCount,
+        area,
+        perimeter,
+        polygons,
+        mask,
+        header
+    };
+}
+
+/**
+ * Finds the cells draining to a pour point, walking the flow directions upstream.
+ * @param {object} direction - Flow direction grid (compact, from computeFlowDirections).
+ * @param {number} pourRow
+ * @param {number} pourCol
+ * @returns {{mask: Uint8Array, cellCount: number}} 1 for the pour point and the cells upstream of it.
+ */
+function findUpstreamCells(direction, pourRow, pourCol) {
+    const { ncols, nrows } = direction;
+    const mask = new Uint8Array(ncols * nrows);
+    const stack = [pourRow * ncols + pourCol];
+    mask[stack[0]] = 1;
+    let cellCount = 1;
+    while (stack.length > 0) {
+        const index = stack.pop();
+        const row = Math.floor(index / ncols);
+        const col = index - row * ncols;
+        // A neighbour drains here when its direction points back at this cell.
+        for (const { code, dr, dc } of D8_DIRECTIONS) {
+            const r = row - dr;
+            const c = col - dc;
+            if (r < 0 || r >= nrows || c < 0 || c >= ncols) continue;
+            const neighbour = r * ncols + c;
+            if (mask[neighbour] || getElevation(direction, r, c) !== code) continue;
+            mask[neighbour] = 1;
+            cellCount++;
+            stack.push(neighbour);
+        }
+    }
+    return { mask, cellCount };
+}
+
+/**
+ * Measures the area of a set of cells and the length of its outline along the cell edges. Degree-based cells are
+ * converted to metres row by row.
+ * @param {Uint8Array} mask - 1 for the cells to measure (compact, laid out like the header's grid).
+ * @param {object} header
+ * @returns {{area: number, perimeter: number}}
+ */
+function measureCells(mask, header) {
+    const { ncols, nrows } = header;
+    const { dx, dy } = getCellSize(header);
+    const isGeographic = isGeographicHeader(header);
+    const inMask = (row, col) => row >= 0 && row < nrows && col >= 0 && col < ncols && mask[row * ncols + col] === 1;
+    let area = 0;
+    let perimeter = 0;
+    for (let row = 0; row < nrows; row++) {
+        const latitude = header.yllcorner + (nrows - row - 0.5) * dy;
+        const cellWidth = isGeographic ? dx * METERS_PER_DEGREE * Math.cos(latitude * Math.PI / 180) : dx;
+        const cellHeight = isGeographic ? dy * METERS_PER_DEGREE : dy;
+        for (let col = 0; col < ncols; col++) {
+            if (!inMask(row, col)) continue;
+            area += cellWidth * cellHeight;
+            if (!inMask(row - 1, col)) perimeter += cellWidth;
+            if (!inMask(row + 1, col)) perimeter += cellWidth;
+            if (!inMask(row, col - 1)) perimeter += cellHeight;
+            if (!inMask(row, col + 1)) perimeter += cellHeight;
+        }
+    }
+    return { area, perimeter };
+}
+
+/**
+ * Traces the outline of a set of cells along the cell edges. Each edge between a cell of the set and one outside
+ * it is walked with the set on its left, so outer rings run counter-clockwise and holes clockwise (north up);
+ * where two cells touch only at a corner the walk keeps to the cell it came along, so rings never cross, and a
+ * hole that touches itself there is split in two.
+ * @param {Uint8Array} mask - 1 for the cells of the set (compact).
+ * @param {number} ncols
+ * @param {number} nrows
+ * @returns {Array<Array<Array<[number, number]>>>} Polygons, each an outer ring followed by its holes; rings are
+ * closed lists of cell corners as [col, row] (corner (0, 0) is the grid's north-west corner).
+ */
+function traceMaskOutlines(mask, ncols, nrows) {
+    const inMask = (row, col) => row >= 0 && row < nrows && col >= 0 && col < ncols && mask[row * ncols + col] === 1;
+    const cornerId = (row, col) => row * (ncols + 1) + col;
+    // Directed boundary edges between corners, and the edges leaving each corner.
+    const edgeFrom = [];
+    const edgeTo = [];
+    const edgesByStart = new Map();
+    const addEdge = (fromRow, fromCol, toRow, toCol) => {
+        const from = cornerId(fromRow, fromCol);
+        edgeFrom.push(from);
+        edgeTo.push(cornerId(toRow, toCol));
+        const leaving = edgesByStart.get(from);
+        if (leaving) leaving.push(edgeFrom.length - 1);
+        else edgesByStart.set(from, [edgeFrom.length - 1]);
+    };
+    for (let row = 0; row < nrows; row++) {
+        for (let col = 0; col < ncols; col++) {
+            if (!inMask(row, col)) continue;
+            if (!inMask(row + 1, col)) addEdge(row + 1, col, row + 1, col + 1); // South side, eastwards
+            if (!inMask(row, col + 1)) addEdge(row + 1, col + 1, row, col + 1); // East side, northwards
+            if (!inMask(row - 1, col)) addEdge(row, col + 1, row, col);         // North side, westwards
+            if (!inMask(row, col - 1)) addEdge(row, col, row + 1, col);         // West side, southwards
+        }
+    }
+
+    // Edge direction as [east, north] steps.
+    const edgeDirection = (edge) => {
+        const step = edgeTo[edge] - edgeFrom[edge];
+        return Math.abs(step) === 1 ? [step, 0] : [0, step > 0 ? -1 : 1];
+    };
+    const used = new Uint8Array(edgeFrom.length);
+    const rings = [];
+    for (let first = 0; first < edgeFrom.length; first++) {
+        if (used[first]) continue;
+        const ring = [];
+        let edge = first;
+        let previousDirection = null;
+        for (;;) {
+            used[edge] = 1;
+            const direction = edgeDirection(edge);
+            // Corners where the outline goes straight on are left out.
+            if (!previousDirection || direction[0] !== previousDirection[0] || direction[1] !== previousDirection[1]) {
+                ring.push(edgeFrom[edge]);
+            }
+            previousDirection = direction;
+            const leaving = edgesByStart.get(edgeTo[edge]);
+            // Two edges leave a corner shared diagonally: take the left turn, around the cell just followed.
+            const next = leaving.length === 1 ? leaving[0] : leaving.find(candidate => {
+                const [east, north] = edgeDirection(candidate);
+                return direction[0] * north - direction[1] * east > 0;
+            });
+            if (next === first) break;
+            edge = next;
+        }
+        // The first corner is only a turn if the ring's last edge runs another way than its first.
+        const firstDirection = edgeDirection(first);
+        if (previousDirection[0] === firstDirection[0] && previousDirection[1] === firstDirection[1]) ring.shift();
+        for (const piece of splitAtRepeatedCorners(ring)) {
+            const corners = piece.map(id => [id % (ncols + 1), Math.floor(id / (ncols + 1))]);
+            corners.push(corners[0]);
+            rings.push(corners);
+        }
+    }
+
+    // Counter-clockwise (positive area, north up) rings are outlines, clockwise ones holes in the outline around them.
+    const signedArea = (ring) => {
+        let sum = 0;
+        for (let i = 1; i < ring.length; i++) sum += ring[i - 1][0] * -ring[i][1] - ring[i][0] * -ring[i - 1][1];
+        return sum / 2;
+    };
+    const polygons = [];
+    const holes = [];
+    for (const ring of rings) {
+        if (signedArea(ring) > 0) polygons.push([ring]);
+        else holes.push(ring);
+    }
+    for (const hole of holes) {
+        // The centre of the cell left of the hole's first edge lies inside its outline (and on no edge).
+        const [col0, row0] = hole[0];
+        const [col1, row1] = hole[1];
+        const length = Math.abs(col1 - col0) + Math.abs(row1 - row0);
+        const east = (col1 - col0) / length;
+        const north = (row0 - row1) / length;
+        const testCol = col0 + east * 0.5 - north * 0.5;
+        const testRow = row0 - north * 0.5 - east * 0.5;
+        const outline = polygons.find(([outer]) => isInsideRing(testCol, testRow, outer));
+        if (outline) outline.push(hole);
+    }
+    return polygons;
+}
+
+/**
+ * Splits a ring that passes a corner more than once into rings passing it once each.
+ * @param {Array<number>} ring - Corner ids, not closed.
+ * @returns {Array<Array<number>>}
+ */
+function splitAtRepeatedCorners(ring) {
+    const pieces = [];
+    const remaining = [];
+    const positionById = new Map();
+    for (const id of ring) {
+        if (positionById.has(id)) {
+            // The corners since the last visit form a loop of their own.
+            const loop = remaining.splice(positionById.get(id));
+            for (const loopId of loop) positionById.delete(loopId);
+            pieces.push(loop);
+        }
+        positionById.set(id, remaining.length);
+        remaining.push(id);
+    }
+    pieces.push(remaining);
+    return pieces;
+}
+
+/**
+ * Tests whether a point lies inside a closed ring (even-odd rule).
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<[number, number]>} ring - Closed ring (first point repeated at the end).
+ * @returns {boolean}
+ */
+function isInsideRing(x, y, ring) {
+    let inside = false;
+    for (let i = 1; i < ring.length; i++) {
+        const [x0, y0] = ring[i - 1];
+        const [x1, y1] = ring[i];
+        if ((y0 > y) !== (y1 > y) && x < x0 + (y - y0) * (x1 - x0) / (y1 - y0)) inside = !inside;
+    }
+    return inside;
+}
@@ -0,0 +1,184 @@
+// js/zipArchive.js
+
+/**
+ * @file Extracts the members of a .zip archive in the browser, so DEM bundles from data portals can be loaded
+ * without unpacking them first. Only the central directory is parsed; member data is read with File.slice()
+ * and inflated with the browser's DecompressionStream, so the archive itself is never held in memory.
+ * Supports stored and Deflate members and ZIP64 archives; encrypted members are reported as skipped.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_ZIP_COMMENT_LENGTH = 0xFFFF;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+const COMPRESSION_STORED = 0;
+const COMPRESSION_DEFLATE = 8;
+
+/**
+ * Returns true if the file looks like a zip archive by its extension.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isZipArchive(file) {
+    return file.name.toLowerCase().endsWith('.zip');
+}
+
+/**
+ * Extracts every file member of a zip archive. Directories and macOS resource-fork entries (__MACOSX/, ._*)
+ * are ignored; members that cannot be extracted are returned in `skippedEntries` with the reason.
+ * Extracted files are named by the archive's name and the member's path inside it (bundle.zip/tileA/dem.asc), so
+ * members with the same base name in different folders stay apart and sidecars pair within their own folder.
+ * @param {File} archiveFile - The .zip file.
+ * @param {object} [options]
+ * @param {function(number): void} [options.onProgress] - Called with the fraction of compressed bytes extracted.
+ * @param {AbortSignal} [options.signal] - Aborts the extraction; the promise then rejects with an AbortError.
+ * @returns {Promise<{files: Array<File>, skippedEntries: Array<{name: string, reason: string}>}>}
+ * @throws {Error} If the file is not a readable zip archive.
+ */
+export async function extractZipArchive(archiveFile, { onProgress = () => {}, signal } = {}) {
+    console.log(`[ZipArchive] Reading central directory of ${archiveFile.name}.`);
+    const entries = await readCentralDirectory(archiveFile);
+    const files = [];
+    const skippedEntries = [];
+    const totalBytes = entries.reduce((sum, entry) => sum + entry.compressedSize, 0) || 1;
+    let bytesDone = 0;
+
+    for (const entry of entries) {
+        signal?.throwIfAborted();
+        const baseName = entry.path.slice(entry.path.lastIndexOf('/') + 1);
+        if (entry.path.endsWith('/') || entry.path.startsWith('__MACOSX/') || baseName.startsWith('._')) continue;
+        const displayName = `${archiveFile.name}/${entry.path}`;
+        if (entry.flags & 0x0001) {
+            skippedEntries.push({ name: displayName, reason: 'encrypted archive member' });
+            continue;
+        }
+        if (entry.compressionMethod !== COMPRESSION_STORED && entry.compressionMethod !== COMPRESSION_DEFLATE) {
+            skippedEntries.push({ name: displayName, reason: `unsupported zip compression method ${entry.compressionMethod}` });
+            continue;
+        }
+        try {
+            const blob = await readEntryData(archiveFile, entry);
+            if (blob.size !== entry.uncompressedSize) {
+                throw new Error(`extracted ${blob.size} bytes, expected ${entry.uncompressedSize}`);
+            }
+            files.push(new File([blob], displayName, { lastModified: archiveFile.lastModified }));
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason;
+            console.error(`[ZipArchive] Could not extract ${displayName}:`, error);
+            skippedEntries.push({ name: displayName, reason: `could not be extracted (${error.message})` });
+        }
+        bytesDone += entry.compressedSize;
+        onProgress(bytesDone / totalBytes);
+    }
+    console.log(`[ZipArchive] Extracted ${files.length} file(s) from ${archiveFile.name}, skipped ${skippedEntries.length}.`);
+    return { files, skippedEntries };
+}
+
+/**
+ * Locates and parses the central directory (classic or ZIP64).
+ * @param {File} archiveFile
+ * @returns {Promise<Array<{path: string, flags: number, compressionMethod: number, compressedSize: number, uncompressedSize: number, localHeaderOffset: number}>>}
+ */
+async function readCentralDirectory(archiveFile) {
+    const tailStart = Math.max(0, archiveFile.size - EOCD_MIN_SIZE - MAX_ZIP_COMMENT_LENGTH);
+    const tail = new DataView(await archiveFile.slice(tailStart).arrayBuffer());
+    let eocdPos = -1;
+    for (let pos = tail.byteLength - EOCD_MIN_SIZE; pos >= 0; pos--) {
+        if (tail.getUint32(pos, true) === EOCD_SIGNATURE) { eocdPos = pos; break; }
+    }
+    if (eocdPos < 0) throw new Error("Not a zip archive (end of central directory record not found).");
+
+    let entryCount = tail.getUint16(eocdPos + 10, true);
+    let directorySize = tail.getUint32(eocdPos + 12, true);
+    let directoryOffset = tail.getUint32(eocdPos + 16, true);
+
+    const locatorPos = eocdPos - 20;
+    if (locatorPos >= 0 && tail.getUint32(locatorPos, true) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+        const zip64EocdOffset = Number(tail.getBigUint64(locatorPos + 8, true));
+        const zip64Eocd = new DataView(await archiveFile.slice(zip64EocdOffset, zip64EocdOffset + 56).arrayBuffer());
+        if (zip64Eocd.byteLength < 56 || zip64Eocd.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+            throw new Error("Corrupt zip archive (invalid ZIP64 end of central directory record).");
+        }
+        entryCount = Number(zip64Eocd.getBigUint64(32, true));
+        directorySize = Number(zip64Eocd.getBigUint64(40, true));
+        directoryOffset = Number(zip64Eocd.getBigUint64(48, true));
+    }
+    if (directoryOffset + directorySize > archiveFile.size) {
+        throw new Error("Corrupt or truncated zip archive (central directory lies beyond the end of the file).");
+    }
+
+    const directory = new DataView(await archiveFile.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    const decoder = new TextDecoder(); // Names are read as UTF-8; legacy CP437 names only differ outside ASCII
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (pos + 46 > directory.byteLength || directory.getUint32(pos, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error(`Corrupt zip archive (central directory entry ${i + 1} of ${entryCount} is invalid).`);
+        }
+        const nameLength = directory.getUint16(pos + 28, true);
+        const extraLength = directory.getUint16(pos + 30, true);
+        const commentLength = directory.getUint16(pos + 32, true);
+        const entry = {
+            path: decoder.decode(new Uint8Array(directory.buffer, pos + 46, nameLength)).replace(/\\/g, '/'),
+            flags: directory.getUint16(pos + 8, true),
+            compressionMethod: directory.getUint16(pos + 10, true),
+            compressedSize: directory.getUint32(pos + 20, true),
+            uncompressedSize: directory.getUint32(pos + 24, true),
+            localHeaderOffset: directory.getUint32(pos + 42, true)
+        };
+        applyZip64ExtraField(entry, directory, pos + 46 + nameLength, extraLength);
+        entries.push(entry);
+        pos += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Replaces 32-bit sizes/offsets saturated at 0xFFFFFFFF with their 64-bit values from the ZIP64 extra field.
+ * The field only holds the saturated values, in the order uncompressed size, compressed size, local header offset.
+ * @param {object} entry - Central directory entry, updated in place.
+ * @param {DataView} view - The central directory.
+ * @param {number} start - Offset of the entry's extra fields.
+ * @param {number} length - Total length of the extra fields.
+ */
+function applyZip64ExtraField(entry, view, start, length) {
+    let pos = start;
+    while (pos + 4 <= start + length) {
+        const id = view.getUint16(pos, true);
+        const size = view.getUint16(pos + 2, true);
+        if (id === ZIP64_EXTRA_FIELD_ID) {
+            let valuePos = pos + 4;
+            for (const key of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+                if (entry[key] !== 0xFFFFFFFF || valuePos + 8 > pos + 4 + size) continue;
+                entry[key] = Number(view.getBigUint64(valuePos, true));
+                valuePos += 8;
+            }
+            return;
+        }
+        pos += 4 + size;
+    }
+}
+
+/**
+ * Reads one member's data, inflating it if needed.
+ * @param {File} archiveFile
+ * @param {object} entry - Central directory entry.
+ * @returns {Promise<Blob>} The member's uncompressed content.
+ */
+async function readEntryData(archiveFile, entry) {
+    const localHeader = new DataView(await archiveFile.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer());
+    if (localHeader.byteLength < 30 || localHeader.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+        throw new Error("invalid local file header");
+    }
+    // The local header's own name/extra lengths can differ from the central directory's.
+    const dataStart = entry.localHeaderOffset + 30 + localHeader.getUint16(26, true) + localHeader.getUint16(28, true);
+    const compressedData = archiveFile.slice(dataStart, dataStart + entry.compressedSize);
+    if (entry.compressionMethod === COMPRESSION_STORED) return compressedData;
+    const stream = compressedData.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).blob();
+}